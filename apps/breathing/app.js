@@ -40,7 +40,7 @@ class BreathingApp {
     this.session = this.createIdleSession();
 
     this.initElements();
-    this.syncThemeWithParent();
+    this.connectLauncher();
     this.attachEventListeners();
     this.populateFormFromData();
     this.refreshIdleDisplay();
@@ -163,27 +163,8 @@ class BreathingApp {
     this.lastFocusedElement = null;
   }
 
-  syncThemeWithParent() {
-    try {
-      const savedTheme = localStorage.getItem('marlapps-theme');
-      if (savedTheme) this.applyTheme(savedTheme);
-    } catch (e) {
-      // Ignore theme read errors
-    }
-
-    window.addEventListener('message', (event) => {
-      if (event.data && event.data.type === 'theme-change') {
-        this.applyTheme(event.data.theme);
-      }
-
-      if (event.data && event.data.type === 'app-visibility') {
-        this.handleVisibility(Boolean(event.data.visible), event.data.reason || '');
-      }
-    });
-  }
-
-  applyTheme(theme) {
-    document.documentElement.setAttribute('data-theme', theme);
+  connectLauncher() {
+    MarlApps.on('visibility', ({ visible, reason }) => this.handleVisibility(visible, reason));
   }
 
   loadData() {
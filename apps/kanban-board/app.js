@@ -37,11 +37,6 @@ class KanbanBoard {
     this._onBeforeUnload = () => this.saveBoard();
     this._onPageHide = () => this.saveBoard();
     this._onVisibilityChange = () => { if (document.hidden) this.saveBoard(); };
-    this._onThemeMessage = (event) => {
-      if (event.data && event.data.type === 'theme-change') {
-        this.applyTheme(event.data.theme);
-      }
-    };
 
     // Touch drag state
     this.touchDragState = {
@@ -66,8 +61,45 @@ class KanbanBoard {
 
     this.initElements();
     this.attachEventListeners();
+    this.connectLauncher();
     this.renderBoard();
-    this.syncThemeWithParent();
+  }
+
+  connectLauncher() {
+    MarlApps.on('open-item', ({ item }) => this.revealTask(item));
+    MarlApps.on('route', ({ route }) => this.applyRoute(route));
+  }
+
+  // Route `card/{taskId}` while a task is open in the editor; empty for the plain board.
+  getRoute() {
+    return this.editingTaskId && this.taskModal.classList.contains('active')
+      ? `card/${this.editingTaskId}`
+      : '';
+  }
+
+  reportRoute(options = {}) {
+    MarlApps.setRoute(this.getRoute(), options);
+  }
+
+  async applyRoute(route) {
+    const [kind, taskId] = route.split('/');
+    if (kind === 'card' && taskId && this.findTask(taskId)) {
+      this.revealTask(taskId);
+      return;
+    }
+
+    // Unknown cards fall back to the board without adding a history entry.
+    MarlApps.setRoute('', { replace: true });
+    if (this.taskModal.classList.contains('active')) await this.closeModal();
+    // Unsaved edits can keep the modal open, so report what is actually shown.
+    this.reportRoute({ replace: true });
+  }
+
+  // Opens the edit modal for a task picked from launcher search.
+  revealTask(taskId) {
+    const column = this.board.columns.find(col => col.tasks.some(task => task.id === taskId));
+    if (!column) return;
+    this.openModal(column.id, taskId);
   }
 
   initElements() {
@@ -81,6 +113,7 @@ class KanbanBoard {
     this.colorSelector = document.getElementById('colorSelector');
     this.colorSwatches = document.querySelectorAll('.color-swatch');
     this.deleteTaskBtn = document.getElementById('deleteTaskBtn');
+    this.startPomodoroBtn = document.getElementById('startPomodoroBtn');
     this.undoToast = document.getElementById('undoToast');
     this.toastMessage = document.getElementById('toastMessage');
     this.toastUndo = document.getElementById('toastUndo');
@@ -99,24 +132,6 @@ class KanbanBoard {
     this.promptCancelBtn = document.getElementById('promptCancel');
   }
 
-  syncThemeWithParent() {
-    try {
-      const savedTheme = localStorage.getItem('marlapps-theme');
-      if (savedTheme) {
-        this.applyTheme(savedTheme);
-      }
-    } catch (e) {
-      // Fail silently
-    }
-
-    // Listen for theme changes from parent
-    window.addEventListener('message', this._onThemeMessage);
-  }
-
-  applyTheme(theme) {
-    document.documentElement.setAttribute('data-theme', theme);
-  }
-
   migrateStorage() {
     const old = localStorage.getItem('kanbanBoard');
     if (old) {
@@ -163,6 +178,7 @@ class KanbanBoard {
                 if (!task || typeof task !== 'object') return null;
                 if (typeof task.title !== 'string' || !task.title.trim()) return null;
 
+                const createdAt = Number.isFinite(task.createdAt) ? task.createdAt : Date.now();
                 return {
                   id: typeof task.id === 'string'
                     ? task.id
@@ -172,7 +188,8 @@ class KanbanBoard {
                   color: typeof task.color === 'string' && validColors.includes(task.color)
                     ? task.color
                     : null,
-                  createdAt: Number.isFinite(task.createdAt) ? task.createdAt : Date.now()
+                  createdAt,
+                  updatedAt: Number.isFinite(task.updatedAt) ? task.updatedAt : createdAt
                 };
               })
               .filter(Boolean)
@@ -244,10 +261,18 @@ class KanbanBoard {
         this.editingTaskId = null;
         this.selectedColor = null;
         this.taskForm.reset();
+        this.reportRoute({ replace: true });
         await this.deleteTask(taskId);
       }
     });
 
+    this.startPomodoroBtn.addEventListener('click', () => {
+      const task = this.editingTaskId ? this.findTask(this.editingTaskId) : null;
+      if (!task) return;
+      MarlApps.publishIntent('timer.start', { label: task.title }, { target: 'pomodoro-timer' });
+      this.startPomodoroBtn.textContent = 'Pomodoro started';
+    });
+
     // Track unsaved changes
     this.taskTitleInput.addEventListener('input', () => {
       this.hasUnsavedChanges = true;
@@ -949,6 +974,7 @@ class KanbanBoard {
     }
 
     const task = sourceColumn.tasks.splice(sourceTaskIndex, 1)[0];
+    task.updatedAt = Date.now();
     targetColumn.tasks.splice(insertionIndex, 0, task);
 
     this.saveBoard();
@@ -973,6 +999,8 @@ class KanbanBoard {
 
         // Show delete button
         this.deleteTaskBtn.style.display = 'inline-flex';
+        this.startPomodoroBtn.style.display = MarlApps.isEmbedded ? 'inline-flex' : 'none';
+        this.startPomodoroBtn.textContent = 'Start Pomodoro';
       }
     } else {
       // Adding new task
@@ -983,11 +1011,13 @@ class KanbanBoard {
 
       // Hide delete
       this.deleteTaskBtn.style.display = 'none';
+      this.startPomodoroBtn.style.display = 'none';
     }
 
     this.taskModal.classList.add('active');
     this._taskModalFocusTrap = this.trapFocus(this.taskModal);
     this.taskTitleInput.focus();
+    this.reportRoute();
   }
 
   async closeModal() {
@@ -1001,6 +1031,7 @@ class KanbanBoard {
     this.selectedColor = null;
     this.hasUnsavedChanges = false;
     this.taskForm.reset();
+    this.reportRoute();
   }
 
   async saveTask() {
@@ -1017,15 +1048,18 @@ class KanbanBoard {
         task.title = title;
         task.description = description;
         task.color = this.selectedColor;
+        task.updatedAt = Date.now();
       }
     } else {
       // Create new task
+      const now = Date.now();
       const newTask = {
         id: this.generateId(),
         title: title,
         description: description,
         color: this.selectedColor,
-        createdAt: Date.now()
+        createdAt: now,
+        updatedAt: now
       };
 
       const column = this.board.columns.find(c => c.id === this.currentColumnId);
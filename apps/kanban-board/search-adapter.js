@@ -0,0 +1,50 @@
+// Launcher search hook: matches card titles and descriptions across all columns.
+
+const STORAGE_KEY = 'marlapps-kanban-board';
+
+function readColumns() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    return parsed && Array.isArray(parsed.columns) ? parsed.columns : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+export function searchItems(query, { limit = 5 } = {}) {
+  const tokens = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (tokens.length === 0) return [];
+
+  const matches = [];
+  readColumns().forEach((column) => {
+    if (!column || !Array.isArray(column.tasks)) return;
+
+    column.tasks.forEach((task) => {
+      if (!task || typeof task.id !== 'string') return;
+      const title = typeof task.title === 'string' ? task.title : '';
+      const description = typeof task.description === 'string' ? task.description : '';
+      const haystack = `${title}\n${description}`.toLowerCase();
+      if (!tokens.every(token => haystack.includes(token))) return;
+
+      const titleHits = tokens.filter(token => title.toLowerCase().includes(token)).length;
+      matches.push({
+        score: titleHits,
+        item: {
+          id: task.id,
+          title: title || 'Untitled task',
+          subtitle: typeof column.name === 'string' ? column.name : '',
+          text: description
+        }
+      });
+    });
+  });
+
+  return matches
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(match => match.item);
+}
+
+export default {
+  searchItems
+};
@@ -17,7 +17,6 @@ class MirrorApp {
     this.initElements();
     this.initEventListeners();
     this.updateFlipButtonState();
-    this.syncThemeWithParent();
     this.renderGallery();
   }
 
@@ -65,27 +64,6 @@ class MirrorApp {
     this.confirmNo = document.getElementById('confirmNo');
   }
 
-  syncThemeWithParent() {
-    try {
-      const savedTheme = localStorage.getItem('marlapps-theme');
-      if (savedTheme) {
-        this.applyTheme(savedTheme);
-      }
-    } catch (e) {
-      // Fail silently.
-    }
-
-    window.addEventListener('message', (event) => {
-      if (event.data && event.data.type === 'theme-change') {
-        this.applyTheme(event.data.theme);
-      }
-    });
-  }
-
-  applyTheme(theme) {
-    document.documentElement.setAttribute('data-theme', theme);
-  }
-
   initEventListeners() {
     this.startBtn.addEventListener('click', () => this.startCamera());
     this.retryBtn.addEventListener('click', () => this.startCamera());
@@ -2,6 +2,7 @@ const DB_NAME = 'marlapps-mirror';
 const STORE_NAME = 'photos';
 const DB_VERSION = 1;
 export const MAX_PHOTOS = 20;
+const CLEANUP_AGE_DAYS = 30;
 
 let dbPromise = null;
 let migrationPromise = null;
@@ -314,10 +315,33 @@ export async function clearStorage() {
   clearLegacyStorageKeys();
 }
 
+// Cleanup hooks for the launcher's Storage panel.
+export async function getCleanupSuggestions() {
+  const cutoff = Date.now() - CLEANUP_AGE_DAYS * 24 * 60 * 60 * 1000;
+  const oldPhotos = (await loadPhotos()).filter(photo => parseTimestamp(photo.timestamp) < cutoff);
+  if (oldPhotos.length === 0) return [];
+
+  return [{
+    id: 'old-photos',
+    title: `Delete ${oldPhotos.length} Mirror ${oldPhotos.length === 1 ? 'photo' : 'photos'} older than ${CLEANUP_AGE_DAYS} days`,
+    bytes: oldPhotos.reduce((total, photo) => total + photo.blob.size, 0)
+  }];
+}
+
+export async function applyCleanup(id) {
+  if (id !== 'old-photos') return;
+
+  const cutoff = Date.now() - CLEANUP_AGE_DAYS * 24 * 60 * 60 * 1000;
+  const photos = await loadPhotos();
+  await replaceAllPhotos(photos.filter(photo => parseTimestamp(photo.timestamp) >= cutoff));
+}
+
 export default {
+  applyCleanup,
   clearStorage,
   deletePhotoById,
   exportBackup,
+  getCleanupSuggestions,
   importBackup,
   loadPhotos,
   replaceAllPhotos,
@@ -1,10 +1,16 @@
 // Notes App - Rich text note-taking with IndexedDB storage
 
-import { openDB, getAllNotes, saveNote, saveAllNotes, deleteNote, getAllNotebooks, saveNotebook, saveAllNotebooks, deleteNotebook as dbDeleteNotebook } from './db.js';
-import { initEditor, execToolbarCommand, getContentHtml, getContentPlainText, setContent, focus } from './editor.js';
+import { openDB, getAllNotes, saveNote, saveAllNotes, deleteNote, getAllNotebooks, saveNotebook, saveAllNotebooks, deleteNotebook as dbDeleteNotebook, getRevisions } from './db.js';
+import { initEditor, execToolbarCommand, getContentHtml, getContentPlainText, getCurrentLineText, setContent, refreshLinks, focus } from './editor.js';
 import { createAutosaver } from './autosave.js';
 import { searchNotes } from './search.js';
-import { downloadMarkdown } from './export-markdown.js';
+import { downloadMarkdown, downloadMarkdownZip } from './export-markdown.js';
+import { readImportFiles } from './import-markdown.js';
+import { normalizeLinkTitle, findBacklinks, renameLinksInNote } from './links.js';
+import { normalizeTag, normalizeTagList, collectNoteTags, matchesTags, countTags } from './tags.js';
+import { recordRevision, diffLines } from './revisions.js';
+
+const HISTORY_DIFF_CONTEXT = 2; // unchanged lines shown around each change
 
 const VALID_NOTEBOOK_COLORS = new Set([
   '#e74c3c', '#f39c12', '#f1c40f', '#27ae60', '#3498db', '#9b59b6', '#e91e63', '#00bcd4'
@@ -46,7 +52,9 @@ function normalizeNote(note) {
     updatedAt: typeof note.updatedAt === 'number' ? note.updatedAt : Date.now(),
     version: typeof note.version === 'number' ? note.version : 1,
     notebookId: note.notebookId || null,
-    order: note.order != null ? note.order : undefined
+    order: note.order != null ? note.order : undefined,
+    tags: Array.isArray(note.tags) ? note.tags : collectNoteTags(note.contentPlainText, note.explicitTags),
+    explicitTags: normalizeTagList(note.explicitTags)
   };
 }
 
@@ -68,6 +76,11 @@ class NotesApp {
     this.currentNoteId = null;
     this.currentNotebookId = null; // null = "All Notes"
     this.notebooksCollapsed = false;
+    this.selectedTags = [];
+    this.tagMode = 'all'; // 'all' = notes with every selected tag, 'any' = notes with at least one
+    this.tagsCollapsed = false;
+    this.historyRevisions = [];
+    this.selectedRevisionId = null;
     this.searchTimeout = null;
     this.autosaver = null;
     this._openingNote = false;
@@ -77,9 +90,12 @@ class NotesApp {
     this._longPressFeedbackTimer = null;
     this._longPressItem = null;
 
+    this.readyPromise = new Promise((resolve) => { this.resolveReady = resolve; });
+    this._routeBatchDepth = 0;
+
     this.initElements();
     this.attachEventListeners();
-    this.syncThemeWithParent();
+    this.connectLauncher();
   }
 
   async init() {
@@ -99,11 +115,81 @@ class NotesApp {
     );
 
     initEditor(this.editorContent, {
-      onInput: () => this.autosaver.scheduleSave()
+      onInput: () => this.autosaver.scheduleSave(),
+      linkTitles: () => this.notes.filter(n => n.id !== this.currentNoteId).map(n => n.title),
+      onOpenLink: (title) => this.openLinkedNote(title),
+      onLinkAtCaret: (title) => this.updateOpenLinkButton(title)
     });
 
     this.renderNotebooks();
     this.renderNotesList(this.getFilteredNotes());
+    this.resolveReady();
+  }
+
+  connectLauncher() {
+    MarlApps.onIntent('notes.create', () => {
+      this.readyPromise.then(() => this.createNewNote());
+    });
+    MarlApps.on('open-item', ({ item }) => {
+      this.readyPromise.then(() => this.revealNote(item));
+    });
+    MarlApps.on('route', ({ route }) => {
+      this.readyPromise.then(() => this.applyRoute(route));
+    });
+  }
+
+  // ── Routes ──
+  // `notebook/{id}` and `note/{id}` segments, e.g. `notebook/abc/note/xyz`; empty = All Notes.
+
+  getRoute() {
+    const segments = [];
+    if (this.currentNotebookId === NB_UNCATEGORIZED) {
+      segments.push('notebook', 'uncategorized');
+    } else if (this.currentNotebookId) {
+      segments.push('notebook', this.currentNotebookId);
+    }
+    if (this.currentNoteId) segments.push('note', this.currentNoteId);
+    return segments.join('/');
+  }
+
+  reportRoute(options = {}) {
+    if (this._routeBatchDepth > 0) return;
+    MarlApps.setRoute(this.getRoute(), options);
+  }
+
+  // Runs several navigation steps and reports only the route they end on.
+  async batchNavigation(steps, routeOptions = {}) {
+    this._routeBatchDepth++;
+    try {
+      await steps();
+    } finally {
+      this._routeBatchDepth--;
+    }
+    this.reportRoute(routeOptions);
+  }
+
+  async applyRoute(route) {
+    const segments = route.split('/');
+    const params = {};
+    for (let i = 0; i + 1 < segments.length; i += 2) {
+      params[segments[i]] = segments[i + 1];
+    }
+
+    let notebookId = null;
+    if (params.notebook === 'uncategorized') {
+      notebookId = NB_UNCATEGORIZED;
+    } else if (params.notebook && this.notebooks.some(nb => nb.id === params.notebook)) {
+      notebookId = params.notebook;
+    }
+
+    await this.batchNavigation(async () => {
+      if (notebookId !== this.currentNotebookId) this.selectNotebook(notebookId);
+      if (params.note && this.notes.some(n => n.id === params.note)) {
+        await this.revealNote(params.note);
+      } else {
+        await this.closeNote();
+      }
+    }, { replace: true });
   }
 
   initElements() {
@@ -117,41 +203,110 @@ class NotesApp {
     this.saveStatus = document.getElementById('saveStatus');
     this.deleteNoteBtn = document.getElementById('deleteNoteBtn');
     this.exportMdBtn = document.getElementById('exportMdBtn');
+    this.sendToTodoBtn = document.getElementById('sendToTodoBtn');
     this.searchInput = document.getElementById('searchInput');
     this.notesLayout = document.querySelector('.notes-layout');
     this.mobileBackBtn = document.getElementById('mobileBackBtn');
     this.editorToolbar = document.getElementById('editorToolbar');
+    this.openLinkBtn = document.getElementById('openLinkBtn');
+    this.backlinksCount = document.getElementById('backlinksCount');
+    this.backlinksList = document.getElementById('backlinksList');
+
+    // Import
+    this.importBtn = document.getElementById('importBtn');
+    this.importMenu = document.getElementById('importMenu');
+    this.importFilesInput = document.getElementById('importFilesInput');
+    this.importFolderInput = document.getElementById('importFolderInput');
+    this.exportNotebookAction = document.getElementById('exportNotebookAction');
 
     // Notebook elements
     this.notebooksSection = document.getElementById('notebooksSection');
     this.notebooksToggle = document.getElementById('notebooksToggle');
     this.notebooksList = document.getElementById('notebooksList');
 
+    // Tags
+    this.tagsSection = document.getElementById('tagsSection');
+    this.tagsToggle = document.getElementById('tagsToggle');
+    this.tagsList = document.getElementById('tagsList');
+    this.noteTagsList = document.getElementById('noteTagsList');
+    this.noteTagInput = document.getElementById('noteTagInput');
+
+    // History drawer
+    this.historyBtn = document.getElementById('historyBtn');
+    this.historyDrawer = document.getElementById('historyDrawer');
+    this.historyCloseBtn = document.getElementById('historyCloseBtn');
+    this.historyList = document.getElementById('historyList');
+    this.historyDetail = document.getElementById('historyDetail');
+    this.historyCompare = document.getElementById('historyCompare');
+    this.historyRestoreBtn = document.getElementById('historyRestoreBtn');
+    this.historyDiff = document.getElementById('historyDiff');
+
     // Move-to modal
     this.moveToModal = document.getElementById('moveToNotebookModal');
     this.moveToList = document.getElementById('moveToNotebookList');
     this.moveToCancel = document.getElementById('moveToNotebookCancel');
   }
 
-  syncThemeWithParent() {
-    // theme-bootstrap.js handles initial theme from localStorage.
-    // Listen for parent iframe theme changes via postMessage.
-    window.addEventListener('message', (event) => {
-      if (event.data && event.data.type === 'theme-change') {
-        document.documentElement.setAttribute('data-theme', event.data.theme);
-      }
-    });
-  }
-
   attachEventListeners() {
     this.newNoteBtn.addEventListener('click', () => this.createNewNote());
     this.deleteNoteBtn.addEventListener('click', () => this.deleteCurrentNote());
     this.exportMdBtn.addEventListener('click', () => this.exportCurrentNote());
+    if (!MarlApps.isEmbedded) {
+      this.sendToTodoBtn.style.display = 'none';
+    }
+    // Keep the editor selection alive so the current line can be read on click.
+    this.sendToTodoBtn.addEventListener('mousedown', (e) => e.preventDefault());
+    this.sendToTodoBtn.addEventListener('click', () => this.sendCurrentLineToTodo());
+
+    // Wiki links: the footer button follows the link under the caret, backlinks open their note
+    this.openLinkBtn.addEventListener('mousedown', (e) => e.preventDefault());
+    this.openLinkBtn.addEventListener('click', () => {
+      if (this.openLinkBtn.dataset.title) this.openLinkedNote(this.openLinkBtn.dataset.title);
+    });
+    this.backlinksList.addEventListener('click', (e) => {
+      const item = e.target.closest('.backlink-item');
+      if (item) this.revealNote(item.dataset.noteId);
+    });
 
     if (this.mobileBackBtn) {
       this.mobileBackBtn.addEventListener('click', () => this.closeMobileEditor());
     }
 
+    // Import/export menu: pick files or a whole folder, or download a .zip
+    this.importBtn.addEventListener('click', () => this.toggleImportMenu());
+    this.importMenu.addEventListener('click', (e) => {
+      const action = e.target.closest('[data-import], [data-export]');
+      if (!action) return;
+      this.closeImportMenu();
+      if (action.dataset.export === 'notebook') {
+        this.exportNotebook(this.currentNotebookId);
+      } else if (action.dataset.export === 'all') {
+        this.exportAllNotes();
+      } else if (action.dataset.import === 'folder') {
+        this.importFolderInput.click();
+      } else {
+        this.importFilesInput.click();
+      }
+    });
+    this.importMenu.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        this.closeImportMenu();
+        this.importBtn.focus();
+        return;
+      }
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        e.target.click();
+      }
+    });
+    [this.importFilesInput, this.importFolderInput].forEach((input) => {
+      input.addEventListener('change', async () => {
+        const files = Array.from(input.files || []);
+        input.value = '';
+        if (files.length > 0) await this.importFiles(files, { fromFolder: input === this.importFolderInput });
+      });
+    });
+
     // Debounced search
     this.searchInput.addEventListener('input', (e) => {
       clearTimeout(this.searchTimeout);
@@ -167,6 +322,9 @@ class NotesApp {
       if (this.autosaver) this.autosaver.scheduleSave();
     });
 
+    // A committed title change carries the links pointing at the note along
+    this.noteTitleInput.addEventListener('change', () => this.commitTitle());
+
     // Toolbar buttons
     this.editorToolbar.addEventListener('click', (e) => {
       const btn = e.target.closest('button[data-cmd]');
@@ -211,6 +369,56 @@ class NotesApp {
       this.notebooksSection.classList.toggle('collapsed', this.notebooksCollapsed);
     });
 
+    // Tags toggle, tag filters and the current note's tags
+    this.tagsToggle.addEventListener('click', () => {
+      this.tagsCollapsed = !this.tagsCollapsed;
+      this.tagsSection.classList.toggle('collapsed', this.tagsCollapsed);
+    });
+    this.tagsList.addEventListener('click', (e) => {
+      const chip = e.target.closest('.tag-chip');
+      const modeBtn = e.target.closest('[data-tag-mode]');
+      if (chip) this.toggleTagFilter(chip.dataset.tag);
+      else if (modeBtn) this.setTagMode(modeBtn.dataset.tagMode);
+      else if (e.target.closest('.tag-filter-clear')) this.clearTagFilter();
+    });
+    this.noteTagInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ',') {
+        e.preventDefault();
+        this.addNoteTags(this.noteTagInput.value);
+      } else if (e.key === 'Backspace' && !this.noteTagInput.value) {
+        const note = this.notes.find(n => n.id === this.currentNoteId);
+        if (note && note.explicitTags.length > 0) this.removeNoteTag(note.explicitTags[note.explicitTags.length - 1]);
+      }
+    });
+    this.noteTagInput.addEventListener('blur', () => {
+      if (this.noteTagInput.value.trim()) this.addNoteTags(this.noteTagInput.value);
+    });
+    this.noteTagsList.addEventListener('click', (e) => {
+      const removeBtn = e.target.closest('.note-tag-remove');
+      if (removeBtn) this.removeNoteTag(removeBtn.dataset.tag);
+    });
+
+    // History drawer
+    this.historyBtn.addEventListener('click', () => {
+      if (this.historyDrawer.hidden) this.openHistory();
+      else this.closeHistory();
+    });
+    this.historyCloseBtn.addEventListener('click', () => this.closeHistory());
+    this.historyList.addEventListener('click', (e) => {
+      const item = e.target.closest('.history-item');
+      if (!item) return;
+      this.selectedRevisionId = item.dataset.revisionId;
+      this.renderHistory();
+    });
+    this.historyCompare.addEventListener('change', () => this.renderHistoryDiff());
+    this.historyRestoreBtn.addEventListener('click', () => this.restoreRevision(this.selectedRevisionId));
+    this.historyDrawer.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        this.closeHistory();
+        this.historyBtn.focus();
+      }
+    });
+
     // Move-to modal cancel
     if (this.moveToCancel) {
       this.moveToCancel.addEventListener('click', () => this.closeMoveToModal());
@@ -230,6 +438,9 @@ class NotesApp {
       if (!e.target.closest('.notebook-settings-popover') && !e.target.closest('.notebook-settings-btn')) {
         this.closeSettingsPopover();
       }
+      if (!e.target.closest('.import-menu') && !e.target.closest('#importBtn')) {
+        this.closeImportMenu();
+      }
     });
   }
 
@@ -239,14 +450,19 @@ class NotesApp {
     return this.currentNotebookId !== null && this.currentNotebookId !== NB_UNCATEGORIZED;
   }
 
-  getFilteredNotes() {
-    let filtered;
+  getNotebookNotes() {
     if (this.currentNotebookId === null) {
-      filtered = this.notes;
+      return this.notes;
     } else if (this.currentNotebookId === NB_UNCATEGORIZED) {
-      filtered = this.notes.filter(n => !n.notebookId);
-    } else {
-      filtered = this.notes.filter(n => n.notebookId === this.currentNotebookId);
+      return this.notes.filter(n => !n.notebookId);
+    }
+    return this.notes.filter(n => n.notebookId === this.currentNotebookId);
+  }
+
+  getFilteredNotes() {
+    let filtered = this.getNotebookNotes();
+    if (this.selectedTags.length > 0) {
+      filtered = filtered.filter(n => matchesTags(n, this.selectedTags, this.tagMode));
     }
 
     // In a specific notebook, sort by manual order (falling back to updatedAt)
@@ -267,6 +483,7 @@ class NotesApp {
     this.searchInput.value = '';
     this.renderNotebooks();
     this.renderNotesList(this.getFilteredNotes());
+    this.reportRoute();
   }
 
   // ── Notebook rendering ──
@@ -323,6 +540,112 @@ class NotesApp {
     </div>`;
 
     this.notebooksList.innerHTML = html;
+
+    // Tag counts follow the notebook and change with the same edits
+    this.renderTags();
+  }
+
+  // ── Tags ──
+
+  renderTags() {
+    const counts = countTags(this.getNotebookNotes());
+    const countByTag = new Map(counts.map(({ tag, count }) => [tag, count]));
+    // Keep selected tags visible (so they can be turned off) even when this notebook has none
+    for (const tag of this.selectedTags) {
+      if (!countByTag.has(tag)) counts.push({ tag, count: 0 });
+    }
+
+    this.tagsSection.hidden = counts.length === 0;
+    if (counts.length === 0) {
+      this.tagsList.innerHTML = '';
+      return;
+    }
+
+    let html = '<div class="tag-chips">';
+    for (const { tag, count } of counts) {
+      const active = this.selectedTags.includes(tag);
+      html += `<button type="button" class="tag-chip${active ? ' active' : ''}" data-tag="${this.escapeHtml(tag)}" aria-pressed="${active}">
+        #${this.escapeHtml(tag)} <span class="tag-chip-count">${count}</span>
+      </button>`;
+    }
+    html += '</div>';
+
+    if (this.selectedTags.length > 0) {
+      html += '<div class="tag-filter-bar">';
+      if (this.selectedTags.length > 1) {
+        html += `<span class="tag-filter-label">Match</span>
+          <button type="button" class="tag-mode-btn${this.tagMode === 'all' ? ' active' : ''}" data-tag-mode="all" title="Notes with every selected tag">All</button>
+          <button type="button" class="tag-mode-btn${this.tagMode === 'any' ? ' active' : ''}" data-tag-mode="any" title="Notes with any selected tag">Any</button>`;
+      }
+      html += '<button type="button" class="tag-filter-clear">Clear</button></div>';
+    }
+
+    this.tagsList.innerHTML = html;
+  }
+
+  toggleTagFilter(tag) {
+    this.selectedTags = this.selectedTags.includes(tag)
+      ? this.selectedTags.filter(t => t !== tag)
+      : [...this.selectedTags, tag];
+    this.applyTagFilter();
+  }
+
+  setTagMode(mode) {
+    if (mode === this.tagMode) return;
+    this.tagMode = mode;
+    this.applyTagFilter();
+  }
+
+  clearTagFilter() {
+    this.selectedTags = [];
+    this.applyTagFilter();
+  }
+
+  applyTagFilter() {
+    this.searchInput.value = '';
+    this.renderTags();
+    this.renderNotesList(this.getFilteredNotes());
+  }
+
+  renderNoteTags(note) {
+    const explicit = new Set(note.explicitTags);
+    this.noteTagsList.innerHTML = note.tags.map((tag) => {
+      const label = `#${this.escapeHtml(tag)}`;
+      if (!explicit.has(tag)) {
+        return `<span class="note-tag" title="From ${label} in the note">${label}</span>`;
+      }
+      return `<span class="note-tag note-tag--explicit">${label}<button type="button" class="note-tag-remove" data-tag="${this.escapeHtml(tag)}" aria-label="Remove tag ${this.escapeHtml(tag)}">&times;</button></span>`;
+    }).join('');
+  }
+
+  // Accepts "a, b" or "#a #b"; saves right away so filters and counts catch up.
+  async addNoteTags(value) {
+    const note = this.notes.find(n => n.id === this.currentNoteId);
+    if (!note) return;
+
+    const entered = value.split(/[\s,]+/).filter(Boolean);
+    const tags = entered.map(normalizeTag).filter(Boolean);
+    this.noteTagInput.value = '';
+    if (tags.length < entered.length) {
+      alert('Tags can use letters, numbers, "_", "-" and "/", and need at least one non-digit.');
+    }
+
+    const explicitTags = normalizeTagList([...note.explicitTags, ...tags]);
+    if (explicitTags.length === note.explicitTags.length) return;
+    await this.saveNoteTags(note, explicitTags);
+  }
+
+  async removeNoteTag(tag) {
+    const note = this.notes.find(n => n.id === this.currentNoteId);
+    if (!note) return;
+    await this.saveNoteTags(note, note.explicitTags.filter(t => t !== tag));
+  }
+
+  async saveNoteTags(note, explicitTags) {
+    note.explicitTags = explicitTags;
+    if (!this.autosaver) return;
+    this.autosaver.scheduleSave();
+    await this.autosaver.flushSave();
   }
 
   // Event delegation for notebooks list (attached once in attachEventListeners)
@@ -550,6 +873,7 @@ class NotesApp {
       </div>
       <div class="popover-divider"></div>
       <div class="popover-action" data-action="rename" role="menuitem" tabindex="0">Rename</div>
+      <div class="popover-action" data-action="export" role="menuitem" tabindex="0">Export .zip</div>
       <div class="popover-action popover-action--danger" data-action="delete" role="menuitem" tabindex="0">Delete</div>
     `;
 
@@ -587,6 +911,7 @@ class NotesApp {
         const act = action.dataset.action;
         this.closeSettingsPopover();
         if (act === 'rename') this.renameNotebook(notebookId);
+        if (act === 'export') this.exportNotebook(notebookId);
         if (act === 'delete') this.deleteNotebookById(notebookId);
       });
     });
@@ -803,6 +1128,7 @@ class NotesApp {
 
     this.renderNotebooks();
     this.renderNotesList(this.getFilteredNotes());
+    this.reportRoute({ replace: true });
   }
 
   // ── Move note to notebook ──
@@ -820,6 +1146,394 @@ class NotesApp {
     this.renderNotesList(this.getFilteredNotes());
   }
 
+  // ── Markdown import/export ──
+
+  toggleImportMenu() {
+    if (!this.importMenu.hidden) {
+      this.closeImportMenu();
+      return;
+    }
+    this.closeSettingsPopover();
+    this.exportNotebookAction.hidden = !this.isInSpecificNotebook();
+    this.importMenu.hidden = false;
+    this.importBtn.setAttribute('aria-expanded', 'true');
+    const first = this.importMenu.querySelector('[tabindex="0"]');
+    if (first) first.focus();
+  }
+
+  closeImportMenu() {
+    if (this.importMenu.hidden) return;
+    this.importMenu.hidden = true;
+    this.importBtn.setAttribute('aria-expanded', 'false');
+  }
+
+  // Files picked one by one land in the open notebook; a folder's subfolders map to notebooks
+  // (matched by name, created when missing) and its top-level files stay uncategorized.
+  // Notes whose id already exists (a re-imported .zip export) replace it only when they are newer.
+  async importFiles(files, { fromFolder = false } = {}) {
+    if (this.autosaver) await this.autosaver.flushSave();
+
+    const { entries, skipped } = await readImportFiles(files);
+    if (entries.length === 0) {
+      alert(skipped.length > 0
+        ? `Could not read ${skipped.join(', ')}.`
+        : 'No Markdown (.md) or text (.txt) files found.');
+      return;
+    }
+
+    const fallbackNotebookId = !fromFolder && this.isInSpecificNotebook() ? this.currentNotebookId : null;
+    const newNotebooks = [];
+    let nextOrder = this.notebooks.reduce((max, nb) => Math.max(max, nb.order ?? 0), 0) + 1;
+
+    const resolveNotebookId = (name) => {
+      if (!name) return fallbackNotebookId;
+      const normalized = name.toLowerCase();
+      const existing = [...this.notebooks, ...newNotebooks].find(nb => nb.name.toLowerCase().trim() === normalized);
+      if (existing) return existing.id;
+
+      const now = Date.now();
+      const notebook = { id: crypto.randomUUID(), name, color: null, order: nextOrder++, createdAt: now, updatedAt: now };
+      newNotebooks.push(notebook);
+      return notebook.id;
+    };
+
+    const existingById = new Map(this.notes.map(note => [note.id, note]));
+    const usedIds = new Set();
+    const notes = [];
+    const replaced = [];
+    let unchanged = 0;
+
+    for (const { notebookName, note } of entries) {
+      const existing = note.id ? existingById.get(note.id) : null;
+      if (existing && !usedIds.has(note.id)) {
+        usedIds.add(note.id);
+        if (note.updatedAt <= existing.updatedAt) {
+          unchanged++;
+          continue;
+        }
+        const updated = { ...existing, ...note, version: (existing.version || 0) + 1, notebookId: resolveNotebookId(notebookName) };
+        notes.push(updated);
+        replaced.push([existing, updated]);
+        continue;
+      }
+
+      const id = note.id && !usedIds.has(note.id) ? note.id : crypto.randomUUID();
+      usedIds.add(id);
+      notes.push({ ...note, id, version: 1, notebookId: resolveNotebookId(notebookName) });
+    }
+
+    if (notes.length === 0) {
+      alert(`All ${unchanged} note${unchanged === 1 ? ' is' : 's are'} already up to date.`);
+      return;
+    }
+
+    try {
+      for (const [existing, updated] of replaced) {
+        await recordRevision(existing, updated, { force: true });
+      }
+    } catch (err) {
+      console.warn('Failed to record note history:', err);
+    }
+
+    try {
+      if (newNotebooks.length > 0) await saveAllNotebooks(newNotebooks);
+      await saveAllNotes(notes);
+      this.notes = (await getAllNotes()).map(normalizeNote);
+      this.notebooks = (await getAllNotebooks()).map(normalizeNotebook);
+    } catch (err) {
+      console.error('Failed to import notes:', err);
+      alert('Import failed. Your existing notes were not changed.');
+      return;
+    }
+
+    // Show where the notes went: their notebook if they share one, otherwise All Notes
+    const targetIds = new Set(notes.map(note => note.notebookId));
+    const [onlyTarget] = targetIds;
+    const notebookId = targetIds.size === 1 && onlyTarget ? onlyTarget : null;
+
+    const reopenId = notes.length === 1 ? notes[0].id
+      : notes.some(note => note.id === this.currentNoteId) ? this.currentNoteId : null;
+    if (reopenId === this.currentNoteId && this.autosaver) this.autosaver.reset();
+
+    await this.batchNavigation(async () => {
+      this.selectNotebook(notebookId);
+      if (reopenId) await this.openNote(reopenId);
+    });
+
+    if (skipped.length > 0) {
+      alert(`Imported ${notes.length} note${notes.length === 1 ? '' : 's'}. Could not read ${skipped.join(', ')}.`);
+    }
+  }
+
+  async exportNotebook(notebookId) {
+    const notebook = this.notebooks.find(nb => nb.id === notebookId);
+    if (!notebook) return;
+    await this.exportNotesZip(this.notes.filter(note => note.notebookId === notebookId), notebook.name);
+  }
+
+  async exportAllNotes() {
+    const date = new Date().toISOString().split('T')[0];
+    await this.exportNotesZip(this.notes, `marlapps-notes-${date}`);
+  }
+
+  async exportNotesZip(notes, filename) {
+    if (this.autosaver) await this.autosaver.flushSave();
+    if (notes.length === 0) {
+      alert('There are no notes to export.');
+      return;
+    }
+
+    try {
+      await downloadMarkdownZip(filename, notes, this.notebooks);
+    } catch (err) {
+      console.error('Failed to export notes:', err);
+      alert('Export failed.');
+    }
+  }
+
+  // ── Wiki links ──
+
+  // Follows [[title]]: the most recently edited note with that title, or a new note named after it.
+  async openLinkedNote(title) {
+    const target = normalizeLinkTitle(title);
+    const note = this.notes
+      .filter(n => normalizeLinkTitle(n.title) === target)
+      .sort((a, b) => b.updatedAt - a.updatedAt)[0];
+
+    if (note) {
+      await this.revealNote(note.id);
+    } else {
+      await this.createNewNote({ title: title.trim() });
+    }
+  }
+
+  updateOpenLinkButton(title) {
+    if (!title) {
+      this.openLinkBtn.style.display = 'none';
+      delete this.openLinkBtn.dataset.title;
+      return;
+    }
+
+    const exists = this.notes.some(n => normalizeLinkTitle(n.title) === normalizeLinkTitle(title));
+    this.openLinkBtn.dataset.title = title;
+    this.openLinkBtn.textContent = exists ? `Open “${title}”` : `Create “${title}”`;
+    this.openLinkBtn.title = `${exists ? 'Open' : 'Create'} the linked note (Ctrl/Cmd+Enter or Ctrl/Cmd+click)`;
+    this.openLinkBtn.style.display = '';
+  }
+
+  renderBacklinks() {
+    const note = this.notes.find(n => n.id === this.currentNoteId);
+    if (!note) return;
+
+    const backlinks = findBacklinks(this.notes, note);
+    this.backlinksCount.textContent = backlinks.length;
+
+    if (backlinks.length === 0) {
+      this.backlinksList.innerHTML = `<div class="backlinks-empty">No notes link here yet. Type [[${this.escapeHtml(note.title)}]] in another note to link it.</div>`;
+      return;
+    }
+
+    this.backlinksList.innerHTML = backlinks.map(({ note: source, context }) => `
+      <button type="button" class="backlink-item" data-note-id="${source.id}">
+        <span class="backlink-title">${this.escapeHtml(source.title)}</span>
+        <span class="backlink-context">${this.escapeHtml(context)}</span>
+      </button>
+    `).join('');
+  }
+
+  async commitTitle() {
+    const note = this.notes.find(n => n.id === this.currentNoteId);
+    if (!note || this.committedTitle?.noteId !== note.id) return;
+
+    const oldTitle = this.committedTitle.title;
+    if (this.autosaver) await this.autosaver.flushSave();
+    const newTitle = note.title;
+    if (this.committedTitle.noteId === note.id) this.committedTitle.title = newTitle;
+    if (normalizeLinkTitle(oldTitle) === normalizeLinkTitle(newTitle)) return;
+
+    await this.renameLinks(oldTitle, newTitle, note.id);
+    if (this.currentNoteId === note.id) this.renderBacklinks();
+    refreshLinks();
+  }
+
+  // Rewrites [[oldTitle]] in every other note. Skipped while another note still has the old title,
+  // since those links keep pointing somewhere.
+  async renameLinks(oldTitle, newTitle, noteId) {
+    const target = normalizeLinkTitle(oldTitle);
+    if (this.notes.some(n => n.id !== noteId && normalizeLinkTitle(n.title) === target)) return;
+
+    const now = Date.now();
+    const changed = [];
+    for (const other of this.notes) {
+      if (other.id === noteId) continue;
+      const renamed = renameLinksInNote(other, oldTitle, newTitle);
+      if (!renamed) continue;
+      Object.assign(other, renamed, { updatedAt: now, version: (other.version || 0) + 1 });
+      changed.push(other);
+    }
+    if (changed.length === 0) return;
+
+    try {
+      await saveAllNotes(changed);
+    } catch (err) {
+      console.error('Failed to update links:', err);
+      alert('The note was renamed, but links to it could not be updated.');
+      return;
+    }
+
+    this.notes.sort((a, b) => b.updatedAt - a.updatedAt);
+    this.renderNotesList(this.getFilteredNotes());
+  }
+
+  // ── History ──
+
+  async openHistory() {
+    if (!this.currentNoteId) return;
+    if (this.autosaver) await this.autosaver.flushSave();
+    this.historyDrawer.hidden = false;
+    this.historyBtn.setAttribute('aria-expanded', 'true');
+    await this.loadHistory();
+    this.historyCloseBtn.focus();
+  }
+
+  closeHistory() {
+    this.historyDrawer.hidden = true;
+    this.historyBtn.setAttribute('aria-expanded', 'false');
+    this.historyRevisions = [];
+    this.selectedRevisionId = null;
+  }
+
+  async loadHistory() {
+    const noteId = this.currentNoteId;
+    let revisions = [];
+    try {
+      revisions = await getRevisions(noteId);
+    } catch (err) {
+      console.error('Failed to load note history:', err);
+    }
+    if (noteId !== this.currentNoteId || this.historyDrawer.hidden) return;
+
+    this.historyRevisions = revisions;
+    if (!revisions.some(r => r.id === this.selectedRevisionId)) {
+      this.selectedRevisionId = revisions.length > 0 ? revisions[0].id : null;
+    }
+    this.renderHistory();
+  }
+
+  renderHistory() {
+    if (this.historyRevisions.length === 0) {
+      this.historyList.innerHTML = '<div class="history-empty">No earlier versions yet. Versions are kept as you edit: every few minutes, and right away when a lot of text is removed.</div>';
+      this.historyDetail.hidden = true;
+      return;
+    }
+
+    this.historyList.innerHTML = this.historyRevisions.map((revision) => {
+      const words = revision.contentPlainText.split(/\s+/).filter(Boolean).length;
+      return `<button type="button" class="history-item${revision.id === this.selectedRevisionId ? ' active' : ''}" data-revision-id="${revision.id}">
+        <span class="history-item-date" title="${new Date(revision.savedAt).toLocaleString()}">${this.formatDate(revision.savedAt)}</span>
+        <span class="history-item-meta">${this.escapeHtml(revision.title)} · ${words} word${words === 1 ? '' : 's'}</span>
+      </button>`;
+    }).join('');
+
+    this.historyDetail.hidden = false;
+    this.renderHistoryDiff();
+  }
+
+  // "Current note" shows what changed since the selected version (what a restore undoes);
+  // "Previous version" shows what the selected version itself changed.
+  renderHistoryDiff() {
+    const index = this.historyRevisions.findIndex(r => r.id === this.selectedRevisionId);
+    const note = this.notes.find(n => n.id === this.currentNoteId);
+    if (index === -1 || !note) return;
+
+    const revision = this.historyRevisions[index];
+    const comparePrevious = this.historyCompare.value === 'previous';
+    const older = comparePrevious ? this.historyRevisions[index + 1] || null : revision;
+    const newer = comparePrevious ? revision : note;
+    const oldTitle = older ? older.title : '';
+    const oldText = older ? older.contentPlainText : '';
+
+    let html = '';
+    if (oldTitle !== newer.title) {
+      html += `<div class="history-diff-title">Title: <del>${this.escapeHtml(oldTitle || '—')}</del> → <ins>${this.escapeHtml(newer.title)}</ins></div>`;
+    }
+
+    const lines = diffLines(oldText, newer.contentPlainText);
+    if (!lines.some(line => line.type !== 'same')) {
+      html += '<div class="history-empty">No text changes.</div>';
+      this.historyDiff.innerHTML = html;
+      return;
+    }
+
+    // Collapse unchanged stretches down to a little context around each change
+    const shown = lines.map((line, i) => line.type !== 'same' || lines
+      .slice(Math.max(0, i - HISTORY_DIFF_CONTEXT), i + HISTORY_DIFF_CONTEXT + 1)
+      .some(near => near.type !== 'same'));
+
+    let hidden = 0;
+    const flushHidden = () => {
+      if (hidden > 0) html += `<div class="diff-line diff-line--skipped">⋯ ${hidden} unchanged line${hidden === 1 ? '' : 's'}</div>`;
+      hidden = 0;
+    };
+    lines.forEach((line, i) => {
+      if (!shown[i]) {
+        hidden++;
+        return;
+      }
+      flushHidden();
+      const marker = line.type === 'added' ? '+' : line.type === 'removed' ? '−' : ' ';
+      html += `<div class="diff-line diff-line--${line.type}"><span class="diff-marker">${marker}</span>${this.escapeHtml(line.text) || '&nbsp;'}</div>`;
+    });
+    flushHidden();
+
+    this.historyDiff.innerHTML = html;
+  }
+
+  async restoreRevision(revisionId) {
+    const revision = this.historyRevisions.find(r => r.id === revisionId);
+    const note = this.notes.find(n => n.id === this.currentNoteId);
+    if (!revision || !note) return;
+    if (!confirm(`Restore the version from ${new Date(revision.savedAt).toLocaleString()}? The current text stays in history.`)) return;
+
+    if (this.autosaver) {
+      await this.autosaver.flushSave();
+      this.autosaver.reset();
+    }
+
+    const before = { ...note };
+    Object.assign(note, {
+      title: revision.title,
+      contentHtml: revision.contentHtml,
+      contentPlainText: revision.contentPlainText,
+      tags: collectNoteTags(revision.contentPlainText, note.explicitTags),
+      updatedAt: Date.now(),
+      version: (note.version || 0) + 1
+    });
+
+    try {
+      await recordRevision(before, note, { force: true });
+      await saveNote(note);
+    } catch (err) {
+      console.error('Failed to restore note:', err);
+      Object.assign(note, before);
+      alert('Could not restore this version. The note was not changed.');
+      return;
+    }
+
+    this.noteTitleInput.value = note.title;
+    this.committedTitle = { noteId: note.id, title: note.title };
+    setContent(note.contentHtml);
+    this.renderNoteTags(note);
+    this.renderBacklinks();
+    this.updateNoteDate(note.updatedAt);
+    this.updateSaveStatus('saved');
+
+    this.notes.sort((a, b) => b.updatedAt - a.updatedAt);
+    this.renderNotebooks();
+    this.renderNotesList(this.getFilteredNotes());
+    this.closeHistory();
+  }
+
   // ── Move-to modal (mobile) ──
 
   showMoveToModal(noteId) {
@@ -862,7 +1576,7 @@ class NotesApp {
 
   // ── Notes CRUD ──
 
-  async createNewNote() {
+  async createNewNote({ title } = {}) {
     if (this.autosaver) await this.autosaver.flushSave();
 
     const now = Date.now();
@@ -873,13 +1587,15 @@ class NotesApp {
 
     const note = {
       id: crypto.randomUUID(),
-      title: 'Untitled Note',
+      title: title || 'Untitled Note',
       contentHtml: '<p><br></p>',
       contentPlainText: '',
       createdAt: now,
       updatedAt: now,
       version: 1,
-      notebookId
+      notebookId,
+      tags: [],
+      explicitTags: []
     };
 
     try {
@@ -894,16 +1610,28 @@ class NotesApp {
     this.renderNotebooks();
     this.renderNotesList(this.getFilteredNotes());
     await this.openNote(note.id);
+    refreshLinks();
 
     // Select the title so user can immediately type a name
-    this.noteTitleInput.focus();
-    this.noteTitleInput.select();
+    if (!title) {
+      this.noteTitleInput.focus();
+      this.noteTitleInput.select();
+    }
   }
 
   isMobile() {
     return window.innerWidth <= 768;
   }
 
+  // Opens a note picked from launcher search, leaving a notebook that hides it.
+  async revealNote(noteId) {
+    if (!this.notes.some(n => n.id === noteId)) return;
+    await this.batchNavigation(async () => {
+      if (!this.getFilteredNotes().some(n => n.id === noteId)) this.selectNotebook(null);
+      await this.openNote(noteId);
+    });
+  }
+
   async openNote(noteId) {
     if (this._openingNote) return;
     this._openingNote = true;
@@ -917,6 +1645,7 @@ class NotesApp {
       // flush may fail, still proceed to open the new note
     }
 
+    this.closeHistory();
     this.currentNoteId = noteId;
     const note = this.notes.find(n => n.id === noteId);
     if (!note) {
@@ -928,7 +1657,10 @@ class NotesApp {
     this.noteEditor.style.display = 'flex';
 
     this.noteTitleInput.value = note.title;
+    this.committedTitle = { noteId, title: note.title };
     setContent(note.contentHtml);
+    this.renderNoteTags(note);
+    this.renderBacklinks();
     this.updateNoteDate(note.updatedAt);
     this.updateSaveStatus('saved');
 
@@ -942,6 +1674,25 @@ class NotesApp {
 
     focus();
     this._openingNote = false;
+    this.reportRoute();
+  }
+
+  async closeNote() {
+    if (!this.currentNoteId) return;
+    if (this.autosaver) {
+      await this.autosaver.flushSave();
+      this.autosaver.reset();
+    }
+
+    this.closeHistory();
+    this.currentNoteId = null;
+    this.noteEditor.style.display = 'none';
+    this.emptyState.style.display = 'flex';
+    if (this.notesLayout) {
+      this.notesLayout.classList.remove('mobile-editing');
+    }
+    document.querySelectorAll('.note-item.active').forEach(item => item.classList.remove('active'));
+    this.reportRoute();
   }
 
   async closeMobileEditor() {
@@ -957,12 +1708,23 @@ class NotesApp {
     const note = this.notes.find(n => n.id === this.currentNoteId);
     if (!note) return;
 
+    const before = { ...note };
     note.title = this.noteTitleInput.value.trim() || 'Untitled Note';
     note.contentHtml = getContentHtml();
     note.contentPlainText = getContentPlainText();
+    const previousTags = note.tags.join(' ');
+    note.tags = collectNoteTags(note.contentPlainText, note.explicitTags);
     note.updatedAt = Date.now();
     note.version = (note.version || 0) + 1;
 
+    // Keep the stored version in history before it is overwritten
+    let revisionAdded = false;
+    try {
+      revisionAdded = await recordRevision(before, note);
+    } catch (err) {
+      console.warn('Failed to record note history:', err);
+    }
+
     try {
       await saveNote(note);
     } catch (err) {
@@ -976,6 +1738,12 @@ class NotesApp {
     }
 
     this.updateNoteDate(note.updatedAt);
+    if (note.tags.join(' ') !== previousTags) this.renderTags();
+    if (note.id === this.currentNoteId) this.renderNoteTags(note);
+    if (!this.historyDrawer.hidden) {
+      if (revisionAdded) this.loadHistory();
+      else this.renderHistoryDiff();
+    }
 
     // Incremental update: only refresh the active note's sidebar entry
     const activeItem = document.querySelector(`[data-note-id="${this.currentNoteId}"]`);
@@ -1005,6 +1773,7 @@ class NotesApp {
     if (!confirm('Are you sure you want to delete this note?')) return;
 
     if (this.autosaver) this.autosaver.reset();
+    this.closeHistory();
 
     await deleteNote(this.currentNoteId);
     this.notes = this.notes.filter(n => n.id !== this.currentNoteId);
@@ -1017,6 +1786,7 @@ class NotesApp {
     }
     this.renderNotebooks();
     this.renderNotesList(this.getFilteredNotes());
+    this.reportRoute({ replace: true });
   }
 
   async exportCurrentNote() {
@@ -1027,6 +1797,19 @@ class NotesApp {
     downloadMarkdown(note.title, note.contentHtml);
   }
 
+  sendCurrentLineToTodo() {
+    if (!this.currentNoteId) return;
+    const text = getCurrentLineText();
+    if (!text) return;
+
+    MarlApps.publishIntent('todo.create', { text });
+    this.sendToTodoBtn.textContent = 'Sent';
+    clearTimeout(this.sendToTodoTimeout);
+    this.sendToTodoTimeout = setTimeout(() => {
+      this.sendToTodoBtn.textContent = 'To Todo';
+    }, 1500);
+  }
+
   // ── Render notes list ──
 
   renderNotesList(notes) {
@@ -1,9 +1,12 @@
 // db.js - IndexedDB wrapper for Notes app
 
+import { collectNoteTags, normalizeTagList, parseTags } from './tags.js';
+
 const DB_NAME = 'marlapps-notes';
 const NOTES_STORE = 'notes';
 const NOTEBOOKS_STORE = 'notebooks';
-const DB_VERSION = 2;
+const REVISIONS_STORE = 'revisions';
+const DB_VERSION = 5;
 const EMPTY_NOTE_HTML = '<p><br></p>';
 
 let dbInstance = null;
@@ -29,16 +32,21 @@ function normalizeTimestamp(value) {
 function normalizeStoredNote(note) {
   if (!note || typeof note !== 'object') return null;
 
+  const contentPlainText = typeof note.contentPlainText === 'string' ? note.contentPlainText : '';
+  const explicitTags = normalizeTagList(note.explicitTags);
+
   return {
     id: typeof note.id === 'string' && note.id ? note.id : generateId('note'),
     title: typeof note.title === 'string' ? note.title : 'Untitled Note',
     contentHtml: typeof note.contentHtml === 'string' ? note.contentHtml : EMPTY_NOTE_HTML,
-    contentPlainText: typeof note.contentPlainText === 'string' ? note.contentPlainText : '',
+    contentPlainText,
     createdAt: normalizeTimestamp(note.createdAt),
     updatedAt: normalizeTimestamp(note.updatedAt),
     version: typeof note.version === 'number' && Number.isFinite(note.version) ? note.version : 1,
     notebookId: typeof note.notebookId === 'string' && note.notebookId ? note.notebookId : null,
-    order: typeof note.order === 'number' && Number.isFinite(note.order) ? note.order : undefined
+    order: typeof note.order === 'number' && Number.isFinite(note.order) ? note.order : undefined,
+    tags: collectNoteTags(contentPlainText, explicitTags),
+    explicitTags
   };
 }
 
@@ -72,7 +80,9 @@ function normalizeLegacyNote(note) {
     createdAt: normalizeTimestamp(note.createdAt),
     updatedAt: normalizeTimestamp(note.updatedAt),
     version: 1,
-    notebookId: null
+    notebookId: null,
+    tags: parseTags(content),
+    explicitTags: []
   };
 }
 
@@ -106,6 +116,41 @@ export async function openDB() {
           notesStore.createIndex('notebookId', 'notebookId', { unique: false });
         }
       }
+
+      // V3: Add multi-entry tags index on notes and tag existing notes from their text
+      if (oldVersion < 3) {
+        const notesStore = event.target.transaction.objectStore(NOTES_STORE);
+        if (!notesStore.indexNames.contains('tags')) {
+          notesStore.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+        }
+
+        notesStore.openCursor().onsuccess = (cursorEvent) => {
+          const cursor = cursorEvent.target.result;
+          if (!cursor) return;
+          const note = cursor.value;
+          if (!Array.isArray(note.tags)) {
+            const explicitTags = normalizeTagList(note.explicitTags);
+            cursor.update({ ...note, tags: collectNoteTags(note.contentPlainText, explicitTags), explicitTags });
+          }
+          cursor.continue();
+        };
+      }
+
+      // V4: Add revisions store (note snapshots) indexed by note
+      if (oldVersion < 4) {
+        if (!db.objectStoreNames.contains(REVISIONS_STORE)) {
+          const revisionsStore = db.createObjectStore(REVISIONS_STORE, { keyPath: 'id' });
+          revisionsStore.createIndex('noteId', 'noteId', { unique: false });
+        }
+      }
+
+      // V5: Index revisions by note and time, so a save reads only the newest one
+      if (oldVersion < 5) {
+        const revisionsStore = event.target.transaction.objectStore(REVISIONS_STORE);
+        if (!revisionsStore.indexNames.contains('noteIdCreatedAt')) {
+          revisionsStore.createIndex('noteIdCreatedAt', ['noteId', 'createdAt'], { unique: false });
+        }
+      }
     };
 
     request.onblocked = () => {
@@ -113,7 +158,13 @@ export async function openDB() {
     };
 
     request.onsuccess = async (event) => {
-      dbInstance = event.target.result;
+      const db = event.target.result;
+      dbInstance = db;
+      // The launcher also opens this DB for search; step aside for upgrades and deletes elsewhere.
+      db.onversionchange = () => {
+        db.close();
+        if (dbInstance === db) dbInstance = null;
+      };
       try {
         await migrateFromLocalStorage(dbInstance);
       } catch (err) {
@@ -199,12 +250,31 @@ export async function saveNote(note) {
   });
 }
 
+export async function getNotesByTag(tag) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(NOTES_STORE, 'readonly');
+    const request = tx.objectStore(NOTES_STORE).index('tags').getAll(tag);
+    request.onsuccess = () => resolve(request.result.sort((a, b) => b.updatedAt - a.updatedAt));
+    request.onerror = () => reject(request.error);
+  });
+}
+
 export async function deleteNote(id) {
   const db = await openDB();
   return new Promise((resolve, reject) => {
-    const tx = db.transaction(NOTES_STORE, 'readwrite');
-    const store = tx.objectStore(NOTES_STORE);
-    store.delete(id);
+    const tx = db.transaction([NOTES_STORE, REVISIONS_STORE], 'readwrite');
+    tx.objectStore(NOTES_STORE).delete(id);
+
+    // The note's history goes with it
+    const revisionsStore = tx.objectStore(REVISIONS_STORE);
+    const request = revisionsStore.index('noteId').getAllKeys(id);
+    request.onsuccess = () => {
+      for (const key of request.result) {
+        revisionsStore.delete(key);
+      }
+    };
+
     tx.oncomplete = () => resolve();
     tx.onerror = () => reject(tx.error);
   });
@@ -289,6 +359,70 @@ export async function deleteNotebook(id) {
   });
 }
 
+// ── Revisions ──
+
+export async function getRevisions(noteId) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(REVISIONS_STORE, 'readonly');
+    const request = tx.objectStore(REVISIONS_STORE).index('noteId').getAll(noteId);
+    request.onsuccess = () => resolve(request.result.sort((a, b) => b.createdAt - a.createdAt));
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function noteRevisionRange(noteId) {
+  return IDBKeyRange.bound([noteId, -Infinity], [noteId, Infinity]);
+}
+
+// The note's newest revision, or null, without loading the rest of its history.
+export async function getLatestRevision(noteId) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(REVISIONS_STORE, 'readonly');
+    const index = tx.objectStore(REVISIONS_STORE).index('noteIdCreatedAt');
+    const request = index.openCursor(noteRevisionRange(noteId), 'prev');
+    request.onsuccess = () => resolve(request.result ? request.result.value : null);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// `{ id, createdAt }` for each of the note's revisions, read from index keys (no snapshots).
+export async function getRevisionTimes(noteId) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(REVISIONS_STORE, 'readonly');
+    const index = tx.objectStore(REVISIONS_STORE).index('noteIdCreatedAt');
+    const request = index.openKeyCursor(noteRevisionRange(noteId));
+    const times = [];
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(times);
+        return;
+      }
+      times.push({ id: cursor.primaryKey, createdAt: cursor.key[1] });
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Adds `revision` and drops `pruneIds` in one transaction.
+export async function saveRevision(revision, pruneIds = []) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(REVISIONS_STORE, 'readwrite');
+    const store = tx.objectStore(REVISIONS_STORE);
+    store.put(revision);
+    for (const id of pruneIds) {
+      store.delete(id);
+    }
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
 export async function exportAllData() {
   const [notes, notebooks] = await Promise.all([
     getAllNotes(),
@@ -311,13 +445,23 @@ export async function replaceAllData(data = {}) {
     : [];
 
   return new Promise((resolve, reject) => {
-    const tx = db.transaction([NOTES_STORE, NOTEBOOKS_STORE], 'readwrite');
+    const tx = db.transaction([NOTES_STORE, NOTEBOOKS_STORE, REVISIONS_STORE], 'readwrite');
     const notesStore = tx.objectStore(NOTES_STORE);
     const notebooksStore = tx.objectStore(NOTEBOOKS_STORE);
 
     notesStore.clear();
     notebooksStore.clear();
 
+    // Backups don't carry history: keep the revisions of notes that are still here
+    const noteIds = new Set(notes.map(note => note.id));
+    const revisionsStore = tx.objectStore(REVISIONS_STORE);
+    revisionsStore.index('noteId').openKeyCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      if (!noteIds.has(cursor.key)) revisionsStore.delete(cursor.primaryKey);
+      cursor.continue();
+    };
+
     notebooks.forEach((notebook) => {
       notebooksStore.put(notebook);
     });
@@ -348,4 +492,4 @@ export async function deleteDatabase() {
   });
 }
 
-export { DB_NAME, NOTES_STORE, NOTEBOOKS_STORE, normalizeLegacyNote };
+export { DB_NAME, NOTES_STORE, NOTEBOOKS_STORE, REVISIONS_STORE, normalizeLegacyNote };
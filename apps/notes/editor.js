@@ -1,6 +1,8 @@
 // editor.js - contenteditable rich text editor surface + toolbar
 // Uses Range/Selection APIs instead of deprecated document.execCommand
 
+import { WIKI_LINK_PATTERN, normalizeLinkTitle } from './links.js';
+
 let editorEl = null;
 let toolbarEl = null;
 let onInputCallback = null;
@@ -58,6 +60,7 @@ function undo() {
   if (undoStack.length === 0) return;
   redoStack.push(editorEl.innerHTML);
   editorEl.innerHTML = undoStack.pop();
+  refreshLinkHighlights();
   if (onInputCallback) onInputCallback();
 }
 
@@ -65,6 +68,7 @@ function redo() {
   if (redoStack.length === 0) return;
   undoStack.push(editorEl.innerHTML);
   editorEl.innerHTML = redoStack.pop();
+  refreshLinkHighlights();
   if (onInputCallback) onInputCallback();
 }
 
@@ -525,6 +529,200 @@ function updateToolbarState() {
   }
 }
 
+// ── Wiki links ──
+// `[[Title]]` stays plain text in the note. The editor only decorates it through the CSS Custom
+// Highlight API (nothing extra lands in the saved HTML) and suggests titles after `[[`.
+
+const LINK_QUERY_PATTERN = /\[\[([^[\]|#\n]*)$/;
+const MAX_LINK_SUGGESTIONS = 8;
+
+let getLinkTitlesCallback = null;
+let onOpenLinkCallback = null;
+let onLinkAtCaretCallback = null;
+let linkSuggestEl = null;
+let linkSuggest = null; // { node, start, items, index } while the suggestion list is open
+let lastLinkAtCaret = null;
+
+function getCollapsedCaret() {
+  const sel = window.getSelection();
+  if (!sel.rangeCount || !sel.isCollapsed) return null;
+  const node = sel.anchorNode;
+  if (!node || node.nodeType !== Node.TEXT_NODE || !editorEl.contains(node)) return null;
+  return { node, offset: sel.anchorOffset };
+}
+
+function getLinkAt(node, offset) {
+  for (const match of node.textContent.matchAll(WIKI_LINK_PATTERN)) {
+    if (offset > match.index && offset < match.index + match[0].length) return match[1].trim();
+  }
+  return null;
+}
+
+function getLinkAtCaret() {
+  const caret = getCollapsedCaret();
+  return caret ? getLinkAt(caret.node, caret.offset) : null;
+}
+
+function refreshLinkHighlights() {
+  if (!editorEl || typeof CSS === 'undefined' || !CSS.highlights || typeof Highlight !== 'function') return;
+
+  const titles = new Set((getLinkTitlesCallback ? getLinkTitlesCallback() : []).map(normalizeLinkTitle));
+  const resolved = [];
+  const missing = [];
+  const walker = document.createTreeWalker(editorEl, NodeFilter.SHOW_TEXT);
+
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    for (const match of node.textContent.matchAll(WIKI_LINK_PATTERN)) {
+      const range = document.createRange();
+      range.setStart(node, match.index);
+      range.setEnd(node, match.index + match[0].length);
+      (titles.has(normalizeLinkTitle(match[1])) ? resolved : missing).push(range);
+    }
+  }
+
+  CSS.highlights.set('wiki-link', new Highlight(...resolved));
+  CSS.highlights.set('wiki-link-missing', new Highlight(...missing));
+}
+
+function reportLinkAtCaret() {
+  if (!onLinkAtCaretCallback) return;
+  const title = getLinkAtCaret();
+  if (title === lastLinkAtCaret) return;
+  lastLinkAtCaret = title;
+  onLinkAtCaretCallback(title);
+}
+
+// Titles starting with the typed text come first, then titles containing it.
+function updateLinkSuggestions() {
+  const caret = getCollapsedCaret();
+  const match = caret && getLinkTitlesCallback
+    ? caret.node.textContent.slice(0, caret.offset).match(LINK_QUERY_PATTERN)
+    : null;
+  if (!match) {
+    closeLinkSuggestions();
+    return;
+  }
+
+  const query = normalizeLinkTitle(match[1]);
+  const startsWith = [];
+  const contains = [];
+  for (const title of new Set(getLinkTitlesCallback())) {
+    const normalized = normalizeLinkTitle(title);
+    if (normalized.startsWith(query)) startsWith.push(title);
+    else if (normalized.includes(query)) contains.push(title);
+  }
+
+  const items = [...startsWith, ...contains].slice(0, MAX_LINK_SUGGESTIONS);
+  if (items.length === 0) {
+    closeLinkSuggestions();
+    return;
+  }
+
+  linkSuggest = { node: caret.node, start: match.index, items, index: 0 };
+  renderLinkSuggestions();
+}
+
+function renderLinkSuggestions() {
+  if (!linkSuggestEl) {
+    linkSuggestEl = document.createElement('div');
+    linkSuggestEl.className = 'link-suggest';
+    linkSuggestEl.setAttribute('role', 'listbox');
+    linkSuggestEl.setAttribute('aria-label', 'Link to note');
+    // Keep focus (and the caret) in the editor while picking
+    linkSuggestEl.addEventListener('mousedown', (e) => e.preventDefault());
+    linkSuggestEl.addEventListener('click', (e) => {
+      const option = e.target.closest('.link-suggest-item');
+      if (option) acceptLinkSuggestion(Number(option.dataset.index));
+    });
+    document.body.appendChild(linkSuggestEl);
+  }
+
+  linkSuggestEl.innerHTML = '';
+  linkSuggest.items.forEach((title, index) => {
+    const option = document.createElement('div');
+    option.className = `link-suggest-item${index === linkSuggest.index ? ' active' : ''}`;
+    option.setAttribute('role', 'option');
+    option.setAttribute('aria-selected', String(index === linkSuggest.index));
+    option.dataset.index = String(index);
+    option.textContent = title;
+    linkSuggestEl.appendChild(option);
+  });
+  linkSuggestEl.hidden = false;
+
+  // Anchor below the `[[`, or above it near the bottom of the window
+  const range = document.createRange();
+  range.setStart(linkSuggest.node, linkSuggest.start);
+  range.setEnd(linkSuggest.node, Math.min(linkSuggest.start + 2, linkSuggest.node.textContent.length));
+  const rect = range.getBoundingClientRect();
+  const height = linkSuggestEl.offsetHeight;
+  linkSuggestEl.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - linkSuggestEl.offsetWidth - 8))}px`;
+  linkSuggestEl.style.top = rect.bottom + 4 + height > window.innerHeight
+    ? `${Math.max(8, rect.top - height - 4)}px`
+    : `${rect.bottom + 4}px`;
+}
+
+function closeLinkSuggestions() {
+  linkSuggest = null;
+  if (linkSuggestEl) linkSuggestEl.hidden = true;
+}
+
+function acceptLinkSuggestion(index) {
+  if (!linkSuggest) return;
+  const { node, start, items } = linkSuggest;
+  const title = items[index];
+  const caret = getCollapsedCaret();
+  closeLinkSuggestions();
+  if (!caret || caret.node !== node || title == null) return;
+
+  pushUndoSnapshot();
+  const text = node.textContent;
+  const closing = text.slice(caret.offset).startsWith(']]') ? 2 : 0;
+  const link = `[[${title}]]`;
+  node.textContent = text.slice(0, start) + link + text.slice(caret.offset + closing);
+
+  const sel = window.getSelection();
+  const range = document.createRange();
+  range.setStart(node, start + link.length);
+  range.collapse(true);
+  sel.removeAllRanges();
+  sel.addRange(range);
+
+  handleInput();
+}
+
+function handleLinkSuggestKeydown(e) {
+  switch (e.key) {
+    case 'ArrowDown':
+    case 'ArrowUp': {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      linkSuggest.index = (linkSuggest.index + step + linkSuggest.items.length) % linkSuggest.items.length;
+      renderLinkSuggestions();
+      return true;
+    }
+    case 'Enter':
+    case 'Tab':
+      e.preventDefault();
+      acceptLinkSuggestion(linkSuggest.index);
+      return true;
+    case 'Escape':
+      e.preventDefault();
+      closeLinkSuggestions();
+      return true;
+    default:
+      return false;
+  }
+}
+
+// Ctrl/Cmd+click (or Ctrl/Cmd+Enter) follows the link under the caret
+function handleLinkClick(e) {
+  if (!(e.ctrlKey || e.metaKey) || !onOpenLinkCallback) return;
+  const title = getLinkAtCaret();
+  if (!title) return;
+  e.preventDefault();
+  onOpenLinkCallback(title);
+}
+
 // ── Markdown-style shortcuts ──
 
 const MARKDOWN_SHORTCUTS = [
@@ -596,6 +794,9 @@ export function initEditor(containerEl, options = {}) {
   editorEl = containerEl;
   toolbarEl = editorEl.parentElement?.querySelector('.editor-toolbar') || null;
   onInputCallback = options.onInput || null;
+  getLinkTitlesCallback = options.linkTitles || null;
+  onOpenLinkCallback = options.onOpenLink || null;
+  onLinkAtCaretCallback = options.onLinkAtCaret || null;
 
   editorEl.setAttribute('contenteditable', 'true');
   editorEl.setAttribute('role', 'textbox');
@@ -606,9 +807,15 @@ export function initEditor(containerEl, options = {}) {
   editorEl.addEventListener('paste', handlePaste);
   editorEl.addEventListener('beforeinput', handleBeforeInput);
   editorEl.addEventListener('focus', updateToolbarState);
+  editorEl.addEventListener('click', handleLinkClick);
+  editorEl.addEventListener('blur', closeLinkSuggestions);
 
   // Update toolbar state on selection changes within the editor
   document.addEventListener('selectionchange', updateToolbarState);
+  document.addEventListener('selectionchange', () => {
+    reportLinkAtCaret();
+    if (linkSuggest) updateLinkSuggestions();
+  });
 
   // Take initial snapshot for undo
   setTimeout(() => pushUndoSnapshot(), 0);
@@ -648,10 +855,23 @@ function handleBeforeInput(e) {
 function handleInput() {
   normalizeBlocks();
   pushUndoSnapshot();
+  refreshLinkHighlights();
+  updateLinkSuggestions();
   if (onInputCallback) onInputCallback();
 }
 
 function handleKeydown(e) {
+  if (linkSuggest && handleLinkSuggestKeydown(e)) return;
+
+  if (e.key === 'Enter' && (e.ctrlKey || e.metaKey) && onOpenLinkCallback) {
+    const title = getLinkAtCaret();
+    if (title) {
+      e.preventDefault();
+      onOpenLinkCallback(title);
+      return;
+    }
+  }
+
   // Ctrl+Y / Cmd+Y — reapply last formatting command
   if (e.key === 'y' && (e.ctrlKey || e.metaKey) && !e.shiftKey && !e.altKey) {
     if (lastFormatCommand) {
@@ -894,16 +1114,35 @@ export function getContentPlainText() {
   return editorEl.innerText || editorEl.textContent || '';
 }
 
+export function getCurrentLineText() {
+  if (!editorEl) return '';
+  const sel = window.getSelection();
+  if (!sel.rangeCount || !editorEl.contains(sel.anchorNode)) return '';
+  if (!sel.isCollapsed) return sel.toString().trim();
+
+  const block = getCurrentBlock();
+  return block ? (block.textContent || '').trim() : '';
+}
+
 export function setContent(html) {
   if (!editorEl) return;
+  closeLinkSuggestions();
   editorEl.innerHTML = html || '<p><br></p>';
   normalizeBlocks();
+  refreshLinkHighlights();
   undoStack.length = 0;
   redoStack.length = 0;
   undoStackBytes = 0;
   pushUndoSnapshot();
 }
 
+// Re-colors links after notes are created, renamed or deleted.
+export function refreshLinks() {
+  refreshLinkHighlights();
+  lastLinkAtCaret = undefined;
+  reportLinkAtCaret();
+}
+
 export function focus() {
   if (!editorEl) return;
   editorEl.focus();
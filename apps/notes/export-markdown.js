@@ -1,4 +1,4 @@
-// export-markdown.js - HTML to Markdown conversion + .md download
+// export-markdown.js - HTML to Markdown conversion + .md and .zip download
 
 export function htmlToMarkdown(html) {
   const container = document.createElement('div');
@@ -101,12 +101,57 @@ function walkList(listNode, style, indent = 0) {
 
 export function downloadMarkdown(title, html) {
   const md = `# ${title}\n\n${htmlToMarkdown(html)}`;
-  const blob = new Blob([md], { type: 'text/markdown' });
+  downloadBlob(new Blob([md], { type: 'text/markdown' }), `${sanitizeFilename(title)}.md`);
+}
+
+// One .md per note with YAML front matter, so a Markdown import restores ids, dates and notebooks.
+export function noteToMarkdownFile(note, notebookName = null) {
+  const frontMatter = [
+    '---',
+    `id: ${JSON.stringify(note.id)}`,
+    `title: ${JSON.stringify(note.title)}`,
+    ...(notebookName ? [`notebook: ${JSON.stringify(notebookName)}`] : []),
+    ...(note.explicitTags?.length ? [`tags: [${note.explicitTags.map(tag => JSON.stringify(tag)).join(', ')}]`] : []),
+    `created: ${new Date(note.createdAt).toISOString()}`,
+    `updated: ${new Date(note.updatedAt).toISOString()}`,
+    '---'
+  ].join('\n');
+
+  return `${frontMatter}\n# ${note.title}\n\n${htmlToMarkdown(note.contentHtml)}\n`;
+}
+
+// Each notebook becomes a folder; notes without a notebook sit at the top of the archive.
+export async function downloadMarkdownZip(filename, notes, notebooks) {
+  const notebookById = new Map(notebooks.map(nb => [nb.id, nb]));
+  const usedPaths = new Set();
+
+  const files = notes.map((note) => {
+    const notebook = notebookById.get(note.notebookId) || null;
+    const folder = notebook ? `${sanitizeFilename(notebook.name)}/` : '';
+    const base = `${folder}${sanitizeFilename(note.title)}`;
+
+    let path = `${base}.md`;
+    for (let copy = 2; usedPaths.has(path.toLowerCase()); copy++) {
+      path = `${base} (${copy}).md`;
+    }
+    usedPaths.add(path.toLowerCase());
+
+    return {
+      path,
+      content: noteToMarkdownFile(note, notebook ? notebook.name : null),
+      lastModified: note.updatedAt
+    };
+  });
+
+  downloadBlob(await MarlAppsZip.createZip(files), `${sanitizeFilename(filename)}.zip`);
+}
+
+function downloadBlob(blob, filename) {
   const url = URL.createObjectURL(blob);
 
   const a = document.createElement('a');
   a.href = url;
-  a.download = `${sanitizeFilename(title)}.md`;
+  a.download = filename;
   document.body.appendChild(a);
   a.click();
   document.body.removeChild(a);
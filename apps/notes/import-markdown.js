@@ -0,0 +1,423 @@
+// import-markdown.js - Markdown to HTML conversion + .md/.txt file, folder and .zip import
+// Emits only tags the editor keeps (see ALLOWED_TAGS in editor.js); anything else becomes plain text.
+
+import { collectNoteTags, normalizeTagList } from './tags.js';
+
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
+const TEXT_EXTENSIONS = ['.txt'];
+const EMPTY_NOTE_HTML = '<p><br></p>';
+const NOTEBOOK_NAME_MAX = 50;
+const TAB_WIDTH = 4;
+
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d{1,9}[.)])(?:\s+(.*))?$/;
+const TABLE_DIVIDER_PATTERN = /^\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?$/;
+
+// ── Markdown → HTML ──
+
+export function markdownToHtml(markdown) {
+  const lines = markdown.replace(/\r\n?/g, '\n').replace(/\t/g, ' '.repeat(TAB_WIDTH)).split('\n');
+  const blocks = [];
+  let paragraph = [];
+  let i = 0;
+
+  const flushParagraph = () => {
+    if (paragraph.length === 0) return;
+    blocks.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+    paragraph = [];
+  };
+
+  while (i < lines.length) {
+    const trimmed = lines[i].trim();
+
+    if (!trimmed) {
+      flushParagraph();
+      i++;
+      continue;
+    }
+
+    // Fenced code: no code tag in the editor, so each line becomes a plain paragraph
+    const fence = trimmed.match(/^(`{3,}|~{3,})/);
+    if (fence) {
+      flushParagraph();
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        blocks.push(`<p>${escapeHtml(lines[i]) || '<br>'}</p>`);
+        i++;
+      }
+      i++;
+      continue;
+    }
+
+    // Setext heading: a paragraph underlined with === or ---
+    if (paragraph.length > 0 && /^(=+|-+)$/.test(trimmed)) {
+      const level = trimmed[0] === '=' ? 1 : 2;
+      blocks.push(`<h${level}>${paragraph.map(renderInline).join(' ')}</h${level}>`);
+      paragraph = [];
+      i++;
+      continue;
+    }
+
+    const heading = trimmed.match(/^(#{1,6})\s+(.*?)(?:\s+#+)?$/);
+    if (heading) {
+      flushParagraph();
+      const level = heading[1].length;
+      blocks.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (/^([-*_])(\s*\1){2,}$/.test(trimmed)) {
+      flushParagraph();
+      blocks.push('<hr>');
+      i++;
+      continue;
+    }
+
+    if (trimmed.startsWith('>')) {
+      flushParagraph();
+      const quoted = [];
+      while (i < lines.length && lines[i].trim().startsWith('>')) {
+        quoted.push(lines[i].trim().replace(/^>\s?/, ''));
+        i++;
+      }
+      blocks.push(markdownToHtml(quoted.join('\n')));
+      continue;
+    }
+
+    if (LIST_ITEM_PATTERN.test(lines[i])) {
+      flushParagraph();
+      const list = parseList(lines, i);
+      blocks.push(list.html);
+      i = list.next;
+      continue;
+    }
+
+    if (TABLE_DIVIDER_PATTERN.test(trimmed) && trimmed.includes('-') && paragraph.length > 0) {
+      i++;
+      continue;
+    }
+
+    paragraph.push(trimmed);
+    i++;
+  }
+
+  flushParagraph();
+  return blocks.join('') || EMPTY_NOTE_HTML;
+}
+
+// Collects list items (and their indented continuation lines) from `start`, nesting by indentation.
+function parseList(lines, start) {
+  const items = [];
+  let i = start;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const match = line.match(LIST_ITEM_PATTERN);
+
+    if (match) {
+      items.push({
+        indent: match[1].length,
+        ordered: /\d/.test(match[2]),
+        lines: [match[3] || '']
+      });
+      i++;
+      continue;
+    }
+
+    if (!line.trim()) {
+      // A blank line ends the list unless the list carries on after it
+      const nextIndex = lines.findIndex((next, index) => index > i && next.trim());
+      const next = nextIndex === -1 ? null : lines[nextIndex];
+      if (next && (LIST_ITEM_PATTERN.test(next) || /^\s{2,}/.test(next))) {
+        i = nextIndex;
+        continue;
+      }
+      break;
+    }
+
+    // Indented text continues the previous item; anything else ends the list
+    const last = items[items.length - 1];
+    if (line.length - line.trimStart().length > last.indent) {
+      last.lines.push(line.trim());
+      i++;
+      continue;
+    }
+    break;
+  }
+
+  return { html: renderListItems(items), next: i };
+}
+
+function renderListItems(items) {
+  const stack = [];
+  let html = '';
+
+  for (const item of items) {
+    const tag = item.ordered ? 'ol' : 'ul';
+    while (stack.length > 0 && item.indent < stack[stack.length - 1].indent) {
+      html += `</li></${stack.pop().tag}>`;
+    }
+
+    const top = stack[stack.length - 1];
+    if (!top || item.indent > top.indent) {
+      html += `<${tag}>`;
+      stack.push({ indent: item.indent, tag });
+    } else {
+      html += '</li>';
+      if (top.tag !== tag) {
+        html += `</${top.tag}><${tag}>`;
+        top.tag = tag;
+      }
+    }
+
+    html += `<li>${item.lines.map(renderInline).join('<br>') || '<br>'}`;
+  }
+
+  while (stack.length > 0) {
+    html += `</li></${stack.pop().tag}>`;
+  }
+  return html;
+}
+
+// Bold, italic and <u> become tags; links, images, code and strikethrough keep only their text.
+function renderInline(text) {
+  const protectedParts = [];
+  const protect = (value) => {
+    protectedParts.push(value);
+    return `\u0000${protectedParts.length - 1}\u0000`;
+  };
+
+  let html = text
+    .replace(/\\([\\`*_{}[\]()#+\-.!|~<>=])/g, (_, char) => protect(escapeHtml(char)))
+    .replace(/(`+)(.+?)\1/g, (_, ticks, code) => protect(escapeHtml(code.trim())));
+
+  html = escapeHtml(html)
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+&quot;[^&]*&quot;)?\)/g, (_, label, url) => (label === url ? url : `${label} (${url})`))
+    .replace(/&lt;((?:https?|mailto):[^\s&]+)&gt;/g, '$1')
+    .replace(/\*\*(?=\S)(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^\w])__(?=\S)(.+?)__(?!\w)/g, '$1<strong>$2</strong>')
+    .replace(/\*(?=[^\s*])(.+?)\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_(?=[^\s_])(.+?)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/~~(.+?)~~/g, '$1')
+    .replace(/==(?=\S)(.+?)==/g, '$1')
+    .replace(/&lt;u&gt;(.*?)&lt;\/u&gt;/gi, '<u>$1</u>')
+    .replace(/&lt;br\s*\/?&gt;/gi, '<br>');
+
+  return html.replace(/\u0000(\d+)\u0000/g, (_, index) => protectedParts[Number(index)]);
+}
+
+function plainTextToHtml(text) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  while (lines.length > 0 && !lines[lines.length - 1].trim()) lines.pop();
+  if (lines.length === 0) return EMPTY_NOTE_HTML;
+  return lines.map(line => `<p>${escapeHtml(line) || '<br>'}</p>`).join('');
+}
+
+function htmlToPlainText(html) {
+  const container = document.createElement('div');
+  container.innerHTML = html.replace(/<br>|<\/(p|h[1-6]|li)>/g, '$&\n');
+  return container.textContent.trim();
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;')
+             .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// ── Front matter ──
+// The YAML subset vaults actually use: `key: value`, inline `[a, b]` lists and `- item` lists.
+
+export function parseFrontMatter(text) {
+  const match = text.match(/^---[ \t]*\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/);
+  if (!match) return { data: {}, body: text };
+
+  const data = {};
+  let listKey = null;
+
+  for (const line of match[1].split(/\r?\n/)) {
+    const item = line.match(/^\s*-\s+(.*)$/);
+    if (item && listKey) {
+      data[listKey].push(parseYamlScalar(item[1]));
+      continue;
+    }
+
+    const pair = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+    if (!pair) continue;
+
+    const key = pair[1].toLowerCase();
+    const rawValue = pair[2].trim();
+    if (!rawValue) {
+      data[key] = [];
+      listKey = key;
+      continue;
+    }
+
+    listKey = null;
+    const inlineList = rawValue.match(/^\[(.*)\]$/);
+    data[key] = inlineList
+      ? inlineList[1].split(',').map(parseYamlScalar).filter(Boolean)
+      : parseYamlScalar(rawValue);
+  }
+
+  return { data, body: text.slice(match[0].length) };
+}
+
+function parseYamlScalar(raw) {
+  const value = raw.trim();
+  if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value.slice(1, -1);
+    }
+  }
+  if (value.length >= 2 && value.startsWith("'") && value.endsWith("'")) {
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+  return value;
+}
+
+function parseDate(value) {
+  if (typeof value !== 'string' || !value) return null;
+  if (/^\d{10,13}$/.test(value)) {
+    return value.length === 10 ? Number(value) * 1000 : Number(value);
+  }
+  const parsed = Date.parse(value.replace(/^(\d{4}-\d{2}-\d{2}) (\d)/, '$1T$2'));
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function firstString(data, keys) {
+  for (const key of keys) {
+    if (typeof data[key] === 'string' && data[key].trim()) return data[key].trim();
+  }
+  return null;
+}
+
+// ── Files ──
+
+function getExtension(name) {
+  const dot = name.lastIndexOf('.');
+  return dot === -1 ? '' : name.slice(dot).toLowerCase();
+}
+
+export function isImportableFile(name) {
+  const extension = getExtension(name);
+  return MARKDOWN_EXTENSIONS.includes(extension) || TEXT_EXTENSIONS.includes(extension);
+}
+
+function isHiddenSegment(segment) {
+  return segment.startsWith('.') || segment === '__MACOSX';
+}
+
+// Title: front matter, then a leading `# heading` (what Export .md writes), then the file name.
+// An `id` in the front matter (as written by the .zip export) is kept so re-imports update that note.
+export function markdownFileToNote(text, { name, lastModified = Date.now() } = {}) {
+  const baseName = name.replace(/\.[^.]+$/, '').trim();
+
+  if (TEXT_EXTENSIONS.includes(getExtension(name))) {
+    const contentHtml = plainTextToHtml(text);
+    const contentPlainText = htmlToPlainText(contentHtml);
+    return {
+      title: baseName || 'Untitled Note',
+      contentHtml,
+      contentPlainText,
+      createdAt: lastModified,
+      updatedAt: lastModified,
+      tags: collectNoteTags(contentPlainText, []),
+      explicitTags: []
+    };
+  }
+
+  const { data, body } = parseFrontMatter(text);
+  let markdown = body;
+  let title = firstString(data, ['title']);
+
+  const leadingHeading = markdown.match(/^\s*#\s+(.+?)\s*(?:\n|$)/);
+  if (leadingHeading && (!title || leadingHeading[1] === title)) {
+    title = title || leadingHeading[1];
+    markdown = markdown.slice(leadingHeading[0].length);
+  }
+
+  const updatedAt = parseDate(firstString(data, ['updated', 'updatedat', 'modified', 'lastmod'])) ?? lastModified;
+  const createdAt = parseDate(firstString(data, ['created', 'createdat', 'date'])) ?? Math.min(updatedAt, lastModified);
+  const contentHtml = markdownToHtml(markdown);
+  const contentPlainText = htmlToPlainText(contentHtml);
+
+  const id = firstString(data, ['id']);
+  // `tags: [a, b]`, a `- a` list or a comma/space separated string
+  const rawTags = Array.isArray(data.tags) ? data.tags : String(data.tags || '').split(/[\s,]+/);
+  const explicitTags = normalizeTagList(rawTags);
+
+  return {
+    ...(id ? { id } : {}),
+    title: title || baseName || 'Untitled Note',
+    contentHtml,
+    contentPlainText,
+    createdAt,
+    updatedAt: Math.max(updatedAt, createdAt),
+    tags: collectNoteTags(contentPlainText, explicitTags),
+    explicitTags
+  };
+}
+
+// Expands picked files into `{ segments, blob, lastModified }` sources: folder picks drop the picked
+// folder, and a .zip drops its top folder when every file shares one.
+async function collectSources(files, skipped) {
+  const sources = [];
+
+  for (const file of files) {
+    if (getExtension(file.name) === '.zip') {
+      try {
+        const zipped = (await MarlAppsZip.readZip(file))
+          .map(entry => ({ segments: entry.path.split('/').filter(Boolean), blob: entry.blob, lastModified: file.lastModified }))
+          .filter(source => source.segments.length > 0 && isImportableFile(source.segments[source.segments.length - 1]));
+        const top = zipped.length > 0 && zipped[0].segments[0];
+        if (zipped.length > 0 && zipped.every(source => source.segments.length > 1 && source.segments[0] === top)) {
+          zipped.forEach((source) => { source.segments = source.segments.slice(1); });
+        }
+        sources.push(...zipped);
+      } catch (err) {
+        console.warn(`Import: could not unpack ${file.name}:`, err);
+        skipped.push(file.name);
+      }
+      continue;
+    }
+
+    const segments = file.webkitRelativePath
+      ? file.webkitRelativePath.split('/').filter(Boolean).slice(1)
+      : [file.name];
+    sources.push({ segments, blob: file, lastModified: file.lastModified });
+  }
+
+  return sources;
+}
+
+// Folder picks carry `webkitRelativePath` ("Vault/Projects/Plan.md"). Subfolders below the picked folder
+// (or inside a .zip) name the notebook: "Projects", or "Projects / 2024" deeper down. A `notebook` in the
+// front matter wins over the folder. Hidden folders such as `.obsidian` and `.trash` are skipped.
+export async function readImportFiles(files) {
+  const entries = [];
+  const skipped = [];
+
+  for (const { segments, blob, lastModified } of await collectSources(files, skipped)) {
+    const name = segments[segments.length - 1];
+    const folders = segments.slice(0, -1);
+    if (segments.some(isHiddenSegment) || !isImportableFile(name)) continue;
+
+    try {
+      const text = await blob.text();
+      const { data } = parseFrontMatter(text);
+      const notebookName = firstString(data, ['notebook']) || (folders.length > 0 ? folders.join(' / ') : null);
+      entries.push({
+        notebookName: notebookName ? notebookName.slice(0, NOTEBOOK_NAME_MAX).trim() : null,
+        note: markdownFileToNote(text, { name, lastModified: lastModified || Date.now() })
+      });
+    } catch (err) {
+      console.warn(`Import: could not read ${name}:`, err);
+      skipped.push(name);
+    }
+  }
+
+  return { entries, skipped };
+}
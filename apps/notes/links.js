@@ -0,0 +1,63 @@
+// links.js - [[Wiki link]] parsing, backlink lookup and link renaming
+// Links are plain text in the note (`[[Title]]`, `[[Title|shown text]]` or `[[Title#Heading]]`),
+// so they survive Markdown export/import unchanged. Titles match case-insensitively.
+
+export const WIKI_LINK_PATTERN = /\[\[([^[\]|#\n]+)((?:[#|][^[\]\n]*)?)\]\]/g;
+
+export function normalizeLinkTitle(title) {
+  return String(title).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+export function extractLinkTitles(text) {
+  const titles = [];
+  for (const match of String(text).matchAll(WIKI_LINK_PATTERN)) {
+    const title = match[1].trim();
+    if (title) titles.push(title);
+  }
+  return titles;
+}
+
+export function linksToTitle(text, title) {
+  const target = normalizeLinkTitle(title);
+  return extractLinkTitles(text).some(linked => normalizeLinkTitle(linked) === target);
+}
+
+// Notes that link to `note`, each with the line the first link sits on.
+export function findBacklinks(notes, note) {
+  const target = normalizeLinkTitle(note.title);
+  if (!target) return [];
+
+  const backlinks = [];
+  for (const other of notes) {
+    if (other.id === note.id) continue;
+    const lines = (other.contentPlainText || '').split('\n');
+    const line = lines.find(text => extractLinkTitles(text).some(linked => normalizeLinkTitle(linked) === target));
+    if (line) backlinks.push({ note: other, context: line.trim() });
+  }
+  return backlinks;
+}
+
+function renameLinksInText(text, oldTitle, newTitle) {
+  const target = normalizeLinkTitle(oldTitle);
+  return text.replace(WIKI_LINK_PATTERN, (link, title, suffix) => (
+    normalizeLinkTitle(title) === target ? `[[${newTitle}${suffix}]]` : link
+  ));
+}
+
+// Rewrites `[[oldTitle...]]` in a note's HTML and plain text. Returns null when nothing links there.
+export function renameLinksInNote(note, oldTitle, newTitle) {
+  if (!linksToTitle(note.contentPlainText || '', oldTitle)) return null;
+
+  const container = document.createElement('div');
+  container.innerHTML = note.contentHtml;
+  const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const renamed = renameLinksInText(node.textContent, oldTitle, newTitle);
+    if (renamed !== node.textContent) node.textContent = renamed;
+  }
+
+  return {
+    contentHtml: container.innerHTML,
+    contentPlainText: renameLinksInText(note.contentPlainText, oldTitle, newTitle)
+  };
+}
@@ -0,0 +1,154 @@
+// revisions.js - Note history: when to snapshot, which snapshots to keep, and a line diff
+// A revision holds a note as it was *before* an edit was saved, so the history survives reloads
+// (unlike the editor's undo stack) and never duplicates the current text.
+
+import { getLatestRevision, getRevisionTimes, saveRevision } from './db.js';
+
+const SNAPSHOT_INTERVAL_MS = 5 * 60 * 1000; // at most one routine snapshot per note per 5 minutes
+const MIN_CHANGED_CHARS = 20;               // smaller edits since the last snapshot are not worth one
+const LARGE_DELETION_CHARS = 200;           // losing this much (or half the note) snapshots right away
+const MAX_REVISIONS = 50;                   // per note
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const MAX_AGE_MS = 90 * DAY_MS;
+const MAX_DIFF_CELLS = 4000000;             // LCS table size before the diff falls back to remove/add
+
+// Newest revision per note id (null for none), so routine autosaves skip IndexedDB. Revisions
+// are only added here; imports that replace the database discard the app, and with it this cache.
+const latestByNote = new Map();
+
+async function getLatest(noteId) {
+  if (!latestByNote.has(noteId)) {
+    latestByNote.set(noteId, await getLatestRevision(noteId));
+  }
+  return latestByNote.get(noteId);
+}
+
+// Characters that differ between two texts once their common start and end are trimmed.
+function changedChars(a, b) {
+  const max = Math.min(a.length, b.length);
+  let start = 0;
+  while (start < max && a[start] === b[start]) start++;
+  let end = 0;
+  while (end < max - start && a[a.length - 1 - end] === b[b.length - 1 - end]) end++;
+  return Math.max(a.length, b.length) - start - end;
+}
+
+function isLargeDeletion(beforeText, afterText) {
+  const lost = beforeText.length - afterText.length;
+  return lost >= LARGE_DELETION_CHARS || (lost >= MIN_CHANGED_CHARS && afterText.length <= beforeText.length / 2);
+}
+
+// Keeps every revision from the last day, then the newest one per hour for a week and per day
+// after that. Nothing older than 90 days, never more than MAX_REVISIONS. Returns the ids to drop.
+export function pruneRevisions(revisions, now = Date.now()) {
+  const keep = new Set();
+  const buckets = new Set();
+
+  for (const revision of [...revisions].sort((a, b) => b.createdAt - a.createdAt)) {
+    const age = now - revision.createdAt;
+    if (age > MAX_AGE_MS || keep.size >= MAX_REVISIONS) continue;
+
+    if (age > DAY_MS) {
+      const size = age > 7 * DAY_MS ? DAY_MS : HOUR_MS;
+      const bucket = `${size}:${Math.floor(revision.createdAt / size)}`;
+      if (buckets.has(bucket)) continue;
+      buckets.add(bucket);
+    }
+    keep.add(revision.id);
+  }
+
+  return revisions.filter(revision => !keep.has(revision.id)).map(revision => revision.id);
+}
+
+// Snapshots `before` when `after` is about to replace it and the edit is worth keeping.
+// `force` skips the throttle (restores and imports). Resolves with whether a revision was written.
+export async function recordRevision(before, after, { force = false } = {}) {
+  const beforeText = before.contentPlainText || '';
+  if (!beforeText.trim()) return false;
+  if (before.contentHtml === after.contentHtml && before.title === after.title) return false;
+
+  const latest = await getLatest(before.id);
+  if (latest && latest.contentHtml === before.contentHtml && latest.title === before.title) return false;
+
+  const now = Date.now();
+  if (!force && latest && !isLargeDeletion(beforeText, after.contentPlainText || '')) {
+    if (now - latest.createdAt < SNAPSHOT_INTERVAL_MS) return false;
+    const changed = changedChars(latest.contentPlainText, beforeText)
+      + (latest.title !== before.title ? MIN_CHANGED_CHARS : 0);
+    if (changed < MIN_CHANGED_CHARS) return false;
+  }
+
+  const revision = {
+    id: crypto.randomUUID(),
+    noteId: before.id,
+    title: before.title,
+    contentHtml: before.contentHtml,
+    contentPlainText: beforeText,
+    version: before.version,
+    savedAt: before.updatedAt,
+    createdAt: now
+  };
+
+  const times = await getRevisionTimes(before.id);
+  await saveRevision(revision, pruneRevisions([revision, ...times], now));
+  latestByNote.set(before.id, revision);
+  return true;
+}
+
+// Line diff of two texts: [{ type: 'same' | 'added' | 'removed', text }].
+export function diffLines(oldText, newText) {
+  const a = String(oldText).split('\n');
+  const b = String(newText).split('\n');
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  const middle = middleA.length * middleB.length > MAX_DIFF_CELLS
+    ? [...middleA.map(text => ({ type: 'removed', text })), ...middleB.map(text => ({ type: 'added', text }))]
+    : lcsDiff(middleA, middleB);
+
+  return [
+    ...a.slice(0, start).map(text => ({ type: 'same', text })),
+    ...middle,
+    ...a.slice(endA).map(text => ({ type: 'same', text }))
+  ];
+}
+
+function lcsDiff(a, b) {
+  // lengths[i][j] = longest common subsequence of a[i:] and b[j:]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      result.push({ type: 'removed', text: a[i++] });
+    } else {
+      result.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) result.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) result.push({ type: 'added', text: b[j++] });
+  return result;
+}
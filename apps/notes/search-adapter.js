@@ -0,0 +1,30 @@
+// search-adapter.js - Launcher search hook over note titles, bodies and tags
+
+import { getAllNotebooks, getAllNotes, getNotesByTag } from './db.js';
+import { searchNotes } from './search.js';
+import { normalizeTag } from './tags.js';
+
+export async function searchItems(query, { limit = 5 } = {}) {
+  if (!String(query || '').trim()) return [];
+
+  // A lone `#tag` lists the notes carrying that tag
+  const tag = /^#\S+$/.test(String(query).trim()) ? normalizeTag(query) : '';
+  const [matches, notebooks] = await Promise.all([
+    tag ? getNotesByTag(tag) : getAllNotes().then(notes => searchNotes(notes, query)),
+    getAllNotebooks()
+  ]);
+  const notebookNames = new Map(notebooks.map(nb => [nb.id, nb.name]));
+
+  return matches
+    .slice(0, limit)
+    .map(note => ({
+      id: note.id,
+      title: note.title || 'Untitled Note',
+      subtitle: notebookNames.get(note.notebookId) || '',
+      text: note.contentPlainText || ''
+    }));
+}
+
+export default {
+  searchItems
+};
@@ -1,10 +1,11 @@
-// search.js - Tokenised keyword search across title + body with ranking
+// search.js - Tokenised keyword search across title + body + tags with ranking
 
 const RECENCY_WINDOW_MS = 24 * 60 * 60 * 1000; // 24 hours
 const RECENCY_BOOST = 5;
 const TITLE_EXACT_SCORE = 100;
 const TITLE_CONTAINS_SCORE = 50;
 const BODY_CONTAINS_SCORE = 10;
+const TAG_SCORE = 30;
 
 export function searchNotes(notes, query) {
   const q = query.toLowerCase().trim();
@@ -18,6 +19,7 @@ export function searchNotes(notes, query) {
   for (const note of notes) {
     const title = (note.title || '').toLowerCase();
     const body = (note.contentPlainText || '').toLowerCase();
+    const tags = note.tags || [];
     let score = 0;
 
     for (const token of tokens) {
@@ -30,6 +32,10 @@ export function searchNotes(notes, query) {
       if (body.includes(token)) {
         score += BODY_CONTAINS_SCORE;
       }
+
+      if (tags.includes(token.replace(/^#/, ''))) {
+        score += TAG_SCORE;
+      }
     }
 
     if (score === 0) continue;
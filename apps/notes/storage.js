@@ -42,7 +42,11 @@ export async function importBackup(payload) {
   await replaceAllData(data);
 }
 
-export async function clearStorage() {
+// Before an import, replaceAllData swaps notes and notebooks in one transaction and keeps the
+// history of notes that remain, so there is nothing to delete first. Otherwise drop everything.
+export async function clearStorage({ beforeRestore = false } = {}) {
+  if (beforeRestore) return;
+
   try {
     await deleteDatabase();
   } catch (error) {
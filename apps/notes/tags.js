@@ -0,0 +1,57 @@
+// tags.js - #tag parsing and tag filters for Notes
+// A note's `tags` are the #tags written in its text plus the ones set by hand (`explicitTags`).
+// Tags are stored lowercase without the leading '#'; a tag needs at least one non-digit ("#2024" is not one).
+
+const MAX_TAG_LENGTH = 50;
+
+// '#' must start a word: not inside words, URLs (`/#top`), HTML entities or `[[Title#Heading]]` links
+const TAG_PATTERN = /(^|[^\p{L}\p{N}_&/#[])#([\p{L}\p{N}_][\p{L}\p{N}_/-]*)/gu;
+const VALID_TAG = /^[\p{L}\p{N}_][\p{L}\p{N}_/-]*$/u;
+
+export function normalizeTag(tag) {
+  const normalized = String(tag).trim().replace(/^#+/, '').replace(/[/-]+$/, '').toLowerCase();
+  if (!normalized || normalized.length > MAX_TAG_LENGTH) return '';
+  if (!VALID_TAG.test(normalized) || /^\d+$/.test(normalized)) return '';
+  return normalized;
+}
+
+export function normalizeTagList(tags) {
+  if (!Array.isArray(tags)) return [];
+  return [...new Set(tags.map(normalizeTag).filter(Boolean))];
+}
+
+export function parseTags(text) {
+  const tags = new Set();
+  for (const match of String(text || '').matchAll(TAG_PATTERN)) {
+    const tag = normalizeTag(match[2]);
+    if (tag) tags.add(tag);
+  }
+  return [...tags];
+}
+
+// The tag list stored (and indexed) on a note.
+export function collectNoteTags(plainText, explicitTags) {
+  return [...new Set([...parseTags(plainText), ...normalizeTagList(explicitTags)])];
+}
+
+// mode 'all' needs every selected tag (AND), 'any' needs one of them (OR).
+export function matchesTags(note, tags, mode = 'all') {
+  if (tags.length === 0) return true;
+  const noteTags = note.tags || [];
+  return mode === 'any'
+    ? tags.some(tag => noteTags.includes(tag))
+    : tags.every(tag => noteTags.includes(tag));
+}
+
+// [{ tag, count }] sorted by name.
+export function countTags(notes) {
+  const counts = new Map();
+  for (const note of notes) {
+    for (const tag of note.tags || []) {
+      counts.set(tag, (counts.get(tag) || 0) + 1);
+    }
+  }
+  return [...counts]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => a.tag.localeCompare(b.tag));
+}
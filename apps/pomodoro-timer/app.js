@@ -8,8 +8,6 @@ class PomodoroTimer {
     this.state = this.loadState(data);
     this.history = this.loadHistory(data);
     this.timerInterval = null;
-    this.notificationPermissionRequested = false;
-    this.lastReportedBackgroundActivity = null;
     this.completionTimeout = null;
     this.lastSaveTime = 0;
     this.lastRenderedDotState = null;
@@ -23,7 +21,6 @@ class PomodoroTimer {
     this.updateDisplay();
     this.updateSettingsDisplay();
     this.updateHistoryDisplay();
-    this.syncThemeWithParent();
 
     // Auto-resume if timer was active
     if (this.state.isActive) {
@@ -105,15 +102,17 @@ class PomodoroTimer {
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => this.handleKeyDown(e));
 
-    // Listen for theme changes from parent
-    window.addEventListener('message', (event) => {
-      if (event.data && event.data.type === 'theme-change') {
-        this.applyTheme(event.data.theme);
-      }
-      if (event.data && event.data.type === 'app-visibility') {
-        this.handleAppVisibility(Boolean(event.data.visible));
-      }
-    });
+    MarlApps.on('visibility', ({ visible }) => this.handleAppVisibility(visible));
+    MarlApps.onIntent('timer.start', (payload) => this.handleStartIntent(payload));
+  }
+
+  handleStartIntent(payload) {
+    // Another app asked for a focus session; leave a running session alone.
+    if (this.state.isActive) return;
+    if (payload && typeof payload.label === 'string' && payload.label.trim()) {
+      this.showCompletionFlash(`Focus: ${payload.label.trim()}`);
+    }
+    this.startWorkSession();
   }
 
   handleKeyDown(e) {
@@ -193,21 +192,6 @@ class PomodoroTimer {
     return null;
   }
 
-  syncThemeWithParent() {
-    try {
-      const savedTheme = localStorage.getItem('marlapps-theme');
-      if (savedTheme) {
-        this.applyTheme(savedTheme);
-      }
-    } catch (e) {
-      // Fail silently if can't access localStorage
-    }
-  }
-
-  applyTheme(theme) {
-    document.documentElement.setAttribute('data-theme', theme);
-  }
-
   migrateStorage() {
     const oldSettings = localStorage.getItem('pomodoroSettings');
     const oldState = localStorage.getItem('pomodoroState');
@@ -502,7 +486,6 @@ class PomodoroTimer {
       clearTimeout(this.autoStartTimeout);
       this.autoStartTimeout = null;
     }
-    this.maybeRequestNotificationPermission();
     this.state.isActive = true;
     this.state.sessionStarted = true;
     if (!this.state.targetEndAt) {
@@ -580,7 +563,6 @@ class PomodoroTimer {
     if (!this.state.isActive && !this.state.sessionStarted) return;
     this.pauseTimer();
     this.playNotification();
-    this.showBrowserNotification();
 
     // Reset counters if day changed while app was open
     this.checkDailyReset();
@@ -733,52 +715,42 @@ class PomodoroTimer {
   }
 
   reportBackgroundActivity() {
-    const active = this.state.isActive;
-    if (this.lastReportedBackgroundActivity === active) return;
-    this.lastReportedBackgroundActivity = active;
+    MarlApps.setBackgroundActive(this.state.isActive);
+    this.reportNotifications();
+  }
 
-    try {
-      if (window.parent && window.parent !== window) {
-        window.parent.postMessage({
-          type: 'app-background-activity',
-          appId: 'pomodoro-timer',
-          active
-        }, '*');
-      }
-    } catch (e) {
-      // Ignore postMessage failures.
+  // The launcher notifies at the end of the running session, even if this app has been unloaded.
+  reportNotifications() {
+    if (!this.state.isActive || !this.state.targetEndAt) {
+      MarlApps.setNotifications([]);
+      return;
     }
+
+    const sessionNames = {
+      work: 'Work session complete! Time for a break.',
+      shortBreak: 'Short break over. Ready to focus!',
+      longBreak: 'Long break over. Ready to focus!'
+    };
+    MarlApps.setNotifications([{
+      id: 'session',
+      at: this.state.targetEndAt,
+      title: 'Pomodoro Timer',
+      body: sessionNames[this.state.sessionType] || 'Session complete'
+    }]);
   }
 
   reportStatus() {
-    try {
-      if (!window.parent || window.parent === window) return;
-
-      if (!this.state.isActive) {
-        window.parent.postMessage({
-          type: 'app-status',
-          appId: 'pomodoro-timer',
-          status: { active: false }
-        }, '*');
-        return;
-      }
-
-      const labelMap = { work: 'work', shortBreak: 'short break', longBreak: 'long break' };
-      const variant = this.state.sessionType === 'work' ? 'alert' : 'calm';
-
-      window.parent.postMessage({
-        type: 'app-status',
-        appId: 'pomodoro-timer',
-        status: {
-          active: true,
-          label: labelMap[this.state.sessionType] || 'work',
-          timeRemaining: this.state.timeRemaining,
-          variant
-        }
-      }, '*');
-    } catch (e) {
-      // Ignore postMessage failures.
+    if (!this.state.isActive) {
+      MarlApps.clearStatus();
+      return;
     }
+
+    const labelMap = { work: 'work', shortBreak: 'short break', longBreak: 'long break' };
+    MarlApps.setStatus({
+      label: labelMap[this.state.sessionType] || 'work',
+      timeRemaining: this.state.timeRemaining,
+      variant: this.state.sessionType === 'work' ? 'alert' : 'calm'
+    });
   }
 
   getDateKey(date = new Date()) {
@@ -949,34 +921,6 @@ class PomodoroTimer {
       // Audio notification not available - fail silently
     }
   }
-
-  maybeRequestNotificationPermission() {
-    if (!('Notification' in window)) return;
-    if (Notification.permission !== 'default') return;
-    if (this.notificationPermissionRequested) return;
-
-    this.notificationPermissionRequested = true;
-    Notification.requestPermission().catch(() => {});
-  }
-
-  showBrowserNotification() {
-    if (!('Notification' in window)) return;
-    if (Notification.permission !== 'granted') return;
-
-    const sessionNames = {
-      work: 'Work session complete! Time for a break.',
-      shortBreak: 'Short break over. Ready to focus!',
-      longBreak: 'Long break over. Ready to focus!'
-    };
-
-    try {
-      const notification = new Notification('Pomodoro Timer', {
-        body: sessionNames[this.state.sessionType] || 'Session complete',
-        tag: 'marlapps-pomodoro'
-      });
-      setTimeout(() => notification.close(), 10000);
-    } catch (e) {}
-  }
 }
 
 // Initialize the app
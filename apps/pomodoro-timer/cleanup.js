@@ -0,0 +1,56 @@
+// Cleanup hooks for the launcher's Storage panel. The timer keeps a year of
+// history; this offers to drop the days older than KEEP_DAYS.
+const STORAGE_KEY = 'marlapps-pomodoro-timer';
+const KEEP_DAYS = 90;
+
+function getDateKey(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+function getCutoffKey() {
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - KEEP_DAYS);
+  return getDateKey(cutoff);
+}
+
+function loadData() {
+  try {
+    const data = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    return data && typeof data === 'object' && data.history && typeof data.history === 'object' ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+export function getCleanupSuggestions() {
+  const data = loadData();
+  if (!data) return [];
+
+  const cutoffKey = getCutoffKey();
+  const oldKeys = Object.keys(data.history).filter(key => key < cutoffKey);
+  if (oldKeys.length === 0) return [];
+
+  // localStorage keeps strings as UTF-16.
+  const bytes = oldKeys.reduce((total, key) => total + (key.length + JSON.stringify(data.history[key]).length) * 2, 0);
+  return [{
+    id: 'old-history',
+    title: `Prune Pomodoro history older than ${KEEP_DAYS} days (${oldKeys.length} ${oldKeys.length === 1 ? 'day' : 'days'})`,
+    bytes
+  }];
+}
+
+export function applyCleanup(id) {
+  if (id !== 'old-history') return;
+
+  const data = loadData();
+  if (!data) return;
+
+  const cutoffKey = getCutoffKey();
+  Object.keys(data.history).forEach((key) => {
+    if (key < cutoffKey) delete data.history[key];
+  });
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+}
@@ -0,0 +1,57 @@
+// Launcher widget: pomodoros finished today and this week, with a start button when idle.
+
+const STORAGE_KEY = 'marlapps-pomodoro-timer';
+
+function readData() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function getDateKey(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+// History entries used to be plain counts before timestamps were added.
+function getCount(history, dateKey) {
+  const entry = history[dateKey];
+  if (typeof entry === 'number') return entry;
+  return entry && Number.isFinite(entry.count) ? entry.count : 0;
+}
+
+export function getWidget() {
+  const data = readData();
+  const history = data.history && typeof data.history === 'object' ? data.history : {};
+  const state = data.state && typeof data.state === 'object' ? data.state : {};
+
+  const day = new Date();
+  const today = getCount(history, getDateKey(day));
+  let week = 0;
+  for (let offset = 0; offset < 7; offset += 1) {
+    week += getCount(history, getDateKey(day));
+    day.setDate(day.getDate() - 1);
+  }
+
+  const isRunning = state.isActive === true
+    && (typeof state.targetEndAt !== 'number' || state.targetEndAt > Date.now());
+
+  return {
+    stats: [
+      { value: today, label: 'today' },
+      { value: week, label: 'last 7 days' }
+    ],
+    controls: isRunning ? [] : [
+      { type: 'button', id: 'start', label: 'Start focus', intent: 'timer.start' }
+    ]
+  };
+}
+
+export default {
+  getWidget
+};
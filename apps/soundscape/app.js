@@ -6,7 +6,6 @@ class SoundscapeApp {
     this.bufferCache = new Map();
     this.data = this.loadData();
     this.pendingAutoRestore = false;
-    this.lastReportedBackgroundActivity = null;
     this.saveTimeout = null;
     this.gestureAbort = null;
 
@@ -58,7 +57,7 @@ class SoundscapeApp {
     this.initElements();
     this.renderSoundCards();
     this.attachEventListeners();
-    this.syncThemeWithParent();
+    this.connectLauncher();
     this.restoreState();
     this.reportBackgroundActivity();
   }
@@ -136,28 +135,50 @@ class SoundscapeApp {
     this.saveData();
   }
 
-  // ===== Theme =====
+  // ===== Launcher =====
 
-  syncThemeWithParent() {
-    try {
-      const savedTheme = localStorage.getItem('marlapps-theme');
-      if (savedTheme) {
-        this.applyTheme(savedTheme);
-      }
-    } catch (_) {}
-
-    window.addEventListener('message', (event) => {
-      if (event.data && event.data.type === 'theme-change') {
-        this.applyTheme(event.data.theme);
-      }
-      if (event.data && event.data.type === 'app-visibility') {
-        this.handleAppVisibility(Boolean(event.data.visible));
-      }
+  connectLauncher() {
+    MarlApps.on('visibility', ({ visible }) => this.handleAppVisibility(visible));
+    MarlApps.onIntent('soundscape.toggle', (payload) => this.handleToggleIntent(payload));
+    MarlApps.onIntent('soundscape.volume', (payload) => this.handleVolumeIntent(payload));
+    MarlApps.onIntent('soundscape.pause', () => this.pauseAll());
+    MarlApps.onIntent('soundscape.resume', () => {
+      this.resumeAll();
+      this.requestGestureIfBlocked();
     });
   }
 
-  applyTheme(theme) {
-    document.documentElement.setAttribute('data-theme', theme);
+  getIntentSoundId(payload) {
+    const id = payload && typeof payload.sound === 'string' ? payload.sound : null;
+    return id && this.soundDefs.some(def => def.id === id) ? id : null;
+  }
+
+  handleToggleIntent(payload) {
+    const id = this.getIntentSoundId(payload);
+    if (!id) return;
+
+    this.toggleSound(id);
+    this.requestGestureIfBlocked();
+  }
+
+  // Sent by the volume sliders of the launcher widget.
+  handleVolumeIntent(payload) {
+    const id = this.getIntentSoundId(payload);
+    const value = payload ? Number(payload.value) : NaN;
+    if (!id || !Number.isFinite(value)) return;
+
+    const vol = Math.min(100, Math.max(0, Math.round(value)));
+    this.setSoundVolume(id, vol);
+    this.updateVolumeSlider(id, vol);
+  }
+
+  // Launcher-initiated playback has no gesture inside this frame; ask for one if audio stays blocked.
+  requestGestureIfBlocked() {
+    if (this.audioCtx && this.audioCtx.state === 'suspended') {
+      if (!this.gestureAbort) this.setupGestureListeners();
+      if (this.gestureHint) this.gestureHint.classList.add('visible');
+      this.audioCtx.resume().then(() => this.removeGestureListeners()).catch(() => {});
+    }
   }
 
   // ===== Audio Context =====
@@ -913,6 +934,15 @@ class SoundscapeApp {
     if (!this.data.sounds[id]) this.data.sounds[id] = {};
     this.data.sounds[id].volume = vol;
     this.scheduleSave();
+    this.reportWidget();
+  }
+
+  updateVolumeSlider(id, vol) {
+    const slider = this.soundGrid.querySelector(`.volume-slider[data-sound-id="${id}"]`);
+    if (!slider) return;
+    slider.value = vol;
+    this.updateSliderFill(slider);
+    slider.closest('.sound-volume').querySelector('.volume-label').textContent = `${vol}%`;
   }
 
   pauseAll() {
@@ -1014,53 +1044,45 @@ class SoundscapeApp {
   }
 
   reportBackgroundActivity() {
-    const active = this.sounds.size > 0;
-    if (this.lastReportedBackgroundActivity === active) return;
-    this.lastReportedBackgroundActivity = active;
-
-    try {
-      if (window.parent && window.parent !== window) {
-        window.parent.postMessage({
-          type: 'app-background-activity',
-          appId: 'soundscape',
-          active
-        }, '*');
-      }
-    } catch (e) {
-      // Ignore postMessage failures.
-    }
-
+    MarlApps.setBackgroundActive(this.sounds.size > 0);
     this.reportStatus();
+    this.reportWidget();
   }
 
   reportStatus() {
-    try {
-      if (!window.parent || window.parent === window) return;
-
-      const playing = this.sounds.size > 0;
+    if (this.sounds.size === 0) {
+      MarlApps.clearStatus();
+      return;
+    }
 
-      if (!playing) {
-        window.parent.postMessage({
-          type: 'app-status',
-          appId: 'soundscape',
-          status: { active: false }
-        }, '*');
-        return;
-      }
+    MarlApps.setStatus({ label: 'playing', timeRemaining: null, variant: 'calm' });
+  }
 
-      window.parent.postMessage({
-        type: 'app-status',
-        appId: 'soundscape',
-        status: {
-          active: true,
-          label: 'playing',
-          timeRemaining: null,
-          variant: 'calm'
-        }
-      }, '*');
-    } catch (e) {
-      // Ignore postMessage failures.
+  // Live volume sliders for what is playing; when nothing is, widget.js shows the saved mix.
+  reportWidget() {
+    if (this.sounds.size === 0) {
+      MarlApps.clearWidget();
+      return;
     }
+
+    const playing = this.soundDefs.filter(def => this.sounds.has(def.id));
+    MarlApps.setWidget({
+      text: 'Playing',
+      controls: [
+        ...playing.map(def => ({
+          type: 'range',
+          id: `volume-${def.id}`,
+          label: def.name,
+          min: 0,
+          max: 100,
+          step: 1,
+          value: this.data.sounds[def.id]?.volume ?? 70,
+          intent: 'soundscape.volume',
+          payload: { sound: def.id }
+        })),
+        { type: 'button', id: 'pause', label: 'Pause', intent: 'soundscape.pause' }
+      ]
+    });
   }
 
   // ===== Restore State =====
@@ -1069,12 +1091,7 @@ class SoundscapeApp {
     this.soundDefs.forEach(def => {
       const saved = this.data.sounds[def.id];
       if (saved?.volume !== undefined) {
-        const slider = this.soundGrid.querySelector(`.volume-slider[data-sound-id="${def.id}"]`);
-        if (slider) {
-          slider.value = saved.volume;
-          this.updateSliderFill(slider);
-          slider.closest('.sound-volume').querySelector('.volume-label').textContent = `${saved.volume}%`;
-        }
+        this.updateVolumeSlider(def.id, saved.volume);
       }
     });
     this.restoreActiveSounds();
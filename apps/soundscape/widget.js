@@ -0,0 +1,38 @@
+// Launcher widget while the app is not playing: the saved mix and a resume button.
+// While sounds play, the app replaces this with live volume sliders (see reportWidget in app.js).
+
+const STORAGE_KEY = 'marlapps-soundscape';
+const SOUND_NAMES = {
+  'white-noise': 'White Noise',
+  'brown-noise': 'Brown Noise',
+  'fan-noise': 'Fan',
+  'wave-noise': 'Waves',
+  'rain-noise': 'Rain',
+  'crackle-noise': 'Crackle'
+};
+
+function readSounds() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    return parsed && parsed.sounds && typeof parsed.sounds === 'object' ? parsed.sounds : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+export function getWidget() {
+  const sounds = readSounds();
+  const mix = Object.keys(SOUND_NAMES).filter(id => sounds[id] && sounds[id].active === true);
+  if (mix.length === 0) return null;
+
+  return {
+    text: `Paused · ${mix.map(id => SOUND_NAMES[id]).join(', ')}`,
+    controls: [
+      { type: 'button', id: 'resume', label: 'Resume', intent: 'soundscape.resume' }
+    ]
+  };
+}
+
+export default {
+  getWidget
+};
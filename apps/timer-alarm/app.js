@@ -1,31 +1,35 @@
 class AlarmTimerApp {
   constructor() {
     this.storageKey = 'marlapps-timer-alarm';
-    this.notificationTag = 'marlapps-timer-alarm';
-    this.appId = 'timer-alarm';
     this.alarmCheckInterval = null;
     this.ringingAudioContext = null;
     this.ringingTimeout = null;
-    this.notificationPermissionRequested = false;
-    this.lastAlarmCheckAt = Date.now();
     this.alarmFreshnessWindowMs = 90 * 1000;
+    this.notificationHorizonMs = 7 * 24 * 60 * 60 * 1000;
+    this.missedLookbackMs = 7 * 24 * 60 * 60 * 1000;
+    this.missedLimit = 50;
+    this.snoozeMs = 10 * 60 * 1000;
+    this.checkpointIntervalMs = 30 * 1000;
     this.activeModal = null;
     this.lastFocusedElementByModal = {};
-    this.lastReportedBackgroundActivity = null;
     this.data = this.loadData();
+    // Resume from the last check saved before the app was closed, so the checker catches up on what it missed.
+    this.lastAlarmCheckAt = Math.min(this.data.lastCheckedAt ?? Date.now(), Date.now());
 
     this.initElements();
     this.attachEventListeners();
-    this.syncThemeWithParent();
+    this.connectLauncher();
     this.renderAlarms();
+    this.renderMissed();
     this.updateHeroDisplay();
     this.startAlarmChecker();
     this.reportBackgroundActivity();
     this.reportStatus();
+    this.reportNotifications();
   }
 
   loadData() {
-    const defaults = { alarms: [] };
+    const defaults = { alarms: [], missed: [], snoozes: [], lastCheckedAt: null };
     const saved = localStorage.getItem(this.storageKey);
     if (!saved) return defaults;
 
@@ -63,33 +67,36 @@ class AlarmTimerApp {
           .filter(Boolean)
         : defaults.alarms;
 
-      return { alarms };
+      return {
+        alarms,
+        missed: this.sanitizeRingList(parsed.missed),
+        snoozes: this.sanitizeRingList(parsed.snoozes),
+        lastCheckedAt: Number.isFinite(parsed.lastCheckedAt) ? parsed.lastCheckedAt : null
+      };
     } catch {
       return defaults;
     }
   }
 
-  saveData() {
-    localStorage.setItem(this.storageKey, JSON.stringify(this.data));
-  }
-
-  syncThemeWithParent() {
-    try {
-      const savedTheme = localStorage.getItem('marlapps-theme');
-      if (savedTheme) this.applyTheme(savedTheme);
-    } catch (error) {
-      // Ignore theme storage errors.
-    }
-
-    window.addEventListener('message', (event) => {
-      if (event.data && event.data.type === 'theme-change') {
-        this.applyTheme(event.data.theme);
-      }
-    });
+  // Missed alarms and snoozes are single rings: `{ id, label, time, at }`, where `time` is the alarm's HH:MM.
+  sanitizeRingList(list) {
+    if (!Array.isArray(list)) return [];
+    return list
+      .filter((entry) => entry && typeof entry === 'object'
+        && typeof entry.id === 'string'
+        && typeof entry.time === 'string' && /^([01]\d|2[0-3]):([0-5]\d)$/.test(entry.time)
+        && Number.isFinite(entry.at))
+      .map((entry) => ({
+        id: entry.id,
+        label: typeof entry.label === 'string' ? entry.label : '',
+        time: entry.time,
+        at: entry.at
+      }));
   }
 
-  applyTheme(theme) {
-    document.documentElement.setAttribute('data-theme', theme);
+  saveData() {
+    this.data.lastCheckedAt = this.lastAlarmCheckAt;
+    localStorage.setItem(this.storageKey, JSON.stringify(this.data));
   }
 
   initElements() {
@@ -99,6 +106,10 @@ class AlarmTimerApp {
     this.openAlarmComposerBtn = document.getElementById('openAlarmComposerBtn');
     this.alarmList = document.getElementById('alarmList');
     this.alarmEmpty = document.getElementById('alarmEmpty');
+    this.missedSection = document.getElementById('missedSection');
+    this.missedTitle = document.getElementById('missedTitle');
+    this.missedList = document.getElementById('missedList');
+    this.dismissAllMissedBtn = document.getElementById('dismissAllMissedBtn');
 
     this.alarmComposerBackdrop = document.getElementById('alarmComposerBackdrop');
     this.alarmComposerPanel = document.getElementById('alarmComposerPanel');
@@ -126,6 +137,16 @@ class AlarmTimerApp {
     });
 
     this.addAlarmBtn.addEventListener('click', () => this.addAlarm());
+    this.dismissAllMissedBtn.addEventListener('click', () => this.dismissAllMissedAlarms());
+    this.missedList.addEventListener('click', (event) => {
+      const button = event.target.closest('button[data-action]');
+      if (!button) return;
+
+      const { action, id } = button.dataset;
+      if (action === 'snooze') this.snoozeMissedAlarm(id);
+      else if (action === 'dismiss') this.dismissMissedAlarm(id);
+      else if (action === 'cancel-snooze') this.cancelSnooze(id);
+    });
     this.dayBtns.forEach((button) => {
       button.addEventListener('click', () => button.classList.toggle('active'));
     });
@@ -153,6 +174,38 @@ class AlarmTimerApp {
 
     document.addEventListener('keydown', (event) => this.handleKeyDown(event));
     window.addEventListener('beforeunload', () => this.stopRinging());
+    window.addEventListener('pagehide', () => this.saveData());
+  }
+
+  connectLauncher() {
+    MarlApps.on('route', ({ route }) => this.applyRoute(route));
+  }
+
+  // Routes: `new` opens the composer, `alarm/{id}` points at one alarm; empty for the list.
+  applyRoute(route) {
+    const [kind, alarmId] = route.split('/');
+    if (kind === 'new') {
+      this.openComposer();
+      return;
+    }
+
+    this.closeModal('composer', { restoreFocus: false });
+    if (kind === 'alarm' && !this.highlightAlarm(alarmId)) {
+      MarlApps.setRoute('', { replace: true });
+    }
+  }
+
+  highlightAlarm(alarmId) {
+    const element = [...this.alarmList.querySelectorAll('.alarm-item')]
+      .find(item => item.dataset.alarmId === alarmId);
+    if (!element) return false;
+
+    element.scrollIntoView({ block: 'center' });
+    element.classList.remove('highlighted');
+    void element.offsetWidth;
+    element.classList.add('highlighted');
+    element.addEventListener('animationend', () => element.classList.remove('highlighted'), { once: true });
+    return true;
   }
 
   handleKeyDown(event) {
@@ -179,6 +232,7 @@ class AlarmTimerApp {
     this.alarmComposerBackdrop.classList.add('active');
     this.alarmComposerBackdrop.setAttribute('aria-hidden', 'false');
     this.activeModal = 'composer';
+    MarlApps.setRoute('new');
 
     window.setTimeout(() => this.alarmTimeInput.focus(), 50);
   }
@@ -190,6 +244,7 @@ class AlarmTimerApp {
     this.alarmComposerBackdrop.classList.remove('active');
     this.alarmComposerBackdrop.setAttribute('aria-hidden', 'true');
     this.activeModal = null;
+    MarlApps.setRoute('');
 
     if (restoreFocus) this.restoreFocus('composer');
   }
@@ -245,7 +300,6 @@ class AlarmTimerApp {
 
     this.alarmTimeInput.setCustomValidity('');
     this.alarmTimeInput.value = time;
-    this.maybeRequestNotificationPermission();
 
     const selectedDays = [];
     this.dayBtns.forEach((button) => {
@@ -255,7 +309,7 @@ class AlarmTimerApp {
     });
 
     const alarm = {
-      id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+      id: this.createId(),
       time,
       label: this.alarmLabelInput.value.trim(),
       days: selectedDays,
@@ -267,6 +321,7 @@ class AlarmTimerApp {
     this.saveData();
     this.renderAlarms();
     this.updateHeroDisplay();
+    this.reportNotifications();
 
     this.alarmLabelInput.value = '';
     this.dayBtns.forEach((button) => button.classList.remove('active'));
@@ -283,6 +338,7 @@ class AlarmTimerApp {
     sorted.forEach((alarm) => {
       const element = document.createElement('div');
       element.className = `alarm-item${alarm.enabled ? '' : ' disabled'}`;
+      element.dataset.alarmId = alarm.id;
 
       const dayNames = ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'];
       const orderedDays = this.sortDaysMondayFirst(alarm.days);
@@ -316,6 +372,45 @@ class AlarmTimerApp {
     });
   }
 
+  // Missed rings first (oldest at the top), then pending snoozes.
+  renderMissed() {
+    const { missed, snoozes } = this.data;
+    this.missedSection.hidden = missed.length === 0 && snoozes.length === 0;
+    this.missedTitle.textContent = missed.length > 0 ? 'Missed alarms' : 'Snoozed';
+    this.dismissAllMissedBtn.hidden = missed.length < 2;
+
+    const today = new Date().toDateString();
+    const describeDay = (timestamp) => {
+      const date = new Date(timestamp);
+      return date.toDateString() === today
+        ? 'Today'
+        : date.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' });
+    };
+
+    const missedRows = missed.map((entry) => `
+      <div class="missed-item">
+        <div class="missed-info">
+          <div class="missed-time">${this.formatAlarmTime(entry.time)}</div>
+          <div class="missed-meta">${this.escapeHtml(entry.label ? `${entry.label} · ` : '')}${describeDay(entry.at)}</div>
+        </div>
+        <button type="button" class="missed-btn" data-action="snooze" data-id="${entry.id}">Snooze ${this.snoozeMs / 60000} min</button>
+        <button type="button" class="missed-btn" data-action="dismiss" data-id="${entry.id}">Dismiss</button>
+      </div>
+    `);
+
+    const snoozeRows = [...snoozes].sort((a, b) => a.at - b.at).map((snooze) => `
+      <div class="missed-item snoozed">
+        <div class="missed-info">
+          <div class="missed-time">${this.formatAlarmTime(snooze.time)}</div>
+          <div class="missed-meta">${this.escapeHtml(snooze.label ? `${snooze.label} · ` : '')}Snoozed until ${this.formatTimestamp(snooze.at)}</div>
+        </div>
+        <button type="button" class="missed-btn" data-action="cancel-snooze" data-id="${snooze.id}">Cancel</button>
+      </div>
+    `);
+
+    this.missedList.innerHTML = [...missedRows, ...snoozeRows].join('');
+  }
+
   updateHeroDisplay() {
     const nextAlarm = this.findNextAlarm();
     this.heroRing.classList.toggle('has-alarm', Boolean(nextAlarm));
@@ -327,10 +422,14 @@ class AlarmTimerApp {
   findNextAlarm() {
     const now = new Date();
     const enabledAlarms = this.data.alarms.filter((alarm) => alarm.enabled);
-    if (enabledAlarms.length === 0) return null;
-
     let best = null;
 
+    this.data.snoozes.forEach((snooze) => {
+      if (!best || snooze.at < best.timestamp) {
+        best = { alarm: snooze, timestamp: snooze.at, time: this.formatTimestamp(snooze.at) };
+      }
+    });
+
     enabledAlarms.forEach((alarm) => {
       const timestamp = this.getNextOccurrenceTimestamp(alarm, now);
       if (!Number.isFinite(timestamp)) return;
@@ -423,6 +522,15 @@ class AlarmTimerApp {
     return mondayFirstOrder.filter((day) => days.includes(day));
   }
 
+  createId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+  }
+
+  formatTimestamp(timestamp) {
+    const date = new Date(timestamp);
+    return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+  }
+
   escapeHtml(str) {
     const div = document.createElement('div');
     div.textContent = str;
@@ -438,6 +546,7 @@ class AlarmTimerApp {
     this.saveData();
     this.renderAlarms();
     this.updateHeroDisplay();
+    this.reportNotifications();
   }
 
   deleteAlarm(id) {
@@ -445,17 +554,27 @@ class AlarmTimerApp {
     this.saveData();
     this.renderAlarms();
     this.updateHeroDisplay();
+    this.reportNotifications();
   }
 
   startAlarmChecker() {
-    this.lastAlarmCheckAt = Date.now();
+    this.checkAlarms();
     this.alarmCheckInterval = setInterval(() => this.checkAlarms(), 1000);
   }
 
   checkAlarms() {
     const nowMs = Date.now();
-    const fromMs = this.lastAlarmCheckAt;
+    let fromMs = this.lastAlarmCheckAt;
     this.lastAlarmCheckAt = nowMs;
+    let didChange = false;
+
+    // Anything older than the freshness window came due while the app was closed or the device slept.
+    const staleUntilMs = nowMs - this.alarmFreshnessWindowMs;
+    if (fromMs < staleUntilMs) {
+      didChange = this.recordMissedAlarms(fromMs, staleUntilMs);
+      fromMs = staleUntilMs;
+    }
+    didChange = this.checkSnoozes(nowMs, staleUntilMs) || didChange;
 
     const candidateTimes = [];
     const cursor = new Date(fromMs);
@@ -466,10 +585,6 @@ class AlarmTimerApp {
       cursor.setMinutes(cursor.getMinutes() + 1);
     }
 
-    if (candidateTimes.length === 0) return;
-
-    let didChange = false;
-
     this.data.alarms.forEach((alarm) => {
       if (!alarm.enabled) return;
 
@@ -505,10 +620,99 @@ class AlarmTimerApp {
     if (didChange) {
       this.saveData();
       this.renderAlarms();
+      this.renderMissed();
       this.updateHeroDisplay();
+      this.reportStatus();
+      this.reportNotifications();
+    } else if (nowMs - (this.data.lastCheckedAt ?? 0) >= this.checkpointIntervalMs) {
+      this.saveData();
     }
   }
 
+  // Collects the occurrences between two checks that nobody heard. One-off alarms are used up, as if they had rung.
+  recordMissedAlarms(fromMs, untilMs) {
+    const startMs = Math.max(fromMs, untilMs - this.missedLookbackMs);
+    let didChange = false;
+
+    this.data.alarms.forEach((alarm) => {
+      if (!alarm.enabled) return;
+
+      let timestamp = this.getNextOccurrenceTimestamp(alarm, new Date(startMs));
+      while (Number.isFinite(timestamp) && timestamp < untilMs) {
+        const dateStr = new Date(timestamp).toDateString();
+        if (alarm.lastTriggered !== dateStr) {
+          alarm.lastTriggered = dateStr;
+          this.addMissedAlarm(alarm, timestamp);
+          didChange = true;
+        }
+
+        if (alarm.days.length === 0) {
+          alarm.enabled = false;
+          didChange = true;
+          break;
+        }
+        timestamp = this.getNextOccurrenceTimestamp(alarm, new Date(timestamp));
+      }
+    });
+
+    return didChange;
+  }
+
+  checkSnoozes(nowMs, staleUntilMs) {
+    const due = this.data.snoozes.filter((snooze) => snooze.at <= nowMs);
+    if (due.length === 0) return false;
+
+    this.data.snoozes = this.data.snoozes.filter((snooze) => snooze.at > nowMs);
+    due.forEach((snooze) => {
+      if (snooze.at < staleUntilMs) {
+        this.addMissedAlarm(snooze, snooze.at);
+      } else {
+        this.triggerAlarm(snooze);
+      }
+    });
+    return true;
+  }
+
+  addMissedAlarm({ label, time }, at) {
+    this.data.missed.push({ id: this.createId(), label, time, at });
+    this.data.missed.sort((a, b) => a.at - b.at);
+    if (this.data.missed.length > this.missedLimit) {
+      this.data.missed = this.data.missed.slice(-this.missedLimit);
+    }
+  }
+
+  snoozeMissedAlarm(id) {
+    const missed = this.data.missed.find((entry) => entry.id === id);
+    if (!missed) return;
+
+    this.data.missed = this.data.missed.filter((entry) => entry.id !== id);
+    this.data.snoozes.push({ id: this.createId(), label: missed.label, time: missed.time, at: Date.now() + this.snoozeMs });
+    this.saveMissedChanges();
+  }
+
+  dismissMissedAlarm(id) {
+    this.data.missed = this.data.missed.filter((entry) => entry.id !== id);
+    this.saveMissedChanges();
+  }
+
+  dismissAllMissedAlarms() {
+    this.data.missed = [];
+    this.saveMissedChanges();
+  }
+
+  cancelSnooze(id) {
+    this.data.snoozes = this.data.snoozes.filter((snooze) => snooze.id !== id);
+    this.saveMissedChanges();
+  }
+
+  saveMissedChanges() {
+    this.saveData();
+    this.renderMissed();
+    this.updateHeroDisplay();
+    this.reportStatus();
+    this.reportNotifications();
+  }
+
   triggerAlarm(alarm) {
     this.lastFocusedElementByModal.alarm = this.getRestorableFocusedElement();
     this.alarmModalLabel.textContent = alarm.label || 'Alarm';
@@ -517,9 +721,6 @@ class AlarmTimerApp {
     this.alarmModal.setAttribute('aria-hidden', 'false');
     window.setTimeout(() => this.dismissAlarmBtn.focus(), 50);
     this.startRinging();
-    this.showNotification(alarm.label ? `Alarm: ${alarm.label}` : 'Alarm', {
-      body: `Time: ${this.formatAlarmTime(alarm.time)}`
-    });
   }
 
   dismissAlarm({ restoreFocus = true } = {}) {
@@ -569,58 +770,51 @@ class AlarmTimerApp {
     }
   }
 
-  maybeRequestNotificationPermission() {
-    if (!('Notification' in window)) return;
-    if (Notification.permission !== 'default') return;
-    if (this.notificationPermissionRequested) return;
-
-    this.notificationPermissionRequested = true;
-    Notification.requestPermission().catch(() => {});
-  }
-
-  showNotification(title, options = {}) {
-    if (!('Notification' in window)) return;
-    if (Notification.permission !== 'granted') return;
+  // The launcher rings every occurrence in the next week, even if this app is not open.
+  // Opening the app (or any change to the alarms) extends the schedule.
+  reportNotifications() {
+    const now = new Date();
+    const horizon = now.getTime() + this.notificationHorizonMs;
+    const notifications = [];
+
+    this.data.alarms.filter((alarm) => alarm.enabled).forEach((alarm) => {
+      let timestamp = this.getNextOccurrenceTimestamp(alarm, now);
+      while (Number.isFinite(timestamp) && timestamp <= horizon) {
+        notifications.push({
+          id: `${alarm.id}-${timestamp}`,
+          at: timestamp,
+          title: alarm.label ? `Alarm: ${alarm.label}` : 'Alarm',
+          body: `Time: ${this.formatAlarmTime(alarm.time)}`
+        });
+        if (alarm.days.length === 0) break;
+        timestamp = this.getNextOccurrenceTimestamp(alarm, new Date(timestamp));
+      }
+    });
 
-    try {
-      const notification = new Notification(title, {
-        body: options.body || '',
-        tag: options.tag || this.notificationTag
+    this.data.snoozes.forEach((snooze) => {
+      notifications.push({
+        id: `snooze-${snooze.id}`,
+        at: snooze.at,
+        title: snooze.label ? `Alarm: ${snooze.label}` : 'Alarm',
+        body: `Snoozed from ${this.formatAlarmTime(snooze.time)}`
       });
-      setTimeout(() => notification.close(), 10000);
-    } catch (error) {
-      // Ignore notification failures.
-    }
+    });
+
+    MarlApps.setNotifications(notifications.sort((a, b) => a.at - b.at));
   }
 
   reportBackgroundActivity() {
-    if (this.lastReportedBackgroundActivity === false) return;
-    this.lastReportedBackgroundActivity = false;
-
-    try {
-      if (window.parent && window.parent !== window) {
-        window.parent.postMessage({
-          type: 'app-background-activity',
-          appId: this.appId,
-          active: false
-        }, '*');
-      }
-    } catch (error) {
-      // Ignore postMessage failures.
-    }
+    MarlApps.setBackgroundActive(false);
   }
 
   reportStatus() {
-    try {
-      if (!window.parent || window.parent === window) return;
-      window.parent.postMessage({
-        type: 'app-status',
-        appId: this.appId,
-        status: { active: false }
-      }, '*');
-    } catch (error) {
-      // Ignore postMessage failures.
+    const missedCount = this.data.missed.length;
+    if (missedCount === 0) {
+      MarlApps.clearStatus();
+      return;
     }
+
+    MarlApps.setStatus({ label: `${missedCount} missed`, variant: 'alert' });
   }
 
   updateDocumentTitle(nextAlarm = this.findNextAlarm()) {
@@ -0,0 +1,65 @@
+// Launcher widget: the next few enabled alarms, and how many rang while nobody was listening.
+
+const STORAGE_KEY = 'marlapps-timer-alarm';
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function readData() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    return {
+      alarms: parsed && Array.isArray(parsed.alarms) ? parsed.alarms : [],
+      missed: parsed && Array.isArray(parsed.missed) ? parsed.missed : []
+    };
+  } catch (e) {
+    return { alarms: [], missed: [] };
+  }
+}
+
+// Same rules as the app: one-off alarms ring at the next matching time, repeating ones on their days.
+function getNextOccurrence(alarm, now) {
+  const [hours, minutes] = alarm.time.split(':').map(Number);
+  const days = Array.isArray(alarm.days) ? alarm.days.map(Number) : [];
+
+  for (let offset = 0; offset <= 7; offset += 1) {
+    const candidate = new Date(now);
+    candidate.setDate(candidate.getDate() + offset);
+    candidate.setHours(hours, minutes, 0, 0);
+    if (candidate <= now) continue;
+    if (days.length === 0 || days.includes(candidate.getDay())) return candidate;
+  }
+  return null;
+}
+
+function describeDay(date, now) {
+  const tomorrow = new Date(now);
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  if (date.toDateString() === now.toDateString()) return 'Today';
+  if (date.toDateString() === tomorrow.toDateString()) return 'Tomorrow';
+  return date.toLocaleDateString(undefined, { weekday: 'long' });
+}
+
+export function getWidget() {
+  const now = new Date();
+  const { alarms, missed } = readData();
+  const missedText = missed.length > 0 ? `${missed.length} missed alarm${missed.length === 1 ? '' : 's'}` : null;
+  const upcoming = alarms
+    .filter(alarm => alarm && alarm.enabled !== false && typeof alarm.time === 'string' && TIME_PATTERN.test(alarm.time))
+    .map(alarm => ({ alarm, at: getNextOccurrence(alarm, now) }))
+    .filter(entry => entry.at)
+    .sort((a, b) => a.at - b.at)
+    .slice(0, 3);
+
+  if (upcoming.length === 0) return { text: missedText || 'No alarms set' };
+
+  return {
+    ...(missedText ? { text: missedText } : {}),
+    items: upcoming.map(({ alarm, at }) => ({
+      text: typeof alarm.label === 'string' && alarm.label.trim() ? `${alarm.time} · ${alarm.label.trim()}` : alarm.time,
+      meta: describeDay(at, now)
+    }))
+  };
+}
+
+export default {
+  getWidget
+};
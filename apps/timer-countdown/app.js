@@ -1,16 +1,12 @@
 class CountdownTimerApp {
   constructor() {
     this.storageKey = 'marlapps-timer-countdown';
-    this.notificationTag = 'marlapps-timer-countdown';
-    this.appId = 'timer-countdown';
     this.countdownInterval = null;
     this.beepAudioCtx = null;
-    this.notificationPermissionRequested = false;
     this.lastCompletedCountdown = 0;
     this.lastRuntimeSaveAt = 0;
     this.wakeLock = null;
     this.appVisible = true;
-    this.lastReportedBackgroundActivity = null;
     this.activeModal = null;
     this.lastFocusedElementByModal = {};
     this.data = this.loadData();
@@ -25,7 +21,7 @@ class CountdownTimerApp {
 
     this.initElements();
     this.attachEventListeners();
-    this.syncThemeWithParent();
+    this.connectLauncher();
     this.renderRecentCountdowns();
     this.restoreRuntimeState();
     this.updateCountdownDisplay();
@@ -168,27 +164,8 @@ class CountdownTimerApp {
     this.updateDocumentTitle();
   }
 
-  syncThemeWithParent() {
-    try {
-      const savedTheme = localStorage.getItem('marlapps-theme');
-      if (savedTheme) this.applyTheme(savedTheme);
-    } catch (error) {
-      // Ignore theme storage errors.
-    }
-
-    window.addEventListener('message', (event) => {
-      if (event.data && event.data.type === 'theme-change') {
-        this.applyTheme(event.data.theme);
-      }
-
-      if (event.data && event.data.type === 'app-visibility') {
-        this.handleAppVisibility(Boolean(event.data.visible));
-      }
-    });
-  }
-
-  applyTheme(theme) {
-    document.documentElement.setAttribute('data-theme', theme);
+  connectLauncher() {
+    MarlApps.on('visibility', ({ visible }) => this.handleAppVisibility(visible));
   }
 
   initElements() {
@@ -482,6 +459,7 @@ class CountdownTimerApp {
     this.countdownRing.classList.remove('done');
     this.updateCountdownDisplay();
     this.persistRuntimeData(true);
+    this.reportNotifications();
   }
 
   repeatLastCountdown() {
@@ -492,7 +470,6 @@ class CountdownTimerApp {
 
   startCountdown() {
     if (this.countdownState.timeRemaining <= 0 && !this.countdownState.paused) return;
-    this.maybeRequestNotificationPermission();
 
     this.countdownState.running = true;
     this.countdownState.paused = false;
@@ -533,9 +510,6 @@ class CountdownTimerApp {
         this.playBeep(880, 0.3);
         setTimeout(() => this.playBeep(1046, 0.4), 400);
         this.vibrate([200, 120, 240]);
-        this.showNotification('Countdown finished', {
-          body: 'Your timer has reached zero.'
-        });
       }
 
       this.releaseWakeLock();
@@ -648,49 +622,36 @@ class CountdownTimerApp {
   }
 
   reportBackgroundActivity() {
-    const active = this.hasActiveBackgroundWork();
-    if (this.lastReportedBackgroundActivity === active) return;
-    this.lastReportedBackgroundActivity = active;
+    MarlApps.setBackgroundActive(this.hasActiveBackgroundWork());
+    this.reportNotifications();
+  }
 
-    try {
-      if (window.parent && window.parent !== window) {
-        window.parent.postMessage({
-          type: 'app-background-activity',
-          appId: this.appId,
-          active
-        }, '*');
-      }
-    } catch (error) {
-      // Ignore postMessage failures.
+  // The launcher notifies when the countdown ends, even if this app has been unloaded.
+  reportNotifications() {
+    if (!this.countdownState.running || !this.countdownState.endAt) {
+      MarlApps.setNotifications([]);
+      return;
     }
+
+    MarlApps.setNotifications([{
+      id: 'countdown',
+      at: this.countdownState.endAt,
+      title: 'Countdown finished',
+      body: 'Your timer has reached zero.'
+    }]);
   }
 
   reportStatus() {
-    try {
-      if (!window.parent || window.parent === window) return;
-
-      if (this.countdownState.running) {
-        window.parent.postMessage({
-          type: 'app-status',
-          appId: this.appId,
-          status: {
-            active: true,
-            label: 'countdown',
-            timeRemaining: this.countdownState.timeRemaining,
-            variant: 'alert'
-          }
-        }, '*');
-        return;
-      }
-
-      window.parent.postMessage({
-        type: 'app-status',
-        appId: this.appId,
-        status: { active: false }
-      }, '*');
-    } catch (error) {
-      // Ignore postMessage failures.
+    if (!this.countdownState.running) {
+      MarlApps.clearStatus();
+      return;
     }
+
+    MarlApps.setStatus({
+      label: 'countdown',
+      timeRemaining: this.countdownState.timeRemaining,
+      variant: 'alert'
+    });
   }
 
   updateDocumentTitle() {
@@ -797,29 +758,6 @@ class CountdownTimerApp {
     this.handleVisibilityChange();
   }
 
-  maybeRequestNotificationPermission() {
-    if (!('Notification' in window)) return;
-    if (Notification.permission !== 'default') return;
-    if (this.notificationPermissionRequested) return;
-
-    this.notificationPermissionRequested = true;
-    Notification.requestPermission().catch(() => {});
-  }
-
-  showNotification(title, options = {}) {
-    if (!('Notification' in window)) return;
-    if (Notification.permission !== 'granted') return;
-
-    try {
-      const notification = new Notification(title, {
-        body: options.body || '',
-        tag: options.tag || this.notificationTag
-      });
-      setTimeout(() => notification.close(), 10000);
-    } catch (error) {
-      // Ignore notification failures.
-    }
-  }
 }
 
 document.addEventListener('DOMContentLoaded', () => {
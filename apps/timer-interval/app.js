@@ -1,15 +1,11 @@
 class IntervalTimerApp {
   constructor() {
     this.storageKey = 'marlapps-timer-interval';
-    this.notificationTag = 'marlapps-timer-interval';
-    this.appId = 'timer-interval';
     this.intervalTimerInterval = null;
     this.beepAudioCtx = null;
-    this.notificationPermissionRequested = false;
     this.lastRuntimeSaveAt = 0;
     this.wakeLock = null;
     this.appVisible = true;
-    this.lastReportedBackgroundActivity = null;
     this.activeModal = null;
     this.lastFocusedElementByModal = {};
     this.data = this.loadData();
@@ -25,7 +21,7 @@ class IntervalTimerApp {
 
     this.initElements();
     this.attachEventListeners();
-    this.syncThemeWithParent();
+    this.connectLauncher();
     this.restoreRuntimeState();
     this.updateIntervalDisplay();
     this.reportBackgroundActivity();
@@ -157,27 +153,8 @@ class IntervalTimerApp {
     this.updateDocumentTitle();
   }
 
-  syncThemeWithParent() {
-    try {
-      const savedTheme = localStorage.getItem('marlapps-theme');
-      if (savedTheme) this.applyTheme(savedTheme);
-    } catch (error) {
-      // Ignore theme storage errors.
-    }
-
-    window.addEventListener('message', (event) => {
-      if (event.data && event.data.type === 'theme-change') {
-        this.applyTheme(event.data.theme);
-      }
-
-      if (event.data && event.data.type === 'app-visibility') {
-        this.handleAppVisibility(Boolean(event.data.visible));
-      }
-    });
-  }
-
-  applyTheme(theme) {
-    document.documentElement.setAttribute('data-theme', theme);
+  connectLauncher() {
+    MarlApps.on('visibility', ({ visible }) => this.handleAppVisibility(visible));
   }
 
   initElements() {
@@ -320,13 +297,13 @@ class IntervalTimerApp {
 
     this.saveData();
     this.updateIntervalDisplay();
+    this.reportNotifications();
     this.closeModal('settings', { restoreFocus: false });
     window.setTimeout(() => this.openSettingsBtn.focus(), 50);
   }
 
   startInterval() {
     const settings = this.data.intervalSettings;
-    this.maybeRequestNotificationPermission();
     clearInterval(this.intervalTimerInterval);
 
     if (this.intervalState.paused) {
@@ -366,12 +343,7 @@ class IntervalTimerApp {
         this.intervalState.phase = 'rest';
         this.intervalState.phaseEndsAt += this.data.intervalSettings.rest * 1000;
       } else if (this.intervalState.currentRound >= this.data.intervalSettings.rounds) {
-        if (!silent) {
-          this.playBeep(1046, 0.5);
-          this.showNotification('Interval timer complete', {
-            body: `${this.data.intervalSettings.rounds} rounds finished.`
-          });
-        }
+        if (!silent) this.playBeep(1046, 0.5);
         this.resetInterval({ persist });
         return;
       } else {
@@ -468,50 +440,44 @@ class IntervalTimerApp {
   }
 
   reportBackgroundActivity() {
-    const active = this.hasActiveBackgroundWork();
-    if (this.lastReportedBackgroundActivity === active) return;
-    this.lastReportedBackgroundActivity = active;
+    MarlApps.setBackgroundActive(this.hasActiveBackgroundWork());
+    this.reportNotifications();
+  }
 
-    try {
-      if (window.parent && window.parent !== window) {
-        window.parent.postMessage({
-          type: 'app-background-activity',
-          appId: this.appId,
-          active
-        }, '*');
-      }
-    } catch (error) {
-      // Ignore postMessage failures.
-    }
+  // Last round ends after the current phase, the rest of its round and the remaining rounds.
+  getIntervalEndAt() {
+    const { work, rest, rounds } = this.data.intervalSettings;
+    const state = this.intervalState;
+    const restOfRound = state.phase === 'work' ? rest : 0;
+    return state.phaseEndsAt + (restOfRound + (rounds - state.currentRound) * (work + rest)) * 1000;
   }
 
-  reportStatus() {
-    try {
-      if (!window.parent || window.parent === window) return;
+  // The launcher notifies when the last round ends, even if this app has been unloaded.
+  reportNotifications() {
+    if (!this.intervalState.running || !this.intervalState.phaseEndsAt) {
+      MarlApps.setNotifications([]);
+      return;
+    }
 
-      if (this.intervalState.running) {
-        const variant = this.intervalState.phase === 'work' ? 'alert' : 'calm';
-        window.parent.postMessage({
-          type: 'app-status',
-          appId: this.appId,
-          status: {
-            active: true,
-            label: this.intervalState.phase,
-            timeRemaining: this.intervalState.timeRemaining,
-            variant
-          }
-        }, '*');
-        return;
-      }
+    MarlApps.setNotifications([{
+      id: 'complete',
+      at: this.getIntervalEndAt(),
+      title: 'Interval timer complete',
+      body: `${this.data.intervalSettings.rounds} rounds finished.`
+    }]);
+  }
 
-      window.parent.postMessage({
-        type: 'app-status',
-        appId: this.appId,
-        status: { active: false }
-      }, '*');
-    } catch (error) {
-      // Ignore postMessage failures.
+  reportStatus() {
+    if (!this.intervalState.running) {
+      MarlApps.clearStatus();
+      return;
     }
+
+    MarlApps.setStatus({
+      label: this.intervalState.phase,
+      timeRemaining: this.intervalState.timeRemaining,
+      variant: this.intervalState.phase === 'work' ? 'alert' : 'calm'
+    });
   }
 
   updateDocumentTitle() {
@@ -603,29 +569,6 @@ class IntervalTimerApp {
     this.handleVisibilityChange();
   }
 
-  maybeRequestNotificationPermission() {
-    if (!('Notification' in window)) return;
-    if (Notification.permission !== 'default') return;
-    if (this.notificationPermissionRequested) return;
-
-    this.notificationPermissionRequested = true;
-    Notification.requestPermission().catch(() => {});
-  }
-
-  showNotification(title, options = {}) {
-    if (!('Notification' in window)) return;
-    if (Notification.permission !== 'granted') return;
-
-    try {
-      const notification = new Notification(title, {
-        body: options.body || '',
-        tag: options.tag || this.notificationTag
-      });
-      setTimeout(() => notification.close(), 10000);
-    } catch (error) {
-      // Ignore notification failures.
-    }
-  }
 }
 
 document.addEventListener('DOMContentLoaded', () => {
@@ -9,7 +9,7 @@ class TodoList {
 
     this.initElements();
     this.attachEventListeners();
-    this.syncThemeWithParent();
+    this.connectLauncher();
     this.render();
   }
 
@@ -22,26 +22,11 @@ class TodoList {
     this.filterBtns = document.querySelectorAll('.filter-btn');
   }
 
-  syncThemeWithParent() {
-    try {
-      const savedTheme = localStorage.getItem('marlapps-theme');
-      if (savedTheme) {
-        this.applyTheme(savedTheme);
-      }
-    } catch (e) {
-      // Fail silently
-    }
-
-    // Listen for theme changes from parent
-    window.addEventListener('message', (event) => {
-      if (event.data && event.data.type === 'theme-change') {
-        this.applyTheme(event.data.theme);
-      }
+  connectLauncher() {
+    MarlApps.onIntent('todo.create', (payload) => {
+      if (payload && typeof payload.text === 'string') this.createTask(payload.text);
     });
-  }
-
-  applyTheme(theme) {
-    document.documentElement.setAttribute('data-theme', theme);
+    MarlApps.on('open-item', ({ item }) => this.revealTask(item));
   }
 
   attachEventListeners() {
@@ -82,13 +67,15 @@ class TodoList {
           if (!task || typeof task !== 'object') return null;
           if (typeof task.text !== 'string') return null;
 
+          const createdAt = Number.isFinite(task.createdAt) ? task.createdAt : Date.now();
           return {
             id: typeof task.id === 'string'
               ? task.id
               : `task-${index}-${Date.now()}`,
             text: task.text,
             completed: Boolean(task.completed),
-            createdAt: Number.isFinite(task.createdAt) ? task.createdAt : Date.now()
+            createdAt,
+            updatedAt: Number.isFinite(task.updatedAt) ? task.updatedAt : createdAt
           };
         })
         .filter(Boolean);
@@ -102,20 +89,28 @@ class TodoList {
   }
 
   addTask() {
-    const text = this.newTaskInput.value.trim();
-    if (!text) return;
+    if (this.createTask(this.newTaskInput.value)) {
+      this.newTaskInput.value = '';
+    }
+  }
+
+  createTask(rawText) {
+    const text = String(rawText || '').trim();
+    if (!text) return null;
 
+    const now = Date.now();
     const newTask = {
       id: this.generateId(),
       text: text,
       completed: false,
-      createdAt: Date.now()
+      createdAt: now,
+      updatedAt: now
     };
 
     this.tasks.push(newTask);
-    this.newTaskInput.value = '';
     this.saveTasks();
     this.render();
+    return newTask;
   }
 
   deleteTask(id) {
@@ -128,6 +123,7 @@ class TodoList {
     const task = this.tasks.find(t => t.id === id);
     if (task) {
       task.completed = !task.completed;
+      task.updatedAt = Date.now();
       this.saveTasks();
       this.render();
     }
@@ -148,6 +144,7 @@ class TodoList {
     const task = this.tasks.find(t => t.id === id);
     if (task) {
       task.text = text;
+      task.updatedAt = Date.now();
       this.editingTaskId = null;
       this.saveTasks();
       this.render();
@@ -182,6 +179,23 @@ class TodoList {
     this.render();
   }
 
+  // Scrolls to a task opened from launcher search and briefly highlights it.
+  revealTask(id) {
+    const task = this.tasks.find(t => t.id === id);
+    if (!task) return;
+    if (!this.getFilteredTasks().includes(task)) this.setFilter('all');
+
+    const taskEl = [...this.taskListEl.querySelectorAll('.task-item')]
+      .find(el => el.dataset.taskId === id);
+    if (!taskEl) return;
+
+    taskEl.scrollIntoView({ block: 'center' });
+    taskEl.classList.remove('highlighted');
+    void taskEl.offsetWidth;
+    taskEl.classList.add('highlighted');
+    taskEl.addEventListener('animationend', () => taskEl.classList.remove('highlighted'), { once: true });
+  }
+
   getFilteredTasks() {
     switch (this.currentFilter) {
       case 'active':
@@ -213,6 +227,7 @@ class TodoList {
   createTaskElement(task) {
     const taskEl = document.createElement('div');
     taskEl.className = `task-item ${task.completed ? 'completed' : ''}`;
+    taskEl.dataset.taskId = task.id;
 
     if (this.editingTaskId === task.id) {
       taskEl.innerHTML = `
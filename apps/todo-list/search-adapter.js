@@ -0,0 +1,36 @@
+// Launcher search hook: matches todo text, open tasks first.
+
+const STORAGE_KEY = 'marlapps-todo-list';
+
+function readTasks() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+export function searchItems(query, { limit = 5 } = {}) {
+  const tokens = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (tokens.length === 0) return [];
+
+  return readTasks()
+    .filter(task => task && typeof task.id === 'string' && typeof task.text === 'string')
+    .filter((task) => {
+      const text = task.text.toLowerCase();
+      return tokens.every(token => text.includes(token));
+    })
+    .sort((a, b) => Number(Boolean(a.completed)) - Number(Boolean(b.completed))
+      || (Number(b.createdAt) || 0) - (Number(a.createdAt) || 0))
+    .slice(0, limit)
+    .map(task => ({
+      id: task.id,
+      title: task.text,
+      subtitle: task.completed ? 'Completed' : 'Open'
+    }));
+}
+
+export default {
+  searchItems
+};
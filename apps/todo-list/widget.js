@@ -0,0 +1,34 @@
+// Launcher widget: how many todos are open, and the newest few.
+
+const STORAGE_KEY = 'marlapps-todo-list';
+
+function readTasks() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+export function getWidget() {
+  const tasks = readTasks().filter(task => task && typeof task.text === 'string');
+  const open = tasks
+    .filter(task => !task.completed)
+    .sort((a, b) => (Number(b.createdAt) || 0) - (Number(a.createdAt) || 0));
+
+  if (tasks.length === 0) return { text: 'No todos yet' };
+  if (open.length === 0) return { text: 'All done' };
+
+  return {
+    stats: [
+      { value: open.length, label: 'open' },
+      { value: tasks.length - open.length, label: 'done' }
+    ],
+    items: open.slice(0, 3).map(task => ({ text: task.text }))
+  };
+}
+
+export default {
+  getWidget
+};
@@ -15,7 +15,7 @@ class TrackerApp {
 
     this.initElements();
     this.initEventListeners();
-    this.syncThemeWithParent();
+    this.connectLauncher();
     this.render();
   }
 
@@ -230,6 +230,16 @@ class TrackerApp {
         else if (this.trackerModal.classList.contains('active')) this.closeTrackerModal();
       }
     });
+
+    let resizeTimer;
+    window.addEventListener('resize', () => {
+      clearTimeout(resizeTimer);
+      resizeTimer = setTimeout(() => this.redrawChart(), 150);
+    });
+
+    window.addEventListener('beforeunload', () => {
+      this.saveData();
+    });
   }
 
   // ==================== NAVIGATION ====================
@@ -240,6 +250,7 @@ class TrackerApp {
     this.listView.classList.remove('hidden');
     this.detailView.classList.add('hidden');
     this.renderList();
+    MarlApps.setRoute('');
   }
 
   showDetail(trackerId) {
@@ -253,6 +264,29 @@ class TrackerApp {
     this.listView.classList.add('hidden');
     this.detailView.classList.remove('hidden');
     this.renderDetail();
+    MarlApps.setRoute(`tracker/${trackerId}`);
+  }
+
+  // Search hits and deep links open straight into a tracker's detail view.
+  // The chart reads its colors from CSS variables, so it is redrawn on theme changes.
+  connectLauncher() {
+    MarlApps.on('open-item', ({ item }) => this.showDetail(item));
+    MarlApps.on('route', ({ route }) => this.applyRoute(route));
+    MarlApps.on('theme', () => requestAnimationFrame(() => this.redrawChart()));
+  }
+
+  // Route `tracker/{id}` for the detail view; empty for the list.
+  applyRoute(route) {
+    const [kind, trackerId] = route.split('/');
+    const tracker = kind === 'tracker' ? this.getTracker(trackerId) : null;
+
+    // Unknown trackers fall back to the list without adding a history entry.
+    MarlApps.setRoute(tracker ? `tracker/${tracker.id}` : '', { replace: true });
+    if (tracker) {
+      this.showDetail(tracker.id);
+    } else {
+      this.showList();
+    }
   }
 
   // ==================== TRACKER MODAL ====================
@@ -529,6 +563,10 @@ class TrackerApp {
 
   // ==================== CHART ====================
 
+  redrawChart() {
+    if (this.currentView === 'detail') this.renderChart();
+  }
+
   renderChart() {
     const tracker = this.getActiveTracker();
     if (!tracker || tracker.type !== 'numeric') return;
@@ -777,40 +815,6 @@ class TrackerApp {
       this.entriesList.appendChild(item);
     });
   }
-
-  // ==================== THEME ====================
-
-  syncThemeWithParent() {
-    try {
-      const saved = localStorage.getItem('marlapps-theme');
-      if (saved) document.documentElement.setAttribute('data-theme', saved);
-    } catch { /* ignore */ }
-
-    window.addEventListener('message', (event) => {
-      if (event.data && event.data.type === 'theme-change') {
-        document.documentElement.setAttribute('data-theme', event.data.theme);
-        const tracker = this.getActiveTracker();
-        if (this.currentView === 'detail' && tracker && tracker.type === 'numeric') {
-          requestAnimationFrame(() => this.renderChart());
-        }
-      }
-    });
-
-    let resizeTimer;
-    window.addEventListener('resize', () => {
-      clearTimeout(resizeTimer);
-      resizeTimer = setTimeout(() => {
-        const tracker = this.getActiveTracker();
-        if (this.currentView === 'detail' && tracker && tracker.type === 'numeric') {
-          this.renderChart();
-        }
-      }, 150);
-    });
-
-    window.addEventListener('beforeunload', () => {
-      this.saveData();
-    });
-  }
 }
 
 document.addEventListener('DOMContentLoaded', () => {
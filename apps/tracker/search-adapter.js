@@ -0,0 +1,42 @@
+// Launcher search hook: matches tracker names and units.
+
+const STORAGE_KEY = 'marlapps-tracker';
+
+function readTrackers() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    return parsed && Array.isArray(parsed.trackers) ? parsed.trackers : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function describeTracker(tracker) {
+  const entryCount = tracker.entries && typeof tracker.entries === 'object'
+    ? Object.keys(tracker.entries).length
+    : 0;
+  const kind = tracker.type === 'boolean' ? 'Yes/No' : `Numeric${tracker.unit ? ` (${tracker.unit})` : ''}`;
+  return `${kind} · ${entryCount} ${entryCount === 1 ? 'entry' : 'entries'}`;
+}
+
+export function searchItems(query, { limit = 5 } = {}) {
+  const tokens = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (tokens.length === 0) return [];
+
+  return readTrackers()
+    .filter(tracker => tracker && typeof tracker.id === 'string' && typeof tracker.name === 'string')
+    .filter((tracker) => {
+      const haystack = `${tracker.name} ${tracker.unit || ''}`.toLowerCase();
+      return tokens.every(token => haystack.includes(token));
+    })
+    .slice(0, limit)
+    .map(tracker => ({
+      id: tracker.id,
+      title: tracker.name,
+      subtitle: describeTracker(tracker)
+    }));
+}
+
+export default {
+  searchItems
+};
@@ -0,0 +1,59 @@
+// Launcher widget: streaks for yes/no trackers and the latest value for numeric ones.
+
+const STORAGE_KEY = 'marlapps-tracker';
+
+function readTrackers() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    return parsed && Array.isArray(parsed.trackers) ? parsed.trackers : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function toDateKey(date) {
+  return date.getFullYear() + '-' +
+    String(date.getMonth() + 1).padStart(2, '0') + '-' +
+    String(date.getDate()).padStart(2, '0');
+}
+
+// A streak is still alive until today is over, so it counts back from yesterday when today is not logged yet.
+function describeBoolean(entries) {
+  const day = new Date();
+  const doneToday = Boolean(entries[toDateKey(day)]);
+  if (!doneToday) day.setDate(day.getDate() - 1);
+
+  let streak = 0;
+  while (entries[toDateKey(day)]) {
+    streak++;
+    day.setDate(day.getDate() - 1);
+  }
+
+  return `${streak}d streak${doneToday ? ' · done today' : ''}`;
+}
+
+function describeNumeric(tracker) {
+  const latest = Object.keys(tracker.entries).sort().pop();
+  if (!latest) return 'No entries';
+  const value = Number(tracker.entries[latest]);
+  return `${Math.round(value * 10) / 10}${tracker.unit ? ` ${tracker.unit}` : ''}`;
+}
+
+export function getWidget() {
+  const trackers = readTrackers()
+    .filter(tracker => tracker && typeof tracker.name === 'string'
+      && tracker.entries && typeof tracker.entries === 'object');
+
+  if (trackers.length === 0) return null;
+
+  return {
+    items: trackers.slice(0, 3).map(tracker => ({
+      text: tracker.name,
+      meta: tracker.type === 'boolean' ? describeBoolean(tracker.entries) : describeNumeric(tracker)
+    }))
+  };
+}
+
+export default {
+  getWidget
+};
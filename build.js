@@ -1,32 +1,96 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const ManifestValidator = require('./launcher/manifest-validator.js');
 
 const ROOT = __dirname;
 const APPS_DIR = path.join(ROOT, 'apps');
+const SHARED_DIR = path.join(ROOT, 'shared');
+const SCHEMA_PATH = path.join(ROOT, 'registry', 'manifest.schema.json');
+const REGISTRY_PATH = path.join(ROOT, 'registry', 'apps.json');
+const MANIFEST_PATH = path.join(ROOT, 'manifest.json');
+const SW_PATH = path.join(ROOT, 'service-worker.js');
 
-// Discover all apps from apps/*/manifest.json
+// Recursive file list as ./-prefixed paths from the repo root; dotfiles are skipped.
+function listFiles(folderPath) {
+  const files = [];
+  const walk = (currentPath) => {
+    const entries = fs.readdirSync(currentPath, { withFileTypes: true });
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) continue;
+      const fullPath = path.join(currentPath, entry.name);
+      if (entry.isDirectory()) {
+        walk(fullPath);
+        continue;
+      }
+      if (!entry.isFile()) continue;
+      const relPath = path.relative(ROOT, fullPath).split(path.sep).join('/');
+      files.push(`./${relPath}`);
+    }
+  };
+
+  walk(folderPath);
+  return files;
+}
+
+// Discover all apps from apps/*/manifest.json. Returns { apps, errors }.
 function discoverApps() {
   const entries = fs.readdirSync(APPS_DIR, { withFileTypes: true });
   const apps = [];
+  const errors = [];
 
   for (const entry of entries) {
     if (!entry.isDirectory()) continue;
     const manifestPath = path.join(APPS_DIR, entry.name, 'manifest.json');
     if (!fs.existsSync(manifestPath)) continue;
 
-    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
-    apps.push({ folder: entry.name, manifest });
+    try {
+      const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+      apps.push({ folder: entry.name, manifest });
+    } catch (error) {
+      errors.push(`apps/${entry.name}/manifest.json: ${error.message}`);
+    }
   }
 
   apps.sort((a, b) => (a.manifest.order || 999) - (b.manifest.order || 999));
-  return apps;
+  return { apps, errors };
+}
+
+// Validate every manifest against the schema, and check that the files it names exist.
+function validateApps(apps) {
+  const validator = new ManifestValidator(JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8')));
+  const errors = [];
+  const seenIds = new Map();
+
+  for (const app of apps) {
+    const prefix = `apps/${app.folder}/manifest.json`;
+    const appDir = path.join(APPS_DIR, app.folder);
+    const files = new Set(listFiles(appDir).map(file => file.slice(`./apps/${app.folder}/`.length)));
+
+    validator.validate(app.manifest, { files })
+      .forEach(error => errors.push(`${prefix}: ${error}`));
+
+    const id = app.manifest.id;
+    if (typeof id !== 'string') continue;
+    if (id !== app.folder) {
+      errors.push(`${prefix}: "id" (${id}) must match the folder name`);
+    }
+    if (seenIds.has(id)) {
+      errors.push(`${prefix}: "id" (${id}) is already used by apps/${seenIds.get(id)}`);
+    }
+    seenIds.set(id, app.folder);
+  }
+
+  return errors;
 }
 
-// Generate registry/apps.json
-function generateRegistry(apps) {
+// Render registry/apps.json
+function renderRegistry(apps, lastUpdated) {
   const registry = {
     version: '2.0.0',
-    lastUpdated: new Date().toISOString(),
+    lastUpdated,
     apps: apps.map(app => ({
       id: app.manifest.id,
       folder: app.folder,
@@ -36,32 +100,44 @@ function generateRegistry(apps) {
     }))
   };
 
-  const registryPath = path.join(ROOT, 'registry', 'apps.json');
-  fs.writeFileSync(registryPath, JSON.stringify(registry, null, 2) + '\n');
-  console.log(`  registry/apps.json (${apps.length} apps)`);
+  return JSON.stringify(registry, null, 2) + '\n';
 }
 
-// Patch manifest.json shortcuts
-function patchManifest(apps) {
-  const manifestPath = path.join(ROOT, 'manifest.json');
-  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
-
-  manifest.shortcuts = apps.map(app => ({
-    name: app.manifest.name,
-    short_name: app.manifest.shortName || app.manifest.name,
-    description: app.manifest.description,
-    url: `./index.html?app=${app.manifest.id}`,
-    icons: [{ src: `./apps/${app.folder}/icon.svg`, sizes: 'any', type: 'image/svg+xml' }]
-  }));
-
-  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
-  console.log(`  manifest.json (${manifest.shortcuts.length} shortcuts)`);
+// Render manifest.json with patched shortcuts
+function renderManifest(apps) {
+  const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+
+  manifest.shortcuts = apps.flatMap(app => {
+    const icons = [{ src: `./apps/${app.folder}/icon.svg`, sizes: 'any', type: 'image/svg+xml' }];
+    const appUrl = `./index.html?app=${app.manifest.id}`;
+
+    // Apps can add shortcuts straight into one of their routes, e.g. { "name": "New alarm", "route": "new" }.
+    const routeShortcuts = (Array.isArray(app.manifest.shortcuts) ? app.manifest.shortcuts : [])
+      .filter(shortcut => shortcut && typeof shortcut.name === 'string' && typeof shortcut.route === 'string')
+      .map(shortcut => ({
+        name: shortcut.name,
+        short_name: shortcut.shortName || shortcut.name,
+        description: shortcut.description || app.manifest.description,
+        url: `${appUrl}&route=${encodeURIComponent(shortcut.route)}`,
+        icons
+      }));
+
+    return [{
+      name: app.manifest.name,
+      short_name: app.manifest.shortName || app.manifest.name,
+      description: app.manifest.description,
+      url: appUrl,
+      icons
+    }, ...routeShortcuts];
+  });
+
+  return JSON.stringify(manifest, null, 2) + '\n';
 }
 
-// Patch service-worker.js cache list between markers
-function patchServiceWorker(apps) {
-  const swPath = path.join(ROOT, 'service-worker.js');
-  let content = fs.readFileSync(swPath, 'utf8');
+// Render service-worker.js with the shared files and per-app caches between markers.
+// The shell cache version is left alone; only a real build bumps it.
+function renderServiceWorker(apps) {
+  const content = fs.readFileSync(SW_PATH, 'utf8');
 
   const startMarker = '// AUTO:APP-CACHE-START';
   const endMarker = '// AUTO:APP-CACHE-END';
@@ -74,43 +150,76 @@ function patchServiceWorker(apps) {
     process.exit(1);
   }
 
-  const listAppFiles = (folderPath) => {
-    const files = [];
-    const walk = (currentPath) => {
-      const entries = fs.readdirSync(currentPath, { withFileTypes: true });
-      entries.sort((a, b) => a.name.localeCompare(b.name));
-
-      for (const entry of entries) {
-        if (entry.name.startsWith('.')) continue;
-        const fullPath = path.join(currentPath, entry.name);
-        if (entry.isDirectory()) {
-          walk(fullPath);
-          continue;
-        }
-        if (!entry.isFile()) continue;
-        const relPath = path.relative(ROOT, fullPath).split(path.sep).join('/');
-        files.push(`./${relPath}`);
-      }
+  // The cache name changes whenever a file does, even if the manifest version was not bumped.
+  const hashFiles = (files) => {
+    const hash = crypto.createHash('sha256');
+    files.forEach((file) => {
+      hash.update(file);
+      hash.update(fs.readFileSync(path.join(ROOT, file)));
+    });
+    return hash.digest('hex').slice(0, 8);
+  };
+
+  // Shared client code (marlapps-sdk.js) is part of the precached shell.
+  const sharedFiles = fs.existsSync(SHARED_DIR) ? listFiles(SHARED_DIR) : [];
+  const appCaches = apps.map((app) => {
+    const files = listFiles(path.join(APPS_DIR, app.folder));
+    // Safe to inline: the schema only allows semver characters.
+    const version = app.manifest.version;
+    return {
+      folder: app.folder,
+      version,
+      cacheName: `marlapps-app-${app.manifest.id}-${version}-${hashFiles(files)}`,
+      // Manifests are revalidated through the data cache instead.
+      files: files.filter((file) => file !== `./apps/${app.folder}/manifest.json`)
     };
+  });
 
-    walk(folderPath);
-    return files;
-  };
+  const fileLines = (files, indent) => files.map((file) => `${indent}'${file}'`).join(',\n');
+  const appLines = appCaches.map((app) => [
+    `  '${app.folder}': {`,
+    `    version: '${app.version}',`,
+    `    cacheName: '${app.cacheName}',`,
+    '    files: [',
+    fileLines(app.files, '      '),
+    '    ]',
+    '  }'
+  ].join('\n')).join(',\n');
 
-  const appFiles = apps.map((app) => listAppFiles(path.join(APPS_DIR, app.folder)));
-  const cacheLines = appFiles.map((files) => files.map((file) => `  '${file}'`).join(',\n')).join(',\n\n');
+  const generated = [
+    'const sharedFiles = [',
+    fileLines(sharedFiles, '  '),
+    '];',
+    '',
+    'const appCaches = {',
+    appLines,
+    '};'
+  ].join('\n');
 
   const before = content.substring(0, startIdx);
   const after = content.substring(endIdx + endMarker.length);
 
-  content = before + startMarker + '\n' + cacheLines + '\n  ' + endMarker + after;
+  return before + startMarker + '\n' + generated + '\n' + endMarker + after;
+}
 
+function writeRegistry(apps) {
+  fs.writeFileSync(REGISTRY_PATH, renderRegistry(apps, new Date().toISOString()));
+  console.log(`  registry/apps.json (${apps.length} apps)`);
+}
+
+function writeManifest(apps) {
+  const content = renderManifest(apps);
+  fs.writeFileSync(MANIFEST_PATH, content);
+  console.log(`  manifest.json (${JSON.parse(content).shortcuts.length} shortcuts)`);
+}
+
+function writeServiceWorker(apps) {
   // Bump cache version
-  content = content.replace(/const CACHE_NAME = 'marlapps-v(\d+)'/, (match, version) => {
+  const content = renderServiceWorker(apps).replace(/const CACHE_NAME = 'marlapps-v(\d+)'/, (match, version) => {
     return `const CACHE_NAME = 'marlapps-v${parseInt(version) + 1}'`;
   });
 
-  fs.writeFileSync(swPath, content);
+  fs.writeFileSync(SW_PATH, content);
 
   // Extract the new version number and write version.json
   const versionMatch = content.match(/const CACHE_NAME = 'marlapps-v(\d+)'/);
@@ -124,18 +233,56 @@ function patchServiceWorker(apps) {
     console.log(`  version.json (build ${version})`);
   }
 
-  const totalCachedFiles = appFiles.reduce((count, files) => count + files.length, 0);
-  console.log(`  service-worker.js (${totalCachedFiles} cached files)`);
+  console.log(`  service-worker.js (${apps.length} app caches)`);
+}
+
+// --check: compare what a build would write with the files on disk, ignoring the
+// timestamps and the shell version that every build changes.
+function checkGeneratedFiles(apps) {
+  const read = file => (fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '');
+
+  let lastUpdated = '';
+  try {
+    lastUpdated = JSON.parse(read(REGISTRY_PATH)).lastUpdated;
+  } catch {
+    // An unreadable registry is reported as out of date below.
+  }
+
+  const results = [
+    ['registry/apps.json', read(REGISTRY_PATH) === renderRegistry(apps, lastUpdated)],
+    ['manifest.json', read(MANIFEST_PATH) === renderManifest(apps)],
+    ['service-worker.js', read(SW_PATH) === renderServiceWorker(apps)]
+  ];
+
+  results.forEach(([file, upToDate]) => console.log(`  ${file}: ${upToDate ? 'up to date' : 'OUT OF DATE'}`));
+  return results.every(([, upToDate]) => upToDate);
 }
 
 // Run
+const checkOnly = process.argv.includes('--check');
+
 console.log('Discovering apps...');
-const apps = discoverApps();
+const { apps, errors: parseErrors } = discoverApps();
 console.log(`Found ${apps.length} apps: ${apps.map(a => a.manifest.id).join(', ')}\n`);
 
-console.log('Generating:');
-generateRegistry(apps);
-patchManifest(apps);
-patchServiceWorker(apps);
+const errors = [...parseErrors, ...validateApps(apps)];
+if (errors.length > 0) {
+  console.error('Invalid app manifests:');
+  errors.forEach(error => console.error(`  ${error}`));
+  process.exit(1);
+}
 
-console.log('\nDone.');
+if (checkOnly) {
+  console.log('Checking generated files:');
+  if (!checkGeneratedFiles(apps)) {
+    console.error('\nGenerated files are out of date. Run `node build.js`.');
+    process.exit(1);
+  }
+  console.log('\nAll generated files are up to date.');
+} else {
+  console.log('Generating:');
+  writeRegistry(apps);
+  writeManifest(apps);
+  writeServiceWorker(apps);
+  console.log('\nDone.');
+}
@@ -2,17 +2,22 @@ class AppLoader {
   constructor() {
     this.registryPath = './registry/apps.json';
     this.appsBasePath = './apps';
+    this.userRegistryPath = './user-apps/registry.json';
+    this.userAppsBasePath = './user-apps';
     this.apps = [];
     this.appMap = new Map();
     this.registry = null;
     this.recentsKey = 'marlapps-recents';
     this.recents = this.loadRecents();
+    this.layoutKey = 'marlapps-app-layout';
+    this.layout = this.loadLayout();
   }
 
   async init() {
     try {
       this.registry = await this.loadRegistry();
-      this.apps = await this.loadAppManifests(this.registry.apps);
+      this.registry.apps = this.mergeUserApps(this.registry.apps, await this.loadUserRegistry());
+      this.apps = this.applyLayout(await this.loadAppManifests(this.registry.apps));
       this.appMap = new Map(this.apps.map(app => [app.id, app]));
       return this.apps;
     } catch (error) {
@@ -29,12 +34,44 @@ class AppLoader {
     return response.json();
   }
 
+  // Apps installed from Settings; the service worker serves this file from Cache Storage.
+  async loadUserRegistry() {
+    try {
+      const response = await fetch(this.userRegistryPath);
+      if (!response.ok) return [];
+      const registry = await response.json();
+      return Array.isArray(registry && registry.apps) ? registry.apps : [];
+    } catch {
+      return [];
+    }
+  }
+
+  // Built-in apps win any id or folder clash.
+  mergeUserApps(registryApps, userApps) {
+    const taken = new Set(registryApps.flatMap(entry => [entry.id, entry.folder]));
+    const merged = [...registryApps];
+
+    userApps.forEach((entry) => {
+      if (!entry || typeof entry.folder !== 'string' || taken.has(entry.id) || taken.has(entry.folder)) return;
+      taken.add(entry.id);
+      taken.add(entry.folder);
+      merged.push({ ...entry, source: 'user' });
+    });
+
+    return merged;
+  }
+
+  getRegistryBasePath(entry) {
+    return entry.source === 'user' ? this.userAppsBasePath : this.appsBasePath;
+  }
+
   async loadAppManifests(registryApps) {
     const results = await Promise.allSettled(
       registryApps
         .filter(entry => !entry.hidden)
         .map(async (entry) => {
-          const manifestPath = `${this.appsBasePath}/${entry.folder}/manifest.json`;
+          const basePath = `${this.getRegistryBasePath(entry)}/${entry.folder}`;
+          const manifestPath = `${basePath}/manifest.json`;
           const response = await fetch(manifestPath);
           if (!response.ok) {
             throw new Error(`Failed to load manifest for ${entry.folder}: ${response.status}`);
@@ -43,7 +80,11 @@ class AppLoader {
           return {
             ...manifest,
             folder: entry.folder,
-            order: entry.order || 999
+            order: entry.order || 999,
+            registryOrder: entry.order || 999,
+            registryPinned: entry.pinned === true,
+            basePath,
+            source: entry.source === 'user' ? 'user' : 'builtin'
           };
         })
     );
@@ -60,6 +101,102 @@ class AppLoader {
     return apps.sort((a, b) => a.order - b.order);
   }
 
+  // --- Layout ---
+
+  // User overrides merged over the registry: { pinned: { id: bool }, hidden: [id], order: [id], showHidden, showWidgets }.
+  // `pinned` keeps explicit false so a user can unpin an app the registry pins.
+  loadLayout() {
+    try {
+      const saved = localStorage.getItem(this.layoutKey);
+      return this.sanitizeLayout(saved ? JSON.parse(saved) : null);
+    } catch (error) {
+      console.warn('Failed to load app layout:', error);
+      return this.sanitizeLayout(null);
+    }
+  }
+
+  sanitizeLayout(layout) {
+    const source = layout && typeof layout === 'object' && !Array.isArray(layout) ? layout : {};
+    const ids = value => [...new Set((Array.isArray(value) ? value : []).filter(id => typeof id === 'string' && id))];
+    const pinned = {};
+
+    if (source.pinned && typeof source.pinned === 'object' && !Array.isArray(source.pinned)) {
+      Object.entries(source.pinned).forEach(([id, value]) => {
+        if (typeof value === 'boolean') pinned[id] = value;
+      });
+    }
+
+    return {
+      pinned,
+      hidden: ids(source.hidden),
+      order: ids(source.order),
+      showHidden: source.showHidden === true,
+      showWidgets: source.showWidgets !== false
+    };
+  }
+
+  saveLayout() {
+    try {
+      localStorage.setItem(this.layoutKey, JSON.stringify(this.layout));
+    } catch (error) {
+      console.warn('Failed to save app layout:', error);
+    }
+  }
+
+  // Apps the user ordered come first in that order, the rest follow in registry order.
+  applyLayout(apps) {
+    const customIndex = new Map(this.layout.order.map((id, index) => [id, index]));
+    const hidden = new Set(this.layout.hidden);
+    const rank = app => (customIndex.has(app.id) ? customIndex.get(app.id) : Infinity);
+
+    return [...apps]
+      .sort((a, b) => (rank(a) - rank(b)) || (a.registryOrder - b.registryOrder))
+      .map((app, index) => Object.assign(app, {
+        order: index + 1,
+        pinned: typeof this.layout.pinned[app.id] === 'boolean' ? this.layout.pinned[app.id] : app.registryPinned,
+        hidden: hidden.has(app.id)
+      }));
+  }
+
+  updateLayout(changes) {
+    this.layout = this.sanitizeLayout({ ...this.layout, ...changes });
+    this.saveLayout();
+    this.apps = this.applyLayout(this.apps);
+  }
+
+  setAppPinned(id, pinned) {
+    this.updateLayout({ pinned: { ...this.layout.pinned, [id]: Boolean(pinned) } });
+  }
+
+  setAppHidden(id, hidden) {
+    const ids = this.layout.hidden.filter(hiddenId => hiddenId !== id);
+    this.updateLayout({ hidden: hidden ? [...ids, id] : ids });
+  }
+
+  setShowHidden(showHidden) {
+    this.updateLayout({ showHidden: Boolean(showHidden) });
+  }
+
+  setShowWidgets(showWidgets) {
+    this.updateLayout({ showWidgets: Boolean(showWidgets) });
+  }
+
+  // Moves an app to `index` in the full launcher order and stores that order.
+  moveApp(id, index) {
+    const ids = this.apps.map(app => app.id).filter(appId => appId !== id);
+    ids.splice(Math.max(0, Math.min(index, ids.length)), 0, id);
+    this.updateLayout({ order: ids });
+  }
+
+  // Hidden apps stay out of the grid, but deep links, intents and the command palette still reach them.
+  isAppVisible(app) {
+    return this.layout.showHidden || !app.hidden;
+  }
+
+  resetLayout() {
+    this.updateLayout({ pinned: {}, hidden: [], order: [] });
+  }
+
   getAppById(id) {
     return this.appMap.get(id);
   }
@@ -74,6 +211,40 @@ class AppLoader {
     );
   }
 
+  // Manifest `actions` surfaced in the command palette; malformed entries are dropped.
+  getAppActions(app) {
+    if (!app || !Array.isArray(app.actions)) return [];
+
+    return app.actions
+      .map((action) => {
+        if (!action || typeof action !== 'object') return null;
+        if (typeof action.id !== 'string' || !action.id.trim()) return null;
+        if (typeof action.title !== 'string' || !action.title.trim()) return null;
+        if (typeof action.intent !== 'string' || !action.intent.trim()) return null;
+
+        const input = action.input && typeof action.input === 'object' && typeof action.input.name === 'string'
+          ? {
+            name: action.input.name,
+            placeholder: typeof action.input.placeholder === 'string' ? action.input.placeholder : ''
+          }
+          : null;
+
+        return {
+          id: action.id,
+          title: action.title.trim(),
+          intent: action.intent,
+          payload: action.payload && typeof action.payload === 'object' && !Array.isArray(action.payload)
+            ? action.payload
+            : {},
+          input,
+          keywords: Array.isArray(action.keywords)
+            ? action.keywords.filter(keyword => typeof keyword === 'string')
+            : []
+        };
+      })
+      .filter(Boolean);
+  }
+
   // Damerau-Levenshtein distance for fuzzy search
   damerauLevenshtein(a, b) {
     const lenA = a.length;
@@ -210,12 +381,20 @@ class AppLoader {
     }
   }
 
+  getAppBasePath(app) {
+    return app.basePath || `${this.appsBasePath}/${app.folder}`;
+  }
+
+  getAppFileUrl(app, file) {
+    return `${this.getAppBasePath(app)}/${file}`;
+  }
+
   getAppEntryUrl(app) {
-    return `${this.appsBasePath}/${app.folder}/${app.entry}`;
+    return this.getAppFileUrl(app, app.entry);
   }
 
   getAppIconUrl(app) {
-    return `${this.appsBasePath}/${app.folder}/${app.icon}`;
+    return this.getAppFileUrl(app, app.icon);
   }
 }
 
@@ -0,0 +1,211 @@
+// Per-app view of a pending update: compares the app versions the active service
+// worker serves with the latest manifests, and collects the changelog entries in between.
+class AppUpdates {
+  constructor(settingsManager) {
+    this.settingsManager = settingsManager;
+    this.registryPath = './registry/apps.json';
+    this.appsBasePath = './apps';
+    this.workerTimeoutMs = 2000;
+  }
+
+  // --- Versions ---
+
+  // Numeric compare of dotted versions ("2.10.0" > "2.9.1"); missing parts count as 0.
+  compareVersions(a, b) {
+    const parse = value => String(value || '0').split(/[.+-]/).map(part => Number.parseInt(part, 10) || 0);
+    const left = parse(a);
+    const right = parse(b);
+
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+      const diff = (left[i] || 0) - (right[i] || 0);
+      if (diff !== 0) return diff > 0 ? 1 : -1;
+    }
+    return 0;
+  }
+
+  // Versions by app folder. Workers from before per-app versions don't report them,
+  // so fall back to the manifests the launcher loaded.
+  async getInstalledVersions() {
+    const apps = await this.getWorkerAppVersions();
+    if (apps) return new Map(Object.entries(apps));
+
+    return new Map(this.settingsManager.appLoader.apps.map(app => [app.folder, app.version]));
+  }
+
+  getWorkerAppVersions() {
+    const worker = navigator.serviceWorker && navigator.serviceWorker.controller;
+    if (!worker) return Promise.resolve(null);
+
+    return new Promise((resolve) => {
+      const channel = new MessageChannel();
+      const timeoutId = setTimeout(() => resolve(null), this.workerTimeoutMs);
+
+      channel.port1.onmessage = (e) => {
+        clearTimeout(timeoutId);
+        const apps = e && e.data && e.data.apps;
+        resolve(this.settingsManager.isPlainObject(apps) ? apps : null);
+      };
+
+      try {
+        worker.postMessage({ type: 'GET_VERSION' }, [channel.port2]);
+      } catch {
+        clearTimeout(timeoutId);
+        resolve(null);
+      }
+    });
+  }
+
+  async fetchJson(url) {
+    const response = await fetch(url, { cache: 'no-store' });
+    if (!response.ok) throw new Error(`Failed to load ${url}: ${response.status}`);
+    return response.json();
+  }
+
+  async fetchLatestApps() {
+    const registry = await this.fetchJson(this.registryPath);
+    const entries = Array.isArray(registry && registry.apps) ? registry.apps : [];
+
+    const results = await Promise.allSettled(entries
+      .filter(entry => entry && typeof entry.folder === 'string')
+      .map(async entry => ({
+        folder: entry.folder,
+        manifest: await this.fetchJson(`${this.appsBasePath}/${entry.folder}/manifest.json`)
+      })));
+
+    return results
+      .filter(result => result.status === 'fulfilled')
+      .map(result => result.value);
+  }
+
+  // Resolves with [{ folder, name, from, to, entries }]; `from` is null for new apps.
+  async check() {
+    const [installed, latest] = await Promise.all([this.getInstalledVersions(), this.fetchLatestApps()]);
+    const changes = [];
+
+    for (const { folder, manifest } of latest) {
+      const from = installed.has(folder) ? installed.get(folder) : null;
+      const to = manifest.version;
+      if (from !== null && this.compareVersions(to, from) <= 0) continue;
+
+      let entries = [];
+      try {
+        entries = this.entriesBetween(await this.loadChangelog(folder, manifest), from, to);
+      } catch (error) {
+        console.warn(`Failed to load changelog for ${folder}:`, error);
+      }
+
+      changes.push({ folder, name: manifest.name || folder, from, to, entries });
+    }
+
+    return changes;
+  }
+
+  // --- Changelogs ---
+
+  // `changelog` is either an inline array or a path to a .json or Markdown file in the app folder.
+  async loadChangelog(folder, manifest) {
+    const changelog = manifest.changelog;
+    if (Array.isArray(changelog)) return this.normalizeChangelog(changelog);
+    if (typeof changelog !== 'string' || !/^[\w-]+(\.[\w-]+)*(\/[\w-]+(\.[\w-]+)*)*$/.test(changelog)) return [];
+
+    const url = `${this.appsBasePath}/${folder}/${changelog}`;
+    if (changelog.endsWith('.json')) {
+      return this.normalizeChangelog(await this.fetchJson(url));
+    }
+
+    const response = await fetch(url, { cache: 'no-store' });
+    if (!response.ok) throw new Error(`Failed to load ${url}: ${response.status}`);
+    return this.parseMarkdownChangelog(await response.text());
+  }
+
+  normalizeChangelog(entries) {
+    if (!Array.isArray(entries)) return [];
+
+    return entries
+      .filter(entry => entry && typeof entry.version === 'string')
+      .map(entry => ({
+        version: entry.version,
+        date: typeof entry.date === 'string' ? entry.date : '',
+        changes: (Array.isArray(entry.changes) ? entry.changes : [])
+          .filter(change => typeof change === 'string' && change.trim())
+      }));
+  }
+
+  // "## 2.1.0 - 2026-10-01" starts an entry; "- ..." lines below it are its changes.
+  parseMarkdownChangelog(text) {
+    const entries = [];
+    let current = null;
+
+    String(text).split(/\r?\n/).forEach((line) => {
+      const heading = line.match(/^#{1,3}\s+\[?v?(\d+(?:\.\d+)*[\w.+-]*)\]?(?:\s+[-–—]\s+(.+))?\s*$/);
+      if (heading) {
+        current = { version: heading[1], date: heading[2] ? heading[2].trim() : '', changes: [] };
+        entries.push(current);
+        return;
+      }
+
+      const bullet = line.match(/^\s*[-*]\s+(.+)$/);
+      if (bullet && current) current.changes.push(bullet[1].trim());
+    });
+
+    return entries;
+  }
+
+  // Entries newer than `from` up to and including `to`, newest first.
+  entriesBetween(entries, from, to) {
+    return entries
+      .filter(entry => (from === null || this.compareVersions(entry.version, from) > 0) &&
+        this.compareVersions(entry.version, to) <= 0)
+      .sort((a, b) => this.compareVersions(b.version, a.version));
+  }
+
+  // --- Rendering ---
+
+  render(changes) {
+    const list = document.getElementById('updateChanges');
+    if (!list) return;
+
+    if (!changes) {
+      list.innerHTML = '';
+      list.classList.add('hidden');
+      return;
+    }
+
+    const escapeHtml = value => this.settingsManager.launcher.escapeHtml(value);
+
+    list.innerHTML = changes.length === 0
+      ? '<li class="update-change-empty">Launcher update only. No app versions changed.</li>'
+      : changes.map(change => `
+        <li class="update-change">
+          <details>
+            <summary>
+              <span class="update-change-name">${escapeHtml(change.name)}</span>
+              <span class="update-change-version">${change.from === null
+                ? `New · ${escapeHtml(change.to)}`
+                : `${escapeHtml(change.from)} → ${escapeHtml(change.to)}`}</span>
+            </summary>
+            ${change.entries.length === 0
+              ? '<p class="update-change-empty">No changelog provided.</p>'
+              : change.entries.map(entry => `
+                <div class="update-change-entry">
+                  <p class="update-change-entry-title">${escapeHtml(entry.version)}${entry.date ? ` <span>${escapeHtml(entry.date)}</span>` : ''}</p>
+                  <ul>${entry.changes.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>
+                </div>
+              `).join('')}
+          </details>
+        </li>
+      `).join('');
+
+    list.classList.remove('hidden');
+  }
+
+  // "Notes", "Notes and Todo List", "Notes, Todo List and 2 more".
+  formatNames(changes) {
+    const names = changes.map(change => change.name);
+    if (names.length <= 2) return names.join(' and ');
+    if (names.length === 3) return `${names[0]}, ${names[1]} and ${names[2]}`;
+    return `${names[0]}, ${names[1]} and ${names.length - 2} more`;
+  }
+}
+
+window.AppUpdates = AppUpdates;
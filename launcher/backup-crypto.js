@@ -0,0 +1,141 @@
+class BackupCrypto {
+  constructor() {
+    this.format = 'marlapps-encrypted-backup';
+    this.formatVersion = 1;
+    this.iterations = 600000;
+    // Caps the work an imported file can ask for.
+    this.maxIterations = 10000000;
+    this.saltLength = 16;
+    this.ivLength = 12;
+    this.minPassphraseLength = 8;
+  }
+
+  isSupported() {
+    return Boolean(window.crypto && window.crypto.subtle && window.isSecureContext);
+  }
+
+  isEncrypted(data) {
+    return Boolean(data && typeof data === 'object' && data.format === this.format);
+  }
+
+  // --- Keys ---
+
+  // PBKDF2 is the strongest password KDF WebCrypto ships; the high iteration count makes guessing slow.
+  async deriveKey(passphrase, salt, iterations = this.iterations) {
+    const material = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  // A derived key can be stored in IndexedDB and reused; the salt travels with every file it encrypts.
+  async createKey(passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(this.saltLength));
+    const key = await this.deriveKey(passphrase, salt);
+    return { key, salt, iterations: this.iterations };
+  }
+
+  // --- Envelope ---
+
+  async encrypt(json, passphrase) {
+    return this.encryptWithKey(json, await this.createKey(passphrase));
+  }
+
+  async encryptWithKey(json, { key, salt, iterations }) {
+    const iv = crypto.getRandomValues(new Uint8Array(this.ivLength));
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      key,
+      new TextEncoder().encode(json)
+    );
+
+    return {
+      format: this.format,
+      formatVersion: this.formatVersion,
+      exportedAt: new Date().toISOString(),
+      kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: this.toBase64(salt) },
+      cipher: { name: 'AES-GCM', iv: this.toBase64(iv) },
+      ciphertext: this.toBase64(new Uint8Array(ciphertext))
+    };
+  }
+
+  validateEnvelope(envelope) {
+    if (!this.isEncrypted(envelope)) {
+      throw new Error('Not an encrypted MarlApps backup');
+    }
+    if (envelope.formatVersion !== this.formatVersion) {
+      throw new Error(`Unsupported encrypted backup version: ${envelope.formatVersion}`);
+    }
+
+    const { kdf, cipher } = envelope;
+    if (!kdf || kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' ||
+      !Number.isInteger(kdf.iterations) || kdf.iterations < 1 || kdf.iterations > this.maxIterations ||
+      typeof kdf.salt !== 'string') {
+      throw new Error('Unsupported key derivation settings');
+    }
+    if (!cipher || cipher.name !== 'AES-GCM' || typeof cipher.iv !== 'string' ||
+      typeof envelope.ciphertext !== 'string') {
+      throw new Error('Unsupported encryption settings');
+    }
+  }
+
+  // Throws `WrongPassphrase` when AES-GCM authentication fails.
+  async decrypt(envelope, passphrase) {
+    this.validateEnvelope(envelope);
+
+    const key = await this.deriveKey(
+      passphrase,
+      this.fromBase64(envelope.kdf.salt),
+      envelope.kdf.iterations
+    );
+
+    let plaintext;
+    try {
+      plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: this.fromBase64(envelope.cipher.iv) },
+        key,
+        this.fromBase64(envelope.ciphertext)
+      );
+    } catch (error) {
+      const wrongPassphrase = new Error('Wrong passphrase or damaged backup file');
+      wrongPassphrase.name = 'WrongPassphrase';
+      throw wrongPassphrase;
+    }
+
+    return new TextDecoder().decode(plaintext);
+  }
+
+  // --- Encoding ---
+
+  // Chunked so multi-megabyte backups (photos) don't overflow the argument limit.
+  toBase64(bytes) {
+    let binary = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
+  }
+
+  fromBase64(value) {
+    const binary = atob(value);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+}
+
+window.BackupCrypto = BackupCrypto;
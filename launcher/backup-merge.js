@@ -0,0 +1,194 @@
+// Generic merge/diff over app backup payloads. Any array of objects with string
+// `id`s is treated as a record list: records merge by id, keeping the one with the
+// newest `updatedAt`. Without timestamps on either side, records and plain objects
+// merge key by key and the current device wins conflicts.
+class BackupMerge {
+  isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  isRecord(value) {
+    return this.isPlainObject(value) && typeof value.id === 'string' && value.id.length > 0;
+  }
+
+  isRecordList(value) {
+    return Array.isArray(value) && value.every(item => this.isRecord(item));
+  }
+
+  getUpdatedAt(record) {
+    const value = record.updatedAt;
+    if (typeof value === 'number' && Number.isFinite(value)) return value;
+    if (typeof value === 'string') {
+      const parsed = Date.parse(value);
+      if (Number.isFinite(parsed)) return parsed;
+    }
+    return null;
+  }
+
+  // true/false when timestamps decide, null when neither side has one.
+  isIncomingNewer(current, incoming) {
+    const currentTime = this.getUpdatedAt(current);
+    const incomingTime = this.getUpdatedAt(incoming);
+    if (currentTime === null && incomingTime === null) return null;
+    if (incomingTime === null) return false;
+    if (currentTime === null) return true;
+    return incomingTime > currentTime;
+  }
+
+  // --- Records ---
+
+  // Maps record id -> { record, path }. The path names the list a record sits in,
+  // so a Kanban card that moved columns shows up under a different path.
+  collectRecords(value, path = '', records = new Map()) {
+    if (Array.isArray(value)) {
+      if (!this.isRecordList(value)) return records;
+      value.forEach((record) => {
+        if (!records.has(record.id)) records.set(record.id, { record, path });
+        this.collectRecords(record, `${path}/${record.id}`, records);
+      });
+      return records;
+    }
+
+    if (this.isPlainObject(value)) {
+      Object.entries(value).forEach(([key, child]) => {
+        this.collectRecords(child, `${path}/${key}`, records);
+      });
+    }
+    return records;
+  }
+
+  withoutRecords(value, ids) {
+    if (ids.size === 0) return value;
+
+    if (Array.isArray(value)) {
+      if (!this.isRecordList(value)) return value;
+      return value
+        .filter(record => !ids.has(record.id))
+        .map(record => this.withoutRecords(record, ids));
+    }
+
+    if (this.isPlainObject(value)) {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, child]) => [key, this.withoutRecords(child, ids)])
+      );
+    }
+    return value;
+  }
+
+  // --- Merge ---
+
+  merge(current, incoming) {
+    if (current === undefined || current === null) return incoming;
+    if (incoming === undefined || incoming === null) return current;
+
+    // A record that moved to another list on one side must only survive in one place.
+    const currentRecords = this.collectRecords(current);
+    const incomingRecords = this.collectRecords(incoming);
+    const dropFromCurrent = new Set();
+    const dropFromIncoming = new Set();
+
+    incomingRecords.forEach(({ record, path }, id) => {
+      const local = currentRecords.get(id);
+      if (!local || local.path === path) return;
+      if (this.isIncomingNewer(local.record, record)) {
+        dropFromCurrent.add(id);
+      } else {
+        dropFromIncoming.add(id);
+      }
+    });
+
+    return this.mergeValues(
+      this.withoutRecords(current, dropFromCurrent),
+      this.withoutRecords(incoming, dropFromIncoming)
+    );
+  }
+
+  mergeValues(current, incoming) {
+    if (current === undefined) return incoming;
+    if (incoming === undefined) return current;
+
+    if (Array.isArray(current) && Array.isArray(incoming)) {
+      if (this.isRecordList(current) && this.isRecordList(incoming)) {
+        return this.mergeRecordLists(current, incoming);
+      }
+      return current;
+    }
+
+    if (this.isPlainObject(current) && this.isPlainObject(incoming)) {
+      const merged = {};
+      Object.entries(current).forEach(([key, value]) => {
+        merged[key] = this.mergeValues(value, incoming[key]);
+      });
+      Object.entries(incoming).forEach(([key, value]) => {
+        if (!(key in merged)) merged[key] = value;
+      });
+      return merged;
+    }
+
+    return current;
+  }
+
+  // Keeps the current order and appends records that only exist in the backup.
+  mergeRecordLists(current, incoming) {
+    const incomingById = new Map(incoming.map(record => [record.id, record]));
+    const merged = current.map((record) => {
+      const other = incomingById.get(record.id);
+      return other ? this.mergeRecord(record, other) : record;
+    });
+
+    const currentIds = new Set(current.map(record => record.id));
+    incoming.forEach((record) => {
+      if (!currentIds.has(record.id)) merged.push(record);
+    });
+    return merged;
+  }
+
+  mergeRecord(current, incoming) {
+    const incomingNewer = this.isIncomingNewer(current, incoming);
+    if (incomingNewer === null) return this.mergeValues(current, incoming);
+    return incomingNewer ? incoming : current;
+  }
+
+  // --- Diff ---
+
+  // Counts what applying `next` over `current` would do. Payloads without any
+  // record lists (settings-only apps) report a single change when they differ.
+  diff(current, next) {
+    const currentRecords = this.collectRecords(current);
+    const nextRecords = this.collectRecords(next);
+
+    if (currentRecords.size === 0 && nextRecords.size === 0) {
+      const changed = JSON.stringify(current ?? null) !== JSON.stringify(next ?? null);
+      return { records: false, added: 0, changed: changed ? 1 : 0, removed: 0 };
+    }
+
+    let added = 0;
+    let changed = 0;
+    let removed = 0;
+
+    nextRecords.forEach(({ record, path }, id) => {
+      const local = currentRecords.get(id);
+      if (!local) {
+        added++;
+      } else if (local.path !== path ||
+        JSON.stringify(this.shallowRecord(local.record)) !== JSON.stringify(this.shallowRecord(record))) {
+        changed++;
+      }
+    });
+
+    currentRecords.forEach((entry, id) => {
+      if (!nextRecords.has(id)) removed++;
+    });
+
+    return { records: true, added, changed, removed };
+  }
+
+  // Nested records are counted on their own, so a parent only "changes" when its own fields do.
+  shallowRecord(record) {
+    return Object.fromEntries(
+      Object.entries(record).filter(([, value]) => !(Array.isArray(value) && this.isRecordList(value)))
+    );
+  }
+}
+
+window.BackupMerge = BackupMerge;
@@ -0,0 +1,508 @@
+class BackupScheduler {
+  constructor(settingsManager) {
+    this.settingsManager = settingsManager;
+    this.configKey = 'marlapps-auto-backup';
+    this.dbName = 'marlapps-backups';
+    this.dbVersion = 1;
+    this.dbPromise = null;
+    this.directoryHandle = null;
+    this.encryptionKey = null;
+    this.filePrefix = 'marlapps-auto-backup-';
+    this.scheduleIntervals = {
+      daily: 24 * 60 * 60 * 1000,
+      weekly: 7 * 24 * 60 * 60 * 1000,
+      // Browsers may freeze or kill a hidden page before a leave-time backup finishes,
+      // so "when leaving" also backs up daily.
+      'on-close': 24 * 60 * 60 * 1000
+    };
+    this.keepOptions = [3, 5, 10, 20];
+    this.dueCheckIntervalMs = 60 * 60 * 1000;
+    this.startupDelayMs = 5000;
+    this.onCloseMinIntervalMs = 5 * 60 * 1000;
+    this.dueCheckTimer = null;
+    this.runningBackup = null;
+    this.config = this.loadConfig();
+  }
+
+  async init() {
+    this.bindEvents();
+
+    try {
+      this.directoryHandle = await this.loadDirectoryHandle();
+    } catch (error) {
+      console.warn('Failed to load backup folder:', error);
+    }
+
+    try {
+      this.encryptionKey = await this.loadEncryptionKey();
+    } catch (error) {
+      console.warn('Failed to load backup encryption key:', error);
+    }
+
+    this.renderControls();
+    // Let startup finish before a due backup reads every app's storage.
+    setTimeout(() => this.startSchedule(), this.startupDelayMs);
+    return this;
+  }
+
+  isFolderSupported() {
+    return typeof window.showDirectoryPicker === 'function';
+  }
+
+  // --- Config ---
+
+  loadConfig() {
+    const defaults = { enabled: false, schedule: 'daily', keep: 5, encrypted: false, lastBackupAt: null, lastTarget: null, lastError: null, leftAt: null };
+
+    try {
+      const parsed = JSON.parse(localStorage.getItem(this.configKey) || 'null');
+      if (!parsed || typeof parsed !== 'object') return defaults;
+
+      return {
+        enabled: parsed.enabled === true,
+        schedule: ['daily', 'weekly', 'on-close'].includes(parsed.schedule) ? parsed.schedule : defaults.schedule,
+        keep: this.keepOptions.includes(parsed.keep) ? parsed.keep : defaults.keep,
+        encrypted: parsed.encrypted === true,
+        lastBackupAt: Number.isFinite(parsed.lastBackupAt) ? parsed.lastBackupAt : null,
+        lastTarget: parsed.lastTarget === 'folder' || parsed.lastTarget === 'snapshot' ? parsed.lastTarget : null,
+        lastError: typeof parsed.lastError === 'string' ? parsed.lastError : null,
+        leftAt: Number.isFinite(parsed.leftAt) ? parsed.leftAt : null
+      };
+    } catch (e) {
+      return defaults;
+    }
+  }
+
+  saveConfig(changes) {
+    this.config = { ...this.config, ...changes };
+    try {
+      localStorage.setItem(this.configKey, JSON.stringify(this.config));
+    } catch (e) {
+      // Ignore storage errors
+    }
+  }
+
+  // --- Settings UI ---
+
+  bindEvents() {
+    const enabledToggle = document.getElementById('autoBackupEnabled');
+    if (enabledToggle) {
+      enabledToggle.addEventListener('change', () => {
+        this.saveConfig({ enabled: enabledToggle.checked });
+        this.renderControls();
+        this.startSchedule();
+      });
+    }
+
+    const scheduleSelect = document.getElementById('autoBackupSchedule');
+    if (scheduleSelect) {
+      scheduleSelect.addEventListener('change', () => {
+        this.saveConfig({ schedule: scheduleSelect.value });
+        this.startSchedule();
+      });
+    }
+
+    const keepSelect = document.getElementById('autoBackupKeep');
+    if (keepSelect) {
+      keepSelect.addEventListener('change', () => {
+        this.saveConfig({ keep: Number.parseInt(keepSelect.value, 10) });
+      });
+    }
+
+    const encryptToggle = document.getElementById('autoBackupEncrypt');
+    if (encryptToggle) {
+      encryptToggle.addEventListener('change', () => this.setEncryption(encryptToggle.checked));
+    }
+
+    const chooseFolderBtn = document.getElementById('chooseBackupFolderBtn');
+    if (chooseFolderBtn) {
+      chooseFolderBtn.addEventListener('click', () => this.chooseDirectory());
+    }
+
+    const runNowBtn = document.getElementById('runBackupNowBtn');
+    if (runNowBtn) {
+      runNowBtn.addEventListener('click', () => this.runBackup({ interactive: true }));
+    }
+
+    const downloadSnapshotBtn = document.getElementById('downloadSnapshotBtn');
+    if (downloadSnapshotBtn) {
+      downloadSnapshotBtn.addEventListener('click', () => this.downloadLatestSnapshot());
+    }
+
+    // "When leaving" backups start whenever the launcher is hidden: tab closed, app switched, PWA window closed.
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') this.handlePageHidden();
+    });
+  }
+
+  renderControls() {
+    const enabledToggle = document.getElementById('autoBackupEnabled');
+    const options = document.getElementById('autoBackupOptions');
+    const scheduleSelect = document.getElementById('autoBackupSchedule');
+    const keepSelect = document.getElementById('autoBackupKeep');
+    const encryptToggle = document.getElementById('autoBackupEncrypt');
+    const chooseFolderBtn = document.getElementById('chooseBackupFolderBtn');
+
+    if (enabledToggle) enabledToggle.checked = this.config.enabled;
+    if (options) options.classList.toggle('hidden', !this.config.enabled);
+    if (scheduleSelect) scheduleSelect.value = this.config.schedule;
+    if (keepSelect) keepSelect.value = String(this.config.keep);
+    if (encryptToggle) {
+      encryptToggle.checked = this.config.encrypted;
+      encryptToggle.disabled = !this.settingsManager.backupCrypto.isSupported();
+    }
+
+    if (chooseFolderBtn) {
+      chooseFolderBtn.hidden = !this.isFolderSupported();
+      const label = chooseFolderBtn.querySelector('span');
+      if (label) label.textContent = this.directoryHandle ? 'Change backup folder' : 'Choose backup folder';
+    }
+
+    this.renderStatus();
+  }
+
+  renderStatus() {
+    const status = document.getElementById('autoBackupStatus');
+    if (!status) return;
+
+    const lines = [];
+    if (!this.isFolderSupported()) {
+      lines.push('This browser cannot write to folders, so backups are kept as snapshots inside the browser.');
+    } else if (this.directoryHandle) {
+      lines.push(`Folder: ${this.directoryHandle.name}`);
+    } else {
+      lines.push('No folder chosen yet. Backups are kept as snapshots inside the browser.');
+    }
+
+    if (this.config.encrypted) {
+      lines.push('Backups are encrypted with your passphrase.');
+    }
+
+    if (this.config.lastBackupAt) {
+      const where = this.config.lastTarget === 'folder' ? 'folder' : 'browser snapshot';
+      lines.push(`Last backup: ${new Date(this.config.lastBackupAt).toLocaleString()} (${where})`);
+    }
+
+    if (this.config.lastError) {
+      lines.push(this.config.lastError);
+    }
+
+    status.textContent = lines.join('\n');
+  }
+
+  // --- Scheduling ---
+
+  startSchedule() {
+    if (this.dueCheckTimer) {
+      clearInterval(this.dueCheckTimer);
+      this.dueCheckTimer = null;
+    }
+
+    if (!this.config.enabled || !this.scheduleIntervals[this.config.schedule]) return;
+
+    this.dueCheckTimer = setInterval(() => this.runIfDue(), this.dueCheckIntervalMs);
+    this.runIfDue();
+  }
+
+  isDue() {
+    const interval = this.scheduleIntervals[this.config.schedule];
+    if (!interval) return false;
+    if (!this.config.lastBackupAt || Date.now() - this.config.lastBackupAt >= interval) return true;
+    // A leave-time backup that never finished (the page was frozen or closed) runs on the next start.
+    return this.config.schedule === 'on-close' && this.config.leftAt !== null && this.config.leftAt > this.config.lastBackupAt;
+  }
+
+  runIfDue() {
+    if (this.config.enabled && this.isDue()) {
+      this.runBackup();
+    }
+  }
+
+  // Best effort: the leave time is written synchronously, so an interrupted run is caught up later.
+  handlePageHidden() {
+    if (!this.config.enabled || this.config.schedule !== 'on-close') return;
+    if (this.config.lastBackupAt && Date.now() - this.config.lastBackupAt < this.onCloseMinIntervalMs) return;
+    this.saveConfig({ leftAt: Date.now() });
+    this.runBackup();
+  }
+
+  // --- Backups ---
+
+  // `interactive` runs come from a click, so the browser lets us re-request folder permission.
+  async runBackup({ interactive = false } = {}) {
+    if (this.runningBackup) return this.runningBackup;
+
+    this.runningBackup = this.performBackup(interactive).finally(() => {
+      this.runningBackup = null;
+    });
+    return this.runningBackup;
+  }
+
+  async performBackup(interactive) {
+    // Ask for folder access first, while a click's user activation is still fresh.
+    let folderAllowed = false;
+    if (this.directoryHandle) {
+      try {
+        folderAllowed = await this.ensurePermission(this.directoryHandle, interactive);
+      } catch (error) {
+        console.warn('Checking backup folder permission failed:', error);
+      }
+    }
+
+    let json;
+    try {
+      const data = await this.settingsManager.buildBackupData();
+      json = await this.serializeBackup(data);
+    } catch (error) {
+      console.error('Automatic backup failed:', error);
+      this.saveConfig({ lastError: `Backup failed: ${error.message}` });
+      this.renderStatus();
+      if (interactive) this.settingsManager.showNotification('Backup failed');
+      return false;
+    }
+
+    let target = 'snapshot';
+    let lastError = null;
+
+    if (this.directoryHandle && !folderAllowed) {
+      lastError = 'Folder access needs to be granted again. Use "Back up now" to allow it.';
+    } else if (this.directoryHandle) {
+      try {
+        await this.writeToDirectory(this.directoryHandle, json);
+        target = 'folder';
+      } catch (error) {
+        console.warn('Writing backup to folder failed:', error);
+        lastError = `Could not write to the backup folder: ${error.message}`;
+      }
+    }
+
+    if (target === 'snapshot') {
+      try {
+        await this.saveSnapshot(json);
+      } catch (error) {
+        console.error('Saving backup snapshot failed:', error);
+        this.saveConfig({ lastError: `Backup failed: ${error.message}` });
+        this.renderStatus();
+        if (interactive) this.settingsManager.showNotification('Backup failed');
+        return false;
+      }
+    }
+
+    this.saveConfig({ lastBackupAt: Date.now(), lastTarget: target, lastError });
+    this.renderStatus();
+    if (interactive) {
+      this.settingsManager.showNotification(target === 'folder' ? 'Backup saved to folder' : 'Backup snapshot saved in browser');
+    }
+    return true;
+  }
+
+  // Encrypted backups never fall back to plain JSON; a missing key fails the run instead.
+  async serializeBackup(data) {
+    if (!this.config.encrypted) {
+      return JSON.stringify(data, null, 2);
+    }
+
+    if (!this.encryptionKey) {
+      throw new Error('the encryption passphrase is missing. Turn "Encrypt backups" off and on again to set it.');
+    }
+
+    const envelope = await this.settingsManager.backupCrypto.encryptWithKey(JSON.stringify(data), this.encryptionKey);
+    return JSON.stringify(envelope, null, 2);
+  }
+
+  // --- Encryption ---
+
+  // Only the derived, non-extractable key is kept (in IndexedDB); the passphrase itself is never stored.
+  async setEncryption(enabled) {
+    if (!enabled) {
+      this.encryptionKey = null;
+      this.saveConfig({ encrypted: false });
+      try {
+        await this.deleteEncryptionKey();
+      } catch (error) {
+        console.warn('Failed to forget backup encryption key:', error);
+      }
+      this.renderControls();
+      return;
+    }
+
+    const keyInfo = await this.settingsManager.requestPassphrase({
+      title: 'Encrypt automatic backups',
+      description: 'Automatic backups will be encrypted with this passphrase. You need it to import them, and it cannot be recovered if you forget it.',
+      confirm: true,
+      submitLabel: 'Turn on encryption',
+      onSubmit: async (passphrase) => {
+        const created = await this.settingsManager.backupCrypto.createKey(passphrase);
+        await this.saveEncryptionKey(created);
+        return created;
+      }
+    });
+
+    if (keyInfo) {
+      this.encryptionKey = keyInfo;
+      this.saveConfig({ encrypted: true, lastError: null });
+    }
+    this.renderControls();
+  }
+
+  async chooseDirectory() {
+    if (!this.isFolderSupported()) return;
+
+    let handle;
+    try {
+      handle = await window.showDirectoryPicker({ id: 'marlapps-backups', mode: 'readwrite' });
+    } catch (error) {
+      // Picker dismissed.
+      if (error && error.name === 'AbortError') return;
+      console.error('Choosing backup folder failed:', error);
+      alert(`Failed to choose folder: ${error.message}`);
+      return;
+    }
+
+    this.directoryHandle = handle;
+    try {
+      await this.saveDirectoryHandle(handle);
+    } catch (error) {
+      console.warn('Failed to remember backup folder:', error);
+    }
+
+    this.saveConfig({ lastError: null });
+    this.renderControls();
+    if (this.config.enabled) this.runBackup({ interactive: true });
+  }
+
+  async ensurePermission(handle, interactive) {
+    const options = { mode: 'readwrite' };
+    if (typeof handle.queryPermission !== 'function') return true;
+    if (await handle.queryPermission(options) === 'granted') return true;
+    if (!interactive || typeof handle.requestPermission !== 'function') return false;
+    return await handle.requestPermission(options) === 'granted';
+  }
+
+  async writeToDirectory(handle, json) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const fileHandle = await handle.getFileHandle(`${this.filePrefix}${stamp}.json`, { create: true });
+    const writable = await fileHandle.createWritable();
+    await writable.write(json);
+    await writable.close();
+    await this.rotateDirectory(handle);
+  }
+
+  // Timestamped names sort chronologically, so everything past the newest `keep` files goes.
+  async rotateDirectory(handle) {
+    const names = [];
+    for await (const [name, entry] of handle.entries()) {
+      if (entry.kind === 'file' && name.startsWith(this.filePrefix) && name.endsWith('.json')) {
+        names.push(name);
+      }
+    }
+
+    names.sort().reverse();
+    for (const name of names.slice(this.config.keep)) {
+      await handle.removeEntry(name);
+    }
+  }
+
+  // --- IndexedDB (folder handle, encryption key, fallback snapshots) ---
+
+  openDB() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, this.dbVersion);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains('handles')) {
+          db.createObjectStore('handles');
+        }
+        if (!db.objectStoreNames.contains('snapshots')) {
+          db.createObjectStore('snapshots', { keyPath: 'id', autoIncrement: true });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    this.dbPromise.catch(() => {
+      this.dbPromise = null;
+    });
+    return this.dbPromise;
+  }
+
+  async runTransaction(storeName, mode, work) {
+    const db = await this.openDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const result = work(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(result && 'result' in result ? result.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  async loadDirectoryHandle() {
+    if (!this.isFolderSupported()) return null;
+    const handle = await this.runTransaction('handles', 'readonly', store => store.get('directory'));
+    return handle || null;
+  }
+
+  saveDirectoryHandle(handle) {
+    return this.runTransaction('handles', 'readwrite', store => store.put(handle, 'directory'));
+  }
+
+  async loadEncryptionKey() {
+    const keyInfo = await this.runTransaction('handles', 'readonly', store => store.get('encryptionKey'));
+    return keyInfo || null;
+  }
+
+  saveEncryptionKey(keyInfo) {
+    return this.runTransaction('handles', 'readwrite', store => store.put(keyInfo, 'encryptionKey'));
+  }
+
+  deleteEncryptionKey() {
+    return this.runTransaction('handles', 'readwrite', store => store.delete('encryptionKey'));
+  }
+
+  async saveSnapshot(json) {
+    await this.runTransaction('snapshots', 'readwrite', store => store.add({ createdAt: Date.now(), json }));
+
+    const keys = await this.runTransaction('snapshots', 'readonly', store => store.getAllKeys());
+    const staleKeys = keys.slice(0, Math.max(0, keys.length - this.config.keep));
+    if (staleKeys.length > 0) {
+      await this.runTransaction('snapshots', 'readwrite', (store) => {
+        staleKeys.forEach(key => store.delete(key));
+      });
+    }
+  }
+
+  async getLatestSnapshot() {
+    const db = await this.openDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('snapshots', 'readonly');
+      const request = tx.objectStore('snapshots').openCursor(null, 'prev');
+      request.onsuccess = () => resolve(request.result ? request.result.value : null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async downloadLatestSnapshot() {
+    let snapshot;
+    try {
+      snapshot = await this.getLatestSnapshot();
+    } catch (error) {
+      console.error('Reading backup snapshot failed:', error);
+      alert(`Failed to read snapshot: ${error.message}`);
+      return;
+    }
+
+    if (!snapshot) {
+      this.settingsManager.showNotification('No browser snapshot yet');
+      return;
+    }
+
+    const stamp = new Date(snapshot.createdAt).toISOString().replace(/[:.]/g, '-');
+    this.settingsManager.downloadJson(snapshot.json, `${this.filePrefix}${stamp}.json`);
+  }
+}
+
+window.BackupScheduler = BackupScheduler;
@@ -0,0 +1,353 @@
+class CommandPalette {
+  constructor(appLoader, launcher) {
+    this.appLoader = appLoader;
+    this.launcher = launcher;
+    this.root = null;
+    this.input = null;
+    this.list = null;
+    this.isOpen = false;
+    this.results = [];
+    this.activeIndex = 0;
+    this.pendingCommand = null;
+    this.previousFocus = null;
+    this.maxResults = 12;
+    this.kindLabels = { app: 'Open', beside: 'Split', workspace: 'Workspace', action: 'Action' };
+  }
+
+  init() {
+    this.root = document.getElementById('commandPalette');
+    this.input = document.getElementById('commandPaletteInput');
+    this.list = document.getElementById('commandPaletteList');
+    if (!this.root || !this.input || !this.list) {
+      console.warn('Command palette markup not found');
+      return this;
+    }
+
+    this.bindEvents();
+    return this;
+  }
+
+  bindEvents() {
+    document.addEventListener('keydown', (e) => {
+      if ((e.metaKey || e.ctrlKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        this.toggle();
+      }
+    });
+
+    this.input.addEventListener('input', () => {
+      if (this.pendingCommand) return;
+      this.activeIndex = 0;
+      this.render();
+    });
+
+    this.input.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        if (this.pendingCommand) {
+          this.cancelPendingInput();
+        } else {
+          this.close();
+        }
+        return;
+      }
+
+      if (e.key === 'Tab') {
+        e.preventDefault();
+        return;
+      }
+
+      if (e.key === 'Backspace' && this.pendingCommand && !this.input.value) {
+        e.preventDefault();
+        this.cancelPendingInput();
+        return;
+      }
+
+      if (this.pendingCommand) {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          this.submitPendingInput();
+        }
+        return;
+      }
+
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        this.moveActive(e.key === 'ArrowDown' ? 1 : -1);
+        return;
+      }
+
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.runCommand(this.results[this.activeIndex]);
+      }
+    });
+
+    this.list.addEventListener('mousedown', (e) => {
+      // Keep focus in the input while clicking results.
+      e.preventDefault();
+    });
+
+    this.list.addEventListener('click', (e) => {
+      const option = e.target.closest('.command-palette-option[data-index]');
+      if (!option) return;
+      this.runCommand(this.results[Number(option.dataset.index)]);
+    });
+
+    this.root.addEventListener('click', (e) => {
+      if (e.target === this.root) this.close();
+    });
+  }
+
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  open() {
+    if (!this.root) return;
+    if (this.launcher.settingsManager && this.launcher.settingsManager.isOpen) {
+      this.launcher.settingsManager.close();
+    }
+
+    this.previousFocus = document.activeElement;
+    this.isOpen = true;
+    this.pendingCommand = null;
+    this.activeIndex = 0;
+    this.input.value = '';
+    this.updateInputMode();
+    this.root.classList.remove('hidden');
+    this.root.setAttribute('aria-hidden', 'false');
+    this.render();
+    this.input.focus();
+  }
+
+  close({ restoreFocus = true } = {}) {
+    if (!this.root || !this.isOpen) return;
+
+    this.isOpen = false;
+    this.pendingCommand = null;
+    this.root.classList.add('hidden');
+    this.root.setAttribute('aria-hidden', 'true');
+    this.input.removeAttribute('aria-activedescendant');
+
+    if (restoreFocus && this.previousFocus && typeof this.previousFocus.focus === 'function') {
+      this.previousFocus.focus();
+    }
+    this.previousFocus = null;
+  }
+
+  getCommands() {
+    const commands = [];
+    const workspaces = this.launcher.workspaces;
+    const canOpenBeside = workspaces.canAddPane();
+
+    workspaces.workspaces.forEach((workspace) => {
+      const apps = workspaces.getWorkspaceApps(workspace);
+      if (apps.length === 0) return;
+      commands.push({
+        kind: 'workspace',
+        key: `workspace:${workspace.id}`,
+        app: apps[0],
+        workspace,
+        title: workspace.name,
+        subtitle: apps.map(app => app.name).join(' + '),
+        keywords: ['workspace']
+      });
+    });
+
+    this.appLoader.apps.forEach((app) => {
+      commands.push({
+        kind: 'app',
+        key: `app:${app.id}`,
+        app,
+        title: app.name,
+        subtitle: app.description || '',
+        keywords: Array.isArray(app.categories) ? app.categories : []
+      });
+
+      if (canOpenBeside && !workspaces.hasPane(app.id)) {
+        commands.push({
+          kind: 'beside',
+          key: `beside:${app.id}`,
+          app,
+          title: `Open ${app.name} beside`,
+          subtitle: app.description || '',
+          keywords: ['split', 'side by side']
+        });
+      }
+
+      this.appLoader.getAppActions(app).forEach((action) => {
+        commands.push({
+          kind: 'action',
+          key: `action:${app.id}:${action.id}`,
+          app,
+          action,
+          title: action.title,
+          subtitle: app.name,
+          keywords: action.keywords
+        });
+      });
+    });
+
+    return commands;
+  }
+
+  searchCommands(query) {
+    const commands = this.getCommands();
+    const normalizedQuery = query.toLowerCase().trim();
+
+    if (!normalizedQuery) {
+      const recentRank = new Map(this.appLoader.recents.map((item, index) => [item.id, index]));
+      const rank = (command) => recentRank.has(command.app.id) ? recentRank.get(command.app.id) : Infinity;
+      return commands
+        .filter(command => command.kind === 'workspace')
+        .concat(commands
+          .filter(command => command.kind === 'app')
+          .sort((a, b) => (rank(a) - rank(b)) || (a.app.order - b.app.order)))
+        .concat(commands.filter(command => command.kind === 'action'))
+        .slice(0, this.maxResults);
+    }
+
+    const threshold = 0.25;
+    return commands
+      .map((command) => {
+        const titleScore = this.appLoader.getFuzzyScore(normalizedQuery, command.title);
+        const subtitleScore = command.subtitle
+          ? this.appLoader.getFuzzyScore(normalizedQuery, command.subtitle) * 1.5
+          : Infinity;
+        const keywordScore = command.keywords.length
+          ? Math.min(...command.keywords.map(keyword => this.appLoader.getFuzzyScore(normalizedQuery, keyword))) * 1.2
+          : Infinity;
+        return { command, score: Math.min(titleScore, subtitleScore, keywordScore) };
+      })
+      .filter(item => item.score <= threshold)
+      .sort((a, b) => a.score - b.score || a.command.app.order - b.command.app.order)
+      .slice(0, this.maxResults)
+      .map(item => item.command);
+  }
+
+  render() {
+    this.results = this.searchCommands(this.input.value);
+    if (this.activeIndex >= this.results.length) this.activeIndex = 0;
+
+    if (this.results.length === 0) {
+      this.list.innerHTML = '<li class="command-palette-empty" role="presentation">No matching apps, workspaces or actions</li>';
+      this.input.removeAttribute('aria-activedescendant');
+      return;
+    }
+
+    this.list.innerHTML = this.results.map((command, index) => {
+      const isActive = index === this.activeIndex;
+      const kindLabel = this.kindLabels[command.kind];
+      return `
+        <li class="command-palette-option${isActive ? ' active' : ''}" id="commandPaletteOption-${index}" role="option" aria-selected="${isActive}" data-index="${index}">
+          <img class="command-palette-icon" src="${this.appLoader.getAppIconUrl(command.app)}" alt="" loading="lazy">
+          <span class="command-palette-text">
+            <span class="command-palette-title">${this.launcher.escapeHtml(command.title)}</span>
+            <span class="command-palette-subtitle">${this.launcher.escapeHtml(command.subtitle)}</span>
+          </span>
+          <span class="command-palette-kind">${kindLabel}</span>
+        </li>
+      `;
+    }).join('');
+
+    this.input.setAttribute('aria-activedescendant', `commandPaletteOption-${this.activeIndex}`);
+  }
+
+  moveActive(delta) {
+    if (this.results.length === 0) return;
+    this.activeIndex = (this.activeIndex + delta + this.results.length) % this.results.length;
+
+    this.list.querySelectorAll('.command-palette-option').forEach((option, index) => {
+      const isActive = index === this.activeIndex;
+      option.classList.toggle('active', isActive);
+      option.setAttribute('aria-selected', String(isActive));
+      if (isActive) option.scrollIntoView({ block: 'nearest' });
+    });
+    this.input.setAttribute('aria-activedescendant', `commandPaletteOption-${this.activeIndex}`);
+  }
+
+  runCommand(command) {
+    if (!command) return;
+
+    if (command.kind === 'app') {
+      this.close({ restoreFocus: false });
+      this.launcher.openApp(command.app.id);
+      return;
+    }
+
+    if (command.kind === 'beside') {
+      this.close({ restoreFocus: false });
+      this.launcher.workspaces.openBeside(command.app.id);
+      return;
+    }
+
+    if (command.kind === 'workspace') {
+      this.close({ restoreFocus: false });
+      this.launcher.workspaces.openWorkspace(command.workspace.id);
+      return;
+    }
+
+    if (command.action.input) {
+      this.pendingCommand = command;
+      this.input.value = '';
+      this.updateInputMode();
+      this.list.innerHTML = '';
+      this.input.removeAttribute('aria-activedescendant');
+      return;
+    }
+
+    this.dispatchAction(command, {});
+  }
+
+  submitPendingInput() {
+    const command = this.pendingCommand;
+    const value = this.input.value.trim();
+    if (!command || !value) return;
+    this.dispatchAction(command, { [command.action.input.name]: value });
+  }
+
+  cancelPendingInput() {
+    this.pendingCommand = null;
+    this.input.value = '';
+    this.updateInputMode();
+    this.render();
+  }
+
+  dispatchAction(command, extraPayload) {
+    const payload = { ...command.action.payload, ...extraPayload };
+    this.close({ restoreFocus: false });
+    this.launcher.intentBus.publish('launcher', command.action.intent, payload, {
+      target: command.app.id,
+      open: true
+    });
+  }
+
+  updateInputMode() {
+    const label = document.getElementById('commandPaletteContext');
+    if (this.pendingCommand) {
+      const { action, app } = this.pendingCommand;
+      this.input.placeholder = action.input.placeholder || action.title;
+      this.input.setAttribute('aria-label', action.title);
+      if (label) {
+        label.textContent = `${app.name} › ${action.title.replace(/…$|\.\.\.$/, '')}`;
+        label.classList.remove('hidden');
+      }
+      return;
+    }
+
+    this.input.placeholder = 'Search apps and actions...';
+    this.input.setAttribute('aria-label', 'Search apps and actions');
+    if (label) {
+      label.textContent = '';
+      label.classList.add('hidden');
+    }
+  }
+}
+
+window.CommandPalette = CommandPalette;
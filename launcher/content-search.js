@@ -0,0 +1,199 @@
+class ContentSearch {
+  constructor(appLoader, launcher) {
+    this.appLoader = appLoader;
+    this.launcher = launcher;
+    this.container = null;
+    this.adapterCache = new Map();
+    this.groups = [];
+    this.searchId = 0;
+    this.maxResultsPerApp = 5;
+    this.snippetLength = 140;
+  }
+
+  init() {
+    this.container = document.getElementById('contentResults');
+    if (!this.container) {
+      console.warn('Content search container not found');
+      return this;
+    }
+
+    this.container.addEventListener('click', (e) => {
+      const button = e.target.closest('.content-result[data-app-id][data-item-id]');
+      if (!button) return;
+      this.openResult(button.dataset.appId, button.dataset.itemId);
+    });
+    return this;
+  }
+
+  getSearchConfig(app) {
+    const search = app && app.search;
+    if (!search || typeof search !== 'object' || Array.isArray(search)) return null;
+    if (typeof search.adapter !== 'string' || !search.adapter.trim()) return null;
+    return search;
+  }
+
+  getSearchableApps() {
+    return this.appLoader.apps.filter(app => this.getSearchConfig(app));
+  }
+
+  async getAdapter(app) {
+    if (this.adapterCache.has(app.id)) {
+      return this.adapterCache.get(app.id);
+    }
+
+    const search = this.getSearchConfig(app);
+    const moduleUrl = new URL(this.appLoader.getAppFileUrl(app, search.adapter), window.location.href).href;
+
+    const adapterPromise = import(moduleUrl).then((module) => {
+      const adapter = module && module.default && typeof module.default === 'object'
+        ? { ...module, ...module.default }
+        : module;
+
+      if (typeof adapter.searchItems !== 'function') {
+        throw new Error(`Search adapter for ${app.id} is missing searchItems().`);
+      }
+
+      return adapter;
+    });
+
+    this.adapterCache.set(app.id, adapterPromise);
+    return adapterPromise;
+  }
+
+  normalizeItems(items) {
+    if (!Array.isArray(items)) return [];
+
+    return items
+      .filter(item => item && typeof item === 'object' && typeof item.id === 'string' && item.id)
+      .slice(0, this.maxResultsPerApp)
+      .map(item => ({
+        id: item.id,
+        title: typeof item.title === 'string' && item.title.trim() ? item.title.trim() : 'Untitled',
+        subtitle: typeof item.subtitle === 'string' ? item.subtitle : '',
+        text: typeof item.text === 'string' ? item.text : ''
+      }));
+  }
+
+  async search(query) {
+    const searchId = ++this.searchId;
+    const normalizedQuery = String(query || '').trim();
+    if (!normalizedQuery) {
+      this.clear();
+      return [];
+    }
+
+    const apps = this.getSearchableApps();
+    const results = await Promise.allSettled(apps.map(async (app) => {
+      const adapter = await this.getAdapter(app);
+      const items = await adapter.searchItems(normalizedQuery, { limit: this.maxResultsPerApp });
+      return { app, items: this.normalizeItems(items) };
+    }));
+
+    // A newer query started while adapters were running.
+    if (searchId !== this.searchId) return null;
+
+    const groups = [];
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        if (result.value.items.length > 0) groups.push(result.value);
+      } else {
+        console.warn(`Content search failed for ${apps[index].id}:`, result.reason);
+      }
+    });
+
+    this.groups = groups;
+    this.render(normalizedQuery);
+    return groups;
+  }
+
+  clear() {
+    this.searchId++;
+    this.groups = [];
+    if (!this.container) return;
+    this.container.innerHTML = '';
+    this.container.classList.add('hidden');
+  }
+
+  getFirstResult() {
+    const group = this.groups[0];
+    if (!group) return null;
+    return { appId: group.app.id, itemId: group.items[0].id };
+  }
+
+  openResult(appId, itemId) {
+    if (this.launcher.searchManager) {
+      this.launcher.searchManager.clear();
+      this.launcher.searchManager.blur();
+    }
+    this.launcher.openApp(appId, { item: itemId });
+  }
+
+  getQueryTokens(query) {
+    return [...new Set(query.toLowerCase().split(/\s+/).filter(Boolean))];
+  }
+
+  // Centers the snippet on the first token hit so the match is visible.
+  buildSnippet(text, tokens) {
+    const flat = text.replace(/\s+/g, ' ').trim();
+    if (!flat) return '';
+
+    const lower = flat.toLowerCase();
+    const hits = tokens.map(token => lower.indexOf(token)).filter(index => index >= 0);
+    const firstHit = hits.length > 0 ? Math.min(...hits) : 0;
+    const start = Math.max(0, firstHit - Math.floor(this.snippetLength / 3));
+    const end = Math.min(flat.length, start + this.snippetLength);
+
+    return `${start > 0 ? '…' : ''}${flat.slice(start, end)}${end < flat.length ? '…' : ''}`;
+  }
+
+  highlight(text, tokens) {
+    if (!text) return '';
+    if (tokens.length === 0) return this.launcher.escapeHtml(text);
+
+    const pattern = tokens
+      .map(token => token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('|');
+
+    return text
+      .split(new RegExp(`(${pattern})`, 'gi'))
+      .map((part, index) => {
+        const escaped = this.launcher.escapeHtml(part);
+        return index % 2 === 1 ? `<mark>${escaped}</mark>` : escaped;
+      })
+      .join('');
+  }
+
+  render(query) {
+    if (!this.container) return;
+
+    if (this.groups.length === 0) {
+      this.container.innerHTML = '';
+      this.container.classList.add('hidden');
+      return;
+    }
+
+    const tokens = this.getQueryTokens(query);
+    this.container.innerHTML = this.groups.map(({ app, items }) => `
+      <div class="content-results-group">
+        <h2 class="content-results-heading">
+          <img class="content-results-icon" src="${this.appLoader.getAppIconUrl(app)}" alt="" loading="lazy">
+          <span>${this.launcher.escapeHtml(app.name)}</span>
+        </h2>
+        <ul class="content-results-list">
+          ${items.map(item => `
+            <li>
+              <button type="button" class="content-result" data-app-id="${this.launcher.escapeHtml(app.id)}" data-item-id="${this.launcher.escapeHtml(item.id)}">
+                <span class="content-result-title">${this.highlight(item.title, tokens)}</span>
+                ${item.subtitle ? `<span class="content-result-subtitle">${this.launcher.escapeHtml(item.subtitle)}</span>` : ''}
+                ${item.text ? `<span class="content-result-snippet">${this.highlight(this.buildSnippet(item.text, tokens), tokens)}</span>` : ''}
+              </button>
+            </li>
+          `).join('')}
+        </ul>
+      </div>
+    `).join('');
+    this.container.classList.remove('hidden');
+  }
+}
+
+window.ContentSearch = ContentSearch;
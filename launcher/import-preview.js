@@ -0,0 +1,174 @@
+class ImportPreview {
+  constructor(settingsManager) {
+    this.settingsManager = settingsManager;
+    this.dialog = null;
+    this.list = null;
+    this.entries = [];
+    this.pending = null;
+    this.modeLabels = {
+      merge: 'Merge',
+      replace: 'Replace',
+      skip: 'Skip'
+    };
+  }
+
+  init() {
+    this.dialog = document.getElementById('importPreviewDialog');
+    this.list = document.getElementById('importPreviewList');
+    if (!this.dialog || !this.list) {
+      console.warn('Import preview elements not found');
+      return this;
+    }
+
+    document.getElementById('importPreviewCancelBtn').addEventListener('click', () => this.finish(null));
+    document.getElementById('importPreviewConfirmBtn').addEventListener('click', () => this.confirm());
+
+    this.dialog.addEventListener('click', (e) => {
+      if (e.target === this.dialog) this.finish(null);
+    });
+
+    this.list.addEventListener('change', (e) => {
+      const select = e.target.closest('.import-preview-mode');
+      if (!select) return;
+      const entry = this.entries.find(item => item.key === select.dataset.entryKey);
+      if (!entry) return;
+      entry.mode = select.value;
+      this.renderRowSummary(entry);
+      this.updateConfirmButton();
+    });
+
+    this.dialog.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        // Keep the settings drawer open underneath.
+        e.preventDefault();
+        e.stopPropagation();
+        this.finish(null);
+        return;
+      }
+
+      if (e.key !== 'Tab') return;
+      const focusable = [...this.dialog.querySelectorAll('select, button:not([disabled])')];
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    });
+    return this;
+  }
+
+  // Each entry: { key, name, iconUrl, mode, summaries: { merge?, replace } }.
+  // Resolves with a Map of entry key -> 'merge' | 'replace' | 'skip', or null when cancelled.
+  open({ exportedAt, entries, skippedEntries = 0 }) {
+    if (!this.dialog) return Promise.resolve(null);
+    if (this.pending) this.finish(null);
+
+    this.entries = entries;
+    const returnFocus = document.activeElement;
+
+    document.getElementById('importPreviewSubtitle').textContent =
+      `Backup from ${exportedAt.toLocaleString()}. Choose what to restore on this device.`;
+
+    const notes = ['Replace discards this device\'s data for that app. Imports cannot be undone.'];
+    if (skippedEntries > 0) {
+      notes.push(`${skippedEntries} invalid ${skippedEntries === 1 ? 'entry' : 'entries'} in the file will be skipped.`);
+    }
+    document.getElementById('importPreviewNote').textContent = notes.join('\n');
+
+    this.render();
+    this.updateConfirmButton();
+
+    this.dialog.classList.remove('hidden');
+    this.dialog.setAttribute('aria-hidden', 'false');
+    const firstSelect = this.list.querySelector('select');
+    if (firstSelect) firstSelect.focus();
+
+    return new Promise((resolve) => {
+      this.pending = { resolve, returnFocus };
+    });
+  }
+
+  confirm() {
+    const choices = new Map(this.entries.map(entry => [entry.key, entry.mode]));
+    if ([...choices.values()].every(mode => mode === 'skip')) return;
+    this.finish(choices);
+  }
+
+  finish(result) {
+    const pending = this.pending;
+    if (!pending) return;
+    this.pending = null;
+
+    this.dialog.classList.add('hidden');
+    this.dialog.setAttribute('aria-hidden', 'true');
+    this.list.innerHTML = '';
+    this.entries = [];
+
+    if (pending.returnFocus && typeof pending.returnFocus.focus === 'function') {
+      pending.returnFocus.focus();
+    }
+    pending.resolve(result);
+  }
+
+  formatDiff(diff) {
+    if (!diff.records) {
+      return diff.changed > 0 ? 'Settings will change' : 'No changes';
+    }
+
+    const parts = [];
+    if (diff.added > 0) parts.push(`${diff.added} added`);
+    if (diff.changed > 0) parts.push(`${diff.changed} changed`);
+    if (diff.removed > 0) parts.push(`${diff.removed} removed`);
+    return parts.length > 0 ? parts.join(' · ') : 'No changes';
+  }
+
+  getModes(entry) {
+    return ['merge', 'replace', 'skip'].filter(mode => mode === 'skip' || typeof entry.summaries[mode] === 'string');
+  }
+
+  render() {
+    const escapeHtml = value => this.settingsManager.launcher.escapeHtml(value);
+
+    this.list.innerHTML = this.entries.map(entry => `
+      <li class="import-preview-row" data-entry-key="${escapeHtml(entry.key)}">
+        ${entry.iconUrl
+          ? `<img class="import-preview-icon" src="${escapeHtml(entry.iconUrl)}" alt="" loading="lazy">`
+          : '<span class="import-preview-icon" aria-hidden="true"></span>'}
+        <span class="import-preview-text">
+          <span class="import-preview-name">${escapeHtml(entry.name)}</span>
+          <span class="import-preview-summary"></span>
+        </span>
+        <select class="sort-select import-preview-mode" data-entry-key="${escapeHtml(entry.key)}" aria-label="Import mode for ${escapeHtml(entry.name)}">
+          ${this.getModes(entry).map(mode => `
+            <option value="${mode}"${mode === entry.mode ? ' selected' : ''}>${this.modeLabels[mode]}</option>
+          `).join('')}
+        </select>
+      </li>
+    `).join('');
+
+    this.entries.forEach(entry => this.renderRowSummary(entry));
+  }
+
+  renderRowSummary(entry) {
+    const row = [...this.list.querySelectorAll('.import-preview-row')]
+      .find(item => item.dataset.entryKey === entry.key);
+    if (!row) return;
+
+    row.classList.toggle('skipped', entry.mode === 'skip');
+    row.querySelector('.import-preview-summary').textContent = entry.mode === 'skip'
+      ? 'Not imported'
+      : entry.summaries[entry.mode];
+  }
+
+  updateConfirmButton() {
+    const confirmBtn = document.getElementById('importPreviewConfirmBtn');
+    if (!confirmBtn) return;
+    confirmBtn.disabled = this.entries.every(entry => entry.mode === 'skip');
+  }
+}
+
+window.ImportPreview = ImportPreview;
@@ -0,0 +1,163 @@
+class IntentBus {
+  constructor(launcher) {
+    this.launcher = launcher;
+    this.pending = new Map();
+    this.wokenFrames = new Set();
+    this.wakeReleaseDelayMs = 3000;
+  }
+
+  isValidIntentName(intent) {
+    return typeof intent === 'string' && /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(intent);
+  }
+
+  // An app handles the intents it lists plus the ones its palette actions send.
+  getDeclaredIntents(app) {
+    if (!app) return [];
+    const declared = Array.isArray(app.intents) ? app.intents : [];
+    const fromActions = this.launcher.appLoader.getAppActions(app).map(action => action.intent);
+    return [...new Set([...declared, ...fromActions])].filter(intent => this.isValidIntentName(intent));
+  }
+
+  resolveTarget(intent, targetAppId = null) {
+    if (targetAppId) {
+      const target = this.launcher.appLoader.getAppById(targetAppId);
+      if (!target || !this.getDeclaredIntents(target).includes(intent)) return null;
+      return target;
+    }
+
+    const candidates = this.launcher.appLoader.apps
+      .filter(app => this.getDeclaredIntents(app).includes(intent))
+      .sort((a, b) => a.order - b.order);
+    return candidates[0] || null;
+  }
+
+  handleMessage(event) {
+    const data = event && event.data;
+    if (!data || data.type !== 'app-intent') return;
+
+    const sourceAppId = this.launcher.getAppIdForContentWindow(event.source);
+    if (!sourceAppId) return;
+
+    this.publish(sourceAppId, data.intent, data.payload, {
+      target: typeof data.target === 'string' ? data.target : null,
+      open: data.open === true
+    });
+  }
+
+  publish(sourceAppId, intent, payload = null, options = {}) {
+    if (!this.isValidIntentName(intent)) {
+      console.warn(`Ignoring malformed intent: ${intent}`);
+      return false;
+    }
+
+    const target = this.resolveTarget(intent, options.target || null);
+    if (!target) {
+      console.warn(`No app handles intent: ${intent}`);
+      return false;
+    }
+
+    const message = {
+      type: 'app-intent',
+      intent,
+      payload: payload === undefined ? null : payload,
+      source: sourceAppId || null
+    };
+
+    if (options.open) {
+      this.launcher.openApp(target.id);
+    }
+
+    this.deliver(target, message);
+    return true;
+  }
+
+  // Posts straight to a booted frame, otherwise queues until the app has loaded
+  // (waking it in the background when nothing is loading yet).
+  deliver(app, message) {
+    const iframe = this.getLiveFrame(app.id);
+    if (iframe && iframe.classList.contains('loaded') && !this.pending.has(app.id)) {
+      this.postToFrame(iframe, message);
+      return;
+    }
+
+    this.enqueue(app.id, message);
+    if (!iframe) this.wakeApp(app);
+  }
+
+  getLiveFrame(appId) {
+    const paneFrame = this.launcher.workspaces.getFrame(appId);
+    if (paneFrame) return paneFrame;
+
+    let match = null;
+    this.launcher.backgroundHost.forEachFrame((frame, frameAppId) => {
+      if (!match && frameAppId === appId) match = frame;
+    });
+    return match;
+  }
+
+  enqueue(appId, message) {
+    if (!this.pending.has(appId)) this.pending.set(appId, []);
+    this.pending.get(appId).push(message);
+  }
+
+  // Called for every app iframe the launcher creates so queued intents land once the app has booted.
+  watchFrame(iframe) {
+    if (!iframe) return;
+    iframe.addEventListener('load', () => this.flush(iframe));
+  }
+
+  flush(iframe) {
+    const appId = iframe.dataset.appId;
+    const queue = this.pending.get(appId);
+    if (!queue || queue.length === 0) return;
+
+    this.pending.delete(appId);
+    queue.forEach(message => this.postToFrame(iframe, message));
+
+    if (this.wokenFrames.has(iframe)) {
+      setTimeout(() => this.releaseWokenFrame(iframe), this.wakeReleaseDelayMs);
+    }
+  }
+
+  postToFrame(iframe, message) {
+    if (!iframe || !iframe.contentWindow) return;
+
+    try {
+      iframe.contentWindow.postMessage(message, window.location.origin);
+    } catch (e) {
+      // Ignore postMessage failures.
+    }
+  }
+
+  wakeApp(app) {
+    const iframe = this.launcher.createAppIframe(app);
+    iframe.addEventListener('load', () => {
+      this.launcher.syncThemeToIframe(iframe);
+      const visible = this.launcher.workspaces.hasPane(app.id);
+      this.launcher.notifyAppVisibility(iframe, visible, visible ? 'workspace-open' : 'intent-wake');
+      iframe.classList.add('loaded');
+    });
+    this.wokenFrames.add(iframe);
+    this.launcher.backgroundHost.stashFrame(app.id, iframe);
+  }
+
+  // Apps without keep-alive only stay loaded long enough to handle the intent,
+  // unless the user opened them in the meantime.
+  releaseWokenFrame(iframe) {
+    this.wokenFrames.delete(iframe);
+
+    const appId = iframe.dataset.appId;
+    const app = this.launcher.appLoader.getAppById(appId);
+    if (!app || this.launcher.shouldKeepAliveApp(app)) return;
+    if (this.getLiveFrame(appId) !== iframe) return;
+    if (this.launcher.workspaces.hasPane(appId)) return;
+
+    this.launcher.backgroundHost.discardFrame(appId);
+    this.launcher.backgroundActivity.delete(appId);
+    this.launcher.clearAppStatus(appId);
+    this.launcher.widgetHost.clearLivePayload(appId);
+    this.launcher.refreshBackgroundIndicators();
+  }
+}
+
+window.IntentBus = IntentBus;
@@ -84,11 +84,17 @@ class Launcher {
     this.appLoader = new AppLoader();
     this.searchManager = null;
     this.settingsManager = null;
+    this.commandPalette = null;
+    this.widgetHost = null;
     this.categories = [];
     this.currentCategory = 'all';
     this.currentSort = 'recent';
     this.currentApp = null;
+    this.currentRoute = '';
     this.backgroundHost = new BackgroundAppHost();
+    this.intentBus = new IntentBus(this);
+    this.workspaces = new WorkspaceManager(this);
+    this.notificationCenter = new NotificationCenter(this);
     this.backgroundActivity = new Map();
     this.appStatus = new Map();
     this.statusTickInterval = null;
@@ -141,11 +147,22 @@ class Launcher {
     this.searchManager = new SearchManager(this.appLoader, this);
     this.searchManager.init();
 
+    this.contentSearch = new ContentSearch(this.appLoader, this);
+    this.contentSearch.init();
+
     this.settingsManager = new SettingsManager(this.themeManager, this.appLoader, this);
     this.settingsManager.init();
 
+    this.commandPalette = new CommandPalette(this.appLoader, this);
+    this.commandPalette.init();
+
+    this.widgetHost = new WidgetHost(this.appLoader, this);
+    this.workspaces.init();
+    this.notificationCenter.init();
+
     this.bindEvents();
     this.renderApps();
+    this.widgetHost.init();
 
     // Check for updates on startup (respects user preference)
     this.settingsManager.autoCheckForUpdates();
@@ -168,7 +185,12 @@ class Launcher {
     }
 
     if (startupAppId) {
-      this.openApp(startupAppId);
+      const isDeepLink = startupAppId === appParam;
+      this.openApp(startupAppId, {
+        item: isDeepLink ? params.get('item') : null,
+        route: isDeepLink ? params.get('route') : null,
+        replaceHistory: true
+      });
     }
   }
 
@@ -289,15 +311,29 @@ class Launcher {
     if (appGrid) {
       appGrid.addEventListener('click', (e) => {
         const card = e.target.closest('.app-card[data-app-id]');
-        if (card) this.openApp(card.dataset.appId);
+        if (!card || e.target.closest('.app-widget-controls')) return;
+        const action = e.target.closest('[data-card-action]');
+        if (action) {
+          this.handleCardAction(card.dataset.appId, action.dataset.cardAction);
+          return;
+        }
+        this.openApp(card.dataset.appId);
       });
       appGrid.addEventListener('keydown', (e) => {
-        if (!this.isActivationKey(e.key)) return;
         const card = e.target.closest('.app-card[data-app-id]');
-        if (!card) return;
+        if (!card || e.target.closest('[data-card-action], .app-widget-controls')) return;
+
+        if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+          e.preventDefault();
+          this.moveAppCard(card.dataset.appId, e.key === 'ArrowUp' ? -1 : 1);
+          return;
+        }
+
+        if (!this.isActivationKey(e.key)) return;
         e.preventDefault();
         this.openApp(card.dataset.appId);
       });
+      this.bindGridDragEvents(appGrid);
     }
 
     const homeBtn = document.getElementById('homeBtn');
@@ -388,8 +424,7 @@ class Launcher {
     });
 
     window.addEventListener('themechange', () => {
-      const iframe = document.querySelector('#workspaceContent .app-iframe');
-      if (iframe) this.syncThemeToIframe(iframe);
+      this.workspaces.getFrames().forEach((frame) => this.syncThemeToIframe(frame));
       this.backgroundHost.forEachFrame((frame) => this.syncThemeToIframe(frame));
     });
 
@@ -397,8 +432,16 @@ class Launcher {
       if (event.origin !== window.location.origin) return;
       this.handleAppBackgroundActivityMessage(event);
       this.handleAppStatusMessage(event);
+      this.widgetHost.handleMessage(event);
+      this.workspaces.handleMessage(event);
+      this.notificationCenter.handleMessage(event);
+      this.intentBus.handleMessage(event);
+      this.handleLauncherShortcutMessage(event);
+      this.handleAppRouteMessage(event);
     });
 
+    window.addEventListener('popstate', () => this.handleHistoryNavigation());
+
     const notifyUnload = () => {
       this.notifyManagedAppVisibility(false, 'launcher-unload');
     };
@@ -533,6 +576,10 @@ class Launcher {
     const sorted = [...apps];
 
     switch (this.currentSort) {
+      case 'custom':
+        sorted.sort((a, b) => a.order - b.order);
+        break;
+
       case 'alpha':
         sorted.sort((a, b) => a.name.localeCompare(b.name));
         break;
@@ -562,7 +609,8 @@ class Launcher {
         break;
     }
 
-    return sorted;
+    // Pinned apps lead in every sort; the sort still applies within each group.
+    return [...sorted.filter(app => app.pinned), ...sorted.filter(app => !app.pinned)];
   }
 
   renderApps(apps = null) {
@@ -573,6 +621,9 @@ class Launcher {
       apps = this.appLoader.getAppsByCategory(this.currentCategory);
       apps = this.sortApps(apps);
     }
+    apps = apps.filter(app => this.appLoader.isAppVisible(app));
+    // Dragging reorders the full list, which only matches what is on screen in custom order.
+    const canReorder = this.currentSort === 'custom' && this.currentCategory === 'all' && !this.isSearchActive();
 
     const cardsHtml = apps.map((app) => {
       const category = app.categories?.[0] || '';
@@ -583,7 +634,7 @@ class Launcher {
       const isBackgroundRunning = this.isAppRunningInBackground(app.id);
       const ariaLabel = this.escapeHtml(this.getLauncherItemAriaLabel(app.name, isBackgroundRunning));
       return `
-      <div class="app-card${isBackgroundRunning ? ' is-background-running' : ''}" data-app-id="${app.id}" tabindex="0" role="listitem" aria-label="${ariaLabel}">
+      <div class="app-card${isBackgroundRunning ? ' is-background-running' : ''}${app.hidden ? ' is-hidden' : ''}" data-app-id="${app.id}" tabindex="0" role="listitem" aria-label="${ariaLabel}"${canReorder ? ' draggable="true"' : ''}>
         <span class="app-icon-wrap">
           <span class="background-running-frame" aria-hidden="true"></span>
           <img class="app-icon" src="${this.appLoader.getAppIconUrl(app)}" alt="" loading="lazy">
@@ -591,16 +642,157 @@ class Launcher {
         <div class="app-info">
           <div class="app-name-row">
             <span class="app-name">${this.escapeHtml(app.name)}</span>
+            ${app.pinned ? `<svg class="app-pinned-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-label="Pinned" role="img">${this.getPinIconPath()}</svg>` : ''}
+            ${app.hidden ? '<span class="app-hidden-label">Hidden</span>' : ''}
           </div>
           <span class="app-description">${this.escapeHtml(app.description)}</span>
         </div>
         <span class="app-category-badge">${this.escapeHtml(categoryLabel)}</span>
+        <span class="app-card-actions">
+          <button class="app-card-action${app.pinned ? ' active' : ''}" data-card-action="pin" aria-pressed="${app.pinned}" aria-label="${app.pinned ? 'Unpin' : 'Pin'} ${this.escapeHtml(app.name)}" title="${app.pinned ? 'Unpin' : 'Pin'}">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">${this.getPinIconPath()}</svg>
+          </button>
+          <button class="app-card-action" data-card-action="hide" aria-label="${app.hidden ? 'Show' : 'Hide'} ${this.escapeHtml(app.name)}" title="${app.hidden ? 'Show' : 'Hide'}">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">${app.hidden
+              ? '<path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/><circle cx="12" cy="12" r="3"/>'
+              : '<path d="M17.94 17.94A10.07 10.07 0 0 1 12 20c-7 0-11-8-11-8a18.45 18.45 0 0 1 5.06-5.94"/><path d="M9.9 4.24A9.12 9.12 0 0 1 12 4c7 0 11 8 11 8a18.5 18.5 0 0 1-2.16 3.19"/><line x1="1" y1="1" x2="23" y2="23"/>'}</svg>
+          </button>
+        </span>
       </div>
     `;
     }).join('');
 
     container.innerHTML = cardsHtml;
     this.refreshBackgroundIndicators();
+    if (this.widgetHost) this.widgetHost.renderAll();
+  }
+
+  getPinIconPath() {
+    return '<line x1="12" y1="17" x2="12" y2="22"/><path d="M5 17h14v-1.76a2 2 0 0 0-1.11-1.79l-1.78-.9A2 2 0 0 1 15 10.76V6h1a2 2 0 0 0 0-4H8a2 2 0 0 0 0 4h1v4.76a2 2 0 0 1-1.11 1.79l-1.78.9A2 2 0 0 0 5 15.24z"/>';
+  }
+
+  isSearchActive() {
+    return Boolean(this.searchManager && this.searchManager.lastQuery);
+  }
+
+  // --- Layout ---
+
+  handleCardAction(appId, action) {
+    const app = this.appLoader.getAppById(appId);
+    if (!app) return;
+
+    if (action === 'pin') {
+      this.appLoader.setAppPinned(appId, !app.pinned);
+      this.settingsManager.showNotification(`${app.name} ${app.pinned ? 'pinned' : 'unpinned'}`);
+    } else if (action === 'hide') {
+      this.appLoader.setAppHidden(appId, !app.hidden);
+      this.settingsManager.showNotification(app.hidden
+        ? `${app.name} hidden. Turn on "Show hidden apps" in Settings to see it.`
+        : `${app.name} is visible again`);
+    }
+
+    this.rerenderGrid(appId, `[data-card-action="${action}"]`);
+  }
+
+  // Re-renders through search when it is active, then restores focus to the same control.
+  rerenderGrid(appId, focusSelector = '') {
+    if (this.isSearchActive()) {
+      this.renderApps(this.appLoader.searchApps(this.searchManager.lastQuery));
+    } else {
+      this.renderApps();
+    }
+
+    const card = document.querySelector(`.app-card[data-app-id="${CSS.escape(appId)}"]`);
+    const target = card && focusSelector ? card.querySelector(focusSelector) : card;
+    if (target) target.focus();
+  }
+
+  useCustomSort() {
+    if (this.currentSort === 'custom') return;
+    this.currentSort = 'custom';
+    const sortSelect = document.getElementById('sortSelect');
+    if (sortSelect) sortSelect.value = 'custom';
+  }
+
+  // Alt+Up/Down moves the focused app one place among the visible cards.
+  moveAppCard(appId, direction) {
+    this.useCustomSort();
+    this.setCategory('all');
+
+    const cards = [...document.querySelectorAll('.app-card[data-app-id]')];
+    const index = cards.findIndex(card => card.dataset.appId === appId);
+    const neighbour = cards[index + direction];
+    if (index === -1 || !neighbour) {
+      this.rerenderGrid(appId);
+      return;
+    }
+
+    this.moveAppNextTo(appId, neighbour.dataset.appId, direction > 0);
+    this.rerenderGrid(appId);
+  }
+
+  // Pinned state follows the neighbour, so an app dropped among pinned apps stays where it lands.
+  moveAppNextTo(appId, targetId, after) {
+    const app = this.appLoader.getAppById(appId);
+    const target = this.appLoader.getAppById(targetId);
+    if (!app || !target || appId === targetId) return;
+
+    if (app.pinned !== target.pinned) this.appLoader.setAppPinned(appId, target.pinned);
+    const order = this.appLoader.apps.map(item => item.id).filter(id => id !== appId);
+    this.appLoader.moveApp(appId, order.indexOf(targetId) + (after ? 1 : 0));
+  }
+
+  bindGridDragEvents(appGrid) {
+    let draggedId = null;
+
+    const clearDropMarkers = () => {
+      appGrid.querySelectorAll('.drop-before, .drop-after').forEach((card) => {
+        card.classList.remove('drop-before', 'drop-after');
+      });
+    };
+
+    const getDropPosition = (e) => {
+      const card = e.target.closest('.app-card[data-app-id]');
+      if (!card || card.dataset.appId === draggedId) return null;
+      const rect = card.getBoundingClientRect();
+      return { card, after: e.clientY > rect.top + rect.height / 2 };
+    };
+
+    appGrid.addEventListener('dragstart', (e) => {
+      const card = e.target.closest('.app-card[draggable="true"]');
+      if (!card) return;
+      draggedId = card.dataset.appId;
+      card.classList.add('dragging');
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', draggedId);
+    });
+
+    appGrid.addEventListener('dragover', (e) => {
+      if (!draggedId) return;
+      const position = getDropPosition(e);
+      clearDropMarkers();
+      if (!position) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      position.card.classList.add(position.after ? 'drop-after' : 'drop-before');
+    });
+
+    appGrid.addEventListener('drop', (e) => {
+      if (!draggedId) return;
+      const position = getDropPosition(e);
+      clearDropMarkers();
+      if (!position) return;
+      e.preventDefault();
+      const appId = draggedId;
+      this.moveAppNextTo(appId, position.card.dataset.appId, position.after);
+      this.rerenderGrid(appId);
+    });
+
+    appGrid.addEventListener('dragend', () => {
+      draggedId = null;
+      clearDropMarkers();
+      appGrid.querySelectorAll('.dragging').forEach(card => card.classList.remove('dragging'));
+    });
   }
 
   shouldKeepAliveApp(app) {
@@ -633,10 +825,8 @@ class Launcher {
   getAppIdForContentWindow(contentWindow) {
     if (!contentWindow) return null;
 
-    const activeIframe = document.querySelector('#workspaceContent .app-iframe');
-    if (activeIframe && activeIframe.contentWindow === contentWindow) {
-      return activeIframe.dataset.appId || null;
-    }
+    const paneFrame = this.workspaces.getFrames().find(frame => frame.contentWindow === contentWindow);
+    if (paneFrame) return paneFrame.dataset.appId || null;
 
     let matchedAppId = null;
     this.backgroundHost.forEachFrame((frame, appId) => {
@@ -667,6 +857,17 @@ class Launcher {
     this.setAppBackgroundActivity(appId, data.active === true);
   }
 
+  // Apps forward launcher-wide shortcuts (Ctrl+K) that would otherwise stay inside the iframe.
+  handleLauncherShortcutMessage(event) {
+    const data = event && event.data;
+    if (!data || data.type !== 'launcher-shortcut') return;
+    if (!this.getAppIdForContentWindow(event.source)) return;
+
+    if (data.shortcut === 'command-palette' && this.commandPalette) {
+      this.commandPalette.toggle();
+    }
+  }
+
   notifyAppVisibility(iframe, visible, reason = '') {
     if (!iframe || !iframe.contentWindow) return;
 
@@ -682,8 +883,7 @@ class Launcher {
   }
 
   notifyManagedAppVisibility(visible, reason = '') {
-    const activeIframe = document.querySelector('#workspaceContent .app-iframe');
-    if (activeIframe) this.notifyAppVisibility(activeIframe, visible, reason);
+    this.workspaces.getFrames().forEach((frame) => this.notifyAppVisibility(frame, visible, reason));
     this.backgroundHost.forEachFrame((frame) => this.notifyAppVisibility(frame, visible, reason));
   }
 
@@ -695,24 +895,16 @@ class Launcher {
     if (removedBackgroundFrame) {
       this.backgroundActivity.delete(appId);
       this.clearAppStatus(appId);
+      this.widgetHost.clearLivePayload(appId);
     }
 
-    if (!this.currentApp || this.currentApp.id !== appId) {
+    const pane = this.workspaces.getPane(appId);
+    if (!pane) {
       if (removedBackgroundFrame) this.refreshBackgroundIndicators();
       return false;
     }
 
-    const content = document.getElementById('workspaceContent');
-    if (!content) return false;
-
-    content.innerHTML = '';
-    const iframe = this.createAppIframe(app);
-    content.appendChild(iframe);
-    iframe.addEventListener('load', () => {
-      this.syncThemeToIframe(iframe);
-      this.notifyAppVisibility(iframe, true, 'workspace-open');
-      iframe.classList.add('loaded');
-    });
+    this.workspaces.reloadPane(pane);
     this.refreshBackgroundIndicators();
     return true;
   }
@@ -726,30 +918,21 @@ class Launcher {
     if (removedBackgroundFrame) {
       this.backgroundActivity.delete(appId);
       this.clearAppStatus(appId);
+      this.widgetHost.clearLivePayload(appId);
       removed = true;
     }
 
-    if (this.currentApp && this.currentApp.id === appId) {
-      const workspace = document.getElementById('appWorkspace');
-      const content = document.getElementById('workspaceContent');
-      const mainContent = document.getElementById('mainContent');
-      const iframe = content && content.querySelector('.app-iframe');
-
-      if (iframe) {
-        this.notifyAppVisibility(iframe, false, 'app-discarded');
+    const pane = this.workspaces.getPane(appId);
+    if (pane) {
+      if (pane.iframe) {
+        this.notifyAppVisibility(pane.iframe, false, 'app-discarded');
       }
 
-      if (content) content.innerHTML = '';
-      if (workspace) workspace.classList.add('hidden');
-      if (mainContent) mainContent.classList.remove('hidden');
-
       this.backgroundActivity.delete(appId);
       this.clearAppStatus(appId);
-      this.currentApp = null;
-      document.body.classList.remove('app-open');
-      document.title = 'MarlApps';
-      this.clearPersistedActiveApp();
-      this.clearAppQueryParam();
+      this.widgetHost.clearLivePayload(appId);
+      // Removing the last pane closes the workspace.
+      this.workspaces.removePane(pane);
       removed = true;
     }
 
@@ -762,9 +945,9 @@ class Launcher {
 
   discardAllAppInstances() {
     const appIds = new Set();
-    if (this.currentApp && this.currentApp.id) {
-      appIds.add(this.currentApp.id);
-    }
+    this.workspaces.panes.forEach((pane) => {
+      if (pane.app) appIds.add(pane.app.id);
+    });
     this.backgroundHost.getAppIds().forEach(appId => appIds.add(appId));
     appIds.forEach(appId => this.discardAppInstance(appId));
   }
@@ -778,6 +961,7 @@ class Launcher {
     // This iframe is a trusted embedding and lifecycle boundary, not a security boundary.
     iframe.setAttribute('sandbox', 'allow-scripts allow-same-origin allow-forms allow-popups allow-modals allow-downloads');
     this.backgroundActivity.set(app.id, false);
+    this.intentBus.watchFrame(iframe);
     return iframe;
   }
 
@@ -810,15 +994,32 @@ class Launcher {
     }
   }
 
-  setAppQueryParam(appId) {
+  // `push` adds a history entry (opening an app from home, in-app navigation); everything else
+  // rewrites the current one. `depth` counts the entries above the home grid's entry.
+  setAppQueryParam(appId, { item = null, route = null, push = false } = {}) {
     try {
       const url = new URL(window.location.href);
+      url.searchParams.delete('app');
+      url.searchParams.delete('route');
+      url.searchParams.delete('item');
       if (appId) {
         url.searchParams.set('app', appId);
+        if (route) url.searchParams.set('route', route);
+        if (item) url.searchParams.set('item', item);
+      }
+
+      const depth = (window.history.state && window.history.state.depth) || 0;
+      const state = {
+        app: appId || null,
+        route: appId && route ? route : null,
+        depth: appId ? depth + (push ? 1 : 0) : 0
+      };
+      const nextUrl = `${url.pathname}${url.search}${url.hash}`;
+      if (push) {
+        window.history.pushState(state, '', nextUrl);
       } else {
-        url.searchParams.delete('app');
+        window.history.replaceState(state, '', nextUrl);
       }
-      window.history.replaceState({}, '', `${url.pathname}${url.search}${url.hash}`);
     } catch (e) {
       // Ignore URL update errors
     }
@@ -828,6 +1029,17 @@ class Launcher {
     this.setAppQueryParam(null);
   }
 
+  // Going home steps back over the entries the app pushed, so Back on the grid leaves the launcher
+  // instead of revisiting a duplicate home entry.
+  returnHomeInHistory() {
+    const depth = (window.history.state && window.history.state.depth) || 0;
+    if (depth > 0) {
+      window.history.go(-depth);
+    } else {
+      this.clearAppQueryParam();
+    }
+  }
+
   getStartupAppId(appParam) {
     if (appParam && this.appLoader.getAppById(appParam)) {
       return appParam;
@@ -835,18 +1047,32 @@ class Launcher {
     return this.getPersistedActiveAppId();
   }
 
-  openApp(appId) {
+  openApp(appId, options = {}) {
     const app = this.appLoader.getAppById(appId);
     if (!app) {
       console.warn(`App not found: ${appId}`);
       return;
     }
 
+    const itemId = typeof options.item === 'string' && options.item ? options.item : null;
+    const route = typeof options.route === 'string' ? this.normalizeRoute(options.route) : null;
+    // Opening from the home grid gets its own history entry, so Back returns to the grid.
+    const pushHistory = !this.currentApp && options.replaceHistory !== true;
     this.closeRail();
 
+    // An app already open beside the current one just takes focus.
+    const pane = this.workspaces.getPane(appId);
+    if (pane && this.currentApp && this.currentApp.id !== appId) {
+      this.workspaces.focusPane(pane);
+    }
+
     if (this.currentApp && this.currentApp.id === appId) {
+      const routeChanged = route !== null && route !== this.currentRoute;
+      if (route !== null) this.currentRoute = route;
       this.persistActiveApp(app.id);
-      this.setAppQueryParam(app.id);
+      this.setAppQueryParam(app.id, { item: itemId, route: this.currentRoute });
+      if (routeChanged) this.sendAppRoute(app, route);
+      if (itemId) this.openAppItem(app, itemId);
       return;
     }
     if (this.currentApp && this.currentApp.id !== appId) {
@@ -855,32 +1081,18 @@ class Launcher {
 
     this.appLoader.recordAppOpen(appId);
     this.currentApp = app;
+    this.currentRoute = route || '';
 
     const workspace = document.getElementById('appWorkspace');
-    const content = document.getElementById('workspaceContent');
     const mainContent = document.getElementById('mainContent');
-    if (!workspace || !content || !mainContent) return;
+    if (!workspace || !mainContent) return;
 
     this.persistActiveApp(app.id);
-    this.setAppQueryParam(app.id);
+    this.setAppQueryParam(app.id, { item: itemId, route: this.currentRoute, push: pushHistory });
+    this.workspaces.showApp(app);
 
-    content.innerHTML = '';
-    let iframe = this.backgroundHost.restoreFrame(app.id);
-
-    if (iframe) {
-      content.appendChild(iframe);
-      this.syncThemeToIframe(iframe);
-      this.notifyAppVisibility(iframe, true, 'workspace-open');
-      iframe.classList.add('loaded');
-    } else {
-      iframe = this.createAppIframe(app);
-      content.appendChild(iframe);
-      iframe.addEventListener('load', () => {
-        this.syncThemeToIframe(iframe);
-        this.notifyAppVisibility(iframe, true, 'workspace-open');
-        iframe.classList.add('loaded');
-      });
-    }
+    if (route) this.sendAppRoute(app, route);
+    if (itemId) this.openAppItem(app, itemId);
 
     mainContent.classList.add('hidden');
     workspace.classList.remove('hidden');
@@ -889,39 +1101,52 @@ class Launcher {
     this.refreshBackgroundIndicators();
   }
 
+  // Called when another pane takes focus: the URL, title and routes follow the focused app.
+  focusApp(app, route) {
+    this.currentApp = app;
+    this.currentRoute = route || '';
+    this.persistActiveApp(app.id);
+    this.setAppQueryParam(app.id, { route: this.currentRoute });
+    document.title = app.name;
+  }
+
+  // Asks the app to reveal one of its items (e.g. a search hit); queued until the frame has loaded.
+  openAppItem(app, itemId) {
+    this.intentBus.deliver(app, { type: 'app-open-item', item: itemId });
+  }
+
+  // `reason`: 'home' (user went home), 'switch' (another app replaces the focused one),
+  // 'reopen' (every pane closes and the caller opens new apps in the same history entry) or
+  // 'history' (Back/Forward already moved the URL to the home grid).
   closeApp(reason = 'home') {
     const workspace = document.getElementById('appWorkspace');
-    const content = document.getElementById('workspaceContent');
     const mainContent = document.getElementById('mainContent');
-    if (!workspace || !content || !mainContent) return;
+    if (!workspace || !mainContent) return;
 
-    const app = this.currentApp;
-    const iframe = content.querySelector('.app-iframe');
+    // Switching replaces the focused pane's app; going home closes every pane.
     const isSwitch = reason === 'switch';
-    const hiddenReason = isSwitch ? 'app-switch' : 'launcher-home';
-    const closeReason = isSwitch ? 'app-switch' : 'app-closed';
-
-    if (app && iframe && this.shouldKeepAliveApp(app)) {
-      this.notifyAppVisibility(iframe, false, hiddenReason);
-      this.backgroundHost.stashFrame(app.id, iframe);
+    if (isSwitch) {
+      this.workspaces.releaseFocusedPane();
     } else {
-      if (iframe) this.notifyAppVisibility(iframe, false, closeReason);
-      content.innerHTML = '';
-      if (app) {
-        this.backgroundActivity.delete(app.id);
-        this.clearAppStatus(app.id);
-      }
+      this.workspaces.closeAll();
     }
 
     workspace.classList.add('hidden');
     mainContent.classList.remove('hidden');
     document.body.classList.remove('app-open');
     this.currentApp = null;
+    this.currentRoute = '';
     document.title = 'MarlApps';
 
     if (!isSwitch) {
       this.clearPersistedActiveApp();
-      this.clearAppQueryParam();
+      if (reason === 'history') {
+        this.clearAppQueryParam();
+      } else if (reason === 'home') {
+        this.returnHomeInHistory();
+      }
+      // Widgets are not refreshed while an app covers the grid.
+      this.widgetHost.refresh();
     }
 
     this.refreshBackgroundIndicators();
@@ -939,6 +1164,50 @@ class Launcher {
     }
   }
 
+  // ===== In-App Routes =====
+
+  normalizeRoute(route) {
+    if (typeof route !== 'string') return '';
+    return route.trim().replace(/^\/+/, '').slice(0, 512);
+  }
+
+  sendAppRoute(app, route) {
+    this.intentBus.deliver(app, { type: 'app-route', route });
+  }
+
+  // Apps report where the user navigated; the focused app's route goes into the URL and history.
+  handleAppRouteMessage(event) {
+    const data = event && event.data;
+    if (!data || data.type !== 'app-route-change') return;
+
+    const sourceAppId = this.getAppIdForContentWindow(event.source);
+    const pane = sourceAppId ? this.workspaces.getPane(sourceAppId) : null;
+    if (!pane) return;
+
+    const route = this.normalizeRoute(data.route);
+    // Side panes keep their route until they are focused.
+    if (!this.currentApp || this.currentApp.id !== sourceAppId) {
+      pane.route = route;
+      return;
+    }
+    if (route === this.currentRoute) return;
+
+    this.currentRoute = route;
+    this.setAppQueryParam(sourceAppId, { route, push: data.replace !== true });
+  }
+
+  handleHistoryNavigation() {
+    const params = new URLSearchParams(window.location.search);
+    const appId = params.get('app');
+
+    if (!appId || !this.appLoader.getAppById(appId)) {
+      if (this.currentApp) this.closeApp('history');
+      return;
+    }
+
+    this.openApp(appId, { route: params.get('route') || '', replaceHistory: true });
+  }
+
   // ===== App Status Badges =====
 
   handleAppStatusMessage(event) {
@@ -0,0 +1,158 @@
+// Checks app manifests against registry/manifest.schema.json, then cross-checks what a
+// schema can't: that referenced files exist and that storage keys are namespaced.
+// Returns a list of readable problems instead of throwing, so all of them can be reported at once.
+// Shared with build.js, so it also loads as a CommonJS module.
+class ManifestValidator {
+  constructor(schema) {
+    this.schema = schema;
+  }
+
+  isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  // `files` (a Set of paths relative to the app folder) enables checks that referenced files exist.
+  // `namespacedKeys` requires storage keys to start with `marlapps-<id>`, as installed apps must.
+  validate(manifest, { files = null, namespacedKeys = false } = {}) {
+    const errors = [];
+    this.checkSchema(this.schema, manifest, '', errors);
+    if (errors.length > 0 || !this.isPlainObject(manifest)) return errors;
+
+    if (files) {
+      const storage = manifest.storage || {};
+      const search = manifest.search || {};
+      const widget = manifest.widget || {};
+      [
+        ['entry', manifest.entry],
+        ['icon', manifest.icon],
+        ['storage.adapter', storage.adapter],
+        ['storage.cleanup', storage.cleanup],
+        ['search.adapter', search.adapter],
+        ['widget.module', widget.module],
+        ['changelog', typeof manifest.changelog === 'string' ? manifest.changelog : undefined]
+      ]
+        .filter(([, file]) => file !== undefined && !files.has(file))
+        .forEach(([field, file]) => errors.push(`"${field}" points to ${file}, which is missing`));
+    }
+
+    if (namespacedKeys) {
+      const prefix = `marlapps-${manifest.id}`;
+      [...(manifest.storageKeys || []), ...((manifest.storage && manifest.storage.legacyKeys) || [])]
+        .filter(key => key !== prefix && !key.startsWith(`${prefix}-`))
+        .forEach(key => errors.push(`storage key "${key}" must start with "${prefix}"`));
+    }
+
+    return errors;
+  }
+
+  // --- Schema ---
+
+  // The subset of JSON Schema the manifest schema uses: type, enum, pattern, minLength,
+  // maxLength, minimum, required, properties, additionalProperties, items, uniqueItems,
+  // oneOf and local $ref. Schema `description`s double as error text for patterns.
+  checkSchema(schema, value, path, errors) {
+    if (schema.$ref) {
+      const refErrors = [];
+      this.checkSchema(this.resolveRef(schema.$ref), value, path, refErrors);
+      if (refErrors.length > 0) {
+        errors.push(...refErrors);
+        return;
+      }
+    }
+
+    const name = path ? `"${path}"` : 'The manifest';
+    const expected = schema.description || '';
+
+    if (schema.type && !this.matchesType(schema.type, value)) {
+      errors.push(`${name} must be ${this.describeType(schema.type)}`);
+      return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${name} must be one of: ${schema.enum.join(', ')}`);
+      return;
+    }
+
+    if (schema.oneOf) {
+      const matches = schema.oneOf.filter((option) => {
+        const optionErrors = [];
+        this.checkSchema(option, value, path, optionErrors);
+        return optionErrors.length === 0;
+      });
+      if (matches.length !== 1) errors.push(`${name} must be ${expected || 'one of the allowed forms'}`);
+      return;
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+        errors.push(`${name} must not be empty`);
+      } else if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push(`${name} must be at most ${schema.maxLength} characters`);
+      } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push(`${name} must be ${expected || `a string matching ${schema.pattern}`}`);
+      }
+    }
+
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${name} must be at least ${schema.minimum}`);
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+        errors.push(`${name} must not contain duplicates`);
+      }
+      if (schema.items) {
+        value.forEach((item, index) => this.checkSchema(schema.items, item, `${path}[${index}]`, errors));
+      }
+    }
+
+    if (this.isPlainObject(value)) {
+      const properties = schema.properties || {};
+      const childPath = key => (path ? `${path}.${key}` : key);
+
+      (schema.required || [])
+        .filter(key => value[key] === undefined)
+        .forEach(key => errors.push(`"${childPath(key)}" is required`));
+
+      Object.entries(value).forEach(([key, child]) => {
+        if (properties[key]) {
+          this.checkSchema(properties[key], child, childPath(key), errors);
+        } else if (schema.additionalProperties === false) {
+          errors.push(`"${childPath(key)}" is not a known field`);
+        } else if (this.isPlainObject(schema.additionalProperties)) {
+          this.checkSchema(schema.additionalProperties, child, childPath(key), errors);
+        }
+      });
+    }
+  }
+
+  resolveRef(ref) {
+    if (!ref.startsWith('#/')) throw new Error(`Unsupported schema reference ${ref}`);
+    const target = ref.slice(2).split('/').reduce((node, key) => (node ? node[key] : undefined), this.schema);
+    if (!target) throw new Error(`Unknown schema reference ${ref}`);
+    return target;
+  }
+
+  matchesType(type, value) {
+    const types = Array.isArray(type) ? type : [type];
+    return types.some((name) => {
+      if (name === 'object') return this.isPlainObject(value);
+      if (name === 'array') return Array.isArray(value);
+      if (name === 'integer') return Number.isInteger(value);
+      if (name === 'number') return typeof value === 'number' && Number.isFinite(value);
+      if (name === 'null') return value === null;
+      return typeof value === name;
+    });
+  }
+
+  describeType(type) {
+    const labels = { object: 'an object', array: 'a list', integer: 'a whole number', number: 'a number', null: 'null' };
+    return (Array.isArray(type) ? type : [type]).map(name => labels[name] || `a ${name}`).join(' or ');
+  }
+}
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = ManifestValidator;
+} else {
+  window.ManifestValidator = ManifestValidator;
+}
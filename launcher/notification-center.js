@@ -0,0 +1,459 @@
+// Fires the notifications apps schedule through MarlApps.setNotifications, whether or not the app
+// is still loaded, and keeps a history tray of fired and missed ones. The schedule and history
+// live in marlapps-notifications, so events that came due while the launcher was closed are
+// recorded as missed on the next start.
+class NotificationCenter {
+  constructor(launcher) {
+    this.launcher = launcher;
+    this.storageKey = 'marlapps-notifications';
+    this.historyLimit = 50;
+    this.perAppLimit = 50;
+    // Later than this and the moment has passed: record it as missed instead of ringing.
+    this.missedAfterMs = 2 * 60 * 1000;
+    // Timers in background tabs drift and stop during sleep, so never wait longer than this.
+    this.maxWaitMs = 60 * 1000;
+    this.timer = null;
+    this.audioContext = null;
+    this.isOpen = false;
+    this.previousFocus = null;
+    this.state = this.loadState();
+  }
+
+  init() {
+    this.tray = document.getElementById('notificationTray');
+    this.list = document.getElementById('notificationTrayList');
+    this.button = document.getElementById('notificationsBtn');
+    this.badge = document.getElementById('notificationsBadge');
+
+    if (this.button) {
+      this.button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.toggle();
+      });
+    }
+
+    if (this.tray) {
+      this.tray.addEventListener('click', (e) => {
+        const entry = e.target.closest('[data-notification-app]');
+        if (entry) {
+          this.close({ restoreFocus: false });
+          this.launcher.openApp(entry.dataset.notificationApp);
+          return;
+        }
+        if (e.target.closest('#notificationTrayClear')) this.clearHistory();
+        if (e.target.closest('#notificationPermissionBtn')) this.requestPermission();
+      });
+      this.tray.addEventListener('keydown', (e) => {
+        if (e.key !== 'Escape') return;
+        e.preventDefault();
+        e.stopPropagation();
+        this.close();
+      });
+      document.addEventListener('click', (e) => {
+        if (this.isOpen && !this.tray.contains(e.target)) this.close({ restoreFocus: false });
+      });
+    }
+
+    // Another tab (or the same launcher in a second window) changed the schedule.
+    window.addEventListener('storage', (e) => {
+      if (e.key !== this.storageKey) return;
+      this.state = this.loadState();
+      this.scheduleCheck();
+      this.render();
+    });
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') this.checkDue();
+    });
+
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', (e) => {
+        const data = e.data;
+        if (data && data.type === 'notification-open' && typeof data.appId === 'string') {
+          this.launcher.openApp(data.appId);
+        }
+      });
+    }
+
+    this.checkDue();
+    this.render();
+    return this;
+  }
+
+  // --- State ---
+
+  sanitizeEntry(entry) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return null;
+    if (typeof entry.appId !== 'string' || !entry.appId) return null;
+    if (typeof entry.id !== 'string' || !entry.id) return null;
+    if (!Number.isFinite(entry.at)) return null;
+    if (typeof entry.title !== 'string' || !entry.title.trim()) return null;
+
+    return {
+      appId: entry.appId,
+      id: entry.id.slice(0, 100),
+      at: entry.at,
+      title: entry.title.trim().slice(0, 120),
+      body: typeof entry.body === 'string' ? entry.body.trim().slice(0, 300) : '',
+      triggered: entry.triggered === true
+    };
+  }
+
+  loadState() {
+    const state = { scheduled: [], history: [], permissionAsked: false };
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+      if (!saved || typeof saved !== 'object') return state;
+
+      state.scheduled = (Array.isArray(saved.scheduled) ? saved.scheduled : [])
+        .map(entry => this.sanitizeEntry(entry))
+        .filter(Boolean);
+      state.history = (Array.isArray(saved.history) ? saved.history : [])
+        .map((item) => {
+          const entry = this.sanitizeEntry(item);
+          if (!entry) return null;
+          return { ...entry, missed: item.missed === true, read: item.read === true };
+        })
+        .filter(Boolean)
+        .slice(0, this.historyLimit);
+      state.permissionAsked = saved.permissionAsked === true;
+    } catch (error) {
+      console.warn('Failed to load notifications:', error);
+    }
+    return state;
+  }
+
+  saveState() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.state));
+    } catch (error) {
+      console.warn('Failed to save notifications:', error);
+    }
+  }
+
+  // --- Scheduling ---
+
+  handleMessage(event) {
+    const data = event && event.data;
+    if (!data || data.type !== 'app-notifications') return;
+
+    const sourceAppId = this.launcher.getAppIdForContentWindow(event.source);
+    if (!sourceAppId) return;
+    if (typeof data.appId === 'string' && data.appId !== sourceAppId) return;
+    if (!Array.isArray(data.notifications)) return;
+    if (!this.canSchedule(this.launcher.appLoader.getAppById(sourceAppId))) return;
+
+    this.setAppNotifications(sourceAppId, data.notifications);
+  }
+
+  // Apps opt in with "permissions": ["notifications"] in their manifest.
+  canSchedule(app) {
+    return Boolean(app && Array.isArray(app.permissions) && app.permissions.includes('notifications'));
+  }
+
+  // Replaces everything `appId` has scheduled. Events already due fire first, so an app that
+  // reschedules right as its timer ends does not swallow the notification.
+  setAppNotifications(appId, notifications) {
+    this.checkDue();
+
+    const now = Date.now();
+    const previous = new Map(this.state.scheduled
+      .filter(entry => entry.appId === appId)
+      .map(entry => [entry.id, entry]));
+    const next = new Map();
+
+    notifications.forEach((item) => {
+      const entry = this.sanitizeEntry({ ...item, appId, triggered: false });
+      if (!entry || entry.at <= now || next.has(entry.id) || next.size >= this.perAppLimit) return;
+
+      const existing = previous.get(entry.id);
+      const unchanged = existing && existing.at === entry.at
+        && existing.title === entry.title && existing.body === entry.body;
+      next.set(entry.id, unchanged ? existing : entry);
+    });
+
+    previous.forEach((entry, id) => {
+      if (next.get(id) !== entry) this.cancelSystemTrigger(entry);
+    });
+    next.forEach((entry, id) => {
+      if (previous.get(id) !== entry) this.scheduleSystemTrigger(entry);
+    });
+
+    this.state.scheduled = this.state.scheduled
+      .filter(entry => entry.appId !== appId)
+      .concat([...next.values()]);
+    this.saveState();
+    this.scheduleCheck();
+
+    if (next.size > 0) this.maybeRequestPermission();
+  }
+
+  scheduleCheck() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.state.scheduled.length === 0) return;
+
+    const nextAt = Math.min(...this.state.scheduled.map(entry => entry.at));
+    const delay = Math.min(this.maxWaitMs, Math.max(0, nextAt - Date.now()));
+    this.timer = setTimeout(() => this.checkDue(), delay);
+  }
+
+  checkDue() {
+    const now = Date.now();
+    const due = this.state.scheduled.filter(entry => entry.at <= now);
+
+    if (due.length > 0) {
+      this.state.scheduled = this.state.scheduled.filter(entry => entry.at > now);
+      due.sort((a, b) => a.at - b.at).forEach((entry) => {
+        // A trigger was shown by the system at the right time, even with the launcher closed.
+        const missed = !entry.triggered && now - entry.at > this.missedAfterMs;
+        if (!missed) this.fire(entry);
+        this.addHistory(entry, missed);
+      });
+      this.saveState();
+      this.render();
+    }
+
+    this.scheduleCheck();
+  }
+
+  fire(entry) {
+    if (!entry.triggered) this.showSystemNotification(entry);
+    // A loaded app plays its own sound (the alarm app rings until dismissed).
+    if (!this.launcher.intentBus.getLiveFrame(entry.appId)) this.playChime();
+  }
+
+  addHistory(entry, missed) {
+    const { triggered, ...rest } = entry;
+    this.state.history = [{ ...rest, missed, read: false }, ...this.state.history].slice(0, this.historyLimit);
+  }
+
+  // --- System notifications ---
+
+  canNotify() {
+    return 'Notification' in window && Notification.permission === 'granted';
+  }
+
+  maybeRequestPermission() {
+    if (!('Notification' in window) || Notification.permission !== 'default') return;
+    if (this.state.permissionAsked) return;
+
+    this.state.permissionAsked = true;
+    this.saveState();
+    this.requestPermission();
+  }
+
+  requestPermission() {
+    if (!('Notification' in window)) return;
+    Promise.resolve(Notification.requestPermission())
+      .catch(() => {})
+      .then(() => this.render());
+  }
+
+  getTag(entry) {
+    return `marlapps-${entry.appId}-${entry.id}`;
+  }
+
+  getRegistration() {
+    if (!('serviceWorker' in navigator)) return Promise.resolve(null);
+    return navigator.serviceWorker.getRegistration().catch(() => null);
+  }
+
+  // Registered notifications work on platforms where `new Notification` throws (Android).
+  async showSystemNotification(entry) {
+    if (!this.canNotify()) return;
+
+    const options = { body: entry.body, tag: this.getTag(entry), data: { appId: entry.appId } };
+    try {
+      const registration = await this.getRegistration();
+      if (registration) {
+        await registration.showNotification(entry.title, options);
+        return;
+      }
+      const notification = new Notification(entry.title, options);
+      setTimeout(() => notification.close(), 10000);
+    } catch (error) {
+      // Ignore notification failures.
+    }
+  }
+
+  // Notification Triggers let the system show the notification while the launcher is closed.
+  // Only some Chromium builds have them; elsewhere events fire while the launcher is open.
+  supportsTriggers() {
+    return typeof window.TimestampTrigger === 'function'
+      && 'showTrigger' in Notification.prototype;
+  }
+
+  async scheduleSystemTrigger(entry) {
+    if (!this.canNotify() || !this.supportsTriggers()) return;
+
+    try {
+      const registration = await this.getRegistration();
+      if (!registration) return;
+      await registration.showNotification(entry.title, {
+        body: entry.body,
+        tag: this.getTag(entry),
+        data: { appId: entry.appId },
+        showTrigger: new window.TimestampTrigger(entry.at)
+      });
+      entry.triggered = true;
+      this.saveState();
+    } catch (error) {
+      // Fall back to firing from the launcher.
+    }
+  }
+
+  async cancelSystemTrigger(entry) {
+    if (!entry.triggered) return;
+
+    try {
+      const registration = await this.getRegistration();
+      if (!registration) return;
+      const pending = await registration.getNotifications({ tag: this.getTag(entry), includeTriggered: true });
+      pending.forEach(notification => notification.close());
+    } catch (error) {
+      // Ignore; the worst case is a stale notification.
+    }
+  }
+
+  playChime() {
+    try {
+      if (!this.audioContext || this.audioContext.state === 'closed') {
+        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+      }
+      const ctx = this.audioContext;
+      if (ctx.state === 'suspended') ctx.resume().catch(() => {});
+
+      [880, 1175].forEach((frequency, index) => {
+        const start = ctx.currentTime + index * 0.25;
+        const oscillator = ctx.createOscillator();
+        const gain = ctx.createGain();
+        oscillator.connect(gain);
+        gain.connect(ctx.destination);
+        oscillator.type = 'sine';
+        oscillator.frequency.value = frequency;
+        gain.gain.setValueAtTime(0.25, start);
+        gain.gain.exponentialRampToValueAtTime(0.01, start + 0.3);
+        oscillator.start(start);
+        oscillator.stop(start + 0.3);
+      });
+    } catch (error) {
+      // Audio not available.
+    }
+  }
+
+  // --- Tray ---
+
+  getUnreadCount() {
+    return this.state.history.filter(entry => !entry.read).length;
+  }
+
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  open() {
+    if (!this.tray) return;
+    this.launcher.closeRail();
+    this.previousFocus = document.activeElement;
+    this.isOpen = true;
+    this.render();
+    this.tray.classList.remove('hidden');
+    if (this.button) this.button.setAttribute('aria-expanded', 'true');
+    this.tray.focus();
+
+    // Opening the tray counts as seeing everything in it.
+    if (this.getUnreadCount() > 0) {
+      this.state.history.forEach((entry) => { entry.read = true; });
+      this.saveState();
+      this.renderBadge();
+    }
+  }
+
+  close({ restoreFocus = true } = {}) {
+    if (!this.tray || !this.isOpen) return;
+    this.isOpen = false;
+    this.tray.classList.add('hidden');
+    if (this.button) this.button.setAttribute('aria-expanded', 'false');
+    if (restoreFocus && this.previousFocus && typeof this.previousFocus.focus === 'function') {
+      this.previousFocus.focus();
+    }
+    this.previousFocus = null;
+  }
+
+  clearHistory() {
+    this.state.history = [];
+    this.saveState();
+    this.render();
+  }
+
+  formatTime(timestamp) {
+    const date = new Date(timestamp);
+    const time = date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+    if (date.toDateString() === new Date().toDateString()) return time;
+    return `${date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })} ${time}`;
+  }
+
+  renderBadge() {
+    if (!this.badge) return;
+    const count = this.getUnreadCount();
+    this.badge.textContent = count > 9 ? '9+' : String(count);
+    this.badge.classList.toggle('hidden', count === 0);
+    if (this.button) {
+      this.button.setAttribute('aria-label', count > 0 ? `Notifications, ${count} unread` : 'Notifications');
+    }
+  }
+
+  render() {
+    this.renderBadge();
+    if (!this.list) return;
+
+    const escapeHtml = value => this.launcher.escapeHtml(value);
+    const appLoader = this.launcher.appLoader;
+
+    if (this.state.history.length === 0) {
+      this.list.innerHTML = '<li class="notification-tray-empty">No notifications yet</li>';
+    } else {
+      this.list.innerHTML = this.state.history.map((entry) => {
+        const app = appLoader.getAppById(entry.appId);
+        return `
+          <li>
+            <button type="button" class="notification-entry${entry.missed ? ' missed' : ''}" data-notification-app="${escapeHtml(entry.appId)}"${app ? '' : ' disabled'}>
+              ${app ? `<img class="notification-entry-icon" src="${escapeHtml(appLoader.getAppIconUrl(app))}" alt="" loading="lazy">` : ''}
+              <span class="notification-entry-text">
+                <span class="notification-entry-title">${escapeHtml(entry.title)}</span>
+                ${entry.body ? `<span class="notification-entry-body">${escapeHtml(entry.body)}</span>` : ''}
+              </span>
+              <span class="notification-entry-meta">
+                ${entry.missed ? '<span class="notification-entry-missed">Missed</span>' : ''}
+                <time datetime="${new Date(entry.at).toISOString()}">${escapeHtml(this.formatTime(entry.at))}</time>
+              </span>
+            </button>
+          </li>
+        `;
+      }).join('');
+    }
+
+    const clearBtn = document.getElementById('notificationTrayClear');
+    if (clearBtn) clearBtn.disabled = this.state.history.length === 0;
+
+    const permissionRow = document.getElementById('notificationPermissionRow');
+    const permissionBtn = document.getElementById('notificationPermissionBtn');
+    const permissionText = document.getElementById('notificationPermissionText');
+    if (permissionRow && permissionBtn && permissionText) {
+      const permission = 'Notification' in window ? Notification.permission : 'unsupported';
+      permissionRow.classList.toggle('hidden', permission === 'granted');
+      permissionBtn.classList.toggle('hidden', permission !== 'default');
+      permissionText.textContent = {
+        default: 'System notifications are off.',
+        denied: 'System notifications are blocked in the browser settings. Events still show up here.',
+        unsupported: 'This browser has no system notifications. Events still show up here.'
+      }[permission] || '';
+    }
+  }
+}
+
+window.NotificationCenter = NotificationCenter;
@@ -0,0 +1,558 @@
+// Device-to-device sync over a WebRTC data channel. Pairing codes carry the SDP
+// offer/answer, so no signalling server is involved: one device shows a code,
+// the other pastes or scans it and shows its answer back.
+class PeerSync {
+  constructor(settingsManager) {
+    this.settingsManager = settingsManager;
+    this.qrCode = new QrCode();
+    this.codePrefix = 'MARL';
+    this.protocolVersion = 1;
+    this.iceGatheringTimeoutMs = 4000;
+    this.connectTimeoutMs = 30000;
+    this.chunkSize = 16000;
+    this.maxBufferedAmount = 1024 * 1024;
+    this.scanIntervalMs = 300;
+
+    this.role = null;
+    this.peer = null;
+    this.channel = null;
+    this.connectTimer = null;
+    this.incomingChunks = [];
+    this.localSnapshot = null;
+    this.localDone = false;
+    this.remoteDone = false;
+    this.results = [];
+    this.changedApps = 0;
+    this.scanStream = null;
+    this.scanTimer = null;
+  }
+
+  init() {
+    this.bindEvents();
+    this.renderIdle();
+    return this;
+  }
+
+  isSupported() {
+    return typeof window.RTCPeerConnection === 'function';
+  }
+
+  isScanSupported() {
+    return 'BarcodeDetector' in window && Boolean(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+  }
+
+  // --- Settings UI ---
+
+  bindEvents() {
+    const on = (id, handler) => {
+      const el = document.getElementById(id);
+      if (el) el.addEventListener('click', handler);
+    };
+
+    on('syncHostBtn', () => this.startHost());
+    on('syncJoinBtn', () => this.startJoin());
+    on('syncConnectBtn', () => this.submitRemoteCode());
+    on('syncCancelBtn', () => this.cancel());
+    on('syncScanBtn', () => (this.scanStream ? this.stopScan() : this.startScan()));
+    on('syncCopyBtn', () => this.copyLocalCode());
+  }
+
+  setStatus(message) {
+    const status = document.getElementById('syncStatus');
+    if (status) status.textContent = message;
+  }
+
+  // step: 'offer' (host waits for an answer), 'enter-offer' (guest pastes the offer),
+  // 'answer' (guest shows its answer) or 'syncing'.
+  renderStep(step, localCode = '') {
+    const startActions = document.getElementById('syncStartActions');
+    const panel = document.getElementById('syncPanel');
+    const stepText = document.getElementById('syncStepText');
+    const qr = document.getElementById('syncQr');
+    const localCodeEl = document.getElementById('syncLocalCode');
+    const copyBtn = document.getElementById('syncCopyBtn');
+    const remoteCodeEl = document.getElementById('syncRemoteCode');
+    const scanBtn = document.getElementById('syncScanBtn');
+    const connectBtn = document.getElementById('syncConnectBtn');
+    if (!panel) return;
+
+    const stepTexts = {
+      offer: '1. On the other device, choose "Join with a pairing code" and scan or paste this code.\n2. Then enter the code it shows here.',
+      'enter-offer': 'Scan or paste the code shown on the device that started pairing.',
+      answer: 'Show this code to the first device and enter it there. Syncing starts once it connects.',
+      syncing: 'Keep both devices open until syncing finishes.'
+    };
+
+    const showLocal = step === 'offer' || step === 'answer';
+    const showRemote = step === 'offer' || step === 'enter-offer';
+
+    startActions.classList.add('hidden');
+    panel.classList.remove('hidden');
+    stepText.textContent = stepTexts[step];
+
+    qr.classList.toggle('hidden', !showLocal);
+    qr.innerHTML = '';
+    if (showLocal) {
+      try {
+        qr.innerHTML = this.qrCode.toSvg(localCode, 'L');
+        qr.firstElementChild.setAttribute('aria-label', 'Pairing code as QR code');
+      } catch (error) {
+        // Very large offers don't fit in a QR code; the text code still works.
+        qr.classList.add('hidden');
+      }
+    }
+
+    localCodeEl.classList.toggle('hidden', !showLocal);
+    localCodeEl.value = showLocal ? localCode : '';
+    copyBtn.hidden = !showLocal;
+
+    remoteCodeEl.classList.toggle('hidden', !showRemote);
+    remoteCodeEl.value = '';
+    remoteCodeEl.placeholder = step === 'offer' ? 'Paste the other device\'s code' : 'Paste the pairing code';
+    scanBtn.hidden = !showRemote || !this.isScanSupported();
+    connectBtn.hidden = !showRemote;
+    connectBtn.disabled = false;
+    const connectLabel = connectBtn.querySelector('span');
+    if (connectLabel) connectLabel.textContent = step === 'offer' ? 'Connect' : 'Continue';
+  }
+
+  renderIdle() {
+    const startActions = document.getElementById('syncStartActions');
+    const panel = document.getElementById('syncPanel');
+    if (!panel || !startActions) return;
+
+    this.stopScan();
+    panel.classList.add('hidden');
+    startActions.classList.remove('hidden');
+    document.getElementById('syncQr').innerHTML = '';
+
+    if (!this.isSupported()) {
+      startActions.querySelectorAll('button').forEach((btn) => {
+        btn.disabled = true;
+      });
+      this.setStatus('This browser does not support peer-to-peer connections.');
+    }
+  }
+
+  async copyLocalCode() {
+    const localCodeEl = document.getElementById('syncLocalCode');
+    if (!localCodeEl || !localCodeEl.value) return;
+
+    try {
+      await navigator.clipboard.writeText(localCodeEl.value);
+      this.settingsManager.showNotification('Pairing code copied');
+    } catch (e) {
+      localCodeEl.select();
+    }
+  }
+
+  // --- Pairing ---
+
+  createPeer() {
+    this.teardown();
+    // No STUN/TURN servers: devices reach each other over the local network only.
+    this.peer = new RTCPeerConnection({ iceServers: [] });
+    this.peer.addEventListener('connectionstatechange', () => {
+      if (this.peer && this.peer.connectionState === 'failed') {
+        this.fail('The connection failed. Make sure both devices are on the same network.');
+      }
+    });
+    this.results = [];
+    this.changedApps = 0;
+    this.localDone = false;
+    this.remoteDone = false;
+    this.localSnapshot = null;
+    this.incomingChunks = [];
+  }
+
+  async startHost() {
+    this.role = 'host';
+    this.setStatus('Creating pairing code...');
+
+    try {
+      this.createPeer();
+      this.attachChannel(this.peer.createDataChannel('marlapps-sync', { ordered: true }));
+      await this.peer.setLocalDescription(await this.peer.createOffer());
+      const code = await this.encodeDescription(await this.waitForIceGathering());
+      this.renderStep('offer', code);
+      this.setStatus('');
+    } catch (error) {
+      console.error('Creating sync offer failed:', error);
+      this.fail(`Could not start pairing: ${error.message}`);
+    }
+  }
+
+  startJoin() {
+    this.role = 'guest';
+    this.createPeer();
+    this.peer.addEventListener('datachannel', (event) => this.attachChannel(event.channel));
+    this.renderStep('enter-offer');
+    this.setStatus('');
+  }
+
+  async submitRemoteCode() {
+    const remoteCodeEl = document.getElementById('syncRemoteCode');
+    const connectBtn = document.getElementById('syncConnectBtn');
+    if (!remoteCodeEl || !this.peer) return;
+
+    this.stopScan();
+    const expectedType = this.role === 'host' ? 'answer' : 'offer';
+    let description;
+    try {
+      description = await this.decodeDescription(remoteCodeEl.value);
+      if (description.type !== expectedType) {
+        throw new Error(expectedType === 'answer'
+          ? 'This is a pairing code from a device that started pairing. Enter the code shown after joining.'
+          : 'This code is an answer. Enter the code from the device that started pairing.');
+      }
+    } catch (error) {
+      this.setStatus(error.message);
+      return;
+    }
+
+    connectBtn.disabled = true;
+    try {
+      await this.peer.setRemoteDescription(description);
+
+      if (this.role === 'guest') {
+        this.setStatus('Creating answer...');
+        await this.peer.setLocalDescription(await this.peer.createAnswer());
+        const code = await this.encodeDescription(await this.waitForIceGathering());
+        this.renderStep('answer', code);
+        // No timeout here: the answer still has to be carried over to the first device.
+        this.setStatus('Waiting for the other device...');
+      } else {
+        this.setStatus('Connecting...');
+        this.startConnectTimer();
+      }
+    } catch (error) {
+      console.error('Applying pairing code failed:', error);
+      this.fail(`Pairing failed: ${error.message}`);
+    }
+  }
+
+  // Pairing codes are copied by hand, so candidates are gathered up front instead of trickled.
+  waitForIceGathering() {
+    const peer = this.peer;
+    if (peer.iceGatheringState === 'complete') return Promise.resolve(peer.localDescription);
+
+    return new Promise((resolve) => {
+      const done = () => {
+        clearTimeout(timer);
+        peer.removeEventListener('icegatheringstatechange', onChange);
+        resolve(peer.localDescription);
+      };
+      const onChange = () => {
+        if (peer.iceGatheringState === 'complete') done();
+      };
+      const timer = setTimeout(done, this.iceGatheringTimeoutMs);
+      peer.addEventListener('icegatheringstatechange', onChange);
+    });
+  }
+
+  startConnectTimer() {
+    clearTimeout(this.connectTimer);
+    this.connectTimer = setTimeout(() => {
+      if (!this.channel || this.channel.readyState !== 'open') {
+        this.fail('Could not connect. Make sure both devices are on the same network and try again.');
+      }
+    }, this.connectTimeoutMs);
+  }
+
+  // --- Pairing codes ---
+
+  // MARL1 = deflate-compressed, MARL0 = plain; both base64url so they survive copy/paste.
+  async encodeDescription(description) {
+    const json = JSON.stringify({ type: description.type, sdp: description.sdp });
+    let bytes = new TextEncoder().encode(json);
+    let format = 0;
+
+    if (typeof CompressionStream === 'function') {
+      const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+      bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+      format = 1;
+    }
+
+    const base64 = this.settingsManager.backupCrypto.toBase64(bytes)
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=+$/, '');
+    return `${this.codePrefix}${format}.${base64}`;
+  }
+
+  async decodeDescription(code) {
+    const match = String(code || '').replace(/\s+/g, '').match(/^MARL([01])\.([A-Za-z0-9_-]+)$/);
+    if (!match) throw new Error('That does not look like a MarlApps pairing code.');
+
+    let bytes;
+    try {
+      const base64 = match[2].replace(/-/g, '+').replace(/_/g, '/');
+      bytes = this.settingsManager.backupCrypto.fromBase64(base64 + '='.repeat((4 - base64.length % 4) % 4));
+
+      if (match[1] === '1') {
+        if (typeof DecompressionStream !== 'function') {
+          throw new Error('This browser cannot read compressed pairing codes.');
+        }
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+      }
+
+      const description = JSON.parse(new TextDecoder().decode(bytes));
+      if (!description || (description.type !== 'offer' && description.type !== 'answer') ||
+        typeof description.sdp !== 'string') {
+        throw new Error('invalid description');
+      }
+      return description;
+    } catch (error) {
+      throw new Error('The pairing code is incomplete or damaged. Copy it again.');
+    }
+  }
+
+  // --- QR scanning ---
+
+  async startScan() {
+    const video = document.getElementById('syncScanner');
+    const scanBtn = document.getElementById('syncScanBtn');
+    if (!video || !this.isScanSupported()) return;
+
+    try {
+      this.scanStream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+    } catch (error) {
+      this.setStatus(`Camera unavailable: ${error.message}`);
+      return;
+    }
+
+    video.srcObject = this.scanStream;
+    video.classList.remove('hidden');
+    if (scanBtn) scanBtn.textContent = 'Stop scanning';
+    await video.play().catch(() => {});
+
+    const detector = new BarcodeDetector({ formats: ['qr_code'] });
+    this.scanTimer = setInterval(async () => {
+      try {
+        const codes = await detector.detect(video);
+        const code = codes.find(item => typeof item.rawValue === 'string' && item.rawValue.startsWith(this.codePrefix));
+        if (!code || !this.scanStream) return;
+        document.getElementById('syncRemoteCode').value = code.rawValue;
+        this.submitRemoteCode();
+      } catch (e) {
+        // Frames before the video is ready can't be scanned.
+      }
+    }, this.scanIntervalMs);
+  }
+
+  stopScan() {
+    clearInterval(this.scanTimer);
+    this.scanTimer = null;
+
+    if (this.scanStream) {
+      this.scanStream.getTracks().forEach(track => track.stop());
+      this.scanStream = null;
+    }
+
+    const video = document.getElementById('syncScanner');
+    if (video) {
+      video.srcObject = null;
+      video.classList.add('hidden');
+    }
+    const scanBtn = document.getElementById('syncScanBtn');
+    if (scanBtn) scanBtn.textContent = 'Scan QR code';
+  }
+
+  // --- Data channel ---
+
+  attachChannel(channel) {
+    this.channel = channel;
+    channel.addEventListener('open', () => this.startExchange());
+    channel.addEventListener('message', (event) => this.handleChannelMessage(event));
+    channel.addEventListener('close', () => {
+      if (this.channel === channel && !(this.localDone && this.remoteDone)) {
+        this.fail('The other device disconnected before syncing finished.');
+      }
+    });
+  }
+
+  // Snapshot before applying anything from the peer, so each side sends its own data.
+  startExchange() {
+    clearTimeout(this.connectTimer);
+    this.renderStep('syncing');
+    this.setStatus('Connected. Exchanging data...');
+
+    this.localSnapshot = (async () => {
+      const data = await this.settingsManager.buildBackupData();
+      await this.sendMessage({ type: 'snapshot', protocol: this.protocolVersion, apps: data.apps });
+    })();
+    this.localSnapshot.catch((error) => {
+      console.error('Sending sync data failed:', error);
+      this.fail(`Sync failed: ${error.message}`);
+    });
+  }
+
+  async sendMessage(message) {
+    const json = JSON.stringify(message);
+    const total = Math.max(1, Math.ceil(json.length / this.chunkSize));
+
+    for (let index = 0; index < total; index++) {
+      await this.waitForBufferedAmount();
+      if (!this.channel || this.channel.readyState !== 'open') throw new Error('Connection closed');
+      this.channel.send(JSON.stringify({
+        type: 'chunk',
+        index,
+        total,
+        data: json.slice(index * this.chunkSize, (index + 1) * this.chunkSize)
+      }));
+    }
+  }
+
+  waitForBufferedAmount() {
+    const channel = this.channel;
+    if (!channel || channel.bufferedAmount <= this.maxBufferedAmount) return Promise.resolve();
+
+    return new Promise((resolve) => {
+      channel.bufferedAmountLowThreshold = Math.floor(this.maxBufferedAmount / 2);
+      channel.addEventListener('bufferedamountlow', resolve, { once: true });
+      channel.addEventListener('close', resolve, { once: true });
+    });
+  }
+
+  handleChannelMessage(event) {
+    let chunk;
+    try {
+      chunk = JSON.parse(event.data);
+    } catch (e) {
+      return;
+    }
+    if (!chunk || chunk.type !== 'chunk' || typeof chunk.data !== 'string') return;
+
+    if (chunk.index === 0) this.incomingChunks = [];
+    this.incomingChunks.push(chunk.data);
+    if (chunk.index < chunk.total - 1) return;
+
+    let message;
+    try {
+      message = JSON.parse(this.incomingChunks.join(''));
+    } catch (error) {
+      this.fail('Received damaged sync data.');
+      return;
+    } finally {
+      this.incomingChunks = [];
+    }
+
+    this.handleMessage(message).catch((error) => {
+      console.error('Sync failed:', error);
+      this.fail(`Sync failed: ${error.message}`);
+    });
+  }
+
+  async handleMessage(message) {
+    if (!message || typeof message !== 'object') return;
+
+    if (message.type === 'snapshot') {
+      if (message.protocol !== this.protocolVersion) {
+        throw new Error('The other device runs a different MarlApps version. Update both and try again.');
+      }
+      await this.localSnapshot;
+      this.setStatus('Merging data from the other device...');
+      await this.applySnapshot(message.apps);
+      await this.sendMessage({ type: 'done' });
+      this.localDone = true;
+      this.finishIfComplete();
+      return;
+    }
+
+    if (message.type === 'done') {
+      this.remoteDone = true;
+      this.finishIfComplete();
+    }
+  }
+
+  // Same per-record merge as "Import data" in merge mode; launcher settings stay per device.
+  async applySnapshot(apps) {
+    if (!this.settingsManager.isPlainObject(apps)) {
+      throw new Error('Invalid sync data');
+    }
+
+    for (const appInfo of this.settingsManager.getManagedApps()) {
+      const payload = apps[appInfo.id];
+      if (!this.settingsManager.isPlainObject(payload)) continue;
+
+      try {
+        const diff = await this.settingsManager.mergeAppBackup(appInfo, payload);
+        if (!diff) {
+          this.results.push(`${appInfo.name}: skipped (different data format)`);
+        } else if (diff.added + diff.changed + diff.removed > 0) {
+          this.changedApps++;
+          this.results.push(`${appInfo.name}: ${this.settingsManager.importPreview.formatDiff(diff)}`);
+        }
+      } catch (error) {
+        console.error(`Syncing ${appInfo.id} failed:`, error);
+        this.results.push(`${appInfo.name}: failed (${error.message})`);
+      }
+    }
+  }
+
+  finishIfComplete() {
+    if (!this.localDone || !this.remoteDone) return;
+
+    const summary = this.results.length > 0
+      ? ['Sync complete.', ...this.results].join('\n')
+      : 'Sync complete. Everything was already up to date.';
+
+    // Give our "done" message a moment to flush before closing.
+    setTimeout(() => {
+      this.teardown();
+      this.renderIdle();
+      this.setStatus(summary);
+    }, 500);
+
+    if (this.changedApps > 0) {
+      // Open apps still hold the old data, same as after an import.
+      this.settingsManager.showNotification('Devices synced. Reloading...');
+      setTimeout(() => location.reload(), 1500);
+    } else {
+      this.settingsManager.showNotification('Devices synced');
+    }
+  }
+
+  // --- Lifecycle ---
+
+  fail(message) {
+    this.teardown();
+    this.renderIdle();
+    this.setStatus(message);
+  }
+
+  cancel() {
+    this.teardown();
+    this.renderIdle();
+    this.setStatus('');
+  }
+
+  teardown() {
+    clearTimeout(this.connectTimer);
+    this.connectTimer = null;
+    this.stopScan();
+
+    const channel = this.channel;
+    const peer = this.peer;
+    this.channel = null;
+    this.peer = null;
+
+    if (channel) {
+      try {
+        channel.close();
+      } catch (e) {
+        // Ignore close errors
+      }
+    }
+    if (peer) {
+      try {
+        peer.close();
+      } catch (e) {
+        // Ignore close errors
+      }
+    }
+  }
+}
+
+window.PeerSync = PeerSync;
@@ -0,0 +1,389 @@
+// Minimal QR Code encoder (byte mode, versions 1-40) for showing pairing codes
+// offline. Follows ISO/IEC 18004; structure after Project Nayuki's qrcodegen.
+class QrCode {
+  constructor() {
+    this.eccLevels = {
+      L: { formatBits: 1, index: 0 },
+      M: { formatBits: 0, index: 1 }
+    };
+    this.eccCodewordsPerBlock = [
+      [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+      [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28]
+    ];
+    this.eccBlockCounts = [
+      [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+      [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49]
+    ];
+  }
+
+  // Returns a square boolean matrix (true = dark), without the quiet zone.
+  encode(text, eccName = 'M') {
+    const ecc = this.eccLevels[eccName];
+    if (!ecc) throw new Error(`Unsupported QR error correction level: ${eccName}`);
+
+    const bytes = new TextEncoder().encode(text);
+    let version = 1;
+    for (; version <= 40; version++) {
+      const countBits = version <= 9 ? 8 : 16;
+      const capacityBits = this.getNumDataCodewords(version, ecc) * 8;
+      if (bytes.length < 2 ** countBits && 4 + countBits + bytes.length * 8 <= capacityBits) break;
+    }
+    if (version > 40) throw new Error('Text is too long for a QR code');
+
+    const dataCodewords = this.buildDataCodewords(bytes, version, ecc);
+    const codewords = this.addEccAndInterleave(dataCodewords, version, ecc);
+
+    const grid = this.createGrid(version);
+    this.drawFunctionPatterns(grid, version, ecc);
+    this.drawCodewords(grid, codewords);
+
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+    for (let mask = 0; mask < 8; mask++) {
+      this.applyMask(grid, mask);
+      this.drawFormatBits(grid, ecc, mask);
+      const penalty = this.getPenaltyScore(grid.modules);
+      if (penalty < bestPenalty) {
+        bestMask = mask;
+        bestPenalty = penalty;
+      }
+      this.applyMask(grid, mask);
+    }
+
+    this.applyMask(grid, bestMask);
+    this.drawFormatBits(grid, ecc, bestMask);
+    return grid.modules;
+  }
+
+  toSvg(text, eccName = 'M') {
+    const modules = this.encode(text, eccName);
+    const border = 4;
+    const size = modules.length + border * 2;
+    let path = '';
+
+    modules.forEach((row, y) => {
+      row.forEach((dark, x) => {
+        if (dark) path += `M${x + border},${y + border}h1v1h-1z`;
+      });
+    });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges" role="img">` +
+      `<rect width="${size}" height="${size}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+  }
+
+  // --- Capacity ---
+
+  getNumRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+      const numAlign = Math.floor(version / 7) + 2;
+      result -= (25 * numAlign - 10) * numAlign - 55;
+      if (version >= 7) result -= 36;
+    }
+    return result;
+  }
+
+  getNumDataCodewords(version, ecc) {
+    return Math.floor(this.getNumRawDataModules(version) / 8) -
+      this.eccCodewordsPerBlock[ecc.index][version] * this.eccBlockCounts[ecc.index][version];
+  }
+
+  // --- Data ---
+
+  buildDataCodewords(bytes, version, ecc) {
+    const bits = [];
+    const appendBits = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    appendBits(0x4, 4);
+    appendBits(bytes.length, version <= 9 ? 8 : 16);
+    bytes.forEach(byte => appendBits(byte, 8));
+
+    const capacityBits = this.getNumDataCodewords(version, ecc) * 8;
+    appendBits(0, Math.min(4, capacityBits - bits.length));
+    appendBits(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+      appendBits(pad, 8);
+    }
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    return codewords;
+  }
+
+  addEccAndInterleave(data, version, ecc) {
+    const numBlocks = this.eccBlockCounts[ecc.index][version];
+    const blockEccLength = this.eccCodewordsPerBlock[ecc.index][version];
+    const rawCodewords = Math.floor(this.getNumRawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+    const divisor = this.reedSolomonDivisor(blockEccLength);
+
+    const blocks = [];
+    for (let i = 0, offset = 0; i < numBlocks; i++) {
+      const length = shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1);
+      const block = data.slice(offset, offset + length);
+      offset += length;
+      const eccBytes = this.reedSolomonRemainder(block, divisor);
+      if (i < numShortBlocks) block.push(0);
+      blocks.push(block.concat(eccBytes));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+      blocks.forEach((block, j) => {
+        // Short blocks carry a padding byte that is not part of the symbol.
+        if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) {
+          result.push(block[i]);
+        }
+      });
+    }
+    return result;
+  }
+
+  // --- Reed-Solomon over GF(2^8), polynomial 0x11D ---
+
+  reedSolomonMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11D);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  }
+
+  reedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < result.length; j++) {
+        result[j] = this.reedSolomonMultiply(result[j], root);
+        if (j + 1 < result.length) result[j] ^= result[j + 1];
+      }
+      root = this.reedSolomonMultiply(root, 0x02);
+    }
+    return result;
+  }
+
+  reedSolomonRemainder(data, divisor) {
+    const result = new Array(divisor.length).fill(0);
+    data.forEach((byte) => {
+      const factor = byte ^ result.shift();
+      result.push(0);
+      divisor.forEach((coefficient, i) => {
+        result[i] ^= this.reedSolomonMultiply(coefficient, factor);
+      });
+    });
+    return result;
+  }
+
+  // --- Layout ---
+
+  createGrid(version) {
+    const size = version * 4 + 17;
+    return {
+      size,
+      modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+      isFunction: Array.from({ length: size }, () => new Array(size).fill(false))
+    };
+  }
+
+  setFunctionModule(grid, x, y, dark) {
+    grid.modules[y][x] = dark;
+    grid.isFunction[y][x] = true;
+  }
+
+  getAlignmentPositions(version) {
+    if (version === 1) return [];
+    const numAlign = Math.floor(version / 7) + 2;
+    const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+    const result = [6];
+    for (let pos = version * 4 + 10; result.length < numAlign; pos -= step) {
+      result.splice(1, 0, pos);
+    }
+    return result;
+  }
+
+  drawFunctionPatterns(grid, version, ecc) {
+    const { size } = grid;
+
+    for (let i = 0; i < size; i++) {
+      this.setFunctionModule(grid, 6, i, i % 2 === 0);
+      this.setFunctionModule(grid, i, 6, i % 2 === 0);
+    }
+
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          if (x < 0 || x >= size || y < 0 || y >= size) continue;
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          this.setFunctionModule(grid, x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    });
+
+    const positions = this.getAlignmentPositions(version);
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => {
+      positions.forEach((cy, j) => {
+        // Skip the three corners occupied by finder patterns.
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            this.setFunctionModule(grid, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      });
+    });
+
+    // Reserve the format areas now; real bits are drawn once the mask is chosen.
+    this.drawFormatBits(grid, ecc, 0);
+    this.drawVersion(grid, version);
+  }
+
+  getFormatBits(ecc, mask) {
+    const data = (ecc.formatBits << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    return ((data << 10) | remainder) ^ 0x5412;
+  }
+
+  drawFormatBits(grid, ecc, mask) {
+    const { size } = grid;
+    const bits = this.getFormatBits(ecc, mask);
+    const bit = i => ((bits >>> i) & 1) !== 0;
+
+    for (let i = 0; i <= 5; i++) this.setFunctionModule(grid, 8, i, bit(i));
+    this.setFunctionModule(grid, 8, 7, bit(6));
+    this.setFunctionModule(grid, 8, 8, bit(7));
+    this.setFunctionModule(grid, 7, 8, bit(8));
+    for (let i = 9; i < 15; i++) this.setFunctionModule(grid, 14 - i, 8, bit(i));
+
+    for (let i = 0; i < 8; i++) this.setFunctionModule(grid, size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) this.setFunctionModule(grid, 8, size - 15 + i, bit(i));
+    this.setFunctionModule(grid, 8, size - 8, true);
+  }
+
+  getVersionBits(version) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+    }
+    return (version << 12) | remainder;
+  }
+
+  drawVersion(grid, version) {
+    if (version < 7) return;
+    const bits = this.getVersionBits(version);
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) !== 0;
+      const a = grid.size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      this.setFunctionModule(grid, a, b, dark);
+      this.setFunctionModule(grid, b, a, dark);
+    }
+  }
+
+  // Zigzags up and down two-module columns from the right edge, skipping the timing column.
+  drawCodewords(grid, codewords) {
+    const { size } = grid;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vertical = 0; vertical < size; vertical++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vertical : vertical;
+          if (grid.isFunction[y][x] || i >= codewords.length * 8) continue;
+          grid.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+          i++;
+        }
+      }
+    }
+  }
+
+  // XOR is its own inverse, so applying a mask twice removes it.
+  applyMask(grid, mask) {
+    const conditions = [
+      (x, y) => (x + y) % 2 === 0,
+      (x, y) => y % 2 === 0,
+      (x) => x % 3 === 0,
+      (x, y) => (x + y) % 3 === 0,
+      (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+      (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+      (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+      (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+    ];
+    const invert = conditions[mask];
+
+    for (let y = 0; y < grid.size; y++) {
+      for (let x = 0; x < grid.size; x++) {
+        if (!grid.isFunction[y][x] && invert(x, y)) {
+          grid.modules[y][x] = !grid.modules[y][x];
+        }
+      }
+    }
+  }
+
+  // --- Mask selection ---
+
+  getPenaltyScore(modules) {
+    const size = modules.length;
+    const finderLike = [
+      [true, false, true, true, true, false, true, false, false, false, false],
+      [false, false, false, false, true, false, true, true, true, false, true]
+    ];
+    const get = (x, y, vertical) => (vertical ? modules[x][y] : modules[y][x]);
+    let penalty = 0;
+    let dark = 0;
+
+    for (const vertical of [false, true]) {
+      for (let y = 0; y < size; y++) {
+        let runColor = null;
+        let runLength = 0;
+        for (let x = 0; x < size; x++) {
+          const color = get(x, y, vertical);
+          if (color === runColor) {
+            runLength++;
+            if (runLength === 5) penalty += 3;
+            else if (runLength > 5) penalty++;
+          } else {
+            runColor = color;
+            runLength = 1;
+          }
+
+          if (x + 11 <= size && finderLike.some(pattern => pattern.every((value, k) => get(x + k, y, vertical) === value))) {
+            penalty += 40;
+          }
+        }
+      }
+    }
+
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) dark++;
+        if (x < size - 1 && y < size - 1) {
+          const color = modules[y][x];
+          if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+            penalty += 3;
+          }
+        }
+      }
+    }
+
+    const total = size * size;
+    penalty += Math.floor(Math.abs(dark * 20 - total * 10) / total) * 10;
+    return penalty;
+  }
+}
+
+window.QrCode = QrCode;
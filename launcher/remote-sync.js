@@ -0,0 +1,471 @@
+// Keeps app data in sync through a remote storage backend. Each app is one file that
+// holds the payload `exportAppBackup` builds plus the time it was uploaded. Per app,
+// this device remembers a hash of what it last synced and the `updatedAt` it last saw
+// on the server: if only one side changed it wins, if both did they merge by record.
+class RemoteSync {
+  constructor(settingsManager) {
+    this.settingsManager = settingsManager;
+    this.configKey = 'marlapps-remote-sync';
+    this.fileFormat = 'marlapps-sync';
+    this.fileFormatVersion = 1;
+    // Backends implement connect(), read(name) and write(name, data, { etag }).
+    this.backends = {
+      webdav: { label: 'WebDAV', create: config => new WebDavBackend(config) }
+    };
+    this.autoSyncIntervalMs = 15 * 60 * 1000;
+    this.startupDelayMs = 8000;
+    this.maxConflictRetries = 2;
+    this.autoSyncTimer = null;
+    this.runningSync = null;
+    // Apps whose remote changes a background sync left for when their frame is gone.
+    this.deferredApps = new Set();
+    this.config = this.loadConfig();
+  }
+
+  init() {
+    // Rewrites the config so a password saved before remembering was opt-in is dropped.
+    this.saveConfig({});
+    this.bindEvents();
+    this.renderControls();
+    // Let startup finish before a sync reads every app's storage.
+    setTimeout(() => this.startSchedule(), this.startupDelayMs);
+    return this;
+  }
+
+  // --- Config ---
+
+  loadConfig() {
+    const defaults = {
+      backend: 'webdav',
+      url: '',
+      username: '',
+      password: '',
+      rememberPassword: false,
+      connected: false,
+      auto: true,
+      lastSyncAt: null,
+      lastResult: null,
+      lastError: null,
+      apps: {}
+    };
+
+    try {
+      const parsed = JSON.parse(localStorage.getItem(this.configKey) || 'null');
+      if (!parsed || typeof parsed !== 'object') return defaults;
+
+      const text = value => (typeof value === 'string' ? value : '');
+      const rememberPassword = parsed.rememberPassword === true;
+      return {
+        backend: this.backends[parsed.backend] ? parsed.backend : defaults.backend,
+        url: text(parsed.url),
+        username: text(parsed.username),
+        password: rememberPassword ? text(parsed.password) : '',
+        rememberPassword,
+        connected: parsed.connected === true,
+        auto: parsed.auto !== false,
+        lastSyncAt: Number.isFinite(parsed.lastSyncAt) ? parsed.lastSyncAt : null,
+        lastResult: typeof parsed.lastResult === 'string' ? parsed.lastResult : null,
+        lastError: typeof parsed.lastError === 'string' ? parsed.lastError : null,
+        apps: this.settingsManager.isPlainObject(parsed.apps) ? parsed.apps : {}
+      };
+    } catch (e) {
+      return defaults;
+    }
+  }
+
+  // Every app shares the launcher's origin and can read localStorage, so the password is
+  // only written there when the user asked to remember it; otherwise it lives in memory.
+  saveConfig(changes) {
+    this.config = { ...this.config, ...changes };
+    const stored = this.config.rememberPassword ? this.config : { ...this.config, password: '' };
+    try {
+      localStorage.setItem(this.configKey, JSON.stringify(stored));
+    } catch (e) {
+      // Ignore storage errors
+    }
+  }
+
+  saveAppState(appId, state) {
+    this.saveConfig({ apps: { ...this.config.apps, [appId]: state } });
+  }
+
+  createBackend(config = this.config) {
+    const backend = this.backends[config.backend];
+    if (!backend) throw new Error(`Unknown sync backend: ${config.backend}`);
+    return backend.create({ url: config.url, username: config.username, password: config.password });
+  }
+
+  // --- Settings UI ---
+
+  bindEvents() {
+    const backendSelect = document.getElementById('remoteSyncBackend');
+    if (backendSelect) {
+      backendSelect.innerHTML = Object.entries(this.backends)
+        .map(([id, backend]) => `<option value="${id}">${backend.label}</option>`)
+        .join('');
+    }
+
+    const connectBtn = document.getElementById('remoteSyncConnectBtn');
+    if (connectBtn) {
+      connectBtn.addEventListener('click', () => this.connect());
+    }
+
+    const syncNowBtn = document.getElementById('remoteSyncNowBtn');
+    if (syncNowBtn) {
+      syncNowBtn.addEventListener('click', () => this.sync({ interactive: true }));
+    }
+
+    const disconnectBtn = document.getElementById('remoteSyncDisconnectBtn');
+    if (disconnectBtn) {
+      disconnectBtn.addEventListener('click', () => this.disconnect());
+    }
+
+    const autoToggle = document.getElementById('remoteSyncAuto');
+    if (autoToggle) {
+      autoToggle.addEventListener('change', () => {
+        this.saveConfig({ auto: autoToggle.checked });
+        this.startSchedule();
+      });
+    }
+
+    const rememberToggle = document.getElementById('remoteSyncRemember');
+    if (rememberToggle) {
+      rememberToggle.addEventListener('change', () => {
+        this.saveConfig({ rememberPassword: rememberToggle.checked });
+      });
+    }
+  }
+
+  renderControls() {
+    const backendSelect = document.getElementById('remoteSyncBackend');
+    const urlInput = document.getElementById('remoteSyncUrl');
+    const usernameInput = document.getElementById('remoteSyncUsername');
+    const passwordInput = document.getElementById('remoteSyncPassword');
+    const options = document.getElementById('remoteSyncOptions');
+    const autoToggle = document.getElementById('remoteSyncAuto');
+    const rememberToggle = document.getElementById('remoteSyncRemember');
+    const connectBtn = document.getElementById('remoteSyncConnectBtn');
+    const syncNowBtn = document.getElementById('remoteSyncNowBtn');
+    const disconnectBtn = document.getElementById('remoteSyncDisconnectBtn');
+    const busy = Boolean(this.runningSync);
+
+    if (backendSelect) backendSelect.value = this.config.backend;
+    if (urlInput && document.activeElement !== urlInput) urlInput.value = this.config.url;
+    if (usernameInput && document.activeElement !== usernameInput) usernameInput.value = this.config.username;
+    if (passwordInput && document.activeElement !== passwordInput) passwordInput.value = this.config.password;
+    if (options) options.classList.toggle('hidden', !this.config.connected);
+    if (autoToggle) autoToggle.checked = this.config.auto;
+    if (rememberToggle) rememberToggle.checked = this.config.rememberPassword;
+
+    if (connectBtn) {
+      connectBtn.disabled = busy;
+      const label = connectBtn.querySelector('span');
+      if (label) label.textContent = this.config.connected ? 'Save and reconnect' : 'Connect';
+    }
+    if (syncNowBtn) {
+      syncNowBtn.hidden = !this.config.connected;
+      syncNowBtn.disabled = busy;
+      const label = syncNowBtn.querySelector('span');
+      if (label) label.textContent = busy ? 'Syncing...' : 'Sync now';
+    }
+    if (disconnectBtn) disconnectBtn.hidden = !this.config.connected;
+
+    this.renderStatus();
+  }
+
+  renderStatus(message = null) {
+    const status = document.getElementById('remoteSyncStatus');
+    if (!status) return;
+
+    if (message) {
+      status.textContent = message;
+      return;
+    }
+
+    const lines = [];
+    if (this.config.connected) {
+      lines.push(`Connected to ${this.config.url}`);
+      if (this.config.lastSyncAt) {
+        lines.push(`Last sync: ${new Date(this.config.lastSyncAt).toLocaleString()}`);
+      }
+      if (this.config.lastResult) lines.push(this.config.lastResult);
+    }
+    if (this.config.lastError) lines.push(this.config.lastError);
+
+    status.textContent = lines.join('\n');
+  }
+
+  readForm() {
+    const value = id => {
+      const el = document.getElementById(id);
+      return el ? el.value : '';
+    };
+    const rememberToggle = document.getElementById('remoteSyncRemember');
+
+    return {
+      backend: value('remoteSyncBackend') || this.config.backend,
+      url: value('remoteSyncUrl').trim(),
+      username: value('remoteSyncUsername').trim(),
+      password: value('remoteSyncPassword'),
+      rememberPassword: rememberToggle ? rememberToggle.checked : this.config.rememberPassword
+    };
+  }
+
+  async connect() {
+    if (this.runningSync) return;
+
+    const form = this.readForm();
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(form.url);
+    } catch (e) {
+      parsedUrl = null;
+    }
+    if (!parsedUrl || (parsedUrl.protocol !== 'https:' && parsedUrl.protocol !== 'http:')) {
+      this.renderStatus('Enter the full server URL, starting with https://');
+      return;
+    }
+
+    this.renderStatus('Connecting...');
+    try {
+      await this.createBackend(form).connect();
+    } catch (error) {
+      console.error('Connecting to sync server failed:', error);
+      this.renderStatus(`Could not connect: ${error.message}`);
+      return;
+    }
+
+    // Sync state describes one server; a different server starts from a fresh merge.
+    const sameServer = this.config.connected && this.config.backend === form.backend && this.config.url === form.url;
+    this.saveConfig({
+      ...form,
+      connected: true,
+      lastError: null,
+      ...(sameServer ? {} : { apps: {}, lastSyncAt: null, lastResult: null })
+    });
+    this.renderControls();
+    this.startSchedule();
+    await this.sync({ interactive: true });
+  }
+
+  disconnect() {
+    this.stopSchedule();
+    this.saveConfig({
+      connected: false,
+      password: '',
+      lastSyncAt: null,
+      lastResult: null,
+      lastError: null,
+      apps: {}
+    });
+    this.renderControls();
+    this.settingsManager.showNotification('Remote sync disconnected');
+  }
+
+  // --- Scheduling ---
+
+  startSchedule() {
+    this.stopSchedule();
+    if (!this.config.connected || !this.config.auto) return;
+
+    this.autoSyncTimer = setInterval(() => this.sync(), this.autoSyncIntervalMs);
+    this.sync();
+  }
+
+  stopSchedule() {
+    if (this.autoSyncTimer) {
+      clearInterval(this.autoSyncTimer);
+      this.autoSyncTimer = null;
+    }
+  }
+
+  // --- Sync ---
+
+  async sync({ interactive = false } = {}) {
+    if (!this.config.connected) return null;
+    if (this.runningSync) return this.runningSync;
+    if (this.needsPassword()) {
+      this.saveConfig({ lastError: 'Enter the password and press Save and reconnect to resume syncing.' });
+      this.renderStatus();
+      return null;
+    }
+
+    this.runningSync = this.performSync(interactive).finally(() => {
+      this.runningSync = null;
+      this.renderControls();
+    });
+    this.renderControls();
+    return this.runningSync;
+  }
+
+  // A password that was not remembered is gone after a reload.
+  needsPassword() {
+    return Boolean(this.config.username) && !this.config.password;
+  }
+
+  async performSync(interactive) {
+    const results = [];
+    this.deferredApps.clear();
+
+    try {
+      const backend = this.createBackend();
+      await backend.connect();
+
+      for (const appInfo of this.settingsManager.getManagedApps()) {
+        try {
+          const result = await this.syncAppWithRetry(backend, appInfo, interactive);
+          if (result) results.push(`${appInfo.name}: ${result}`);
+        } catch (error) {
+          console.error(`Syncing ${appInfo.id} failed:`, error);
+          results.push(`${appInfo.name}: failed (${error.message})`);
+        }
+      }
+    } catch (error) {
+      console.error('Remote sync failed:', error);
+      this.saveConfig({ lastError: `Sync failed: ${error.message}` });
+      if (interactive) this.settingsManager.showNotification('Sync failed');
+      return;
+    }
+
+    this.saveConfig({
+      lastSyncAt: Date.now(),
+      lastResult: results.length > 0 ? results.join('\n') : 'Everything was already up to date.',
+      lastError: null
+    });
+    if (interactive) this.settingsManager.showNotification('Sync complete');
+  }
+
+  // A conflict means another device uploaded between our read and write; start over from its version.
+  async syncAppWithRetry(backend, appInfo, interactive) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.syncApp(backend, appInfo, interactive);
+      } catch (error) {
+        if (error.name !== 'SyncConflict' || attempt >= this.maxConflictRetries) throw error;
+      }
+    }
+  }
+
+  isSyncFile(data, appId) {
+    return this.settingsManager.isPlainObject(data) &&
+      data.format === this.fileFormat &&
+      data.formatVersion === this.fileFormatVersion &&
+      data.appId === appId &&
+      Number.isFinite(data.updatedAt) &&
+      this.settingsManager.isPlainObject(data.payload);
+  }
+
+  // Returns a short description of what happened, or null when the app was already in sync.
+  async syncApp(backend, appInfo, interactive = false) {
+    const { backupMerge, importPreview } = this.settingsManager;
+    const fileName = `${appInfo.id}.json`;
+    const state = this.config.apps[appInfo.id] || null;
+
+    const local = await this.settingsManager.exportAppBackup(appInfo);
+    const localHash = this.hashPayload(local);
+    const remote = await backend.read(fileName);
+    if (remote && !this.isSyncFile(remote.data, appInfo.id)) {
+      throw new Error(`${fileName} on the server is not a MarlApps sync file`);
+    }
+
+    const remoteFile = remote ? remote.data : null;
+    const localChanged = !state || state.hash !== localHash;
+    const remoteChanged = Boolean(remoteFile) && (!state || state.remoteUpdatedAt !== remoteFile.updatedAt);
+
+    let next = local;
+    if (remoteChanged) {
+      if (local && local.kind !== remoteFile.payload.kind) return 'skipped (different data format)';
+      next = localChanged ? backupMerge.merge(local, remoteFile.payload) : remoteFile.payload;
+    }
+
+    let pulled = null;
+    if (this.hashPayload(next) !== localHash) {
+      // Replacing an open app's data would drop its unsaved edits and move focus. A background
+      // sync leaves the app and its sync state alone, so the pull is retried once it closes.
+      if (!interactive && this.hasLiveFrame(appInfo.id)) {
+        this.deferredApps.add(appInfo.id);
+        return 'changes waiting, close the app or press Sync now to apply them';
+      }
+
+      pulled = backupMerge.diff(local, next);
+      await this.applyLocally(appInfo, next);
+    }
+
+    // Re-export after a restore: adapters may normalize the payload.
+    const synced = pulled ? await this.settingsManager.exportAppBackup(appInfo) : local;
+    const syncedHash = this.hashPayload(synced);
+    let remoteUpdatedAt = remoteFile ? remoteFile.updatedAt : null;
+    let pushed = false;
+
+    if (synced && (!remoteFile || this.hashPayload(remoteFile.payload) !== syncedHash)) {
+      remoteUpdatedAt = Date.now();
+      await backend.write(fileName, {
+        format: this.fileFormat,
+        formatVersion: this.fileFormatVersion,
+        appId: appInfo.id,
+        updatedAt: remoteUpdatedAt,
+        payload: synced
+      }, { etag: remote ? remote.etag : null });
+      pushed = true;
+    }
+
+    this.saveAppState(appInfo.id, { hash: syncedHash, remoteUpdatedAt });
+
+    if (!pulled) return pushed ? 'uploaded' : null;
+    const summary = importPreview.formatDiff(pulled);
+    const detail = summary === 'No changes' ? '' : ` (${summary})`;
+    return `${pushed ? 'merged' : 'downloaded'}${detail}`;
+  }
+
+  hasLiveFrame(appId) {
+    const launcher = this.settingsManager.launcher || window.launcher;
+    if (!launcher) return false;
+    return launcher.workspaces.hasPane(appId) || launcher.backgroundHost.hasFrame(appId);
+  }
+
+  // Called when an app's frame is unloaded: sync again to apply what a background sync deferred.
+  handleAppReleased(appId) {
+    if (!this.deferredApps.has(appId) || this.hasLiveFrame(appId)) return;
+    if (this.runningSync) {
+      this.runningSync.then(() => this.handleAppReleased(appId));
+      return;
+    }
+    this.sync();
+  }
+
+  // Only Sync now gets here with the app open. clearAppStorage closes the app so it can't
+  // save stale state over the new data; reopen it after.
+  async applyLocally(appInfo, payload) {
+    const launcher = this.settingsManager.launcher || window.launcher;
+    const wasOpen = Boolean(launcher && launcher.workspaces && launcher.workspaces.hasPane(appInfo.id));
+
+    await this.settingsManager.clearAppStorage(appInfo, { beforeRestore: true });
+    await this.settingsManager.restoreAppPayload(appInfo, payload);
+
+    if (!wasOpen) return;
+    // Other panes may still be open; put the app back beside them instead of replacing one.
+    if (launcher.currentApp) {
+      launcher.workspaces.openBeside(appInfo.id);
+    } else {
+      launcher.openApp(appInfo.id);
+    }
+  }
+
+  // Fast 53-bit fingerprint (cyrb53). It is only compared with this device's previous
+  // sync, so it needs to be stable, not cryptographic.
+  hashPayload(payload) {
+    const text = JSON.stringify(payload ?? null);
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text.charCodeAt(i);
+      h1 = Math.imul(h1 ^ ch, 2654435761);
+      h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return `${text.length}-${(4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36)}`;
+  }
+}
+
+window.RemoteSync = RemoteSync;
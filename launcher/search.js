@@ -20,7 +20,7 @@ class SearchManager {
 
   bindKeyboard() {
     document.addEventListener('keydown', (e) => {
-      if ((e.metaKey || e.ctrlKey) && (e.key === 'k' || e.key === 'l')) {
+      if ((e.metaKey || e.ctrlKey) && e.key === 'l') {
         e.preventDefault();
         this.focus();
         return;
@@ -80,6 +80,7 @@ class SearchManager {
     this.input.value = '';
     this.lastQuery = '';
     this.launcher.renderApps();
+    if (this.launcher.contentSearch) this.launcher.contentSearch.clear();
   }
 
   search() {
@@ -89,22 +90,31 @@ class SearchManager {
 
     if (!query) {
       this.launcher.renderApps();
+      if (this.launcher.contentSearch) this.launcher.contentSearch.clear();
       return;
     }
 
     const results = this.appLoader.searchApps(query);
     this.launcher.renderApps(results);
+    if (this.launcher.contentSearch) this.launcher.contentSearch.search(query);
   }
 
   openTopResult() {
     const query = this.input.value.trim();
     if (!query) return;
 
-    const results = this.appLoader.searchApps(query);
+    const results = this.appLoader.searchApps(query).filter(app => this.appLoader.isAppVisible(app));
     if (results.length > 0) {
       this.launcher.openApp(results[0].id);
       this.clear();
       this.blur();
+      return;
+    }
+
+    // No app matched by name, so fall back to the first item found inside an app.
+    const contentResult = this.launcher.contentSearch && this.launcher.contentSearch.getFirstResult();
+    if (contentResult) {
+      this.launcher.contentSearch.openResult(contentResult.appId, contentResult.itemId);
     }
   }
 }
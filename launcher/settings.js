@@ -9,13 +9,31 @@ class SettingsManager {
 
     this.appStorageMap = {};
     this.storageAdapterCache = new Map();
+    this.backupScheduler = null;
+    this.peerSync = null;
+    this.remoteSync = null;
+    this.backupCrypto = new BackupCrypto();
+    this.backupMerge = new BackupMerge();
+    this.importPreview = new ImportPreview(this);
+    this.appUpdates = new AppUpdates(this);
+    this.storageUsage = new StorageUsage(this);
+    this.userApps = new UserApps(this);
+    this.encryptExportKey = 'marlapps-encrypt-export';
+    this.passphraseRequest = null;
     this.launcherStorageKeys = [
       'marlapps-recents',
       'marlapps-theme',
       'marlapps-active-app',
-      'marlapps-auto-update-check'
+      'marlapps-auto-update-check',
+      'marlapps-encrypt-export',
+      'marlapps-remote-sync',
+      'marlapps-app-layout',
+      'marlapps-workspaces',
+      'marlapps-notifications'
     ];
     this.nonNamespacedStorageKeys = ['pwa-installed', 'pwa-install-dismissed'];
+    // Backups must keep running after a reset; the folder and snapshots live in IndexedDB too.
+    this.preservedStorageKeys = ['marlapps-auto-backup'];
     this.managedLocalStorageKeys = [];
   }
 
@@ -32,8 +50,18 @@ class SettingsManager {
     this.populateDeleteDropdown();
     this.renderThemeOptions();
     this.bindEvents();
+    this.bindPassphraseDialog();
+    this.importPreview.init();
+    this.storageUsage.init();
+    this.userApps.init();
     this.updateThemeSelector();
     this.initUpdateSection();
+    this.backupScheduler = new BackupScheduler(this);
+    this.backupScheduler.init();
+    this.peerSync = new PeerSync(this);
+    this.peerSync.init();
+    this.remoteSync = new RemoteSync(this);
+    this.remoteSync.init();
     this.updateAboutVersion();
     if ('serviceWorker' in navigator) {
       navigator.serviceWorker.addEventListener('controllerchange', () => {
@@ -125,6 +153,49 @@ class SettingsManager {
       });
     }
 
+    const encryptExportToggle = document.getElementById('encryptExportToggle');
+    if (encryptExportToggle) {
+      encryptExportToggle.disabled = !this.backupCrypto.isSupported();
+      encryptExportToggle.checked = this.isExportEncryptionEnabled();
+      encryptExportToggle.addEventListener('change', () => {
+        try {
+          localStorage.setItem(this.encryptExportKey, String(encryptExportToggle.checked));
+        } catch (e) {
+          // Ignore storage errors
+        }
+      });
+    }
+
+    const showHiddenAppsToggle = document.getElementById('showHiddenAppsToggle');
+    if (showHiddenAppsToggle) {
+      showHiddenAppsToggle.checked = this.appLoader.layout.showHidden;
+      showHiddenAppsToggle.addEventListener('change', () => {
+        this.appLoader.setShowHidden(showHiddenAppsToggle.checked);
+        if (this.launcher) this.launcher.renderApps();
+      });
+    }
+
+    const showWidgetsToggle = document.getElementById('showWidgetsToggle');
+    if (showWidgetsToggle) {
+      showWidgetsToggle.checked = this.appLoader.layout.showWidgets;
+      showWidgetsToggle.addEventListener('change', () => {
+        this.appLoader.setShowWidgets(showWidgetsToggle.checked);
+        if (!this.launcher) return;
+        this.launcher.widgetHost.renderAll();
+        this.launcher.widgetHost.refresh();
+      });
+    }
+
+    const resetLayoutBtn = document.getElementById('resetLayoutBtn');
+    if (resetLayoutBtn) {
+      resetLayoutBtn.addEventListener('click', () => {
+        if (!confirm('Unpin, unhide and restore the default order of all apps?')) return;
+        this.appLoader.resetLayout();
+        if (this.launcher) this.launcher.renderApps();
+        this.showNotification('Home screen layout reset');
+      });
+    }
+
     const exportBtn = document.getElementById('exportBtn');
     if (exportBtn) {
       exportBtn.addEventListener('click', () => this.exportData());
@@ -356,7 +427,7 @@ class SettingsManager {
     }
 
     const storage = this.getStorageConfig(appInfo.app);
-    const moduleUrl = new URL(`./apps/${appInfo.folder}/${storage.adapter}`, window.location.href).href;
+    const moduleUrl = new URL(this.appLoader.getAppFileUrl(appInfo.app, storage.adapter), window.location.href).href;
 
     const adapterPromise = import(moduleUrl).then((module) => {
       const adapter = module && module.default && typeof module.default === 'object'
@@ -470,7 +541,7 @@ class SettingsManager {
     });
 
     Object.keys(localStorage).forEach((key) => {
-      if (key.startsWith('marlapps-')) {
+      if (key.startsWith('marlapps-') && !this.preservedStorageKeys.includes(key)) {
         localStorage.removeItem(key);
       }
     });
@@ -509,16 +580,18 @@ class SettingsManager {
     }
   }
 
+  // `beforeRestore` means a payload is imported right after (replace, merge or sync), so
+  // adapters may keep data that isn't part of their backups, such as Notes' history.
   async clearAppStorage(appInfo, options = {}) {
     if (!appInfo) return;
 
-    const { clearCachedFiles = false } = options;
+    const { clearCachedFiles = false, beforeRestore = false } = options;
 
     this.discardAppRuntime(appInfo.id);
 
     if (appInfo.hasAdapter) {
       const adapter = await this.getStorageAdapter(appInfo);
-      await adapter.clearStorage();
+      await adapter.clearStorage({ beforeRestore });
     }
 
     appInfo.managedLocalStorageKeys.forEach((key) => {
@@ -542,7 +615,7 @@ class SettingsManager {
     this.clearLauncherLocalStorage();
   }
 
-  async exportData() {
+  async buildBackupData() {
     let recents = [];
     try {
       const parsedRecents = JSON.parse(localStorage.getItem('marlapps-recents') || '[]');
@@ -555,41 +628,94 @@ class SettingsManager {
       exportedAt: new Date().toISOString(),
       theme: this.themeManager.getTheme(),
       recents,
+      layout: this.appLoader.sanitizeLayout(this.appLoader.layout),
       apps: {}
     };
 
-    try {
-      for (const appInfo of this.getManagedApps()) {
-        const payload = await this.exportAppBackup(appInfo);
-        if (payload) {
-          data.apps[appInfo.id] = payload;
-        }
+    for (const appInfo of this.getManagedApps()) {
+      const payload = await this.exportAppBackup(appInfo);
+      if (payload) {
+        data.apps[appInfo.id] = payload;
       }
-    } catch (error) {
-      console.error('Export failed:', error);
-      alert(`Failed to export data: ${error.message}`);
-      return;
     }
 
-    const blob = new Blob([JSON.stringify(data, null, 2)], {
+    return data;
+  }
+
+  downloadJson(json, filename) {
+    const blob = new Blob([json], {
       type: 'application/json'
     });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `marlapps-backup-${new Date().toISOString().split('T')[0]}.json`;
+    a.download = filename;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
+  }
 
-    this.showNotification('Data exported successfully');
+  isExportEncryptionEnabled() {
+    if (!this.backupCrypto.isSupported()) return false;
+    try {
+      return localStorage.getItem(this.encryptExportKey) === 'true';
+    } catch (e) {
+      return false;
+    }
+  }
+
+  async exportData() {
+    const encrypt = this.isExportEncryptionEnabled();
+    let data;
+    try {
+      data = await this.buildBackupData();
+    } catch (error) {
+      console.error('Export failed:', error);
+      alert(`Failed to export data: ${error.message}`);
+      return;
+    }
+
+    const date = new Date().toISOString().split('T')[0];
+    if (!encrypt) {
+      this.downloadJson(JSON.stringify(data, null, 2), `marlapps-backup-${date}.json`);
+      this.showNotification('Data exported successfully');
+      return;
+    }
+
+    const envelope = await this.requestPassphrase({
+      title: 'Encrypt backup',
+      description: 'Choose a passphrase for this backup. It is needed to import the file, and it cannot be recovered if you forget it.',
+      confirm: true,
+      submitLabel: 'Encrypt and export',
+      onSubmit: passphrase => this.backupCrypto.encrypt(JSON.stringify(data), passphrase)
+    });
+    if (!envelope) return;
+
+    this.downloadJson(JSON.stringify(envelope, null, 2), `marlapps-backup-${date}-encrypted.json`);
+    this.showNotification('Encrypted backup exported');
   }
 
   async importData(file) {
     try {
       const text = await file.text();
-      const data = JSON.parse(text);
+      let data = JSON.parse(text);
+
+      if (this.backupCrypto.isEncrypted(data)) {
+        if (!this.backupCrypto.isSupported()) {
+          throw new Error('This browser cannot decrypt backups');
+        }
+        this.backupCrypto.validateEnvelope(data);
+
+        const envelope = data;
+        data = await this.requestPassphrase({
+          title: 'Unlock backup',
+          description: `"${file.name}" is encrypted. Enter its passphrase to continue.`,
+          submitLabel: 'Unlock',
+          onSubmit: async passphrase => JSON.parse(await this.backupCrypto.decrypt(envelope, passphrase))
+        });
+        if (!data) return;
+      }
 
       if (!data || typeof data !== 'object' || Array.isArray(data)) {
         throw new Error('Invalid backup file format');
@@ -618,56 +744,28 @@ class SettingsManager {
         this.themeManager.supportedThemes.includes(data.theme)
         ? data.theme
         : null;
+      const safeLayout = this.isPlainObject(data.layout) ? this.appLoader.sanitizeLayout(data.layout) : null;
       const { appPayloads, skippedEntries } = this.buildImportPlan(data);
 
-      const changes = [];
-      if (safeTheme) changes.push(`Theme: ${safeTheme}`);
-      if (hasRecentsPayload) changes.push(`Recent apps: ${safeRecents.length}`);
-      if (appPayloads.size > 0) changes.push(`Apps with backup data: ${appPayloads.size}`);
-      if (skippedEntries > 0) changes.push(`Skipped invalid entries: ${skippedEntries}`);
-
-      if (!safeTheme && !hasRecentsPayload && appPayloads.size === 0) {
+      if (!safeTheme && !hasRecentsPayload && !safeLayout && appPayloads.size === 0) {
         throw new Error('Backup file does not contain any supported MarlApps data');
       }
 
-      const message = [
-        `Import data from ${exportedAt.toLocaleDateString()}?`,
-        '',
-        'This will replace your current MarlApps data:',
-        ...changes.map(c => `• ${c}`),
-        '',
-        'This action cannot be undone.'
-      ].join('\n');
-
-      if (!confirm(message)) return;
-
-      await this.clearAllManagedData();
-
-      if (safeTheme) {
-        this.themeManager.apply(safeTheme);
-      }
-
-      if (hasRecentsPayload) {
-        localStorage.setItem('marlapps-recents', JSON.stringify(safeRecents));
-      }
+      const entries = await this.buildImportEntries({ safeTheme, hasRecentsPayload, safeRecents, safeLayout, appPayloads });
+      const choices = await this.importPreview.open({ exportedAt, entries, skippedEntries });
+      if (!choices) return;
 
-      for (const [appId, payload] of appPayloads.entries()) {
-        const appInfo = this.appStorageMap[appId];
-        if (!appInfo) continue;
+      for (const entry of entries) {
+        const mode = choices.get(entry.key);
+        if (!mode || mode === 'skip') continue;
 
-        if (appInfo.hasAdapter) {
-          const adapter = await this.getStorageAdapter(appInfo);
-          await adapter.importBackup(payload);
+        if (entry.kind === 'launcher') {
+          this.importLauncherSettings(mode, safeTheme, hasRecentsPayload ? safeRecents : null, safeLayout);
           continue;
         }
 
-        if (payload.kind !== 'localStorage' || !this.isPlainObject(payload.keys)) {
-          throw new Error(`Unsupported backup payload for ${appInfo.name}`);
-        }
-
-        Object.entries(payload.keys).forEach(([key, value]) => {
-          localStorage.setItem(key, JSON.stringify(value));
-        });
+        await this.clearAppStorage(entry.appInfo, { beforeRestore: true });
+        await this.restoreAppPayload(entry.appInfo, entry.payloads[mode]);
       }
 
       const importMessage = skippedEntries > 0
@@ -682,6 +780,122 @@ class SettingsManager {
     }
   }
 
+  // One preview entry per app in the backup, plus launcher settings. Merge is only
+  // offered when this device's export uses the same payload format as the backup.
+  async buildImportEntries({ safeTheme, hasRecentsPayload, safeRecents, safeLayout, appPayloads }) {
+    const entries = [];
+
+    if (safeTheme || hasRecentsPayload || safeLayout) {
+      const replaceParts = [];
+      if (safeTheme) replaceParts.push(`Theme: ${safeTheme}`);
+      if (hasRecentsPayload) replaceParts.push(`${safeRecents.length} recent apps`);
+      if (safeLayout) replaceParts.push('Home screen layout');
+
+      entries.push({
+        key: 'launcher',
+        kind: 'launcher',
+        name: 'Launcher settings',
+        iconUrl: null,
+        mode: hasRecentsPayload ? 'merge' : 'replace',
+        summaries: {
+          merge: hasRecentsPayload ? 'Keeps this theme and layout, adds recent apps' : undefined,
+          replace: replaceParts.join(' · ')
+        }
+      });
+    }
+
+    for (const appInfo of this.getManagedApps()) {
+      const incoming = appPayloads.get(appInfo.id);
+      if (!incoming) continue;
+
+      let current = null;
+      let canMerge = true;
+      try {
+        current = await this.exportAppBackup(appInfo);
+      } catch (error) {
+        console.warn(`Reading current data for ${appInfo.id} failed:`, error);
+        canMerge = false;
+      }
+      if (current && current.kind !== incoming.kind) canMerge = false;
+
+      const merged = canMerge ? this.backupMerge.merge(current, incoming) : null;
+      entries.push({
+        key: appInfo.id,
+        kind: 'app',
+        appInfo,
+        name: appInfo.name,
+        iconUrl: this.appLoader.getAppIconUrl(appInfo.app),
+        mode: merged ? 'merge' : 'replace',
+        payloads: { merge: merged, replace: incoming },
+        summaries: {
+          merge: merged ? this.importPreview.formatDiff(this.backupMerge.diff(current, merged)) : undefined,
+          replace: this.importPreview.formatDiff(this.backupMerge.diff(current, incoming))
+        }
+      });
+    }
+
+    return entries;
+  }
+
+  importLauncherSettings(mode, theme, recents, layout = null) {
+    if (mode === 'replace' && theme) {
+      this.themeManager.apply(theme);
+    }
+
+    if (mode === 'replace' && layout) {
+      localStorage.setItem(this.appLoader.layoutKey, JSON.stringify(layout));
+    }
+
+    if (!recents) return;
+
+    if (mode === 'merge') {
+      let currentRecents = [];
+      try {
+        currentRecents = this.sanitizeRecents(JSON.parse(localStorage.getItem('marlapps-recents') || '[]'));
+      } catch {}
+
+      const newest = new Map();
+      [...currentRecents, ...recents].forEach((item) => {
+        const existing = newest.get(item.id);
+        if (!existing || item.timestamp > existing.timestamp) newest.set(item.id, item);
+      });
+      recents = this.sanitizeRecents([...newest.values()].sort((a, b) => b.timestamp - a.timestamp));
+    }
+
+    localStorage.setItem('marlapps-recents', JSON.stringify(recents));
+  }
+
+  // Merges `incoming` into this device's data for one app and returns the diff,
+  // or null when the payload formats differ. Unchanged apps are left alone.
+  async mergeAppBackup(appInfo, incoming) {
+    const current = await this.exportAppBackup(appInfo);
+    if (current && current.kind !== incoming.kind) return null;
+
+    const merged = this.backupMerge.merge(current, incoming);
+    const diff = this.backupMerge.diff(current, merged);
+    if (diff.added + diff.changed + diff.removed === 0) return diff;
+
+    await this.clearAppStorage(appInfo, { beforeRestore: true });
+    await this.restoreAppPayload(appInfo, merged);
+    return diff;
+  }
+
+  async restoreAppPayload(appInfo, payload) {
+    if (appInfo.hasAdapter) {
+      const adapter = await this.getStorageAdapter(appInfo);
+      await adapter.importBackup(payload);
+      return;
+    }
+
+    if (payload.kind !== 'localStorage' || !this.isPlainObject(payload.keys)) {
+      throw new Error(`Unsupported backup payload for ${appInfo.name}`);
+    }
+
+    Object.entries(payload.keys).forEach(([key, value]) => {
+      localStorage.setItem(key, JSON.stringify(value));
+    });
+  }
+
   async clearCachedAppFiles(appFolder) {
     if (!appFolder || !('caches' in window)) return 0;
 
@@ -763,6 +977,145 @@ class SettingsManager {
     setTimeout(() => location.reload(), 1500);
   }
 
+  // --- Passphrase dialog ---
+
+  bindPassphraseDialog() {
+    const dialog = document.getElementById('passphraseDialog');
+    const form = document.getElementById('passphraseForm');
+    const cancelBtn = document.getElementById('passphraseCancelBtn');
+    if (!dialog || !form || !cancelBtn) return;
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.submitPassphrase();
+    });
+    cancelBtn.addEventListener('click', () => this.finishPassphraseRequest(null));
+    dialog.addEventListener('click', (e) => {
+      if (e.target === dialog) this.finishPassphraseRequest(null);
+    });
+
+    dialog.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        // Keep the settings drawer open underneath.
+        e.preventDefault();
+        e.stopPropagation();
+        this.finishPassphraseRequest(null);
+        return;
+      }
+
+      if (e.key !== 'Tab') return;
+      const focusable = [...form.querySelectorAll('input:not(.hidden), button:not([disabled])')];
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    });
+  }
+
+  // Resolves with whatever `onSubmit` returns, or null when cancelled.
+  // If `onSubmit` throws, the dialog stays open and shows the error.
+  requestPassphrase({ title, description = '', confirm = false, submitLabel = 'Continue', onSubmit }) {
+    const dialog = document.getElementById('passphraseDialog');
+    if (!dialog) return Promise.resolve(null);
+    if (this.passphraseRequest) this.finishPassphraseRequest(null);
+
+    const returnFocus = document.activeElement;
+    document.getElementById('passphraseTitle').textContent = title;
+    document.getElementById('passphraseDescription').textContent = description;
+    document.getElementById('passphraseSubmitBtn').textContent = submitLabel;
+    document.getElementById('passphraseError').textContent = '';
+
+    const input = document.getElementById('passphraseInput');
+    const confirmInput = document.getElementById('passphraseConfirmInput');
+    input.value = '';
+    confirmInput.value = '';
+    confirmInput.classList.toggle('hidden', !confirm);
+    input.setAttribute('autocomplete', confirm ? 'new-password' : 'current-password');
+
+    dialog.classList.remove('hidden');
+    dialog.setAttribute('aria-hidden', 'false');
+    input.focus();
+
+    return new Promise((resolve) => {
+      this.passphraseRequest = {
+        confirm,
+        onSubmit,
+        resolve,
+        busy: false,
+        returnFocus
+      };
+    });
+  }
+
+  async submitPassphrase() {
+    const request = this.passphraseRequest;
+    if (!request || request.busy) return;
+
+    const input = document.getElementById('passphraseInput');
+    const confirmInput = document.getElementById('passphraseConfirmInput');
+    const submitBtn = document.getElementById('passphraseSubmitBtn');
+    const errorEl = document.getElementById('passphraseError');
+    const passphrase = input.value;
+
+    if (!passphrase) {
+      errorEl.textContent = 'Enter a passphrase.';
+      input.focus();
+      return;
+    }
+    if (request.confirm) {
+      if (passphrase.length < this.backupCrypto.minPassphraseLength) {
+        errorEl.textContent = `Use at least ${this.backupCrypto.minPassphraseLength} characters.`;
+        input.focus();
+        return;
+      }
+      if (passphrase !== confirmInput.value) {
+        errorEl.textContent = 'The passphrases do not match.';
+        confirmInput.focus();
+        return;
+      }
+    }
+
+    request.busy = true;
+    submitBtn.disabled = true;
+    errorEl.textContent = '';
+
+    try {
+      const result = await request.onSubmit(passphrase);
+      if (this.passphraseRequest === request) this.finishPassphraseRequest(result);
+    } catch (error) {
+      if (this.passphraseRequest !== request) return;
+      console.warn('Passphrase request failed:', error);
+      errorEl.textContent = error.message;
+      input.select();
+      input.focus();
+    } finally {
+      request.busy = false;
+      submitBtn.disabled = false;
+    }
+  }
+
+  finishPassphraseRequest(result) {
+    const request = this.passphraseRequest;
+    if (!request) return;
+    this.passphraseRequest = null;
+
+    const dialog = document.getElementById('passphraseDialog');
+    dialog.classList.add('hidden');
+    dialog.setAttribute('aria-hidden', 'true');
+    document.getElementById('passphraseInput').value = '';
+    document.getElementById('passphraseConfirmInput').value = '';
+
+    if (request.returnFocus && typeof request.returnFocus.focus === 'function') {
+      request.returnFocus.focus();
+    }
+    request.resolve(result);
+  }
+
   // --- Updates ---
 
   initUpdateSection() {
@@ -865,6 +1218,15 @@ class SettingsManager {
       }
 
       if (remoteVersion > installed) {
+        // Show which apps change before the new worker is allowed to take over.
+        let changes = [];
+        try {
+          changes = await this.appUpdates.check();
+        } catch (error) {
+          console.warn('Failed to compare app versions:', error);
+        }
+        this.appUpdates.render(changes);
+
         statusEl.className = 'update-status available';
         textEl.textContent = `Update available (build ${remoteVersion})`;
         // Add install button if not already present
@@ -875,8 +1237,9 @@ class SettingsManager {
           btn.addEventListener('click', () => this.installUpdate());
           statusEl.appendChild(btn);
         }
-        return { updateAvailable: true, remoteVersion };
+        return { updateAvailable: true, remoteVersion, changes };
       } else {
+        this.appUpdates.render(null);
         if (showStatus) {
           statusEl.className = 'update-status up-to-date';
           textEl.textContent = `Up to date (build ${installed})`;
@@ -969,10 +1332,10 @@ class SettingsManager {
       setTimeout(() => window.location.reload(), 3000);
 
     } catch (e) {
-      // Fallback: just clear caches and reload
+      // Fallback: just clear caches and reload. Installed apps exist only in their cache.
       if ('caches' in window) {
         const keys = await caches.keys();
-        await Promise.all(keys.map(k => caches.delete(k)));
+        await Promise.all(keys.filter(k => k !== this.userApps.cacheName).map(k => caches.delete(k)));
       }
       this.showNotification('Updating... Page will reload.');
       setTimeout(() => window.location.reload(), 1000);
@@ -988,7 +1351,9 @@ class SettingsManager {
 
     const result = await this.checkForUpdates(false);
     if (result && result.updateAvailable) {
-      this.showNotification('A new update is available — open Settings to install.');
+      this.showNotification(result.changes.length > 0
+        ? `Updates for ${this.appUpdates.formatNames(result.changes)} — open Settings to review.`
+        : 'A new update is available — open Settings to install.');
     }
   }
 
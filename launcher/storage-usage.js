@@ -0,0 +1,418 @@
+// Storage panel: per-app usage across localStorage, IndexedDB and offline caches, the
+// browser's quota estimate, persistent-storage requests and app cleanup suggestions.
+class StorageUsage {
+  constructor(settingsManager) {
+    this.settingsManager = settingsManager;
+    this.quotaWarningRatio = 0.8;
+    this.suggestions = [];
+    this.analyzing = null;
+  }
+
+  init() {
+    const analyzeBtn = document.getElementById('storageAnalyzeBtn');
+    if (analyzeBtn) {
+      analyzeBtn.addEventListener('click', () => this.analyze());
+    }
+
+    const persistBtn = document.getElementById('storagePersistBtn');
+    if (persistBtn) {
+      persistBtn.addEventListener('click', () => this.requestPersistence());
+    }
+
+    const cleanupList = document.getElementById('storageCleanupList');
+    if (cleanupList) {
+      cleanupList.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-cleanup-index]');
+        if (btn) this.applyCleanup(this.suggestions[Number(btn.dataset.cleanupIndex)]);
+      });
+    }
+
+    this.renderQuota();
+    return this;
+  }
+
+  hasStorageManager() {
+    return Boolean(navigator.storage && typeof navigator.storage.estimate === 'function');
+  }
+
+  formatBytes(bytes) {
+    if (!Number.isFinite(bytes) || bytes <= 0) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    const value = bytes / 1024 ** exponent;
+    return `${exponent === 0 ? value : value.toFixed(value < 10 ? 1 : 0)} ${units[exponent]}`;
+  }
+
+  // --- Quota ---
+
+  async renderQuota() {
+    const meter = document.getElementById('storageMeter');
+    const fill = document.getElementById('storageMeterFill');
+    const text = document.getElementById('storageMeterText');
+    const persistBtn = document.getElementById('storagePersistBtn');
+    if (!meter || !this.hasStorageManager()) return;
+
+    try {
+      const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+      const ratio = quota > 0 ? usage / quota : 0;
+
+      meter.classList.remove('hidden');
+      meter.classList.toggle('warning', ratio >= this.quotaWarningRatio);
+      fill.style.width = `${Math.min(100, Math.max(ratio * 100, usage > 0 ? 1 : 0))}%`;
+      text.textContent = quota > 0
+        ? `${this.formatBytes(usage)} of ${this.formatBytes(quota)} used (${(ratio * 100).toFixed(1)}%)`
+        : `${this.formatBytes(usage)} used`;
+    } catch (error) {
+      console.warn('Storage estimate failed:', error);
+    }
+
+    let persisted = false;
+    if (typeof navigator.storage.persisted === 'function') {
+      try {
+        persisted = await navigator.storage.persisted();
+      } catch (e) {
+        persisted = false;
+      }
+    }
+
+    if (persistBtn) {
+      persistBtn.hidden = persisted || typeof navigator.storage.persist !== 'function';
+    }
+    this.setStatus(persisted
+      ? 'Storage is persistent: the browser will not clear it when space runs low.'
+      : 'Storage is best effort: the browser may clear it when space runs low.');
+  }
+
+  async requestPersistence() {
+    let granted = false;
+    try {
+      granted = await navigator.storage.persist();
+    } catch (error) {
+      console.warn('Persistent storage request failed:', error);
+    }
+
+    await this.renderQuota();
+    if (!granted) {
+      this.setStatus('The browser declined. Installing MarlApps or using it more often can change its decision.');
+    }
+  }
+
+  setStatus(message) {
+    const status = document.getElementById('storageStatus');
+    if (status) status.textContent = message;
+  }
+
+  // --- Measuring ---
+
+  // localStorage holds UTF-16 strings, so every character of key and value takes two bytes.
+  measureLocalStorageKey(key) {
+    const value = localStorage.getItem(key);
+    return value === null ? 0 : (key.length + value.length) * 2;
+  }
+
+  // Rough structured-clone size; Blobs and buffers count their real byte length.
+  estimateValueSize(value) {
+    if (value === null || value === undefined) return 0;
+    if (typeof value === 'string') return value.length * 2;
+    if (typeof value === 'number') return 8;
+    if (typeof value === 'boolean') return 4;
+    if (value instanceof Blob) return value.size;
+    if (value instanceof ArrayBuffer) return value.byteLength;
+    if (ArrayBuffer.isView(value)) return value.byteLength;
+    if (value instanceof Date) return 8;
+    if (Array.isArray(value)) {
+      return value.reduce((total, item) => total + this.estimateValueSize(item), 0);
+    }
+    if (typeof value === 'object') {
+      return Object.entries(value)
+        .reduce((total, [key, item]) => total + key.length * 2 + this.estimateValueSize(item), 0);
+    }
+    return 0;
+  }
+
+  // Apps name their databases in `storage.databases`; by default an IndexedDB app uses `marlapps-<id>`.
+  getDatabaseNames(appInfo) {
+    const storage = this.settingsManager.getStorageConfig(appInfo.app);
+    if (Array.isArray(storage.databases)) {
+      return storage.databases.filter(name => typeof name === 'string' && name);
+    }
+    const backends = Array.isArray(storage.backends) ? storage.backends : [];
+    return backends.includes('indexedDB') ? [`marlapps-${appInfo.id}`] : [];
+  }
+
+  // Resolves with null instead of creating databases that don't exist yet.
+  openExistingDatabase(name) {
+    return new Promise((resolve, reject) => {
+      let missing = false;
+      const request = indexedDB.open(name);
+
+      request.onupgradeneeded = () => {
+        missing = true;
+        request.transaction.abort();
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // Never hold up an app that is upgrading its schema.
+        db.onversionchange = () => db.close();
+        resolve(db);
+      };
+      request.onerror = () => {
+        if (missing) resolve(null);
+        else reject(request.error);
+      };
+    });
+  }
+
+  measureStore(db, storeName) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, 'readonly');
+      const request = tx.objectStore(storeName).openCursor();
+      let bytes = 0;
+      let count = 0;
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        bytes += this.estimateValueSize(cursor.key) + this.estimateValueSize(cursor.value);
+        count++;
+        cursor.continue();
+      };
+      tx.oncomplete = () => resolve({ bytes, count });
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  async measureDatabases(appInfo) {
+    const names = this.getDatabaseNames(appInfo);
+    if (names.length === 0 || typeof indexedDB === 'undefined') return [];
+
+    const stores = [];
+    for (const name of names) {
+      const db = await this.openExistingDatabase(name);
+      if (!db) continue;
+
+      try {
+        for (const storeName of db.objectStoreNames) {
+          const { bytes, count } = await this.measureStore(db, storeName);
+          stores.push({ label: `${name} / ${storeName} (${count} ${count === 1 ? 'record' : 'records'})`, bytes });
+        }
+      } finally {
+        db.close();
+      }
+    }
+    return stores;
+  }
+
+  async measureCaches() {
+    const sizes = new Map();
+    if (!('caches' in window)) return sizes;
+
+    for (const cacheName of await caches.keys()) {
+      const cache = await caches.open(cacheName);
+      let bytes = 0;
+      for (const request of await cache.keys()) {
+        const response = await cache.match(request);
+        if (!response) continue;
+        const length = Number.parseInt(response.headers.get('Content-Length'), 10);
+        bytes += Number.isFinite(length) ? length : (await response.blob()).size;
+      }
+      sizes.set(cacheName, bytes);
+    }
+    return sizes;
+  }
+
+  // --- Analysis ---
+
+  async analyze() {
+    if (this.analyzing) return this.analyzing;
+
+    const analyzeBtn = document.getElementById('storageAnalyzeBtn');
+    if (analyzeBtn) analyzeBtn.disabled = true;
+    this.setStatus('Measuring storage...');
+
+    this.analyzing = this.buildReport()
+      .then((report) => {
+        this.renderReport(report);
+        return this.renderQuota();
+      })
+      .catch((error) => {
+        console.error('Storage analysis failed:', error);
+        this.setStatus(`Storage analysis failed: ${error.message}`);
+      })
+      .finally(() => {
+        this.analyzing = null;
+        if (analyzeBtn) analyzeBtn.disabled = false;
+      });
+    return this.analyzing;
+  }
+
+  async buildReport() {
+    const settings = this.settingsManager;
+    const cacheSizes = await this.measureCaches();
+    const claimedKeys = new Set();
+    const claimedCaches = new Set();
+    const rows = [];
+
+    for (const appInfo of settings.getManagedApps()) {
+      const items = [];
+
+      appInfo.managedLocalStorageKeys.forEach((key) => {
+        claimedKeys.add(key);
+        const bytes = this.measureLocalStorageKey(key);
+        if (bytes > 0) items.push({ label: `localStorage: ${key}`, bytes });
+      });
+
+      try {
+        (await this.measureDatabases(appInfo)).forEach(store => items.push({ ...store, label: `IndexedDB: ${store.label}` }));
+      } catch (error) {
+        console.warn(`Measuring IndexedDB for ${appInfo.id} failed:`, error);
+      }
+
+      cacheSizes.forEach((bytes, cacheName) => {
+        if (!cacheName.startsWith(`marlapps-app-${appInfo.id}-`)) return;
+        claimedCaches.add(cacheName);
+        items.push({ label: 'Offline files', bytes });
+      });
+
+      rows.push({ name: appInfo.name, items });
+    }
+
+    // Apps without stored data still have offline files.
+    settings.appLoader.apps.forEach((app) => {
+      if (settings.appStorageMap[app.id]) return;
+      const items = [];
+      cacheSizes.forEach((bytes, cacheName) => {
+        if (!cacheName.startsWith(`marlapps-app-${app.id}-`)) return;
+        claimedCaches.add(cacheName);
+        items.push({ label: 'Offline files', bytes });
+      });
+      if (items.length > 0) rows.push({ name: app.name, items });
+    });
+
+    const launcherItems = [];
+    const otherItems = [];
+    Object.keys(localStorage).forEach((key) => {
+      if (claimedKeys.has(key)) return;
+      const item = { label: `localStorage: ${key}`, bytes: this.measureLocalStorageKey(key) };
+      const isLauncherKey = key.startsWith('marlapps-') || settings.nonNamespacedStorageKeys.includes(key);
+      (isLauncherKey ? launcherItems : otherItems).push(item);
+    });
+    cacheSizes.forEach((bytes, cacheName) => {
+      if (!claimedCaches.has(cacheName)) launcherItems.push({ label: `Cache: ${cacheName}`, bytes });
+    });
+
+    rows.push({ name: 'Launcher', items: launcherItems });
+    if (otherItems.length > 0) rows.push({ name: 'Other', items: otherItems });
+
+    rows.forEach((row) => {
+      row.items.sort((a, b) => b.bytes - a.bytes);
+      row.total = row.items.reduce((total, item) => total + item.bytes, 0);
+    });
+    rows.sort((a, b) => b.total - a.total);
+
+    return { rows, suggestions: await this.collectSuggestions() };
+  }
+
+  renderReport({ rows, suggestions }) {
+    const list = document.getElementById('storageUsageList');
+    const cleanupList = document.getElementById('storageCleanupList');
+    const escapeHtml = value => this.settingsManager.launcher.escapeHtml(value);
+
+    if (list) {
+      list.innerHTML = rows.map(row => `
+        <li class="storage-usage-row">
+          <details>
+            <summary>
+              <span class="storage-usage-name">${escapeHtml(row.name)}</span>
+              <span class="storage-usage-size">${this.formatBytes(row.total)}</span>
+            </summary>
+            ${row.items.length === 0
+              ? '<p class="storage-usage-empty">Nothing stored</p>'
+              : `<ul>${row.items.map(item => `
+                <li><span>${escapeHtml(item.label)}</span><span>${this.formatBytes(item.bytes)}</span></li>
+              `).join('')}</ul>`}
+          </details>
+        </li>
+      `).join('');
+      list.classList.remove('hidden');
+    }
+
+    this.suggestions = suggestions;
+    if (cleanupList) {
+      cleanupList.innerHTML = suggestions.map((suggestion, index) => `
+        <li class="storage-cleanup-row">
+          <span>${escapeHtml(suggestion.title)}${suggestion.bytes ? ` · frees about ${this.formatBytes(suggestion.bytes)}` : ''}</span>
+          <button class="text-btn" data-cleanup-index="${index}">Clean up</button>
+        </li>
+      `).join('');
+      cleanupList.classList.toggle('hidden', suggestions.length === 0);
+    }
+  }
+
+  // --- Cleanup ---
+
+  // `storage.cleanup` names a module for apps without a storage adapter; otherwise the
+  // adapter itself may export getCleanupSuggestions() and applyCleanup(id).
+  async getCleanupModule(appInfo) {
+    const storage = this.settingsManager.getStorageConfig(appInfo.app);
+    let module;
+    if (typeof storage.cleanup === 'string' && storage.cleanup.trim()) {
+      const moduleUrl = new URL(this.settingsManager.appLoader.getAppFileUrl(appInfo.app, storage.cleanup), window.location.href).href;
+      const imported = await import(moduleUrl);
+      module = imported.default && typeof imported.default === 'object' ? { ...imported, ...imported.default } : imported;
+    } else if (appInfo.hasAdapter) {
+      module = await this.settingsManager.getStorageAdapter(appInfo);
+    }
+
+    return module && typeof module.getCleanupSuggestions === 'function' && typeof module.applyCleanup === 'function'
+      ? module
+      : null;
+  }
+
+  async collectSuggestions() {
+    const suggestions = [];
+
+    for (const appInfo of this.settingsManager.getManagedApps()) {
+      try {
+        const module = await this.getCleanupModule(appInfo);
+        if (!module) continue;
+
+        const appSuggestions = await module.getCleanupSuggestions();
+        (Array.isArray(appSuggestions) ? appSuggestions : [])
+          .filter(suggestion => suggestion && typeof suggestion.id === 'string' && typeof suggestion.title === 'string')
+          .forEach(suggestion => suggestions.push({
+            appInfo,
+            id: suggestion.id,
+            title: suggestion.title,
+            bytes: Number.isFinite(suggestion.bytes) ? suggestion.bytes : 0
+          }));
+      } catch (error) {
+        console.warn(`Cleanup suggestions for ${appInfo.id} failed:`, error);
+      }
+    }
+
+    return suggestions;
+  }
+
+  async applyCleanup(suggestion) {
+    if (!suggestion) return;
+    if (!confirm(`${suggestion.title}? This cannot be undone.`)) return;
+
+    try {
+      const module = await this.getCleanupModule(suggestion.appInfo);
+      if (!module) throw new Error('Cleanup is no longer available');
+      // A running app would write its in-memory copy back over the cleanup.
+      this.settingsManager.discardAppRuntime(suggestion.appInfo.id);
+      await module.applyCleanup(suggestion.id);
+    } catch (error) {
+      console.error(`Cleanup for ${suggestion.appInfo.id} failed:`, error);
+      alert(`Cleanup failed: ${error.message}`);
+      return;
+    }
+
+    this.settingsManager.showNotification(`${suggestion.appInfo.name} cleaned up`);
+    await this.analyze();
+  }
+}
+
+window.StorageUsage = StorageUsage;
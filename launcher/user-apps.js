@@ -0,0 +1,317 @@
+// Installs extra apps from a local folder or .zip. Their files go into Cache Storage,
+// which the service worker serves under ./user-apps/<id>/, and a user registry there
+// is merged with the built-in one by AppLoader.
+class UserApps {
+  constructor(settingsManager) {
+    this.settingsManager = settingsManager;
+    this.cacheName = 'marlapps-user-apps';
+    this.basePath = './user-apps';
+    this.registryPath = './user-apps/registry.json';
+    this.schemaPath = './registry/manifest.schema.json';
+    this.maxZipEntries = 2000;
+    this.validator = null;
+    this.installing = false;
+    this.mimeTypes = {
+      html: 'text/html',
+      js: 'text/javascript',
+      mjs: 'text/javascript',
+      css: 'text/css',
+      json: 'application/json',
+      webmanifest: 'application/manifest+json',
+      svg: 'image/svg+xml',
+      png: 'image/png',
+      jpg: 'image/jpeg',
+      jpeg: 'image/jpeg',
+      gif: 'image/gif',
+      webp: 'image/webp',
+      ico: 'image/x-icon',
+      woff: 'font/woff',
+      woff2: 'font/woff2',
+      ttf: 'font/ttf',
+      mp3: 'audio/mpeg',
+      wav: 'audio/wav',
+      ogg: 'audio/ogg',
+      wasm: 'application/wasm',
+      txt: 'text/plain',
+      md: 'text/markdown'
+    };
+  }
+
+  init() {
+    const folderBtn = document.getElementById('userAppsFolderBtn');
+    const folderInput = document.getElementById('userAppsFolderInput');
+    if (folderBtn && folderInput) {
+      folderBtn.addEventListener('click', () => folderInput.click());
+      folderInput.addEventListener('change', () => {
+        const files = [...folderInput.files];
+        folderInput.value = '';
+        if (files.length > 0) this.installFrom(() => this.readFolder(files));
+      });
+    }
+
+    const zipBtn = document.getElementById('userAppsZipBtn');
+    const zipInput = document.getElementById('userAppsZipInput');
+    if (zipBtn && zipInput) {
+      zipBtn.hidden = !MarlAppsZip.isSupported();
+      zipBtn.addEventListener('click', () => zipInput.click());
+      zipInput.addEventListener('change', () => {
+        const file = zipInput.files[0];
+        zipInput.value = '';
+        if (file) this.installFrom(() => MarlAppsZip.readZip(file, { maxEntries: this.maxZipEntries }));
+      });
+    }
+
+    const list = document.getElementById('userAppsList');
+    if (list) {
+      list.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-user-app-id]');
+        if (btn) this.uninstall(btn.dataset.userAppId);
+      });
+    }
+
+    this.render();
+    return this;
+  }
+
+  // Files are only reachable through the service worker, so installs need one in control.
+  isAvailable() {
+    return 'caches' in window && Boolean(navigator.serviceWorker && navigator.serviceWorker.controller);
+  }
+
+  getInstalledApps() {
+    return this.settingsManager.appLoader.apps.filter(app => app.source === 'user');
+  }
+
+  setStatus(message) {
+    const status = document.getElementById('userAppsStatus');
+    if (status) status.textContent = message;
+  }
+
+  render() {
+    const list = document.getElementById('userAppsList');
+    if (!list) return;
+
+    const apps = this.getInstalledApps();
+    const appLoader = this.settingsManager.appLoader;
+    const escapeHtml = value => this.settingsManager.launcher.escapeHtml(value);
+
+    list.innerHTML = apps.map(app => `
+      <li class="user-app-row">
+        <img class="user-app-icon" src="${escapeHtml(appLoader.getAppIconUrl(app))}" alt="" width="24" height="24">
+        <span class="user-app-name">${escapeHtml(app.name)}</span>
+        <span class="user-app-version">${escapeHtml(app.version)}</span>
+        <button class="text-btn" data-user-app-id="${escapeHtml(app.id)}">Remove</button>
+      </li>
+    `).join('');
+    list.classList.toggle('hidden', apps.length === 0);
+  }
+
+  // --- Reading ---
+
+  readFolder(files) {
+    return files.map(file => ({ path: file.webkitRelativePath || file.name, blob: file }));
+  }
+
+  isIgnoredPath(path) {
+    return path.split('/').some(segment => segment.startsWith('.') || segment === '__MACOSX');
+  }
+
+  isSafePath(path) {
+    return !path.startsWith('/') && path.split('/').every(segment => segment && segment !== '.' && segment !== '..');
+  }
+
+  // The shallowest manifest.json marks the app root; paths come back relative to it.
+  extractApp(entries) {
+    const visible = entries
+      .map(entry => ({ ...entry, path: entry.path.replace(/\\/g, '/') }))
+      .filter(entry => !this.isIgnoredPath(entry.path));
+
+    const manifests = visible
+      .filter(entry => entry.path === 'manifest.json' || entry.path.endsWith('/manifest.json'))
+      .sort((a, b) => a.path.split('/').length - b.path.split('/').length);
+    if (manifests.length === 0) throw new Error('No manifest.json found');
+
+    const root = manifests[0].path.slice(0, -'manifest.json'.length);
+    const files = new Map();
+
+    visible
+      .filter(entry => entry.path.startsWith(root))
+      .forEach((entry) => {
+        const path = entry.path.slice(root.length);
+        if (!this.isSafePath(path)) throw new Error(`Refusing unsafe file path: ${path}`);
+        files.set(path, entry.blob);
+      });
+
+    return files;
+  }
+
+  async readManifest(files) {
+    try {
+      return JSON.parse(await files.get('manifest.json').text());
+    } catch {
+      throw new Error('manifest.json is not valid JSON');
+    }
+  }
+
+  async getValidator() {
+    if (!this.validator) {
+      const response = await fetch(this.schemaPath);
+      if (!response.ok) throw new Error(`Failed to load the manifest schema: ${response.status}`);
+      this.validator = new ManifestValidator(await response.json());
+    }
+    return this.validator;
+  }
+
+  // --- Installing ---
+
+  async installFrom(readEntries) {
+    if (this.installing) return;
+    if (!this.isAvailable()) {
+      this.setStatus('Installing apps needs the offline service worker. Reload the page and try again.');
+      return;
+    }
+
+    this.installing = true;
+    this.setStatus('Reading app...');
+
+    try {
+      const manifest = await this.install(await readEntries());
+      if (!manifest) {
+        this.setStatus('');
+        return;
+      }
+      this.setStatus(`Installed ${manifest.name} ${manifest.version}.`);
+      this.settingsManager.showNotification(`${manifest.name} installed. Reloading...`);
+      setTimeout(() => location.reload(), 1500);
+    } catch (error) {
+      console.error('App install failed:', error);
+      this.setStatus(`Install failed: ${error.message}`);
+    } finally {
+      this.installing = false;
+    }
+  }
+
+  // Resolves with the installed manifest, or null when the user declined to replace an app.
+  async install(entries) {
+    const files = this.extractApp(entries);
+    const manifest = await this.readManifest(files);
+
+    const validator = await this.getValidator();
+    const errors = validator.validate(manifest, { files: new Set(files.keys()), namespacedKeys: true });
+    if (errors.length > 0) throw new Error(`Invalid manifest:\n${errors.join('\n')}`);
+
+    const appLoader = this.settingsManager.appLoader;
+    const builtInApps = (appLoader.registry && Array.isArray(appLoader.registry.apps) ? appLoader.registry.apps : [])
+      .filter(entry => entry.source !== 'user');
+    if (builtInApps.some(entry => entry.id === manifest.id || entry.folder === manifest.id)) {
+      throw new Error(`"${manifest.id}" is already used by a built-in app`);
+    }
+
+    const registry = await this.loadRegistry();
+    const existing = registry.apps.find(entry => entry.id === manifest.id);
+    if (existing) {
+      const installed = appLoader.getAppById(manifest.id);
+      const from = installed ? ` ${installed.version}` : '';
+      if (!confirm(`Replace ${manifest.name}${from} with version ${manifest.version}? Its data is kept.`)) return null;
+      // The running copy would keep using the old files.
+      this.settingsManager.discardAppRuntime(manifest.id);
+    }
+
+    await this.writeFiles(manifest.id, files);
+
+    registry.apps = registry.apps
+      .filter(entry => entry.id !== manifest.id)
+      .concat({
+        id: manifest.id,
+        folder: manifest.id,
+        order: existing ? existing.order : 1000 + registry.apps.length,
+        installedAt: new Date().toISOString()
+      });
+    await this.saveRegistry(registry);
+
+    return manifest;
+  }
+
+  getFileUrl(folder, path) {
+    const encoded = path.split('/').map(segment => encodeURIComponent(segment)).join('/');
+    return new URL(`${this.basePath}/${encodeURIComponent(folder)}/${encoded}`, window.location.href).href;
+  }
+
+  getContentType(path) {
+    const extension = path.includes('.') ? path.split('.').pop().toLowerCase() : '';
+    return this.mimeTypes[extension] || 'application/octet-stream';
+  }
+
+  async writeFiles(folder, files) {
+    const cache = await caches.open(this.cacheName);
+    await this.removeFiles(folder, cache);
+
+    for (const [path, blob] of files) {
+      await cache.put(this.getFileUrl(folder, path), new Response(blob, {
+        headers: { 'Content-Type': this.getContentType(path) }
+      }));
+    }
+  }
+
+  async removeFiles(folder, cache) {
+    const prefix = this.getFileUrl(folder, '');
+    const requests = await cache.keys();
+    await Promise.all(requests
+      .filter(request => request.url.startsWith(prefix))
+      .map(request => cache.delete(request)));
+  }
+
+  // --- Registry ---
+
+  async loadRegistry() {
+    const cache = await caches.open(this.cacheName);
+    const response = await cache.match(new URL(this.registryPath, window.location.href).href);
+
+    try {
+      const registry = response ? await response.json() : null;
+      return { apps: Array.isArray(registry && registry.apps) ? registry.apps : [] };
+    } catch {
+      return { apps: [] };
+    }
+  }
+
+  async saveRegistry(registry) {
+    const cache = await caches.open(this.cacheName);
+    await cache.put(new URL(this.registryPath, window.location.href).href, new Response(JSON.stringify(registry, null, 2), {
+      headers: { 'Content-Type': 'application/json' }
+    }));
+  }
+
+  // --- Removing ---
+
+  async uninstall(appId) {
+    const app = this.settingsManager.appLoader.getAppById(appId);
+    if (!app || app.source !== 'user') return;
+    if (!confirm(`Remove ${app.name} and all of its data? This cannot be undone.`)) return;
+
+    try {
+      const appInfo = this.settingsManager.getManagedApps().find(info => info.id === app.id);
+      if (appInfo) {
+        await this.settingsManager.clearAppStorage(appInfo);
+      } else {
+        this.settingsManager.discardAppRuntime(app.id);
+      }
+
+      const cache = await caches.open(this.cacheName);
+      await this.removeFiles(app.folder, cache);
+
+      const registry = await this.loadRegistry();
+      registry.apps = registry.apps.filter(entry => entry.id !== app.id);
+      await this.saveRegistry(registry);
+    } catch (error) {
+      console.error(`Removing ${app.id} failed:`, error);
+      this.setStatus(`Remove failed: ${error.message}`);
+      return;
+    }
+
+    this.settingsManager.showNotification(`${app.name} removed. Reloading...`);
+    setTimeout(() => location.reload(), 1500);
+  }
+}
+
+window.UserApps = UserApps;
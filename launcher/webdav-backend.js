@@ -0,0 +1,109 @@
+// WebDAV storage for RemoteSync. Files live in one `marlapps` collection under the
+// configured URL; ETags make writes conditional so a concurrent upload from another
+// device is reported as a conflict instead of being overwritten.
+class WebDavBackend {
+  constructor({ url, username = '', password = '' }) {
+    this.baseUrl = url.endsWith('/') ? url : `${url}/`;
+    this.collectionUrl = new URL('marlapps/', this.baseUrl).href;
+    this.username = username;
+    this.password = password;
+    this.timeoutMs = 30000;
+  }
+
+  describe() {
+    return this.baseUrl;
+  }
+
+  getAuthHeaders() {
+    if (!this.username && !this.password) return {};
+    // btoa() only takes Latin-1, so encode the credentials as UTF-8 first.
+    const bytes = new TextEncoder().encode(`${this.username}:${this.password}`);
+    let binary = '';
+    bytes.forEach((byte) => {
+      binary += String.fromCharCode(byte);
+    });
+    return { Authorization: `Basic ${btoa(binary)}` };
+  }
+
+  async request(method, url, { headers = {}, body } = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    try {
+      return await fetch(url, {
+        method,
+        headers: { ...this.getAuthHeaders(), ...headers },
+        body,
+        cache: 'no-store',
+        credentials: 'omit',
+        signal: controller.signal
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') throw new Error('The server did not respond in time');
+      // Browsers report CORS rejections and unreachable hosts the same way.
+      throw new Error('Could not reach the server. Check the URL and that it allows requests from this site (CORS).');
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  checkResponse(response, action) {
+    if (response.status === 401 || response.status === 403) {
+      throw new Error('The server rejected the username or password');
+    }
+    if (!response.ok) {
+      throw new Error(`${action} failed (HTTP ${response.status})`);
+    }
+  }
+
+  // Creates the `marlapps` collection on first use. MKCOL answers 405 when it already exists.
+  async connect() {
+    const probe = await this.request('PROPFIND', this.collectionUrl, {
+      headers: { Depth: '0', 'Content-Type': 'application/xml' }
+    });
+    if (probe.ok) return;
+    if (probe.status !== 404) this.checkResponse(probe, 'Connecting');
+
+    const created = await this.request('MKCOL', this.collectionUrl);
+    if (created.status === 405) return;
+    this.checkResponse(created, 'Creating the marlapps folder');
+  }
+
+  // Resolves with { data, etag }, or null when the file does not exist yet.
+  async read(name) {
+    const response = await this.request('GET', new URL(name, this.collectionUrl).href);
+    if (response.status === 404) return null;
+    this.checkResponse(response, `Downloading ${name}`);
+
+    let data;
+    try {
+      data = await response.json();
+    } catch (error) {
+      throw new Error(`${name} on the server is not valid JSON`);
+    }
+    return { data, etag: response.headers.get('ETag') || undefined };
+  }
+
+  // `etag` is the version last read: null creates the file, undefined writes unconditionally
+  // (servers that don't expose ETags to the browser). Throws `SyncConflict` on HTTP 412.
+  async write(name, data, { etag } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (etag === null) headers['If-None-Match'] = '*';
+    else if (etag) headers['If-Match'] = etag;
+
+    const response = await this.request('PUT', new URL(name, this.collectionUrl).href, {
+      headers,
+      body: JSON.stringify(data)
+    });
+
+    if (response.status === 412) {
+      const conflict = new Error(`${name} was changed by another device`);
+      conflict.name = 'SyncConflict';
+      throw conflict;
+    }
+    this.checkResponse(response, `Uploading ${name}`);
+    return response.headers.get('ETag') || undefined;
+  }
+}
+
+window.WebDavBackend = WebDavBackend;
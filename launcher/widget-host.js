@@ -0,0 +1,363 @@
+// Draws the at-a-glance views apps declare with `"widget": { "module": "widget.js" }` on their
+// launcher cards. Apps hand over a plain data payload and the launcher renders it, so app code
+// never touches the launcher DOM. A running app can replace its payload live with MarlApps.setWidget().
+class WidgetHost {
+  constructor(appLoader, launcher) {
+    this.appLoader = appLoader;
+    this.launcher = launcher;
+    this.moduleCache = new Map();
+    this.payloads = new Map();
+    this.livePayloads = new Map();
+    this.renderedHtml = new WeakMap();
+    this.refreshId = 0;
+    this.refreshTimeout = null;
+    this.refreshDelayMs = 500;
+    this.refreshIntervalMs = 60000;
+    this.limits = { text: 120, label: 40, value: 24, stats: 3, items: 4, controls: 8 };
+  }
+
+  init() {
+    const appGrid = document.getElementById('appGrid');
+    if (appGrid) this.bindGridEvents(appGrid);
+
+    // Apps save from their own frames (and other tabs), which reaches this page as storage events.
+    window.addEventListener('storage', (e) => {
+      if (!e.key || e.key.startsWith('marlapps-')) this.scheduleRefresh();
+    });
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') this.scheduleRefresh();
+    });
+    // Keeps relative times such as the next alarm current.
+    setInterval(() => this.scheduleRefresh(), this.refreshIntervalMs);
+
+    this.refresh();
+    return this;
+  }
+
+  isEnabled() {
+    return this.appLoader.layout.showWidgets;
+  }
+
+  getWidgetConfig(app) {
+    const widget = app && app.widget;
+    if (!widget || typeof widget !== 'object' || Array.isArray(widget)) return null;
+    if (typeof widget.module !== 'string' || !widget.module.trim()) return null;
+    return widget;
+  }
+
+  getWidgetApps() {
+    return this.appLoader.apps.filter(app => this.getWidgetConfig(app));
+  }
+
+  async getModule(app) {
+    if (this.moduleCache.has(app.id)) {
+      return this.moduleCache.get(app.id);
+    }
+
+    const widget = this.getWidgetConfig(app);
+    const moduleUrl = new URL(this.appLoader.getAppFileUrl(app, widget.module), window.location.href).href;
+
+    const modulePromise = import(moduleUrl).then((module) => {
+      const widgetModule = module && module.default && typeof module.default === 'object'
+        ? { ...module, ...module.default }
+        : module;
+
+      if (typeof widgetModule.getWidget !== 'function') {
+        throw new Error(`Widget module for ${app.id} is missing getWidget().`);
+      }
+
+      return widgetModule;
+    });
+
+    this.moduleCache.set(app.id, modulePromise);
+    return modulePromise;
+  }
+
+  // --- Payloads ---
+
+  getPayload(appId) {
+    return this.livePayloads.get(appId) || this.payloads.get(appId) || null;
+  }
+
+  toText(value, maxLength) {
+    if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+    return typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+  }
+
+  toNumber(value, fallback) {
+    return typeof value === 'number' && Number.isFinite(value) ? value : fallback;
+  }
+
+  isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  // Payloads come from app code, so only known fields survive, capped to what fits on a card.
+  sanitizePayload(payload) {
+    if (!this.isPlainObject(payload)) return null;
+
+    const list = (value, limit) => (Array.isArray(value) ? value.filter(item => this.isPlainObject(item)).slice(0, limit) : []);
+    const widget = {
+      text: this.toText(payload.text, this.limits.text),
+      stats: list(payload.stats, this.limits.stats)
+        .map(stat => ({ label: this.toText(stat.label, this.limits.label), value: this.toText(stat.value, this.limits.value) }))
+        .filter(stat => stat.value),
+      progress: this.sanitizeProgress(payload.progress),
+      items: list(payload.items, this.limits.items)
+        .map(item => ({ text: this.toText(item.text, this.limits.text), meta: this.toText(item.meta, this.limits.label) }))
+        .filter(item => item.text),
+      controls: list(payload.controls, this.limits.controls)
+        .map(control => this.sanitizeControl(control))
+        .filter(Boolean)
+    };
+
+    const isEmpty = !widget.text && !widget.progress
+      && widget.stats.length === 0 && widget.items.length === 0 && widget.controls.length === 0;
+    return isEmpty ? null : widget;
+  }
+
+  sanitizeProgress(progress) {
+    if (!this.isPlainObject(progress)) return null;
+    const max = Math.max(this.toNumber(progress.max, 1), Number.EPSILON);
+    return {
+      value: Math.min(max, Math.max(0, this.toNumber(progress.value, 0))),
+      max,
+      label: this.toText(progress.label, this.limits.label)
+    };
+  }
+
+  sanitizeControl(control) {
+    if (typeof control.id !== 'string' || !control.id) return null;
+    if (!this.launcher.intentBus.isValidIntentName(control.intent)) return null;
+
+    const label = this.toText(control.label, this.limits.label);
+    if (!label) return null;
+
+    const sanitized = {
+      id: control.id.slice(0, 64),
+      type: control.type === 'range' ? 'range' : 'button',
+      label,
+      intent: control.intent,
+      payload: this.isPlainObject(control.payload) ? control.payload : {}
+    };
+
+    if (sanitized.type === 'range') {
+      sanitized.min = this.toNumber(control.min, 0);
+      sanitized.max = Math.max(sanitized.min + 1, this.toNumber(control.max, 100));
+      sanitized.step = Math.max(this.toNumber(control.step, 1), Number.EPSILON);
+      sanitized.value = Math.min(sanitized.max, Math.max(sanitized.min, this.toNumber(control.value, sanitized.min)));
+    } else {
+      sanitized.pressed = typeof control.pressed === 'boolean' ? control.pressed : null;
+    }
+
+    return sanitized;
+  }
+
+  scheduleRefresh() {
+    if (this.refreshTimeout) return;
+    this.refreshTimeout = setTimeout(() => {
+      this.refreshTimeout = null;
+      this.refresh();
+    }, this.refreshDelayMs);
+  }
+
+  // Widget modules only read storage, so running all of them on every refresh stays cheap.
+  async refresh() {
+    const refreshId = ++this.refreshId;
+    if (!this.isEnabled() || this.launcher.currentApp) return;
+
+    const apps = this.getWidgetApps();
+    const results = await Promise.allSettled(apps.map(async (app) => {
+      const widgetModule = await this.getModule(app);
+      return widgetModule.getWidget();
+    }));
+
+    // A newer refresh started while modules were running.
+    if (refreshId !== this.refreshId) return;
+
+    results.forEach((result, index) => {
+      const appId = apps[index].id;
+      if (result.status === 'fulfilled') {
+        this.payloads.set(appId, this.sanitizePayload(result.value));
+      } else {
+        console.warn(`Widget failed for ${appId}:`, result.reason);
+        this.payloads.delete(appId);
+      }
+    });
+
+    this.renderAll();
+  }
+
+  // --- Live payloads ---
+
+  handleMessage(event) {
+    const data = event && event.data;
+    if (!data || data.type !== 'app-widget') return;
+
+    const appId = this.launcher.getAppIdForContentWindow(event.source);
+    if (!appId || !this.getWidgetConfig(this.appLoader.getAppById(appId))) return;
+
+    if (data.widget === null) {
+      this.clearLivePayload(appId);
+      return;
+    }
+
+    const payload = this.sanitizePayload(data.widget);
+    if (payload) {
+      this.livePayloads.set(appId, payload);
+    } else {
+      this.livePayloads.delete(appId);
+    }
+    this.renderWidget(appId);
+  }
+
+  // The module's payload takes over again, refreshed since the app probably changed its data.
+  clearLivePayload(appId) {
+    if (!this.livePayloads.delete(appId)) return;
+    this.renderWidget(appId);
+    this.scheduleRefresh();
+  }
+
+  // --- Rendering ---
+
+  renderAll() {
+    document.querySelectorAll('.app-card[data-app-id]').forEach(card => this.renderCard(card));
+  }
+
+  renderWidget(appId) {
+    const card = document.querySelector(`.app-card[data-app-id="${CSS.escape(appId)}"]`);
+    if (card) this.renderCard(card);
+  }
+
+  renderCard(card) {
+    const app = this.appLoader.getAppById(card.dataset.appId);
+    const payload = app && this.isEnabled() ? this.getPayload(app.id) : null;
+    let widget = card.querySelector('.app-widget');
+
+    if (!payload) {
+      if (widget) widget.remove();
+      return;
+    }
+
+    const html = this.renderPayload(payload);
+    if (widget && this.renderedHtml.get(widget) === html) return;
+
+    // Live updates arrive while a slider or button may have focus; keep it on the same control.
+    const focused = widget && widget.contains(document.activeElement)
+      ? document.activeElement.dataset.widgetControl
+      : null;
+
+    if (!widget) {
+      widget = document.createElement('div');
+      widget.className = 'app-widget';
+      widget.setAttribute('aria-label', `${app.name} widget`);
+      const info = card.querySelector('.app-info');
+      if (!info) return;
+      info.appendChild(widget);
+    }
+
+    widget.innerHTML = html;
+    this.renderedHtml.set(widget, html);
+
+    if (focused) {
+      const control = widget.querySelector(`[data-widget-control="${CSS.escape(focused)}"]`);
+      if (control) control.focus();
+    }
+  }
+
+  renderPayload(payload) {
+    const escapeHtml = value => this.launcher.escapeHtml(value);
+    const { text, stats, progress, items, controls } = payload;
+
+    return [
+      text ? `<span class="app-widget-text">${escapeHtml(text)}</span>` : '',
+      stats.length > 0 ? `
+        <span class="app-widget-stats">
+          ${stats.map(stat => `
+            <span class="app-widget-stat">
+              <span class="app-widget-stat-value">${escapeHtml(stat.value)}</span>
+              ${stat.label ? `<span class="app-widget-stat-label">${escapeHtml(stat.label)}</span>` : ''}
+            </span>
+          `).join('')}
+        </span>
+      ` : '',
+      progress ? `
+        <span class="app-widget-progress" role="progressbar" aria-valuemin="0" aria-valuemax="${progress.max}" aria-valuenow="${progress.value}"${progress.label ? ` aria-label="${escapeHtml(progress.label)}"` : ''}>
+          <span class="app-widget-progress-bar" style="width: ${(progress.value / progress.max) * 100}%"></span>
+        </span>
+      ` : '',
+      items.length > 0 ? `
+        <ul class="app-widget-items">
+          ${items.map(item => `
+            <li class="app-widget-item">
+              <span class="app-widget-item-text">${escapeHtml(item.text)}</span>
+              ${item.meta ? `<span class="app-widget-item-meta">${escapeHtml(item.meta)}</span>` : ''}
+            </li>
+          `).join('')}
+        </ul>
+      ` : '',
+      controls.length > 0 ? `
+        <span class="app-widget-controls">
+          ${controls.map(control => this.renderControl(control)).join('')}
+        </span>
+      ` : ''
+    ].join('');
+  }
+
+  renderControl(control) {
+    const escapeHtml = value => this.launcher.escapeHtml(value);
+    const id = escapeHtml(control.id);
+    const label = escapeHtml(control.label);
+
+    if (control.type === 'range') {
+      return `
+        <label class="app-widget-range">
+          <span class="app-widget-range-label">${label}</span>
+          <input type="range" data-widget-control="${id}" min="${control.min}" max="${control.max}" step="${control.step}" value="${control.value}">
+        </label>
+      `;
+    }
+
+    return `
+      <button type="button" class="app-widget-button${control.pressed ? ' active' : ''}" data-widget-control="${id}"${control.pressed === null ? '' : ` aria-pressed="${control.pressed}"`}>${label}</button>
+    `;
+  }
+
+  // --- Controls ---
+
+  bindGridEvents(appGrid) {
+    appGrid.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-widget-control]');
+      const card = button && button.closest('.app-card[data-app-id]');
+      if (card) this.runControl(card.dataset.appId, button.dataset.widgetControl);
+    });
+
+    // Sliders send their value once it is let go, not on every step.
+    appGrid.addEventListener('change', (e) => {
+      const input = e.target.closest('input[data-widget-control]');
+      const card = input && input.closest('.app-card[data-app-id]');
+      if (card) this.runControl(card.dataset.appId, input.dataset.widgetControl, Number(input.value));
+    });
+
+    // Dragging a slider thumb would otherwise start dragging a reorderable card.
+    appGrid.addEventListener('pointerdown', (e) => {
+      if (!e.target.closest('.app-widget-controls')) return;
+      const card = e.target.closest('.app-card[draggable="true"]');
+      if (!card) return;
+      card.draggable = false;
+      window.addEventListener('pointerup', () => { card.draggable = true; }, { once: true });
+    });
+  }
+
+  runControl(appId, controlId, value) {
+    const payload = this.getPayload(appId);
+    const control = payload && payload.controls.find(item => item.id === controlId);
+    if (!control) return;
+
+    const intentPayload = { ...control.payload };
+    if (value !== undefined) intentPayload.value = value;
+    this.launcher.intentBus.publish('launcher', control.intent, intentPayload, { target: appId });
+  }
+}
+
+window.WidgetHost = WidgetHost;
@@ -0,0 +1,554 @@
+// Puts up to three apps side by side in the workspace on wide screens, in resizable panes, and
+// keeps named layouts in marlapps-workspaces. The focused pane is the launcher's currentApp, so the
+// URL, title and routes follow it, while every pane is visible to its app.
+class WorkspaceManager {
+  constructor(launcher) {
+    this.launcher = launcher;
+    this.storageKey = 'marlapps-workspaces';
+    this.maxPanes = 3;
+    this.minPaneSize = 0.2;
+    this.resizeStep = 0.05;
+    this.splitQuery = window.matchMedia('(min-width: 900px)');
+    this.content = null;
+    this.panes = [];
+    this.focusedPane = null;
+    this.activeWorkspaceId = null;
+    this.workspaces = this.loadWorkspaces();
+    // [hidden reason for kept-alive frames, reason for unloaded ones]
+    this.releaseReasons = {
+      switch: ['app-switch', 'app-switch'],
+      home: ['launcher-home', 'app-closed'],
+      pane: ['pane-closed', 'app-closed']
+    };
+  }
+
+  init() {
+    this.content = document.getElementById('workspaceContent');
+    if (!this.content) return this;
+
+    this.content.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-pane-action]');
+      const pane = button && this.panes.find(item => item.element.contains(button));
+      if (!pane) return;
+      if (button.dataset.paneAction === 'close') {
+        this.closePane(pane);
+      } else {
+        this.focusPane(pane);
+      }
+    });
+    this.bindResizeEvents();
+
+    this.splitQuery.addEventListener('change', () => {
+      if (!this.splitQuery.matches) this.collapse();
+      this.renderToolbar();
+    });
+
+    const addSelect = document.getElementById('workspaceAddSelect');
+    if (addSelect) {
+      addSelect.addEventListener('change', () => {
+        const appId = addSelect.value;
+        addSelect.value = '';
+        if (appId) this.openBeside(appId);
+      });
+    }
+
+    const saveBtn = document.getElementById('workspaceSaveBtn');
+    if (saveBtn) saveBtn.addEventListener('click', () => this.promptSave());
+
+    const list = document.getElementById('workspacesList');
+    if (list) {
+      list.addEventListener('click', (e) => {
+        const openBtn = e.target.closest('[data-workspace-open]');
+        if (openBtn) {
+          this.launcher.settingsManager.close();
+          this.openWorkspace(openBtn.dataset.workspaceOpen);
+          return;
+        }
+        const deleteBtn = e.target.closest('[data-workspace-delete]');
+        if (deleteBtn) this.deleteWorkspace(deleteBtn.dataset.workspaceDelete);
+      });
+    }
+
+    this.renderToolbar();
+    this.renderList();
+    return this;
+  }
+
+  // Apps report when they get focus (see the SDK), since focus moving between iframes is invisible here.
+  handleMessage(event) {
+    const data = event && event.data;
+    if (!data || data.type !== 'app-focus') return;
+
+    const appId = this.launcher.getAppIdForContentWindow(event.source);
+    const pane = appId ? this.getPane(appId) : null;
+    if (pane) this.focusPane(pane);
+  }
+
+  isSplitAvailable() {
+    return this.splitQuery.matches;
+  }
+
+  canAddPane() {
+    return this.isSplitAvailable() && this.panes.length > 0 && this.panes.length < this.maxPanes;
+  }
+
+  getPane(appId) {
+    return this.panes.find(pane => pane.app && pane.app.id === appId) || null;
+  }
+
+  hasPane(appId) {
+    return Boolean(this.getPane(appId));
+  }
+
+  getFrames() {
+    return this.panes.map(pane => pane.iframe).filter(Boolean);
+  }
+
+  getFrame(appId) {
+    const pane = this.getPane(appId);
+    return pane ? pane.iframe : null;
+  }
+
+  // --- Panes ---
+
+  createPane() {
+    const element = document.createElement('div');
+    element.className = 'workspace-pane';
+
+    const bar = document.createElement('div');
+    bar.className = 'workspace-pane-bar';
+    element.appendChild(bar);
+
+    const pane = { app: null, iframe: null, element, bar, size: 1, route: '' };
+    this.content.appendChild(element);
+    this.panes.push(pane);
+    return pane;
+  }
+
+  renderPaneBar(pane) {
+    const { app } = pane;
+    const escapeHtml = value => this.launcher.escapeHtml(value);
+    pane.bar.innerHTML = `
+      <button type="button" class="workspace-pane-title" data-pane-action="focus">
+        <img src="${escapeHtml(this.launcher.appLoader.getAppIconUrl(app))}" alt="" width="16" height="16">
+        <span>${escapeHtml(app.name)}</span>
+      </button>
+      <button type="button" class="workspace-pane-close" data-pane-action="close" aria-label="Close ${escapeHtml(app.name)}" title="Close">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true"><path d="M18 6L6 18M6 6l12 12"/></svg>
+      </button>
+    `;
+  }
+
+  // Restores a stashed keep-alive frame or loads the app fresh.
+  attachApp(pane, app) {
+    const launcher = this.launcher;
+    pane.app = app;
+    pane.route = '';
+    pane.element.dataset.appId = app.id;
+    this.renderPaneBar(pane);
+
+    let iframe = launcher.backgroundHost.restoreFrame(app.id);
+    if (iframe) {
+      pane.element.appendChild(iframe);
+      launcher.syncThemeToIframe(iframe);
+      launcher.notifyAppVisibility(iframe, true, 'workspace-open');
+      iframe.classList.add('loaded');
+    } else {
+      iframe = launcher.createAppIframe(app);
+      pane.element.appendChild(iframe);
+      iframe.addEventListener('load', () => {
+        launcher.syncThemeToIframe(iframe);
+        launcher.notifyAppVisibility(iframe, true, 'workspace-open');
+        iframe.classList.add('loaded');
+      });
+    }
+    pane.iframe = iframe;
+  }
+
+  // Keep-alive apps go back to the background host; the others are unloaded.
+  releasePane(pane, reason) {
+    const launcher = this.launcher;
+    const { app, iframe } = pane;
+    if (!app) return;
+
+    const [hiddenReason, closeReason] = this.releaseReasons[reason];
+    if (iframe && launcher.shouldKeepAliveApp(app)) {
+      launcher.notifyAppVisibility(iframe, false, hiddenReason);
+      launcher.backgroundHost.stashFrame(app.id, iframe);
+    } else {
+      if (iframe) {
+        launcher.notifyAppVisibility(iframe, false, closeReason);
+        iframe.remove();
+      }
+      launcher.backgroundActivity.delete(app.id);
+      launcher.clearAppStatus(app.id);
+      launcher.widgetHost.clearLivePayload(app.id);
+    }
+
+    pane.app = null;
+    pane.iframe = null;
+    const remoteSync = launcher.settingsManager && launcher.settingsManager.remoteSync;
+    if (remoteSync) remoteSync.handleAppReleased(app.id);
+  }
+
+  // Launcher.openApp: the app replaces whatever the focused pane showed.
+  showApp(app) {
+    const pane = this.focusedPane || this.createPane();
+    this.attachApp(pane, app);
+    this.setFocusedPane(pane);
+    this.layout();
+  }
+
+  releaseFocusedPane() {
+    if (this.focusedPane) this.releasePane(this.focusedPane, 'switch');
+  }
+
+  closeAll() {
+    this.panes.forEach(pane => this.releasePane(pane, 'home'));
+    this.panes.forEach(pane => pane.element.remove());
+    this.panes = [];
+    this.focusedPane = null;
+    this.activeWorkspaceId = null;
+    this.layout();
+  }
+
+  // Reloads the app in its pane, e.g. after its files changed.
+  reloadPane(pane) {
+    const app = pane.app;
+    if (pane.iframe) pane.iframe.remove();
+    pane.iframe = null;
+    this.attachApp(pane, app);
+  }
+
+  openBeside(appId) {
+    const app = this.launcher.appLoader.getAppById(appId);
+    if (!app) return;
+    if (this.hasPane(appId) || !this.canAddPane()) {
+      this.launcher.openApp(appId);
+      return;
+    }
+
+    this.launcher.appLoader.recordAppOpen(appId);
+    const count = this.panes.length + 1;
+    this.panes.forEach((pane) => { pane.size = pane.size * (count - 1) / count; });
+
+    const pane = this.createPane();
+    pane.size = 1 / count;
+    this.attachApp(pane, app);
+    this.activeWorkspaceId = null;
+    this.layout();
+    this.focusPane(pane);
+  }
+
+  closePane(pane) {
+    this.releasePane(pane, 'pane');
+    this.removePane(pane);
+  }
+
+  // Removes a pane whose app was already released or discarded. Closing the last one goes Home.
+  removePane(pane) {
+    const index = this.panes.indexOf(pane);
+    if (index === -1) return;
+
+    pane.element.remove();
+    this.panes.splice(index, 1);
+    this.activeWorkspaceId = null;
+
+    if (this.panes.length === 0) {
+      this.focusedPane = null;
+      this.launcher.closeApp('home');
+      return;
+    }
+
+    const total = this.panes.reduce((sum, item) => sum + item.size, 0);
+    this.panes.forEach((item) => { item.size = item.size / total; });
+
+    if (pane === this.focusedPane) {
+      this.focusedPane = null;
+      this.focusPane(this.panes[Math.max(0, index - 1)]);
+    }
+    this.layout();
+  }
+
+  // Narrow screens show one app; the focused one stays.
+  collapse() {
+    if (this.panes.length <= 1) return;
+    this.panes
+      .filter(pane => pane !== this.focusedPane)
+      .forEach((pane) => {
+        this.releasePane(pane, 'pane');
+        pane.element.remove();
+      });
+    this.panes = this.focusedPane ? [this.focusedPane] : [];
+    this.panes.forEach((pane) => { pane.size = 1; });
+    this.layout();
+  }
+
+  setFocusedPane(pane) {
+    this.focusedPane = pane;
+    this.panes.forEach(item => item.element.classList.toggle('is-focused', item === pane));
+  }
+
+  // Side panes remember their route, so focusing one puts it back in the URL.
+  focusPane(pane) {
+    if (!pane || !pane.app || pane === this.focusedPane) return;
+    if (this.focusedPane) this.focusedPane.route = this.launcher.currentRoute;
+    this.setFocusedPane(pane);
+    this.launcher.focusApp(pane.app, pane.route);
+  }
+
+  // --- Layout ---
+
+  layout() {
+    if (!this.content) return;
+    this.content.classList.toggle('is-split', this.panes.length > 1);
+    this.renderDividers();
+    this.applySizes();
+    this.renderToolbar();
+  }
+
+  renderDividers() {
+    this.content.querySelectorAll('.workspace-divider').forEach(divider => divider.remove());
+
+    this.panes.slice(1).forEach((pane, index) => {
+      const divider = document.createElement('div');
+      divider.className = 'workspace-divider';
+      divider.dataset.index = String(index);
+      divider.tabIndex = 0;
+      divider.setAttribute('role', 'separator');
+      divider.setAttribute('aria-orientation', 'vertical');
+      divider.setAttribute('aria-valuemin', '0');
+      divider.setAttribute('aria-valuemax', '100');
+      divider.setAttribute('aria-label', `Resize ${this.panes[index].app.name} and ${pane.app.name}`);
+      this.content.insertBefore(divider, pane.element);
+    });
+  }
+
+  applySizes() {
+    this.panes.forEach((pane) => {
+      pane.element.style.flex = this.panes.length > 1 ? `${pane.size} 1 0%` : '';
+    });
+
+    this.content.querySelectorAll('.workspace-divider').forEach((divider) => {
+      const index = Number(divider.dataset.index);
+      const before = this.panes.slice(0, index + 1).reduce((sum, pane) => sum + pane.size, 0);
+      divider.setAttribute('aria-valuenow', String(Math.round(before * 100)));
+    });
+  }
+
+  // Moves the border between pane `index` and the next one; the other panes keep their size.
+  resizePair(index, leftSize, pairSize) {
+    const left = this.panes[index];
+    const right = this.panes[index + 1];
+    if (!left || !right) return;
+
+    left.size = Math.min(pairSize - this.minPaneSize, Math.max(this.minPaneSize, leftSize));
+    right.size = pairSize - left.size;
+    this.applySizes();
+  }
+
+  bindResizeEvents() {
+    this.content.addEventListener('pointerdown', (e) => {
+      const divider = e.target.closest('.workspace-divider');
+      if (!divider || e.button !== 0) return;
+      e.preventDefault();
+
+      const index = Number(divider.dataset.index);
+      const left = this.panes[index];
+      const right = this.panes[index + 1];
+      const startX = e.clientX;
+      const startSize = left.size;
+      const pairSize = left.size + right.size;
+      const width = this.content.getBoundingClientRect().width || 1;
+      const controller = new AbortController();
+
+      divider.setPointerCapture(e.pointerId);
+      // Iframes would swallow the pointer while it crosses them.
+      this.content.classList.add('is-resizing');
+
+      divider.addEventListener('pointermove', (moveEvent) => {
+        this.resizePair(index, startSize + (moveEvent.clientX - startX) / width, pairSize);
+      }, { signal: controller.signal });
+
+      const endResize = () => {
+        controller.abort();
+        this.content.classList.remove('is-resizing');
+        this.rememberSizes();
+      };
+      divider.addEventListener('pointerup', endResize, { signal: controller.signal });
+      divider.addEventListener('pointercancel', endResize, { signal: controller.signal });
+    });
+
+    this.content.addEventListener('keydown', (e) => {
+      const divider = e.target.closest('.workspace-divider');
+      if (!divider || (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight')) return;
+      e.preventDefault();
+
+      const index = Number(divider.dataset.index);
+      const left = this.panes[index];
+      const right = this.panes[index + 1];
+      const step = e.key === 'ArrowLeft' ? -this.resizeStep : this.resizeStep;
+      this.resizePair(index, left.size + step, left.size + right.size);
+      this.rememberSizes();
+    });
+  }
+
+  renderToolbar() {
+    const addSelect = document.getElementById('workspaceAddSelect');
+    if (addSelect) {
+      const apps = this.launcher.appLoader.apps
+        .filter(app => !this.hasPane(app.id))
+        .sort((a, b) => a.name.localeCompare(b.name));
+      addSelect.innerHTML = '<option value="">Open beside…</option>' + apps
+        .map(app => `<option value="${this.launcher.escapeHtml(app.id)}">${this.launcher.escapeHtml(app.name)}</option>`)
+        .join('');
+      addSelect.disabled = !this.canAddPane();
+    }
+
+    const saveBtn = document.getElementById('workspaceSaveBtn');
+    if (saveBtn) saveBtn.disabled = this.panes.length === 0;
+  }
+
+  // --- Named workspaces ---
+
+  sanitizeWorkspace(workspace) {
+    if (!workspace || typeof workspace !== 'object' || Array.isArray(workspace)) return null;
+    if (typeof workspace.id !== 'string' || !workspace.id) return null;
+    if (typeof workspace.name !== 'string' || !workspace.name.trim()) return null;
+
+    const apps = [...new Set((Array.isArray(workspace.apps) ? workspace.apps : []).filter(id => typeof id === 'string' && id))]
+      .slice(0, this.maxPanes);
+    if (apps.length === 0) return null;
+
+    const sizes = Array.isArray(workspace.sizes) && workspace.sizes.length === apps.length
+      && workspace.sizes.every(size => typeof size === 'number' && size > 0)
+      ? workspace.sizes
+      : apps.map(() => 1);
+    const total = sizes.reduce((sum, size) => sum + size, 0);
+
+    return {
+      id: workspace.id,
+      name: workspace.name.trim().slice(0, 60),
+      apps,
+      sizes: sizes.map(size => size / total)
+    };
+  }
+
+  loadWorkspaces() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+      const workspaces = saved && Array.isArray(saved.workspaces) ? saved.workspaces : [];
+      return workspaces.map(workspace => this.sanitizeWorkspace(workspace)).filter(Boolean);
+    } catch (error) {
+      console.warn('Failed to load workspaces:', error);
+      return [];
+    }
+  }
+
+  saveWorkspaces() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify({ workspaces: this.workspaces }));
+    } catch (error) {
+      console.warn('Failed to save workspaces:', error);
+    }
+    this.renderList();
+  }
+
+  getWorkspace(id) {
+    return this.workspaces.find(workspace => workspace.id === id) || null;
+  }
+
+  getWorkspaceApps(workspace) {
+    return workspace.apps.map(id => this.launcher.appLoader.getAppById(id)).filter(Boolean);
+  }
+
+  promptSave() {
+    if (this.panes.length === 0) return;
+
+    const active = this.getWorkspace(this.activeWorkspaceId);
+    const suggestion = active ? active.name : this.panes.map(pane => pane.app.name).join(' + ');
+    const name = prompt('Save these apps as a workspace named:', suggestion);
+    if (!name || !name.trim()) return;
+    this.saveCurrent(name.trim());
+  }
+
+  // Saving under an existing name replaces that workspace.
+  saveCurrent(name) {
+    const existing = this.workspaces.find(workspace => workspace.name.toLowerCase() === name.toLowerCase());
+    const workspace = this.sanitizeWorkspace({
+      id: existing ? existing.id : `workspace-${Date.now().toString(36)}`,
+      name,
+      apps: this.panes.map(pane => pane.app.id),
+      sizes: this.panes.map(pane => pane.size)
+    });
+    if (!workspace) return;
+
+    this.workspaces = existing
+      ? this.workspaces.map(item => (item.id === existing.id ? workspace : item))
+      : [...this.workspaces, workspace];
+    this.activeWorkspaceId = workspace.id;
+    this.saveWorkspaces();
+    this.launcher.settingsManager.showNotification(`Workspace "${workspace.name}" saved`);
+  }
+
+  // Resizing an opened workspace updates it in place.
+  rememberSizes() {
+    const workspace = this.getWorkspace(this.activeWorkspaceId);
+    if (!workspace || workspace.apps.join() !== this.panes.map(pane => pane.app.id).join()) return;
+    workspace.sizes = this.panes.map(pane => pane.size);
+    this.saveWorkspaces();
+  }
+
+  // Narrow screens only get the first app.
+  openWorkspace(id) {
+    const workspace = this.getWorkspace(id);
+    if (!workspace) return;
+
+    const apps = this.getWorkspaceApps(workspace);
+    if (apps.length === 0) {
+      this.launcher.settingsManager.showNotification(`None of the apps in "${workspace.name}" are installed`);
+      return;
+    }
+
+    const replaceHistory = Boolean(this.launcher.currentApp);
+    if (replaceHistory) this.launcher.closeApp('reopen');
+    this.launcher.openApp(apps[0].id, { replaceHistory });
+    if (this.isSplitAvailable()) apps.slice(1).forEach(app => this.openBeside(app.id));
+
+    if (this.panes.length === workspace.apps.length) {
+      this.panes.forEach((pane, index) => { pane.size = workspace.sizes[index]; });
+      this.activeWorkspaceId = workspace.id;
+    }
+    this.layout();
+    this.focusPane(this.panes[0]);
+  }
+
+  deleteWorkspace(id) {
+    const workspace = this.getWorkspace(id);
+    if (!workspace || !confirm(`Delete the workspace "${workspace.name}"?`)) return;
+
+    this.workspaces = this.workspaces.filter(item => item.id !== id);
+    if (this.activeWorkspaceId === id) this.activeWorkspaceId = null;
+    this.saveWorkspaces();
+  }
+
+  renderList() {
+    const list = document.getElementById('workspacesList');
+    if (!list) return;
+
+    const escapeHtml = value => this.launcher.escapeHtml(value);
+    list.innerHTML = this.workspaces.map(workspace => `
+      <li class="workspace-row">
+        <span class="workspace-row-text">
+          <span class="workspace-row-name">${escapeHtml(workspace.name)}</span>
+          <span class="workspace-row-apps">${escapeHtml(this.getWorkspaceApps(workspace).map(app => app.name).join(' + ') || 'No installed apps')}</span>
+        </span>
+        <button class="text-btn" data-workspace-open="${escapeHtml(workspace.id)}">Open</button>
+        <button class="text-btn" data-workspace-delete="${escapeHtml(workspace.id)}">Delete</button>
+      </li>
+    `).join('');
+    list.classList.toggle('hidden', this.workspaces.length === 0);
+  }
+}
+
+window.WorkspaceManager = WorkspaceManager;
@@ -0,0 +1,181 @@
+// Minimal in-memory WebDAV server for trying remote sync locally. It implements what
+// launcher/webdav-backend.js needs: PROPFIND, MKCOL, GET and conditional PUT with ETags,
+// basic auth and CORS. Nothing is written to disk; stopping the server drops every file.
+//
+//   node scripts/webdav-test-server.js [--port 8642] [--user me --password secret]
+//   node scripts/webdav-test-server.js --self-test
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const crypto = require('crypto');
+
+function readOption(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 || index + 1 >= process.argv.length ? fallback : process.argv[index + 1];
+}
+
+// Paths ending in `/` are collections; anything else is a file of { body, etag }.
+function createServer({ username = '', password = '' } = {}) {
+  const collections = new Set(['/']);
+  const files = new Map();
+  let revision = 0;
+
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, PUT, PROPFIND, MKCOL, OPTIONS',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type, Depth, If-Match, If-None-Match',
+    'Access-Control-Expose-Headers': 'ETag'
+  };
+
+  const isAuthorized = (request) => {
+    if (!username && !password) return true;
+    const expected = `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+    return request.headers.authorization === expected;
+  };
+
+  const parentOf = pathname => pathname.replace(/[^/]+\/?$/, '');
+
+  const handle = (request, body) => {
+    const pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    const file = files.get(pathname);
+
+    switch (request.method) {
+      case 'PROPFIND': {
+        if (!collections.has(pathname) && !file) return { status: 404 };
+        const xml = '<?xml version="1.0" encoding="utf-8"?>\n' +
+          `<d:multistatus xmlns:d="DAV:"><d:response><d:href>${pathname}</d:href>` +
+          '<d:propstat><d:prop/><d:status>HTTP/1.1 200 OK</d:status></d:propstat></d:response></d:multistatus>';
+        return { status: 207, headers: { 'Content-Type': 'application/xml; charset=utf-8' }, body: xml };
+      }
+      case 'MKCOL': {
+        const collection = pathname.endsWith('/') ? pathname : `${pathname}/`;
+        if (collections.has(collection) || file) return { status: 405 };
+        if (!collections.has(parentOf(collection))) return { status: 409 };
+        collections.add(collection);
+        return { status: 201 };
+      }
+      case 'GET': {
+        if (!file) return { status: 404 };
+        return { status: 200, headers: { 'Content-Type': 'application/json', ETag: file.etag }, body: file.body };
+      }
+      case 'PUT': {
+        if (!collections.has(parentOf(pathname))) return { status: 409 };
+        const ifMatch = request.headers['if-match'];
+        const ifNoneMatch = request.headers['if-none-match'];
+        if (ifNoneMatch === '*' && file) return { status: 412 };
+        if (ifMatch && (!file || (ifMatch !== '*' && ifMatch !== file.etag))) return { status: 412 };
+
+        revision += 1;
+        const etag = `"${revision}-${crypto.createHash('sha1').update(body).digest('hex').slice(0, 12)}"`;
+        files.set(pathname, { body, etag });
+        return { status: file ? 204 : 201, headers: { ETag: etag } };
+      }
+      default:
+        return { status: 405 };
+    }
+  };
+
+  return http.createServer((request, response) => {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => {
+      let result;
+      if (request.method === 'OPTIONS') {
+        result = { status: 204, headers: { DAV: '1' } };
+      } else if (!isAuthorized(request)) {
+        result = { status: 401, headers: { 'WWW-Authenticate': 'Basic realm="marlapps"' } };
+      } else {
+        result = handle(request, Buffer.concat(chunks));
+      }
+
+      console.log(`${request.method} ${request.url} -> ${result.status}`);
+      response.writeHead(result.status, { ...corsHeaders, ...result.headers });
+      response.end(result.body);
+    });
+  });
+}
+
+// Loads the launcher's WebDavBackend the way the browser does, as a `window` global.
+function loadWebDavBackend() {
+  const source = fs.readFileSync(path.join(__dirname, '..', 'launcher', 'webdav-backend.js'), 'utf8');
+  const context = { window: {}, fetch, URL, TextEncoder, AbortController, setTimeout, clearTimeout, btoa };
+  vm.runInNewContext(source, context);
+  return context.window.WebDavBackend;
+}
+
+// Two "devices" share one file and race each other, so every conditional write path runs.
+async function selfTest() {
+  const credentials = { username: 'marl', password: 'test' };
+  const server = createServer(credentials);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/`;
+  const log = console.log;
+  console.log = () => {};
+
+  const WebDavBackend = loadWebDavBackend();
+  const steps = [];
+  const expectConflict = async (label, promise) => {
+    try {
+      await promise;
+    } catch (error) {
+      if (error.name === 'SyncConflict') return steps.push(`ok   ${label}`);
+      throw error;
+    }
+    throw new Error(`${label}: expected a SyncConflict`);
+  };
+
+  try {
+    const rejected = new WebDavBackend({ url, username: 'marl', password: 'wrong' });
+    await rejected.connect().then(
+      () => { throw new Error('connect with a wrong password: expected a rejection'); },
+      () => steps.push('ok   wrong password is rejected')
+    );
+
+    const phone = new WebDavBackend({ url, ...credentials });
+    const laptop = new WebDavBackend({ url, ...credentials });
+    await phone.connect();
+    await laptop.connect();
+    steps.push('ok   connect creates the marlapps folder, then finds it');
+
+    if (await phone.read('notes.json') !== null) throw new Error('missing file: expected null');
+    steps.push('ok   missing file reads as null');
+
+    await phone.write('notes.json', { from: 'phone' }, { etag: null });
+    steps.push('ok   If-None-Match: * creates the file');
+    await expectConflict('If-None-Match: * fails once the file exists',
+      laptop.write('notes.json', { from: 'laptop' }, { etag: null }));
+
+    const seenByPhone = await phone.read('notes.json');
+    const seenByLaptop = await laptop.read('notes.json');
+    await laptop.write('notes.json', { from: 'laptop' }, { etag: seenByLaptop.etag });
+    steps.push('ok   If-Match with the current ETag overwrites');
+    await expectConflict('If-Match with a stale ETag fails',
+      phone.write('notes.json', { from: 'phone' }, { etag: seenByPhone.etag }));
+
+    const latest = await phone.read('notes.json');
+    if (latest.data.from !== 'laptop') throw new Error('the stale write was not rejected');
+    await phone.write('notes.json', { from: 'phone' }, { etag: latest.etag });
+    steps.push('ok   retrying from the latest version succeeds');
+  } finally {
+    console.log = log;
+    server.close();
+  }
+
+  steps.forEach(step => console.log(step));
+  console.log('\nWebDAV backend self-test passed.');
+}
+
+if (process.argv.includes('--self-test')) {
+  selfTest().catch((error) => {
+    console.error(`Self-test failed: ${error.message}`);
+    process.exit(1);
+  });
+} else {
+  const port = Number.parseInt(readOption('port', '8642'), 10);
+  const username = readOption('user', '');
+  const password = readOption('password', '');
+  createServer({ username, password }).listen(port, '127.0.0.1', () => {
+    console.log(`WebDAV test server on http://127.0.0.1:${port}/ (in memory${username ? `, user ${username}` : ', no auth'})`);
+  });
+}
@@ -1,4 +1,4 @@
-const CACHE_NAME = 'marlapps-v156';
+const CACHE_NAME = 'marlapps-v199';
 const urlsToCache = [
   './',
   './index.html',
@@ -23,97 +23,203 @@ const urlsToCache = [
   './themes/app-common.css',
   './themes/theme-bootstrap.js',
 
+  './registry/manifest.schema.json',
+
   './launcher/launcher.css',
   './launcher/theme-manager.js',
   './launcher/app-loader.js',
   './launcher/search.js',
+  './launcher/content-search.js',
+  './launcher/widget-host.js',
+  './launcher/workspaces.js',
+  './launcher/notification-center.js',
   './launcher/settings.js',
+  './launcher/backup-scheduler.js',
+  './launcher/backup-crypto.js',
+  './launcher/backup-merge.js',
+  './launcher/import-preview.js',
+  './launcher/qr-code.js',
+  './launcher/peer-sync.js',
+  './launcher/webdav-backend.js',
+  './launcher/remote-sync.js',
+  './launcher/app-updates.js',
+  './launcher/storage-usage.js',
+  './launcher/manifest-validator.js',
+  './launcher/user-apps.js',
+  './launcher/intent-bus.js',
+  './launcher/command-palette.js',
   './launcher/launcher.js',
-  './launcher/pwa-install.js',
-
-  './registry/apps.json',
-
-  // AUTO:APP-CACHE-START
-  './apps/pomodoro-timer/app.js',
-  './apps/pomodoro-timer/icon.svg',
-  './apps/pomodoro-timer/index.html',
-  './apps/pomodoro-timer/manifest.json',
-  './apps/pomodoro-timer/styles.css',
-
-  './apps/kanban-board/app.js',
-  './apps/kanban-board/icon.svg',
-  './apps/kanban-board/index.html',
-  './apps/kanban-board/manifest.json',
-  './apps/kanban-board/styles.css',
-
-  './apps/todo-list/app.js',
-  './apps/todo-list/icon.svg',
-  './apps/todo-list/index.html',
-  './apps/todo-list/manifest.json',
-  './apps/todo-list/styles.css',
-
-  './apps/notes/app.js',
-  './apps/notes/autosave.js',
-  './apps/notes/db.js',
-  './apps/notes/editor.js',
-  './apps/notes/export-markdown.js',
-  './apps/notes/icon.svg',
-  './apps/notes/index.html',
-  './apps/notes/manifest.json',
-  './apps/notes/search.js',
-  './apps/notes/storage.js',
-  './apps/notes/styles.css',
-
-  './apps/tracker/app.js',
-  './apps/tracker/chart.js',
-  './apps/tracker/icon.svg',
-  './apps/tracker/index.html',
-  './apps/tracker/manifest.json',
-  './apps/tracker/styles.css',
-
-  './apps/mirror/app.js',
-  './apps/mirror/icon.svg',
-  './apps/mirror/index.html',
-  './apps/mirror/manifest.json',
-  './apps/mirror/storage.js',
-  './apps/mirror/styles.css',
-
-  './apps/timer-countdown/app.js',
-  './apps/timer-countdown/icon.svg',
-  './apps/timer-countdown/index.html',
-  './apps/timer-countdown/manifest.json',
-  './apps/timer-countdown/styles.css',
-
-  './apps/timer-alarm/app.js',
-  './apps/timer-alarm/icon.svg',
-  './apps/timer-alarm/index.html',
-  './apps/timer-alarm/manifest.json',
-  './apps/timer-alarm/styles.css',
-
-  './apps/timer-interval/app.js',
-  './apps/timer-interval/icon.svg',
-  './apps/timer-interval/index.html',
-  './apps/timer-interval/manifest.json',
-  './apps/timer-interval/styles.css',
-
-  './apps/soundscape/app.js',
-  './apps/soundscape/icon.svg',
-  './apps/soundscape/index.html',
-  './apps/soundscape/manifest.json',
-  './apps/soundscape/styles.css',
-
-  './apps/breathing/app.js',
-  './apps/breathing/icon.svg',
-  './apps/breathing/index.html',
-  './apps/breathing/manifest.json',
-  './apps/breathing/styles.css'
-  // AUTO:APP-CACHE-END
+  './launcher/pwa-install.js'
+];
+
+// Registry and app manifests are served stale-while-revalidate from here. The cache
+// outlives shell versions, so it never needs a full re-download.
+const DATA_CACHE = 'marlapps-data';
+const REGISTRY_PATH = './registry/apps.json';
+
+// Apps installed from Settings live only in this cache, served under ./user-apps/.
+// The launcher writes it; the worker never fetches or deletes anything in it.
+const USER_APPS_CACHE = 'marlapps-user-apps';
+const USER_APPS_PATH = './user-apps/';
+const USER_REGISTRY_PATH = './user-apps/registry.json';
+
+// Generated by build.js. Each app gets its own cache, named after its manifest
+// version plus a hash of its files, so a build only replaces the apps that changed.
+// AUTO:APP-CACHE-START
+const sharedFiles = [
+  './shared/marlapps-sdk.js',
+  './shared/zip.js'
 ];
 
+const appCaches = {
+  'pomodoro-timer': {
+    version: '2.1.0',
+    cacheName: 'marlapps-app-pomodoro-timer-2.1.0-6325c43d',
+    files: [
+      './apps/pomodoro-timer/app.js',
+      './apps/pomodoro-timer/cleanup.js',
+      './apps/pomodoro-timer/icon.svg',
+      './apps/pomodoro-timer/index.html',
+      './apps/pomodoro-timer/styles.css',
+      './apps/pomodoro-timer/widget.js'
+    ]
+  },
+  'kanban-board': {
+    version: '1.1.0',
+    cacheName: 'marlapps-app-kanban-board-1.1.0-bf00be6b',
+    files: [
+      './apps/kanban-board/app.js',
+      './apps/kanban-board/icon.svg',
+      './apps/kanban-board/index.html',
+      './apps/kanban-board/search-adapter.js',
+      './apps/kanban-board/styles.css'
+    ]
+  },
+  'todo-list': {
+    version: '1.1.0',
+    cacheName: 'marlapps-app-todo-list-1.1.0-9f9f5465',
+    files: [
+      './apps/todo-list/app.js',
+      './apps/todo-list/icon.svg',
+      './apps/todo-list/index.html',
+      './apps/todo-list/search-adapter.js',
+      './apps/todo-list/styles.css',
+      './apps/todo-list/widget.js'
+    ]
+  },
+  'notes': {
+    version: '2.3.1',
+    cacheName: 'marlapps-app-notes-2.3.1-f1627f12',
+    files: [
+      './apps/notes/app.js',
+      './apps/notes/autosave.js',
+      './apps/notes/db.js',
+      './apps/notes/editor.js',
+      './apps/notes/export-markdown.js',
+      './apps/notes/icon.svg',
+      './apps/notes/import-markdown.js',
+      './apps/notes/index.html',
+      './apps/notes/links.js',
+      './apps/notes/revisions.js',
+      './apps/notes/search-adapter.js',
+      './apps/notes/search.js',
+      './apps/notes/storage.js',
+      './apps/notes/styles.css',
+      './apps/notes/tags.js'
+    ]
+  },
+  'tracker': {
+    version: '2.1.0',
+    cacheName: 'marlapps-app-tracker-2.1.0-6c41ce60',
+    files: [
+      './apps/tracker/app.js',
+      './apps/tracker/chart.js',
+      './apps/tracker/icon.svg',
+      './apps/tracker/index.html',
+      './apps/tracker/search-adapter.js',
+      './apps/tracker/styles.css',
+      './apps/tracker/widget.js'
+    ]
+  },
+  'mirror': {
+    version: '2.1.0',
+    cacheName: 'marlapps-app-mirror-2.1.0-f87b3714',
+    files: [
+      './apps/mirror/app.js',
+      './apps/mirror/icon.svg',
+      './apps/mirror/index.html',
+      './apps/mirror/storage.js',
+      './apps/mirror/styles.css'
+    ]
+  },
+  'timer-countdown': {
+    version: '1.1.0',
+    cacheName: 'marlapps-app-timer-countdown-1.1.0-7d66f1ff',
+    files: [
+      './apps/timer-countdown/app.js',
+      './apps/timer-countdown/icon.svg',
+      './apps/timer-countdown/index.html',
+      './apps/timer-countdown/styles.css'
+    ]
+  },
+  'timer-alarm': {
+    version: '1.1.0',
+    cacheName: 'marlapps-app-timer-alarm-1.1.0-85af00a4',
+    files: [
+      './apps/timer-alarm/app.js',
+      './apps/timer-alarm/icon.svg',
+      './apps/timer-alarm/index.html',
+      './apps/timer-alarm/styles.css',
+      './apps/timer-alarm/widget.js'
+    ]
+  },
+  'timer-interval': {
+    version: '1.1.0',
+    cacheName: 'marlapps-app-timer-interval-1.1.0-74f28220',
+    files: [
+      './apps/timer-interval/app.js',
+      './apps/timer-interval/icon.svg',
+      './apps/timer-interval/index.html',
+      './apps/timer-interval/styles.css'
+    ]
+  },
+  'soundscape': {
+    version: '1.1.0',
+    cacheName: 'marlapps-app-soundscape-1.1.0-0db8cffd',
+    files: [
+      './apps/soundscape/app.js',
+      './apps/soundscape/icon.svg',
+      './apps/soundscape/index.html',
+      './apps/soundscape/styles.css',
+      './apps/soundscape/widget.js'
+    ]
+  },
+  'breathing': {
+    version: '1.0.0',
+    cacheName: 'marlapps-app-breathing-1.0.0-9f019a5a',
+    files: [
+      './apps/breathing/app.js',
+      './apps/breathing/icon.svg',
+      './apps/breathing/index.html',
+      './apps/breathing/styles.css'
+    ]
+  }
+};
+// AUTO:APP-CACHE-END
+
+const shellUrls = [...urlsToCache, ...sharedFiles];
+const appCacheNames = new Set(Object.values(appCaches).map((app) => app.cacheName));
+
 self.addEventListener('install', (event) => {
   event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then((cache) => cache.addAll(urlsToCache))
+    Promise.all([
+      caches.open(CACHE_NAME).then((cache) => cache.addAll(shellUrls)),
+      // Fresh copies, so the new shell never starts with a registry from an older build.
+      caches.open(DATA_CACHE).then((cache) => cache.addAll(
+        [REGISTRY_PATH, ...Object.keys(appCaches).map((folder) => `./apps/${folder}/manifest.json`)]
+          .map((url) => new Request(url, { cache: 'reload' }))
+      ))
+    ])
       .catch((err) => console.warn('Service worker cache failed:', err))
       .then(() => self.skipWaiting())
   );
@@ -124,21 +230,105 @@ self.addEventListener('activate', (event) => {
     caches.keys().then((cacheNames) => {
       return Promise.all(
         cacheNames
-          .filter((cacheName) => cacheName !== CACHE_NAME)
+          .filter((cacheName) => ![CACHE_NAME, DATA_CACHE, USER_APPS_CACHE].includes(cacheName) &&
+            !appCacheNames.has(cacheName))
           .map((cacheName) => caches.delete(cacheName))
       );
     }).then(() => self.clients.claim())
   );
 });
 
+// Splits URLs under ./apps/ into { folder, file }, e.g. { folder: 'notes', file: 'app.js' }.
+function getAppPath(url) {
+  const appsPath = new URL('./apps/', self.location).pathname;
+  if (!url.pathname.startsWith(appsPath)) return null;
+
+  const [folder, ...rest] = url.pathname.slice(appsPath.length).split('/');
+  if (!folder) return null;
+  return { folder: decodeURIComponent(folder), file: rest.join('/') };
+}
+
+function isCacheable(response) {
+  return response && response.status === 200 && response.type === 'basic';
+}
+
+function cacheFirst(request, cacheName) {
+  // Deep links (index.html?app=notes) share the cached document.
+  const matchOptions = { ignoreSearch: request.mode === 'navigate' };
+
+  return caches.open(cacheName).then((cache) => cache.match(request, matchOptions).then((cached) => {
+    if (cached) return cached;
+
+    return fetch(request.clone()).then((response) => {
+      if (isCacheable(response)) {
+        cache.put(request, response.clone());
+      }
+      return response;
+    });
+  })).catch(() => {
+    if (request.mode === 'navigate') {
+      return caches.match('./index.html').then((fallback) => fallback || Response.error());
+    }
+    return Response.error();
+  });
+}
+
+function staleWhileRevalidate(event, cacheName) {
+  const request = event.request;
+
+  return caches.open(cacheName).then((cache) => {
+    const revalidate = fetch(request).then((response) => {
+      if (isCacheable(response)) {
+        return cache.put(request, response.clone()).then(() => response);
+      }
+      return response;
+    });
+
+    return cache.match(request).then((cached) => {
+      if (!cached) return revalidate;
+      event.waitUntil(revalidate.catch(() => {}));
+      return cached;
+    });
+  });
+}
+
+// User apps have no copy on the network, so a miss is a 404 (or an empty registry).
+function serveUserAppFile(request) {
+  const url = new URL(request.url);
+  const isUserRegistry = url.pathname === new URL(USER_REGISTRY_PATH, self.location).pathname;
+
+  return caches.open(USER_APPS_CACHE)
+    .then((cache) => cache.match(request, { ignoreSearch: true }))
+    .then((cached) => {
+      if (cached) return cached;
+      if (isUserRegistry) {
+        return new Response('{"apps":[]}', { headers: { 'Content-Type': 'application/json' } });
+      }
+      return new Response('Not found', { status: 404, headers: { 'Content-Type': 'text/plain' } });
+    });
+}
+
+// Caches an app's remaining files the first time it is opened.
+function cacheApp(folder) {
+  const app = appCaches[folder];
+
+  return caches.open(app.cacheName).then((cache) => cache.keys().then((requests) => {
+    const cachedPaths = new Set(requests.map((request) => new URL(request.url).pathname));
+    const missing = app.files.filter((file) => !cachedPaths.has(new URL(file, self.location).pathname));
+    return cache.addAll(missing);
+  })).catch((err) => console.warn(`Caching ${folder} failed:`, err));
+}
+
 self.addEventListener('fetch', (event) => {
   if (event.request.method !== 'GET') {
     event.respondWith(fetch(event.request));
     return;
   }
 
+  const url = new URL(event.request.url);
+
   // Always fetch version.json from network — never serve from cache
-  if (event.request.url.endsWith('/version.json')) {
+  if (url.pathname.endsWith('/version.json')) {
     event.respondWith(
       fetch(event.request).catch(() => new Response('{"error":"offline"}', {
         status: 503,
@@ -148,34 +338,39 @@ self.addEventListener('fetch', (event) => {
     return;
   }
 
-  event.respondWith(
-    caches.match(event.request)
-      .then((response) => {
-        if (response) return response;
-
-        return fetch(event.request.clone()).then((response) => {
-          if (!response || response.status !== 200 || response.type !== 'basic') {
-            return response;
-          }
-
-          // Only cache resources under our own origin path
-          const url = new URL(event.request.url);
-          if (url.origin === self.location.origin) {
-            const responseToCache = response.clone();
-            caches.open(CACHE_NAME).then((cache) => {
-              cache.put(event.request, responseToCache);
-            });
-          }
-
-          return response;
-        }).catch(() => {
-          if (event.request.mode === 'navigate') {
-            return caches.match('./index.html').then((fallback) => fallback || Response.error());
-          }
-          return Response.error();
-        });
-      })
-  );
+  // Only resources under our own origin are cached
+  if (url.origin !== self.location.origin) return;
+
+  if (url.pathname.startsWith(new URL(USER_APPS_PATH, self.location).pathname)) {
+    event.respondWith(serveUserAppFile(event.request));
+    return;
+  }
+
+  // The update check asks for the latest registry and manifests, not the cached ones.
+  if (event.request.cache === 'no-store') {
+    event.respondWith(fetch(event.request));
+    return;
+  }
+
+  const appPath = getAppPath(url);
+  const isRegistry = url.pathname === new URL(REGISTRY_PATH, self.location).pathname;
+
+  if (isRegistry || (appPath && appPath.file === 'manifest.json')) {
+    event.respondWith(staleWhileRevalidate(event, DATA_CACHE));
+    return;
+  }
+
+  const app = appPath && appCaches[appPath.folder];
+  if (app) {
+    // The launcher loads every app's icon, so only opening the app itself caches all of it.
+    if (event.request.mode === 'navigate') {
+      event.waitUntil(cacheApp(appPath.folder));
+    }
+    event.respondWith(cacheFirst(event.request, app.cacheName));
+    return;
+  }
+
+  event.respondWith(cacheFirst(event.request, CACHE_NAME));
 });
 
 self.addEventListener('message', (event) => {
@@ -185,6 +380,24 @@ self.addEventListener('message', (event) => {
   if (event.data && event.data.type === 'GET_VERSION') {
     const match = CACHE_NAME.match(/marlapps-v(\d+)/);
     const version = match ? parseInt(match[1], 10) : 0;
-    event.ports[0].postMessage({ version });
+    // App versions this worker serves, by folder, so the update check can diff them.
+    const apps = Object.fromEntries(Object.entries(appCaches).map(([folder, app]) => [folder, app.version]));
+    event.ports[0].postMessage({ version, apps });
   }
 });
+
+// Notifications from the launcher's notification center carry the app to open.
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const appId = event.notification.data && event.notification.data.appId;
+
+  event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windowClients) => {
+    const client = windowClients.find(item => item.url.startsWith(self.registration.scope));
+    if (client) {
+      if (appId) client.postMessage({ type: 'notification-open', appId });
+      return client.focus();
+    }
+    const url = new URL(appId ? `./?app=${encodeURIComponent(appId)}` : './', self.registration.scope);
+    return self.clients.openWindow(url.href);
+  }));
+});
@@ -0,0 +1,345 @@
+// Client side of the launcher protocol. Load after theme-bootstrap.js:
+//   <script src="../../shared/marlapps-sdk.js"></script>
+// Exposes window.MarlApps for classic scripts and ES modules alike.
+(function initMarlAppsSdk() {
+  if (window.MarlApps) return;
+
+  const THEME_STORAGE_KEY = 'marlapps-theme';
+  const listeners = new Map();
+  const intentHandlers = new Map();
+  const isEmbedded = window.parent && window.parent !== window;
+
+  let lastBackgroundActive = null;
+  let lastStatusKey = null;
+  let lastWidgetKey = null;
+  let lastNotificationsKey = null;
+  let standaloneTimers = [];
+  let visible = true;
+  let currentRoute = '';
+  let replaceNextRoute = false;
+
+  function detectAppId() {
+    try {
+      const frame = window.frameElement;
+      if (frame && frame.dataset && frame.dataset.appId) return frame.dataset.appId;
+    } catch (e) {
+      // Ignore cross-context access errors.
+    }
+
+    // Built-in apps live under /apps/, apps installed from Settings under /user-apps/.
+    const match = window.location.pathname.match(/\/(?:user-)?apps\/([^/]+)\//);
+    return match ? decodeURIComponent(match[1]) : null;
+  }
+
+  const appId = detectAppId();
+
+  function emit(eventName, detail) {
+    const handlers = listeners.get(eventName);
+    if (!handlers) return;
+    [...handlers].forEach((handler) => {
+      try {
+        handler(detail);
+      } catch (error) {
+        console.error(`MarlApps "${eventName}" handler failed:`, error);
+      }
+    });
+  }
+
+  function on(eventName, handler) {
+    if (typeof handler !== 'function') return () => {};
+    if (!listeners.has(eventName)) listeners.set(eventName, new Set());
+    listeners.get(eventName).add(handler);
+    return () => off(eventName, handler);
+  }
+
+  function off(eventName, handler) {
+    const handlers = listeners.get(eventName);
+    if (handlers) handlers.delete(handler);
+  }
+
+  function postToParent(message) {
+    if (!isEmbedded) return false;
+
+    try {
+      window.parent.postMessage(message, '*');
+      return true;
+    } catch (e) {
+      // Ignore postMessage failures.
+      return false;
+    }
+  }
+
+  // ── Theme ──
+
+  function getTheme() {
+    return document.documentElement.getAttribute('data-theme') || null;
+  }
+
+  function applyTheme(theme) {
+    if (typeof theme !== 'string' || !theme) return;
+    document.documentElement.setAttribute('data-theme', theme);
+    emit('theme', theme);
+  }
+
+  // ── Status + background activity ──
+
+  function setBackgroundActive(active) {
+    const next = Boolean(active);
+    if (lastBackgroundActive === next) return;
+    lastBackgroundActive = next;
+    postToParent({ type: 'app-background-activity', appId, active: next });
+  }
+
+  function setStatus(status) {
+    if (!status || status.active === false) {
+      clearStatus();
+      return;
+    }
+
+    const payload = {
+      active: true,
+      label: String(status.label || ''),
+      timeRemaining: Number.isFinite(status.timeRemaining) ? Math.max(0, Math.round(status.timeRemaining)) : null,
+      variant: status.variant === 'calm' ? 'calm' : 'alert'
+    };
+    const statusKey = JSON.stringify(payload);
+    if (statusKey === lastStatusKey) return;
+    lastStatusKey = statusKey;
+    postToParent({ type: 'app-status', appId, status: payload });
+  }
+
+  function clearStatus() {
+    const statusKey = 'inactive';
+    if (statusKey === lastStatusKey) return;
+    lastStatusKey = statusKey;
+    postToParent({ type: 'app-status', appId, status: { active: false } });
+  }
+
+  // ── Widget ──
+
+  // Replaces the payload of the app's widget module on its launcher card while the app runs.
+  function setWidget(widget) {
+    if (!widget || typeof widget !== 'object') {
+      clearWidget();
+      return;
+    }
+
+    const widgetKey = JSON.stringify(widget);
+    if (widgetKey === lastWidgetKey) return;
+    lastWidgetKey = widgetKey;
+    postToParent({ type: 'app-widget', appId, widget });
+  }
+
+  function clearWidget() {
+    if (lastWidgetKey === 'none') return;
+    lastWidgetKey = 'none';
+    postToParent({ type: 'app-widget', appId, widget: null });
+  }
+
+  // ── Notifications ──
+
+  function sanitizeNotifications(notifications) {
+    return (Array.isArray(notifications) ? notifications : [])
+      .filter(item => item && typeof item.id === 'string' && Number.isFinite(item.at) && typeof item.title === 'string')
+      .map(item => ({
+        id: item.id,
+        at: Math.round(item.at),
+        title: item.title,
+        body: typeof item.body === 'string' ? item.body : ''
+      }));
+  }
+
+  // Replaces everything this app has scheduled. The launcher fires them even after the app unloads.
+  function setNotifications(notifications) {
+    const list = sanitizeNotifications(notifications);
+    const notificationsKey = JSON.stringify(list);
+    if (notificationsKey === lastNotificationsKey) return;
+    lastNotificationsKey = notificationsKey;
+
+    if (isEmbedded) {
+      postToParent({ type: 'app-notifications', appId, notifications: list });
+      return;
+    }
+    scheduleStandalone(list);
+  }
+
+  // Opened outside the launcher, the page can only notify while it stays open.
+  function scheduleStandalone(list) {
+    standaloneTimers.forEach(timer => clearTimeout(timer));
+    standaloneTimers = [];
+    if (!('Notification' in window) || list.length === 0) return;
+    if (Notification.permission === 'default') Notification.requestPermission().catch(() => {});
+
+    list.forEach((item) => {
+      const delay = item.at - Date.now();
+      if (delay <= 0 || delay > 2147483647) return;
+      standaloneTimers.push(setTimeout(() => {
+        if (Notification.permission !== 'granted') return;
+        try {
+          new Notification(item.title, { body: item.body, tag: `marlapps-${appId}-${item.id}` });
+        } catch (e) {
+          // Ignore notification failures.
+        }
+      }, delay));
+    });
+  }
+
+  // ── Intents ──
+
+  function onIntent(intent, handler) {
+    if (typeof handler !== 'function') return () => {};
+    intentHandlers.set(intent, handler);
+    return () => {
+      if (intentHandlers.get(intent) === handler) intentHandlers.delete(intent);
+    };
+  }
+
+  function publishIntent(intent, payload = null, options = {}) {
+    return postToParent({
+      type: 'app-intent',
+      intent,
+      payload,
+      target: options.target || null,
+      open: options.open === true
+    });
+  }
+
+  // ── Routes ──
+
+  function normalizeRoute(route) {
+    return typeof route === 'string' ? route.trim().replace(/^\/+/, '').slice(0, 512) : '';
+  }
+
+  // Report in-app navigation so the launcher URL and browser history follow it.
+  function setRoute(route, options = {}) {
+    const next = normalizeRoute(route);
+    if (next === currentRoute) return;
+    currentRoute = next;
+
+    // The first navigation after an `open-item` request replaces that history entry.
+    const replace = options.replace === true || replaceNextRoute;
+    replaceNextRoute = false;
+    postToParent({ type: 'app-route-change', appId, route: next, replace });
+  }
+
+  // ── Storage ──
+
+  function createStorage(key = appId ? `marlapps-${appId}` : null) {
+    return {
+      key,
+      read(fallback = null) {
+        if (!key) return fallback;
+        try {
+          const raw = localStorage.getItem(key);
+          return raw === null ? fallback : JSON.parse(raw);
+        } catch (e) {
+          return fallback;
+        }
+      },
+      write(value) {
+        if (!key) return false;
+        try {
+          localStorage.setItem(key, JSON.stringify(value));
+          return true;
+        } catch (error) {
+          console.error(`Failed to save ${key}:`, error);
+          return false;
+        }
+      },
+      remove() {
+        if (!key) return;
+        try {
+          localStorage.removeItem(key);
+        } catch (e) {
+          // Ignore storage errors.
+        }
+      }
+    };
+  }
+
+  // ── Launcher messages ──
+
+  window.addEventListener('message', (event) => {
+    if (event.origin !== window.location.origin) return;
+    if (isEmbedded && event.source !== window.parent) return;
+
+    const data = event.data;
+    if (!data || typeof data !== 'object') return;
+
+    if (data.type === 'theme-change') {
+      applyTheme(data.theme);
+      return;
+    }
+
+    if (data.type === 'app-visibility') {
+      visible = Boolean(data.visible);
+      emit('visibility', { visible, reason: typeof data.reason === 'string' ? data.reason : '' });
+      return;
+    }
+
+    if (data.type === 'app-open-item' && typeof data.item === 'string') {
+      replaceNextRoute = true;
+      emit('open-item', { item: data.item });
+      return;
+    }
+
+    if (data.type === 'app-route') {
+      // Routes coming from the launcher are already in its URL; don't echo them back.
+      currentRoute = normalizeRoute(data.route);
+      emit('route', { route: currentRoute });
+      return;
+    }
+
+    if (data.type === 'app-intent' && typeof data.intent === 'string') {
+      const detail = { intent: data.intent, payload: data.payload, source: data.source || null };
+      const handler = intentHandlers.get(data.intent);
+      if (handler) {
+        try {
+          handler(detail.payload, detail);
+        } catch (error) {
+          console.error(`MarlApps intent "${data.intent}" failed:`, error);
+        }
+      }
+      emit('intent', detail);
+    }
+  });
+
+  // Ctrl+K belongs to the launcher command palette even while an app has focus.
+  document.addEventListener('keydown', (event) => {
+    if (!isEmbedded) return;
+    if (!(event.metaKey || event.ctrlKey) || event.altKey || event.key.toLowerCase() !== 'k') return;
+    event.preventDefault();
+    postToParent({ type: 'launcher-shortcut', appId, shortcut: 'command-palette' });
+  });
+
+  // Side-by-side panes: the launcher focuses the pane the user clicked or tabbed into.
+  window.addEventListener('focus', () => {
+    if (isEmbedded) postToParent({ type: 'app-focus', appId });
+  });
+
+  // Standalone pages still follow theme switches made in another tab.
+  window.addEventListener('storage', (event) => {
+    if (event.key === THEME_STORAGE_KEY && event.newValue) applyTheme(event.newValue);
+  });
+
+  window.MarlApps = Object.freeze({
+    appId,
+    isEmbedded,
+    on,
+    off,
+    isVisible: () => visible,
+    getRoute: () => currentRoute,
+    setRoute,
+    theme: Object.freeze({ get: getTheme, apply: applyTheme }),
+    setBackgroundActive,
+    setStatus,
+    clearStatus,
+    setWidget,
+    clearWidget,
+    setNotifications,
+    onIntent,
+    publishIntent,
+    storage: createStorage(),
+    createStorage
+  });
+})();
@@ -0,0 +1,227 @@
+// Minimal .zip writer and reader shared by the launcher (app installs) and apps (Notes
+// export/import). Load it as a classic script:
+//   <script src="../../shared/zip.js"></script>
+// Exposes window.MarlAppsZip. Writes deflated entries when CompressionStream exists (stored
+// otherwise); reads stored or deflated entries. No Zip64, no encryption.
+(function initMarlAppsZip() {
+  if (window.MarlAppsZip) return;
+
+  const MAX_ENTRIES = 0xffff;
+  const MAX_TOTAL_BYTES = 100 * 1024 * 1024;
+  const UTF8_FLAG = 0x0800;
+
+  let crcTable = null;
+
+  function crc32(bytes) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  // MS-DOS time and date fields (2-second resolution, local time, 1980 at the earliest).
+  function toDosDateTime(timestamp) {
+    const date = new Date(Math.max(timestamp, new Date(1980, 0, 1).getTime()));
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+
+  async function deflateRaw(bytes) {
+    if (typeof CompressionStream !== 'function') return null;
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  // files: [{ path, content (string), lastModified }]. Resolves with an application/zip Blob.
+  async function createZip(files) {
+    if (files.length > MAX_ENTRIES) {
+      throw new Error(`A zip can hold at most ${MAX_ENTRIES} files`);
+    }
+
+    const encoder = new TextEncoder();
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    for (const file of files) {
+      const name = encoder.encode(file.path);
+      const data = encoder.encode(file.content);
+      const deflated = await deflateRaw(data);
+      const useDeflate = deflated && deflated.length < data.length;
+      const body = useDeflate ? deflated : data;
+      const crc = crc32(data);
+      const { time, date } = toDosDateTime(file.lastModified || Date.now());
+
+      const header = new DataView(new ArrayBuffer(30));
+      header.setUint32(0, 0x04034b50, true);
+      header.setUint16(4, 20, true);
+      header.setUint16(6, UTF8_FLAG, true);
+      header.setUint16(8, useDeflate ? 8 : 0, true);
+      header.setUint16(10, time, true);
+      header.setUint16(12, date, true);
+      header.setUint32(14, crc, true);
+      header.setUint32(18, body.length, true);
+      header.setUint32(22, data.length, true);
+      header.setUint16(26, name.length, true);
+      header.setUint16(28, 0, true);
+
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 0x02014b50, true);
+      entry.setUint16(4, 20, true);
+      entry.setUint16(6, 20, true);
+      entry.setUint16(8, UTF8_FLAG, true);
+      entry.setUint16(10, useDeflate ? 8 : 0, true);
+      entry.setUint16(12, time, true);
+      entry.setUint16(14, date, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, body.length, true);
+      entry.setUint32(24, data.length, true);
+      entry.setUint16(28, name.length, true);
+      entry.setUint32(42, offset, true);
+
+      parts.push(header, name, body);
+      directory.push(entry, name);
+      offset += 30 + name.length + body.length;
+    }
+
+    const directorySize = directory.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+  }
+
+  // Resolves with [{ path, blob }] for every file entry (directories are skipped). The limits
+  // cap what an untrusted archive may unpack; maxTotalBytes counts the uncompressed sizes.
+  async function readZip(blob, { maxEntries = MAX_ENTRIES, maxTotalBytes = MAX_TOTAL_BYTES } = {}) {
+    const buffer = await blob.arrayBuffer();
+    const view = new DataView(buffer);
+    const end = findEndOfCentralDirectory(view);
+
+    const entryCount = view.getUint16(end + 10, true);
+    const directoryOffset = view.getUint32(end + 16, true);
+    if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+      throw new Error('Zip64 archives are not supported');
+    }
+    if (entryCount > maxEntries) {
+      throw new Error(`The archive has more than ${maxEntries} files`);
+    }
+
+    const decoder = new TextDecoder();
+    const files = [];
+    let offset = directoryOffset;
+    let totalBytes = 0;
+
+    for (let i = 0; i < entryCount; i++) {
+      if (offset + 46 > view.byteLength || view.getUint32(offset, true) !== 0x02014b50) {
+        throw new Error('The zip file is damaged (bad central directory)');
+      }
+
+      const flags = view.getUint16(offset + 8, true);
+      const method = view.getUint16(offset + 10, true);
+      const compressedSize = view.getUint32(offset + 20, true);
+      const size = view.getUint32(offset + 24, true);
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      const localOffset = view.getUint32(offset + 42, true);
+      const path = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+      offset += 46 + nameLength + extraLength + commentLength;
+
+      if (path.endsWith('/')) continue;
+      if (flags & 0x1) throw new Error(`${path} is encrypted`);
+
+      // Declared sizes are only a budget: readEntry enforces them on the bytes it inflates.
+      totalBytes += size;
+      if (totalBytes > maxTotalBytes) {
+        throw new Error('The archive is too large to unpack');
+      }
+
+      files.push({ path, blob: await readEntry(buffer, view, localOffset, { method, compressedSize, size, path }) });
+    }
+
+    return files;
+  }
+
+  function findEndOfCentralDirectory(view) {
+    // The record is 22 bytes plus a comment of up to 64 KB.
+    const stop = Math.max(0, view.byteLength - 22 - 0xffff);
+    for (let offset = view.byteLength - 22; offset >= stop; offset--) {
+      if (view.getUint32(offset, true) === 0x06054b50) return offset;
+    }
+    throw new Error('Not a zip file');
+  }
+
+  async function readEntry(buffer, view, localOffset, { method, compressedSize, size, path }) {
+    if (view.getUint32(localOffset, true) !== 0x04034b50) {
+      throw new Error(`The zip file is damaged (bad header for ${path})`);
+    }
+
+    const nameLength = view.getUint16(localOffset + 26, true);
+    const extraLength = view.getUint16(localOffset + 28, true);
+    const start = localOffset + 30 + nameLength + extraLength;
+    const data = new Blob([new Uint8Array(buffer, start, compressedSize)]);
+
+    if (method === 0) {
+      if (compressedSize > size) throw new Error(`${path} is larger than the archive says`);
+      return data;
+    }
+    if (method !== 8) throw new Error(`${path} uses an unsupported compression method (${method})`);
+    if (typeof DecompressionStream !== 'function') {
+      throw new Error('This browser cannot unpack compressed zip files');
+    }
+
+    return inflate(data, size, path);
+  }
+
+  // Counts the bytes as they come out and stops past the declared size, so a small
+  // entry can't expand into gigabytes (a zip bomb) before anything checks it.
+  async function inflate(data, size, path) {
+    const reader = data.stream().pipeThrough(new DecompressionStream('deflate-raw')).getReader();
+    const chunks = [];
+    let inflated = 0;
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      inflated += value.byteLength;
+      if (inflated > size) {
+        await reader.cancel();
+        throw new Error(`${path} is larger than the archive says`);
+      }
+      chunks.push(value);
+    }
+
+    return new Blob(chunks);
+  }
+
+  // Writing falls back to stored entries, but reading deflated ones needs DecompressionStream.
+  function isSupported() {
+    return typeof DecompressionStream === 'function';
+  }
+
+  window.MarlAppsZip = Object.freeze({
+    isSupported,
+    createZip,
+    readZip,
+    crc32
+  });
+})();